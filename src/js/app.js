@@ -14,6 +14,7 @@ import { storageService } from './services/storage-service.js';
 import { memberService } from './services/member-service.js';
 import { notificationService } from './services/notification-service.js';
 import { syncConfigService } from './services/sync-config.js';
+import { dbManager } from './services/db-manager.js';
 import { processSync } from './services/bpm/process-sync.js';
 import { userPersistence } from './services/user-persistence.js';
 import { organizationPersistence } from './services/organization-persistence.js';
@@ -330,6 +331,23 @@ class App {
       { requiresAuth: true, title: 'Organization Members - V4L' }
     );
 
+    // Organization process designer (requires auth)
+    router.register(
+      ROUTES.ORG_PROCESS_DESIGNER,
+      async (params) => {
+        await this.loadPage('organization/process-designer-page', params);
+      },
+      { requiresAuth: true, title: 'Process Designer - V4L' }
+    );
+
+    router.register(
+      ROUTES.ORG_PROCESS_DESIGNER_EDIT,
+      async (params) => {
+        await this.loadPage('organization/process-designer-page', params);
+      },
+      { requiresAuth: true, title: 'Process Designer - V4L' }
+    );
+
     // Organization create (requires auth)
     router.register(
       '/organizations/add',
@@ -457,6 +475,15 @@ class App {
       // Create page instance
       const page = new PageClass(params);
 
+      // Let the page being replaced unsubscribe its listeners
+      if (this.currentPage?.onWillLeave) {
+        try {
+          this.currentPage.onWillLeave();
+        } catch (error) {
+          console.error('Error leaving page:', error);
+        }
+      }
+
       // Store current page for access from templates
       this.currentPage = page;
 
@@ -558,15 +585,8 @@ class App {
           await memberService.getOrgMembers(data.to.id);
           await memberService.getCurrentUserMembership(data.to.id);
 
-          // Re-initialize sync for new organization
-          if (syncConfigService.isConnected) {
-            await syncConfigService.ensureDatabase(data.to.id);
-            const remoteUrl = syncConfigService.getRemoteDbUrl(data.to.id);
-            await processSync.switchOrganization(data.to.id, remoteUrl, syncConfigService.credentials);
-            console.log('Sync switched to org:', data.to.id);
-          } else {
-            await processSync.switchOrganization(data.to.id, null, null);
-          }
+          // Re-initialize sync for new organization (in its own or a shard database)
+          await dbManager.switchOrganization(data.to.id);
         } catch (err) {
           console.warn('Failed to load member data or sync for org:', err);
         }
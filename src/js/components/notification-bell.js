@@ -266,7 +266,10 @@ class NotificationBell {
       [NOTIFICATION_TYPES.APPROVAL_NEEDED]: 'hand-right-outline',
       [NOTIFICATION_TYPES.APPROVAL_RECEIVED]: 'thumbs-up-outline',
       [NOTIFICATION_TYPES.MEMBER_JOINED]: 'person-add-outline',
-      [NOTIFICATION_TYPES.ROLE_CHANGED]: 'shield-outline'
+      [NOTIFICATION_TYPES.ROLE_CHANGED]: 'shield-outline',
+      [NOTIFICATION_TYPES.PROCESS_MESSAGE]: 'chatbox-outline',
+      [NOTIFICATION_TYPES.BULK_TASK_ACTION]: 'checkmark-done-outline',
+      [NOTIFICATION_TYPES.MENTION]: 'at-outline'
     };
     return icons[type] || 'notifications-outline';
   }
@@ -285,7 +288,10 @@ class NotificationBell {
       [NOTIFICATION_TYPES.APPROVAL_NEEDED]: 'warning',
       [NOTIFICATION_TYPES.APPROVAL_RECEIVED]: 'success',
       [NOTIFICATION_TYPES.MEMBER_JOINED]: 'secondary',
-      [NOTIFICATION_TYPES.ROLE_CHANGED]: 'warning'
+      [NOTIFICATION_TYPES.ROLE_CHANGED]: 'warning',
+      [NOTIFICATION_TYPES.PROCESS_MESSAGE]: 'tertiary',
+      [NOTIFICATION_TYPES.BULK_TASK_ACTION]: 'success',
+      [NOTIFICATION_TYPES.MENTION]: 'primary'
     };
     return colors[type] || 'medium';
   }
@@ -0,0 +1,119 @@
+/**
+ * Timer Debug Panel Component
+ * Lists pending auto-transition timers of the transition engine
+ */
+
+import { transitionEngine } from '../services/bpm/transition-engine.js';
+import { router } from '../router.js';
+import { eventBus } from '../utils/events.js';
+import { EVENTS } from '../config/constants.js';
+import { formatDateTime, formatDuration } from '../utils/date-utils.js';
+
+export class TimerDebugPanelComponent {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Initialize the component
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      console.warn('Timer debug panel container not found:', this.containerId);
+      return;
+    }
+
+    this.render();
+    this.setupEventSubscriptions();
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    const timers = transitionEngine.getActiveTimers();
+
+    this.container.innerHTML = `
+      <div style="padding: 16px; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+          <h4 style="margin: 0; font-size: 14px; color: #374151;">Process Timers (${timers.length})</h4>
+          <button id="timer-debug-refresh-btn" style="
+            padding: 6px 12px;
+            font-size: 12px;
+            background: #6b7280;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+          ">Refresh</button>
+        </div>
+
+        ${timers.length === 0 ? `
+          <div style="font-size: 13px; color: #6b7280;">No pending timers</div>
+        ` : timers.map(timer => `
+          <div style="padding: 8px 0; border-top: 1px solid #e5e7eb; font-size: 12px;">
+            <div style="display: flex; justify-content: space-between;">
+              <a href="#" data-process-id="${timer.processId}" style="color: #3b82f6; font-family: monospace;">${timer.processId}</a>
+              <span style="font-weight: 500;">in ${formatDuration(timer.remainingMs, true)}</span>
+            </div>
+            <div style="color: #374151; margin-top: 2px;">
+              ${timer.state} → ${timer.toState}${timer.branchId ? ` (branch ${timer.branchId})` : ''}
+            </div>
+            <div style="color: #6b7280; margin-top: 2px;">
+              Fires ${formatDateTime(new Date(timer.fireAt))}${timer.reason ? ` · ${timer.reason}` : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.container.querySelector('#timer-debug-refresh-btn')?.addEventListener('click', () => {
+      this.render();
+    });
+
+    this.container.querySelectorAll('[data-process-id]').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        router.navigate(`/process/${link.dataset.processId}`);
+      });
+    });
+  }
+
+  /**
+   * Setup event subscriptions
+   */
+  setupEventSubscriptions() {
+    // Re-render whenever a timer is set, fired or cancelled
+    const unsub = eventBus.on(EVENTS.PROCESS_TIMERS_CHANGED, () => {
+      // Pages have no unmount hook; stop listening once navigated away
+      // (after the current emit, which is still iterating the listeners)
+      if (!this.container.isConnected) {
+        queueMicrotask(() => this.destroy());
+        return;
+      }
+
+      this.render();
+    });
+    this.unsubscribers.push(unsub);
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+  }
+}
+
+export default TimerDebugPanelComponent;
@@ -0,0 +1,432 @@
+/**
+ * Workflow Canvas Component
+ * SVG canvas that draws the states and transitions of a process definition
+ * States can be dragged, selected, and connected to add transitions
+ */
+
+import { sanitizeHTML } from '../utils/helpers.js';
+
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 52;
+const GRID_X = 200;
+const GRID_Y = 100;
+const MARGIN = 30;
+
+export class WorkflowCanvasComponent {
+  constructor(containerId, options = {}) {
+    this.containerId = containerId;
+    this.container = null;
+    this.svg = null;
+    this.options = {
+      onSelect: options.onSelect || (() => {}),
+      onConnect: options.onConnect || (() => {}),
+      onMove: options.onMove || (() => {})
+    };
+
+    this.definition = null;
+    this.positions = {}; // stateName -> { x, y }
+    this.selection = null; // { type: 'state', state } | { type: 'transition', state, to }
+    this.connectMode = false;
+    this.connectFrom = null;
+    this.drag = null;
+  }
+
+  /**
+   * Initialize the component
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      console.warn('Workflow canvas container not found:', this.containerId);
+      return;
+    }
+
+    this.container.innerHTML = `
+      <svg class="workflow-canvas" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+          <marker id="workflow-arrow" viewBox="0 0 10 10" refX="10" refY="5"
+            markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#6b7280"></path>
+          </marker>
+          <marker id="workflow-arrow-selected" viewBox="0 0 10 10" refX="10" refY="5"
+            markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#3b82f6"></path>
+          </marker>
+        </defs>
+        <g class="workflow-edges"></g>
+        <g class="workflow-nodes"></g>
+      </svg>
+    `;
+
+    this.svg = this.container.querySelector('svg');
+    this.attachEventListeners();
+  }
+
+  /**
+   * Set the definition to draw
+   * Positions of states without one are laid out automatically
+   */
+  setDefinition(definition, positions = {}) {
+    this.definition = definition;
+    this.positions = { ...positions };
+    this.layoutMissing();
+    this.render();
+  }
+
+  /**
+   * Get current state positions
+   */
+  getPositions() {
+    return { ...this.positions };
+  }
+
+  /**
+   * Set the selected state or transition
+   */
+  setSelection(selection) {
+    this.selection = selection;
+    this.render();
+  }
+
+  /**
+   * Toggle connect mode (click source, then target state)
+   */
+  setConnectMode(enabled) {
+    this.connectMode = enabled;
+    this.connectFrom = null;
+    this.render();
+  }
+
+  /**
+   * Lay out every state again, by distance from the initial state
+   */
+  autoLayout() {
+    this.positions = {};
+    this.layoutMissing();
+    this.render();
+    this.options.onMove(this.getPositions());
+  }
+
+  /**
+   * Place states that have no position yet in columns by depth
+   */
+  layoutMissing() {
+    const states = this.definition?.states || {};
+    const depths = this.getDepths();
+    const rows = {};
+
+    Object.values(this.positions).forEach(({ x }) => {
+      const column = Math.round((x - MARGIN) / GRID_X);
+      rows[column] = (rows[column] || 0) + 1;
+    });
+
+    Object.keys(states).forEach(stateName => {
+      if (this.positions[stateName]) {
+        return;
+      }
+
+      const column = depths[stateName] ?? (Math.max(0, ...Object.values(depths)) + 1);
+      const row = rows[column] || 0;
+      rows[column] = row + 1;
+
+      this.positions[stateName] = {
+        x: MARGIN + column * GRID_X,
+        y: MARGIN + row * GRID_Y
+      };
+    });
+  }
+
+  /**
+   * Breadth-first distance of each state from the initial state
+   */
+  getDepths() {
+    const { states = {}, initialState } = this.definition || {};
+    const depths = {};
+
+    if (!states[initialState]) {
+      return depths;
+    }
+
+    const queue = [initialState];
+    depths[initialState] = 0;
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      this.getTargets(current).forEach(target => {
+        if (states[target] && depths[target] === undefined) {
+          depths[target] = depths[current] + 1;
+          queue.push(target);
+        }
+      });
+    }
+
+    return depths;
+  }
+
+  /**
+   * Get transition targets of a state
+   */
+  getTargets(stateName) {
+    const transitions = this.definition?.states?.[stateName]?.transitions || [];
+    return transitions.map(t => (typeof t === 'string' ? t : t?.to));
+  }
+
+  /**
+   * Render states and transitions
+   */
+  render() {
+    if (!this.svg || !this.definition) {
+      return;
+    }
+
+    const states = this.definition.states || {};
+    const positions = Object.values(this.positions);
+    const width = Math.max(600, ...positions.map(p => p.x + NODE_WIDTH + MARGIN));
+    const height = Math.max(300, ...positions.map(p => p.y + NODE_HEIGHT + MARGIN));
+
+    this.svg.setAttribute('width', width);
+    this.svg.setAttribute('height', height);
+    this.svg.classList.toggle('connecting', this.connectMode);
+
+    this.svg.querySelector('.workflow-edges').innerHTML = Object.keys(states)
+      .flatMap(from => this.getTransitionList(from).map(transition => this.renderEdge(from, transition)))
+      .join('');
+
+    this.svg.querySelector('.workflow-nodes').innerHTML = Object.entries(states)
+      .map(([name, config]) => this.renderNode(name, config))
+      .join('');
+  }
+
+  /**
+   * Get normalized transitions of a state
+   */
+  getTransitionList(stateName) {
+    const transitions = this.definition.states[stateName]?.transitions || [];
+    return transitions
+      .map(t => (typeof t === 'string' ? { to: t } : t))
+      .filter(t => t && this.positions[t.to]);
+  }
+
+  /**
+   * Render a state node
+   */
+  renderNode(name, config) {
+    const { x, y } = this.positions[name];
+    const isInitial = this.definition.initialState === name;
+    const isTerminal = !config.transitions || config.transitions.length === 0;
+    const isSelected = this.selection?.type === 'state' && this.selection.state === name;
+    const isSource = this.connectFrom === name;
+
+    const classes = ['workflow-node'];
+    if (isInitial) classes.push('initial');
+    if (isTerminal) classes.push('terminal');
+    if (config.type === 'fork' || config.type === 'join') classes.push(config.type);
+    if (isSelected || isSource) classes.push('selected');
+
+    const badges = [
+      config.requiredActions?.length ? '✓' : '',
+      config.autoTransition?.conditions?.length ? '⏱' : '',
+      config.type === 'fork' || config.type === 'join' ? config.type : ''
+    ].filter(Boolean).join(' ');
+
+    return `
+      <g class="${classes.join(' ')}" data-state="${sanitizeHTML(name)}" transform="translate(${x}, ${y})">
+        <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8"></rect>
+        <text x="${NODE_WIDTH / 2}" y="${badges ? 22 : 30}" text-anchor="middle" class="workflow-node-label">
+          ${sanitizeHTML(this.truncate(config.name || name, 20))}
+        </text>
+        ${badges ? `
+          <text x="${NODE_WIDTH / 2}" y="40" text-anchor="middle" class="workflow-node-badges">${sanitizeHTML(badges)}</text>
+        ` : ''}
+      </g>
+    `;
+  }
+
+  /**
+   * Render a transition arrow
+   */
+  renderEdge(from, transition) {
+    const { to } = transition;
+    const isSelected = this.selection?.type === 'transition' &&
+      this.selection.state === from && this.selection.to === to;
+
+    if (from === to) {
+      const { x, y } = this.positions[from];
+      const path = `M ${x + NODE_WIDTH - 30} ${y} C ${x + NODE_WIDTH - 30} ${y - 40}, ${x + NODE_WIDTH + 20} ${y - 20}, ${x + NODE_WIDTH} ${y + 14}`;
+      return this.renderEdgePath(from, to, path, x + NODE_WIDTH, y - 24, transition, isSelected);
+    }
+
+    const start = this.getCenter(from);
+    const end = this.getCenter(to);
+
+    // Offset arrows between two states that point at each other
+    const reverse = this.getTargets(to).includes(from);
+    const offset = reverse ? 8 : 0;
+    const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+    const nx = -(end.y - start.y) / length * offset;
+    const ny = (end.x - start.x) / length * offset;
+
+    const a = this.clipToNode({ x: start.x + nx, y: start.y + ny }, { x: end.x + nx, y: end.y + ny });
+    const b = this.clipToNode({ x: end.x + nx, y: end.y + ny }, { x: start.x + nx, y: start.y + ny });
+
+    return this.renderEdgePath(
+      from, to, `M ${a.x} ${a.y} L ${b.x} ${b.y}`,
+      (a.x + b.x) / 2 + nx, (a.y + b.y) / 2 + ny - 4,
+      transition, isSelected
+    );
+  }
+
+  /**
+   * Render an edge path with its label
+   */
+  renderEdgePath(from, to, path, labelX, labelY, transition, isSelected) {
+    const flags = [
+      transition.guard ? 'if' : '',
+      transition.requiredApprovalLevel ? transition.requiredApprovalLevel : ''
+    ].filter(Boolean).join(' · ');
+    const label = [transition.label, flags && `[${flags}]`].filter(Boolean).join(' ');
+
+    return `
+      <g class="workflow-edge${isSelected ? ' selected' : ''}" data-from="${sanitizeHTML(from)}" data-to="${sanitizeHTML(to)}">
+        <path d="${path}" class="workflow-edge-hit"></path>
+        <path d="${path}" class="workflow-edge-line"
+          marker-end="url(#workflow-arrow${isSelected ? '-selected' : ''})"></path>
+        ${label ? `
+          <text x="${labelX}" y="${labelY}" text-anchor="middle" class="workflow-edge-label">${sanitizeHTML(this.truncate(label, 28))}</text>
+        ` : ''}
+      </g>
+    `;
+  }
+
+  /**
+   * Get center point of a state node
+   */
+  getCenter(stateName) {
+    const { x, y } = this.positions[stateName];
+    return { x: x + NODE_WIDTH / 2, y: y + NODE_HEIGHT / 2 };
+  }
+
+  /**
+   * Move a point from a node center to the node border, towards another point
+   */
+  clipToNode(from, towards) {
+    const dx = towards.x - from.x;
+    const dy = towards.y - from.y;
+    const scale = Math.min(
+      dx ? (NODE_WIDTH / 2) / Math.abs(dx) : Infinity,
+      dy ? (NODE_HEIGHT / 2) / Math.abs(dy) : Infinity
+    );
+
+    return { x: from.x + dx * scale, y: from.y + dy * scale };
+  }
+
+  /**
+   * Truncate long labels
+   */
+  truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.svg.addEventListener('pointerdown', (e) => {
+      const node = e.target.closest('[data-state]');
+      if (!node) {
+        return;
+      }
+
+      const { x, y } = this.positions[node.dataset.state];
+      const point = this.getPointer(e);
+
+      this.drag = {
+        state: node.dataset.state,
+        offsetX: point.x - x,
+        offsetY: point.y - y,
+        startX: point.x,
+        startY: point.y,
+        moved: false
+      };
+
+      this.svg.setPointerCapture(e.pointerId);
+    });
+
+    this.svg.addEventListener('pointermove', (e) => {
+      if (!this.drag) {
+        return;
+      }
+
+      const point = this.getPointer(e);
+      if (!this.drag.moved && Math.hypot(point.x - this.drag.startX, point.y - this.drag.startY) < 4) {
+        return;
+      }
+
+      this.drag.moved = true;
+      this.positions[this.drag.state] = {
+        x: Math.max(0, Math.round(point.x - this.drag.offsetX)),
+        y: Math.max(0, Math.round(point.y - this.drag.offsetY))
+      };
+      this.render();
+    });
+
+    this.svg.addEventListener('pointerup', (e) => {
+      const drag = this.drag;
+      this.drag = null;
+
+      if (drag?.moved) {
+        this.options.onMove(this.getPositions());
+        return;
+      }
+
+      if (drag) {
+        this.handleStateClick(drag.state);
+        return;
+      }
+
+      // Clicking outside the states cancels a started connection
+      if (this.connectFrom) {
+        this.connectFrom = null;
+        this.render();
+      }
+
+      const edge = e.target.closest('[data-from]');
+      if (edge) {
+        this.options.onSelect({ type: 'transition', state: edge.dataset.from, to: edge.dataset.to });
+      } else {
+        this.options.onSelect(null);
+      }
+    });
+  }
+
+  /**
+   * Select a state, or connect it when in connect mode
+   */
+  handleStateClick(stateName) {
+    if (!this.connectMode) {
+      this.options.onSelect({ type: 'state', state: stateName });
+      return;
+    }
+
+    if (!this.connectFrom) {
+      this.connectFrom = stateName;
+      this.render();
+      return;
+    }
+
+    const from = this.connectFrom;
+    this.connectFrom = null;
+    this.options.onConnect(from, stateName);
+  }
+
+  /**
+   * Get pointer position in canvas coordinates
+   */
+  getPointer(e) {
+    const rect = this.svg.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+}
+
+export default WorkflowCanvasComponent;
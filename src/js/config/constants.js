@@ -28,6 +28,13 @@ export const DOC_TYPES = {
   DATA: 'data',
   PROCESS_DEFINITION: 'process_definition',
   PROCESS_INSTANCE: 'process_instance',
+  PROCESS_TIMER: 'process_timer',
+  TASK: 'task',
+  DELEGATION: 'delegation',
+  CALENDAR: 'calendar',
+  COMMENT: 'comment',
+  ENCRYPTION_KEY: 'encryption_key',
+  MEMBER_KEY: 'member_key',
   STEP_EXECUTION: 'step_execution',
   USER: 'user',
   ORGANIZATION_LEGAL_TYPE: 'organization_legal_type'
@@ -67,7 +74,17 @@ export const STORAGE_KEYS = {
 export const DB_NAMES = {
   SHARED: 'v4l_shared',
   ORG_PREFIX: 'v4l_org_',
-  SHARD_PREFIX: 'v4l_orgs_shard_'
+  SHARD_PREFIX: 'v4l_orgs_shard_',
+  // Device-only database of members' encryption key pairs, never replicated and kept on logout
+  DEVICE_KEYS: 'v4l_device_keys'
+};
+
+// Organization database placement (see dbManager): new organizations share one of
+// SHARD_COUNT CouchDB databases and move to their own once they outgrow either limit
+export const SHARDING = {
+  SHARD_COUNT: 40,
+  MAX_MEMBERS: 50,
+  MAX_DOCUMENTS: 5000
 };
 
 // Sync States
@@ -93,6 +110,8 @@ export const ROUTES = {
   ORG_DETAIL: '/organizations/:id',
   ORG_SETTINGS: '/organizations/:id/settings',
   ORG_MEMBERS: '/organizations/:id/members',
+  ORG_PROCESS_DESIGNER: '/organizations/:id/process-designer',
+  ORG_PROCESS_DESIGNER_EDIT: '/organizations/:id/process-designer/:definitionId',
   PROFILE: '/profile',
   SETTINGS: '/settings'
 };
@@ -101,6 +120,7 @@ export const ROUTES = {
 export const EVENTS = {
   AUTH_STATE_CHANGED: 'auth:statechanged',
   ORG_SWITCHED: 'org:switched',
+  ORG_DATABASE_PROMOTED: 'org:database:promoted',
   SYNC_STATE_CHANGED: 'sync:statechanged',
   NETWORK_STATE_CHANGED: 'network:statechanged',
   DB_CHANGE: 'db:change',
@@ -116,6 +136,15 @@ export const EVENTS = {
   PROCESS_SYNC_STARTED: 'process:sync:started',
   PROCESS_SYNC_COMPLETED: 'process:sync:completed',
   PROCESS_SYNC_ERROR: 'process:sync:error',
+  PROCESS_TIMERS_CHANGED: 'process:timers:changed',
+  PROCESS_DEFINITIONS_CHANGED: 'process:definitions:changed',
+  PROCESS_SLA_ESCALATED: 'process:sla:escalated',
+  PROCESS_CALENDARS_CHANGED: 'process:calendars:changed',
+  PROCESS_COMMENTS_CHANGED: 'process:comments:changed',
+  PROCESSES_CHANGED: 'processes:changed',
+  PROCESS_CONFLICT_DETECTED: 'process:conflict:detected',
+  PROCESS_CONFLICT_RESOLVED: 'process:conflict:resolved',
+  ENCRYPTION_KEYS_CHANGED: 'process:encryption:keys:changed',
 
   // Document Events
   DOCUMENT_UPLOADED: 'document:uploaded',
@@ -125,6 +154,7 @@ export const EVENTS = {
   // Task Events
   TASK_ASSIGNED: 'task:assigned',
   TASK_COMPLETED: 'task:completed',
+  TASKS_CHANGED: 'task:changed',
 
   // Analytics Events
   ANALYTICS_UPDATED: 'analytics:updated',
@@ -138,6 +168,7 @@ export const EVENTS = {
   MEMBER_ADDED: 'member:added',
   MEMBER_REMOVED: 'member:removed',
   MEMBER_ROLE_CHANGED: 'member:role:changed',
+  DELEGATIONS_CHANGED: 'member:delegations:changed',
 
   // Notification Events
   NOTIFICATION_RECEIVED: 'notification:received',
@@ -248,6 +279,13 @@ export const PROCESS_STATUS = {
   FAILED: 'failed'
 };
 
+// Task Status
+export const TASK_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
 // Process Sync Status
 export const PROCESS_SYNC_STATUS = {
   SYNCED: 'synced',
@@ -294,7 +332,10 @@ export const NOTIFICATION_TYPES = {
   APPROVAL_NEEDED: 'approval_needed',
   APPROVAL_RECEIVED: 'approval_received',
   MEMBER_JOINED: 'member_joined',
-  ROLE_CHANGED: 'role_changed'
+  ROLE_CHANGED: 'role_changed',
+  PROCESS_MESSAGE: 'process_message',
+  BULK_TASK_ACTION: 'bulk_task_action',
+  MENTION: 'mention'
 };
 
 // Username Validation
@@ -364,6 +405,9 @@ export const FILE_TYPE_ICONS = {
   'default': 'document-attach'
 };
 
+// Process Comments
+export const COMMENT_EDIT_WINDOW = 15 * 60 * 1000; // Authors may edit a comment for 15 minutes
+
 // Analytics
 export const ANALYTICS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 export const ANALYTICS_DATE_RANGES = {
@@ -390,8 +434,12 @@ export const COUCHDB_CONFIG = {
   URL: isDev ? '/couchdb' : 'http://127.0.0.1:5984',
   // Direct URL for reference (used for PouchDB sync which needs full URL)
   DIRECT_URL: 'http://127.0.0.1:5984',
-  // Database naming convention: {prefix}_{orgId}
+  // Database naming convention: {prefix}_{orgId} for dedicated organization
+  // databases; shared ones are named DB_NAMES.SHARD_PREFIX + shard number
   DB_PREFIX: 'bmpl_org_',
+  // Server-side filter limiting what members pull from an org database
+  // (couchdb_design_documents/process_access_design_doc.json)
+  ORG_PULL_FILTER: 'process_access/by_member',
   // Fixed database names
   COMMON_DB: 'bmpl_common',
   USERS_DB: 'bmpl_users',
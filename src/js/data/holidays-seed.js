@@ -0,0 +1,44 @@
+/**
+ * Seed Data for Public Holidays
+ * Country-specific holiday sets for working calendars, keyed like the legal types seed
+ *
+ * Dates are 'MM-DD' for holidays on the same date every year, or 'YYYY-MM-DD'
+ * for a single year. Festival holidays that follow lunar calendars move every
+ * year and are added to an organization's calendar for the year in question.
+ */
+
+export const HOLIDAYS_SEED_DATA = [
+  // ============================================
+  // INDIA - National holidays
+  // ============================================
+  {
+    country_iso_code: 'IN',
+    country_name: 'India',
+    name: 'Republic Day',
+    date: '01-26',
+    type: 'national'
+  },
+  {
+    country_iso_code: 'IN',
+    country_name: 'India',
+    name: 'Independence Day',
+    date: '08-15',
+    type: 'national'
+  },
+  {
+    country_iso_code: 'IN',
+    country_name: 'India',
+    name: 'Gandhi Jayanti',
+    date: '10-02',
+    type: 'national'
+  }
+];
+
+/**
+ * Helper function to get holidays by country
+ */
+export function getHolidaysByCountry(countryCode) {
+  return HOLIDAYS_SEED_DATA.filter(
+    item => item.country_iso_code === countryCode.toUpperCase()
+  );
+}
@@ -299,7 +299,7 @@ export class BaseProcessCreatePage extends BasePage {
       this.formData = getFormValues(form);
 
       // Validate
-      const validation = validateForm(form, this.definition?.variables || {});
+      const validation = validateForm(form, this.definition?.variables || {}, null, this.definition?.validation || []);
 
       if (!validation.valid) {
         this.errors = validation.errors;
@@ -6,7 +6,18 @@
 import BasePage from './base-page.js';
 import { processState } from '../../state/process-state.js';
 import { processService } from '../../services/bpm/process-service.js';
+import { taskService } from '../../services/bpm/task-service.js';
+import { approvalPolicy } from '../../services/bpm/approval-policy.js';
+import { commentService } from '../../services/bpm/comment-service.js';
+import { conflictResolver } from '../../services/bpm/conflict-resolver.js';
+import '../../components/user-lookup-input.js';
+import { authState } from '../../state/auth-state.js';
+import { orgState } from '../../state/org-state.js';
+import { memberState } from '../../state/member-state.js';
+import { eventBus } from '../../utils/events.js';
 import { formatDate, formatDateTime, getRelativeTime } from '../../utils/date-utils.js';
+import { sanitizeHTML } from '../../utils/helpers.js';
+import { EVENTS, TASK_STATUS } from '../../config/constants.js';
 
 export class BaseProcessDetailPage extends BasePage {
   constructor() {
@@ -52,8 +63,11 @@ export class BaseProcessDetailPage extends BasePage {
 
       <ion-content id="process-content">
         <div id="process-header"></div>
+        <div id="process-conflict"></div>
         <div id="process-details"></div>
         <div id="process-timeline"></div>
+        <div id="process-call-tree"></div>
+        <div id="process-approvals"></div>
         <div id="process-actions"></div>
         <div id="process-history"></div>
       </ion-content>
@@ -91,12 +105,15 @@ export class BaseProcessDetailPage extends BasePage {
       }
 
       // Get definition
-      this.definition = processService.getDefinition(this.process.definitionId);
+      this.definition = processService.getProcessDefinition(this.process);
 
       // Render all sections
       this.renderHeader();
+      this.renderConflict();
       this.renderDetails();
       this.renderTimeline();
+      this.renderCallTree();
+      this.renderApprovals();
       this.renderActions();
       this.renderHistory();
 
@@ -129,13 +146,30 @@ export class BaseProcessDetailPage extends BasePage {
           <p class="process-id">${this.process._id}</p>
           <div class="process-badges">
             <ion-badge color="${statusColor}">${this.process.status}</ion-badge>
-            <ion-badge color="medium">${this.process.currentState}</ion-badge>
+            ${this.getActiveStates().map(state => `
+              <ion-badge color="medium">${state}</ion-badge>
+            `).join('')}
           </div>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Get the states the process currently occupies
+   * (one per active branch while running in parallel)
+   */
+  getActiveStates() {
+    const parallel = this.process.parallel;
+    if (!parallel) {
+      return [this.process.currentState];
+    }
+
+    return Object.values(parallel.branches)
+      .filter(branch => branch.status === 'active')
+      .map(branch => branch.state);
+  }
+
   /**
    * Render details section
    */
@@ -243,6 +277,80 @@ export class BaseProcessDetailPage extends BasePage {
       .trim();
   }
 
+  /**
+   * Render changes made on two devices at once that could not be merged,
+   * each field's two versions side by side with a choice between them
+   */
+  renderConflict() {
+    const container = this.querySelector('#process-conflict');
+    if (!container) return;
+
+    const conflict = conflictResolver.getConflict(this.processId);
+    if (!conflict) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const version = (doc) => doc.updatedAt ? `changed ${getRelativeTime(doc.updatedAt)}` : 'unsaved';
+
+    container.innerHTML = `
+      <ion-card color="warning">
+        <ion-card-header>
+          <ion-card-title>Conflicting Changes</ion-card-title>
+          <ion-card-subtitle>This process was changed on two devices at once. Choose which version to keep for each field.</ion-card-subtitle>
+        </ion-card-header>
+        <ion-card-content>
+          <ion-list>
+            ${conflict.conflicts.map(({ keys, current, other }, index) => `
+              <ion-radio-group class="conflict-choice" data-index="${index}" value="current">
+                <ion-list-header>
+                  <ion-label>${sanitizeHTML(keys.map(key => this.formatFieldName(String(key))).join(' › '))}</ion-label>
+                </ion-list-header>
+                <ion-item>
+                  <ion-radio slot="start" value="current"></ion-radio>
+                  <ion-label>
+                    <h3>${sanitizeHTML(this.formatFieldValue(current))}</h3>
+                    <p>This version, ${version(conflict.current)}</p>
+                  </ion-label>
+                </ion-item>
+                <ion-item>
+                  <ion-radio slot="start" value="other"></ion-radio>
+                  <ion-label>
+                    <h3>${sanitizeHTML(this.formatFieldValue(other))}</h3>
+                    <p>Other version, ${version(conflict.other)}</p>
+                  </ion-label>
+                </ion-item>
+              </ion-radio-group>
+            `).join('')}
+          </ion-list>
+          <ion-button expand="block" onclick="window.app.currentPage.resolveConflict()">Keep Selected</ion-button>
+        </ion-card-content>
+      </ion-card>
+    `;
+  }
+
+  /**
+   * Resolve the process conflict with the versions chosen per field
+   */
+  async resolveConflict() {
+    const conflict = conflictResolver.getConflict(this.processId);
+    if (!conflict) return;
+
+    const choices = {};
+    this.querySelectorAll('.conflict-choice').forEach(group => {
+      choices[conflict.conflicts[group.dataset.index].path] = group.value;
+    });
+
+    try {
+      await conflictResolver.resolveConflict(this.processId, choices);
+      await this.showToast('Conflict resolved', 'success');
+      await this.loadProcess();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      await this.showToast('Failed to resolve conflict: ' + error.message, 'danger');
+    }
+  }
+
   /**
    * Format field value
    */
@@ -268,6 +376,7 @@ export class BaseProcessDetailPage extends BasePage {
 
     const states = this.definition?.states || {};
     const currentState = this.process.currentState;
+    const activeStates = this.getActiveStates();
     const stateHistory = this.process.stateHistory || [];
 
     const stateKeys = Object.keys(states);
@@ -282,8 +391,8 @@ export class BaseProcessDetailPage extends BasePage {
           <div class="timeline">
             ${stateKeys.map((stateKey, index) => {
               const state = states[stateKey];
-              const isCompleted = index < currentIndex || stateHistory.some(h => h.toState === stateKey);
-              const isCurrent = stateKey === currentState;
+              const isCurrent = activeStates.includes(stateKey);
+              const isCompleted = !isCurrent && (index < currentIndex || stateHistory.some(h => h.to === stateKey));
 
               return `
                 <div class="timeline-item ${isCompleted ? 'completed' : ''} ${isCurrent ? 'current' : ''}">
@@ -310,13 +419,64 @@ export class BaseProcessDetailPage extends BasePage {
    * Get timestamp for state in history
    */
   getStateTimestamp(stateKey, stateHistory) {
-    const entry = stateHistory.find(h => h.toState === stateKey);
+    const entry = stateHistory.find(h => h.to === stateKey);
     if (entry && entry.timestamp) {
       return `<small>${getRelativeTime(entry.timestamp)}</small>`;
     }
     return '';
   }
 
+  /**
+   * Render call tree of parent and child (sub-)processes
+   */
+  renderCallTree() {
+    const container = this.querySelector('#process-call-tree');
+    if (!container) return;
+
+    if (!this.process.parentId && !(this.process.childIds || []).length) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const tree = processService.getCallTree(this.processId);
+
+    container.innerHTML = `
+      <ion-card>
+        <ion-card-header>
+          <ion-card-title>Call Tree</ion-card-title>
+        </ion-card-header>
+        <ion-card-content>
+          ${this.renderCallTreeNode(tree)}
+        </ion-card-content>
+      </ion-card>
+    `;
+  }
+
+  /**
+   * Render a call tree node and its children
+   */
+  renderCallTreeNode({ process, children }) {
+    const definition = processService.getProcessDefinition(process);
+    const isCurrent = process._id === this.processId;
+
+    return `
+      <ion-list lines="none">
+        <ion-item ${isCurrent ? '' : `button onclick="window.app.navigate('/process/${process._id}')"`}>
+          <ion-label>
+            <h3>${isCurrent ? '<strong>' : ''}${definition?.name || process.definitionId}${isCurrent ? '</strong>' : ''}</h3>
+            <p>${process.currentState}</p>
+          </ion-label>
+          <ion-badge slot="end" color="${this.getStatusColor(process.status)}">${process.status}</ion-badge>
+        </ion-item>
+        ${children.length > 0 ? `
+          <div style="padding-left: 16px;">
+            ${children.map(child => this.renderCallTreeNode(child)).join('')}
+          </div>
+        ` : ''}
+      </ion-list>
+    `;
+  }
+
   /**
    * Render actions
    */
@@ -325,8 +485,9 @@ export class BaseProcessDetailPage extends BasePage {
     if (!container) return;
 
     const availableTransitions = processService.getAvailableTransitions(
-      this.process.definitionId,
-      this.process.currentState
+      this.processId,
+      null,
+      this.getTransitionContext()
     );
 
     if (availableTransitions.length === 0) {
@@ -341,13 +502,16 @@ export class BaseProcessDetailPage extends BasePage {
         </ion-card-header>
         <ion-card-content>
           <div class="action-buttons">
-            ${availableTransitions.map(toState => {
+            ${availableTransitions.map(({ targetState, branchId, label, enabled, reason }) => {
+              const branchArg = branchId ? `, '${branchId}'` : '';
               return `
                 <ion-button
                   expand="block"
-                  onclick="window.app.currentPage.transitionTo('${toState}')">
-                  Transition to ${this.formatFieldName(toState)}
+                  ${enabled ? '' : 'disabled="true"'}
+                  onclick="window.app.currentPage.transitionTo('${targetState}'${branchArg})">
+                  ${branchId ? `${this.formatFieldName(branchId)}: ` : ''}${label || `Transition to ${this.formatFieldName(targetState)}`}
                 </ion-button>
+                ${enabled ? '' : `<p class="action-disabled-reason">${reason}</p>`}
               `;
             }).join('')}
           </div>
@@ -357,45 +521,309 @@ export class BaseProcessDetailPage extends BasePage {
   }
 
   /**
-   * Render history
+   * Render policy approvals: progress, each approver's decision and comment,
+   * and Approve / Reject for a user who may decide next
    */
-  renderHistory() {
-    const container = this.querySelector('#process-history');
+  renderApprovals() {
+    const container = this.querySelector('#process-approvals');
     if (!container) return;
 
-    const history = this.process.stateHistory || [];
+    const pendingTasks = taskService.getTasksForProcess(this.processId)
+      .filter(task => task.approval && task.status === TASK_STATUS.PENDING);
+
+    // Pending tasks nobody has decided on yet have no record on the process
+    const records = [
+      ...Object.entries(this.process.approvals || {}),
+      ...pendingTasks
+        .filter(task => !this.process.approvals?.[task._id])
+        .map(task => [task._id, { state: task.state, policy: task.approval.type, decisions: [], status: 'pending' }])
+    ];
 
-    if (history.length === 0) {
+    if (records.length === 0) {
       container.innerHTML = '';
       return;
     }
 
+    const { userId, approvalLevel } = this.getTransitionContext();
+
+    container.innerHTML = `
+      <ion-card>
+        <ion-card-header>
+          <ion-card-title>Approvals</ion-card-title>
+        </ion-card-header>
+        <ion-card-content>
+          ${records.map(([taskId, record]) => {
+            const task = taskService.getTask(taskId);
+            const canDecide = task?.status === TASK_STATUS.PENDING && task.approval &&
+              this.canDecideApproval(task, userId, approvalLevel);
+
+            return `
+              <div class="approval-record">
+                <h3>${this.formatFieldName(record.state)}
+                  <ion-badge color="${record.status === 'approved' ? 'success' : record.status === 'rejected' ? 'danger' : 'warning'}">
+                    ${this.formatFieldName(record.status)}
+                  </ion-badge>
+                </h3>
+                <p>${this.formatFieldName(record.policy)}${task?.approval ? ` · ${approvalPolicy.describe(task.approval, record.decisions)}` : ''}</p>
+                <ion-list>
+                  ${record.decisions.map(decision => `
+                    <ion-item>
+                      <ion-icon slot="start" name="${decision.approved ? 'checkmark-circle' : 'close-circle'}"
+                        color="${decision.approved ? 'success' : 'danger'}"></ion-icon>
+                      <ion-label>
+                        <h3>${this.getMemberName(decision.userId)}${decision.level ? ` (${decision.level})` : ''}</h3>
+                        ${decision.onBehalfOf ? `<p>On behalf of ${this.getMemberName(decision.onBehalfOf)}</p>` : ''}
+                        <p>${formatDateTime(decision.at)}</p>
+                        ${decision.comment ? `<p class="reason">${decision.comment}</p>` : ''}
+                      </ion-label>
+                    </ion-item>
+                  `).join('')}
+                </ion-list>
+                ${canDecide ? `
+                  <ion-button color="success" onclick="window.app.currentPage.decideApproval('${taskId}', true)">Approve</ion-button>
+                  <ion-button color="danger" fill="outline" onclick="window.app.currentPage.decideApproval('${taskId}', false)">Reject</ion-button>
+                ` : ''}
+              </div>
+            `;
+          }).join('')}
+        </ion-card-content>
+      </ion-card>
+    `;
+  }
+
+  /**
+   * Check whether the current user may decide next, in their own right or as a delegate
+   */
+  canDecideApproval(task, userId, approvalLevel) {
+    try {
+      taskService.resolveActor(task, this.process, userId, approvalLevel);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Record the current user's decision on a policy approval
+   */
+  async decideApproval(taskId, approved) {
+    const comment = await this.promptComment(approved ? 'Approve' : 'Reject');
+    if (comment === null) return;
+
+    try {
+      const { userId, approvalLevel } = this.getTransitionContext();
+      const result = await taskService.completeTask(taskId, userId, approvalLevel, { approved, reason: comment });
+
+      await this.showToast(result.message, approved ? 'success' : 'medium');
+      await this.loadProcess();
+    } catch (error) {
+      console.error('Error recording approval decision:', error);
+      await this.showToast('Failed to record decision: ' + error.message, 'danger');
+    }
+  }
+
+  /**
+   * Ask for an optional decision comment; resolves null when cancelled
+   */
+  async promptComment(header) {
+    return new Promise((resolve) => {
+      const alert = document.createElement('ion-alert');
+      alert.header = header;
+      alert.inputs = [{ name: 'comment', type: 'textarea', placeholder: 'Comment (optional)' }];
+      alert.buttons = [
+        {
+          text: 'Cancel',
+          role: 'cancel',
+          handler: () => resolve(null)
+        },
+        {
+          text: header,
+          handler: (values) => resolve(values?.comment || '')
+        }
+      ];
+
+      document.body.appendChild(alert);
+      alert.present();
+    });
+  }
+
+  /**
+   * Get a member's display name
+   */
+  getMemberName(userId) {
+    const activeOrg = orgState.getActiveOrg();
+    const member = activeOrg && memberState.getMember(activeOrg.id, userId);
+    return member?.userName || member?.email || userId;
+  }
+
+  /**
+   * Get the acting user's context for transition guards
+   */
+  getTransitionContext() {
+    const user = authState.getUser();
+    const activeOrg = orgState.getActiveOrg();
+
+    if (!user || !activeOrg) {
+      return {};
+    }
+
+    const membership = memberState.getOrgMembers(activeOrg.id).find(m => m.userId === user.id);
+
+    return {
+      userId: user.id,
+      approvalLevel: membership?.approvalLevel || membership?.role || null
+    };
+  }
+
+  /**
+   * Render history: state changes and comments in one thread, oldest first,
+   * with a box for posting a comment
+   */
+  renderHistory() {
+    const container = this.querySelector('#process-history');
+    if (!container) return;
+
+    const entries = [
+      ...(this.process.stateHistory || []).map(entry => ({ at: entry.timestamp, html: this.renderStateEntry(entry) })),
+      ...commentService.getComments(this.processId).map(comment => ({ at: comment.createdAt, html: this.renderComment(comment) }))
+    ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
     container.innerHTML = `
       <ion-card>
         <ion-card-header>
           <ion-card-title>History</ion-card-title>
         </ion-card-header>
         <ion-card-content>
-          <ion-list>
-            ${history.map(entry => `
-              <ion-item>
-                <ion-label>
-                  <h3>${entry.fromState} → ${entry.toState}</h3>
-                  <p>${formatDateTime(entry.timestamp)}</p>
-                  ${entry.reason ? `<p class="reason">${entry.reason}</p>` : ''}
-                </ion-label>
-              </ion-item>
-            `).join('')}
-          </ion-list>
+          ${entries.length > 0 ? `
+            <ion-list>
+              ${entries.map(entry => entry.html).join('')}
+            </ion-list>
+          ` : ''}
+          <div class="comment-composer">
+            <ion-textarea id="comment-input" placeholder="Add a comment, @username to mention someone" auto-grow="true"></ion-textarea>
+            <user-lookup-input id="comment-mention-lookup" name="mentionUserId" placeholder="Find someone to mention"></user-lookup-input>
+            <ion-button size="small" onclick="window.app.currentPage.postComment()">
+              <ion-icon slot="start" name="${comment.system ? 'information-circle-outline' : 'chatbox-outline'}"></ion-icon>
+              Comment
+            </ion-button>
+          </div>
         </ion-card-content>
       </ion-card>
     `;
+
+    // Picking a user adds their @mention to the comment
+    this.querySelector('#comment-mention-lookup')?.addEventListener('userSelected', (e) => {
+      const input = this.querySelector('#comment-input');
+      const username = e.detail.user?.username;
+      if (input && username) {
+        input.value = `${input.value ? `${input.value.trimEnd()} ` : ''}@${username} `;
+      }
+      e.target.clearSelection();
+    });
+  }
+
+  /**
+   * Render a state change of the history
+   */
+  renderStateEntry(entry) {
+    return `
+      <ion-item>
+        <ion-icon slot="start" name="git-commit-outline"></ion-icon>
+        <ion-label>
+          <h3>${entry.from} → ${entry.to}</h3>
+          ${entry.branchId ? `<p>Branch: ${this.formatFieldName(entry.branchId)}</p>` : ''}
+          <p>${formatDateTime(entry.timestamp)}</p>
+          ${entry.context?.reason ? `<p class="reason">${entry.context.reason}</p>` : ''}
+        </ion-label>
+      </ion-item>
+    `;
+  }
+
+  /**
+   * Render a comment of the history, with its mentions highlighted
+   */
+  renderComment(comment) {
+    const userId = authState.getUser()?.id;
+    const usernames = new Set((comment.mentions || []).map(m => m.username.toLowerCase()));
+    const text = sanitizeHTML(comment.text).replace(/@([a-z0-9_]+)/gi, (match, username) =>
+      usernames.has(username.toLowerCase()) ? `<strong class="mention">${match}</strong>` : match
+    );
+
+    return `
+      <ion-item class="comment-entry">
+        <ion-icon slot="start" name="${comment.system ? 'information-circle-outline' : 'chatbox-outline'}"></ion-icon>
+        <ion-label class="ion-text-wrap">
+          <h3>${sanitizeHTML(comment.authorName)}</h3>
+          <p>${formatDateTime(comment.createdAt)}${comment.editedAt ? ' (edited)' : ''}</p>
+          <p class="comment-text">${text}</p>
+        </ion-label>
+        ${commentService.canEdit(comment, userId) ? `
+          <ion-button slot="end" fill="clear" size="small" onclick="window.app.currentPage.editComment('${comment._id}')">
+            Edit
+          </ion-button>
+        ` : ''}
+      </ion-item>
+    `;
+  }
+
+  /**
+   * Post the comment typed into the history box
+   */
+  async postComment() {
+    const input = this.querySelector('#comment-input');
+    const text = input?.value?.trim();
+    if (!text) return;
+
+    try {
+      await commentService.addComment(this.processId, text);
+      input.value = '';
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      await this.showToast('Failed to post comment: ' + error.message, 'danger');
+    }
+  }
+
+  /**
+   * Edit one of the current user's comments while the edit window is open
+   */
+  async editComment(commentId) {
+    const comment = commentService.getComment(commentId);
+    if (!comment) return;
+
+    const text = await new Promise((resolve) => {
+      const alert = document.createElement('ion-alert');
+      alert.header = 'Edit Comment';
+      alert.inputs = [{ name: 'text', type: 'textarea', value: comment.text }];
+      alert.buttons = [
+        {
+          text: 'Cancel',
+          role: 'cancel',
+          handler: () => resolve(null)
+        },
+        {
+          text: 'Save',
+          handler: (values) => resolve(values?.text ?? null)
+        }
+      ];
+
+      document.body.appendChild(alert);
+      alert.present();
+    });
+    if (text === null) return;
+
+    try {
+      await commentService.editComment(commentId, text);
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      await this.showToast('Failed to edit comment: ' + error.message, 'danger');
+    }
   }
 
   /**
    * Transition to new state
+   * branchId selects the parallel branch to move, if any
    */
-  async transitionTo(toState) {
+  async transitionTo(toState, branchId = null) {
     try {
       // Show confirmation
       const confirmed = await this.showConfirm(
@@ -406,9 +834,7 @@ export class BaseProcessDetailPage extends BasePage {
       if (!confirmed) return;
 
       // Perform transition
-      await processService.transitionToState(this.processId, toState, {
-        // Add context if needed
-      });
+      await processService.transitionState(this.processId, toState, this.getTransitionContext(), branchId);
 
       // Show success
       await this.showToast('Transition successful', 'success');
@@ -522,6 +948,24 @@ export class BaseProcessDetailPage extends BasePage {
         this.loadProcess();
       }
     });
+
+    // Comments posted here or on another device
+    this.unsubscribeComments = eventBus.on(EVENTS.PROCESS_COMMENTS_CHANGED, ({ docs }) => {
+      if (this.process && docs.some(doc => doc.processId === this.processId)) {
+        this.renderHistory();
+      }
+    });
+
+    // Conflicts found or resolved by sync
+    const onConflict = ({ processId }) => {
+      if (this.process && processId === this.processId) {
+        this.renderConflict();
+      }
+    };
+    this.unsubscribeConflicts = [
+      eventBus.on(EVENTS.PROCESS_CONFLICT_DETECTED, onConflict),
+      eventBus.on(EVENTS.PROCESS_CONFLICT_RESOLVED, onConflict)
+    ];
   }
 
   /**
@@ -532,6 +976,14 @@ export class BaseProcessDetailPage extends BasePage {
     if (this.unsubscribe) {
       this.unsubscribe();
     }
+
+    if (this.unsubscribeComments) {
+      this.unsubscribeComments();
+    }
+
+    if (this.unsubscribeConflicts) {
+      this.unsubscribeConflicts.forEach(unsubscribe => unsubscribe());
+    }
   }
 }
 
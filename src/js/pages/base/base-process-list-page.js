@@ -219,7 +219,7 @@ export class BaseProcessListPage extends BasePage {
    * Render process card (override in subclass for custom rendering)
    */
   renderProcessCard(process) {
-    const definition = processService.getDefinition(process.definitionId);
+    const definition = processService.getProcessDefinition(process);
     const statusColor = this.getStatusColor(process.status);
     const icon = definition?.metadata?.icon || 'document';
     const color = definition?.metadata?.color || '#666';
@@ -95,7 +95,7 @@ export class MySpaceDashboardPage extends BasePage {
     this.categoryStats = {};
 
     allProcesses.forEach(process => {
-      const definition = processService.getDefinition(process.definitionId);
+      const definition = processService.getProcessDefinition(process);
       const category = definition?.metadata?.category || 'other';
 
       if (!this.categoryStats[category]) {
@@ -117,27 +117,24 @@ export class MySpaceDashboardPage extends BasePage {
    * Load my tasks
    */
   async loadMyTasks() {
-    // Get all active processes
-    const activeProcesses = processState.getActiveProcesses();
-
-    // Get tasks requiring action
+    // Get pending tasks requiring action
     this.myTasks = [];
 
-    for (const process of activeProcesses) {
-      const definition = processService.getDefinition(process.definitionId);
-      const currentState = definition?.states?.[process.currentState];
-
-      if (currentState?.requiredActions) {
-        currentState.requiredActions.forEach(action => {
-          this.myTasks.push({
-            processId: process._id,
-            process: process,
-            definition: definition,
-            action: action
-          });
-        });
-      }
-    }
+    taskService.getAllTasks().forEach(task => {
+      const process = processState.getProcess(task.processId);
+      if (!process) return;
+
+      this.myTasks.push({
+        processId: process._id,
+        process: process,
+        definition: processService.getProcessDefinition(process),
+        action: {
+          type: task.taskType,
+          message: task.message,
+          actionLabel: task.actionLabel
+        }
+      });
+    });
   }
 
   /**
@@ -519,7 +516,7 @@ export class MySpaceDashboardPage extends BasePage {
    * Render activity item
    */
   renderActivityItem(process) {
-    const definition = processService.getDefinition(process.definitionId);
+    const definition = processService.getProcessDefinition(process);
     const icon = definition?.metadata?.icon || 'document';
     const color = definition?.metadata?.color || '#666';
     const statusColor = this.getStatusColor(process.status);
@@ -7,6 +7,10 @@ import BasePage from '../base/base-page.js';
 import { processState } from '../../state/process-state.js';
 import { processService } from '../../services/bpm/process-service.js';
 import { taskService } from '../../services/bpm/task-service.js';
+import { memberService } from '../../services/member-service.js';
+import { approvalPolicy } from '../../services/bpm/approval-policy.js';
+import { transitionEngine } from '../../services/bpm/transition-engine.js';
+import { SLA_STATUS } from '../../services/bpm/sla-policy.js';
 import { authState } from '../../state/auth-state.js';
 import { orgState } from '../../state/org-state.js';
 import { memberState } from '../../state/member-state.js';
@@ -14,7 +18,7 @@ import { eventBus } from '../../utils/events.js';
 import { router } from '../../router.js';
 import { formatDate, getRelativeTime } from '../../utils/date-utils.js';
 import { hasApprovalPermission } from '../../utils/helpers.js';
-import { EVENTS } from '../../config/constants.js';
+import { EVENTS, APPROVAL_LEVELS } from '../../config/constants.js';
 
 export class MySpaceTasksPage extends BasePage {
   constructor() {
@@ -24,6 +28,8 @@ export class MySpaceTasksPage extends BasePage {
     this.filterStatus = 'all'; // all, pending, urgent
     this.filterCategory = 'all';
     this.searchQuery = '';
+    this.selectionMode = false;
+    this.selectedTaskIds = new Set();
   }
 
   /**
@@ -45,6 +51,16 @@ export class MySpaceTasksPage extends BasePage {
     const filterSection = this.createFilterSection();
     content.appendChild(filterSection);
 
+    // Approval delegations given and received
+    const delegationsContainer = document.createElement('div');
+    delegationsContainer.id = 'delegations-container';
+    content.appendChild(delegationsContainer);
+
+    // Actions on the selected tasks
+    const bulkActionsContainer = document.createElement('div');
+    bulkActionsContainer.id = 'bulk-actions-container';
+    content.appendChild(bulkActionsContainer);
+
     // Tasks list container
     const tasksContainer = document.createElement('div');
     tasksContainer.id = 'tasks-container';
@@ -65,6 +81,12 @@ export class MySpaceTasksPage extends BasePage {
       <ion-toolbar>
         <ion-title>My Tasks</ion-title>
         <ion-buttons slot="end">
+          <ion-button id="select-tasks-btn" title="Select tasks">
+            <ion-icon slot="icon-only" name="checkmark-done-outline"></ion-icon>
+          </ion-button>
+          <ion-button id="delegate-btn" title="Delegate approvals">
+            <ion-icon slot="icon-only" name="swap-horizontal-outline"></ion-icon>
+          </ion-button>
           <ion-button id="refresh-tasks-btn">
             <ion-icon slot="icon-only" name="refresh"></ion-icon>
           </ion-button>
@@ -125,6 +147,7 @@ export class MySpaceTasksPage extends BasePage {
   async mounted() {
     await this.loadTasks();
     this.renderTasks();
+    this.renderDelegations();
     this.setupEventListeners();
   }
 
@@ -139,38 +162,44 @@ export class MySpaceTasksPage extends BasePage {
         return;
       }
 
-      // Get all active processes
-      const activeProcesses = processState.getActiveProcesses();
+      const membership = this.getMembership(currentUser);
+      const approvalLevel = this.getUserApprovalLevel(membership);
+      const groups = membership?.groups || [];
 
-      // Extract tasks requiring action
+      // Tasks assigned to the user or open to their approval level and groups,
+      // plus those of members who delegated to them
       this.myTasks = [];
 
-      for (const process of activeProcesses) {
-        const definition = processService.getDefinition(process.definitionId);
-        if (!definition) continue;
-
-        const currentState = definition.states?.[process.currentState];
-        if (!currentState?.requiredActions) continue;
-
-        currentState.requiredActions.forEach(action => {
-          // Check if user has permission to perform this action
-          const canPerform = this.canUserPerformAction(currentUser, action, process);
-
-          if (canPerform) {
-            this.myTasks.push({
-              processId: process._id,
-              process: process,
-              definition: definition,
-              action: action,
-              state: process.currentState,
-              stateName: currentState.name,
-              priority: this.getTaskPriority(process, action),
-              dueDate: this.getTaskDueDate(process),
-              isUrgent: this.isTaskUrgent(process, action)
-            });
-          }
+      taskService.getUserTasks(currentUser.id, approvalLevel, groups).forEach(task => {
+        const process = processState.getProcess(task.processId);
+        const definition = process && processService.getProcessDefinition(process);
+        if (!definition) return;
+
+        const action = {
+          type: task.taskType,
+          message: task.message,
+          actionLabel: task.actionLabel
+        };
+        const dueDate = task.dueAt || this.getTaskDueDate(process);
+        const own = task.assignee
+          ? task.assignee === currentUser.id
+          : taskService.isCandidate(task, currentUser.id, approvalLevel, groups);
+
+        this.myTasks.push({
+          taskId: task._id,
+          task: task,
+          processId: process._id,
+          process: process,
+          definition: definition,
+          action: action,
+          state: task.state,
+          stateName: definition.states?.[task.state]?.name || task.state,
+          priority: this.getTaskPriority(process, action),
+          dueDate: dueDate,
+          isUrgent: this.isTaskUrgent(dueDate),
+          onBehalfOf: own ? null : taskService.getDelegationFor(task, currentUser.id)?.delegatorId || null
         });
-      }
+      });
 
       // Sort by priority and due date
       this.myTasks.sort((a, b) => {
@@ -180,6 +209,10 @@ export class MySpaceTasksPage extends BasePage {
         return 0;
       });
 
+      // Tasks completed or handed on meanwhile drop out of the selection
+      const taskIds = new Set(this.myTasks.map(t => t.taskId));
+      this.selectedTaskIds = new Set([...this.selectedTaskIds].filter(id => taskIds.has(id)));
+
       this.applyFilters();
 
     } catch (error) {
@@ -189,38 +222,42 @@ export class MySpaceTasksPage extends BasePage {
   }
 
   /**
-   * Check if user can perform action based on their approval level
+   * Get the current user's membership in the active organization
    * @param {Object} user - Current user
-   * @param {Object} action - Required action from process state
-   * @param {Object} process - Process instance
-   * @returns {boolean} Whether user can perform this action
+   * @returns {Object|null} Membership
    */
-  canUserPerformAction(user, action, process) {
-    // If action has no role requirement, allow all authenticated users
-    if (!action.role) {
-      return true;
+  getMembership(user) {
+    const activeOrg = orgState.getActiveOrg();
+    if (!activeOrg) {
+      return null;
     }
 
-    // Get user's approval level from current organization
+    return memberState.getOrgMembers(activeOrg.id).find(m => m.userId === user.id) || null;
+  }
+
+  /**
+   * Get the current user's approval level in the active organization
+   * @param {Object|null} membership - Current user's membership
+   * @returns {string|null} Approval level
+   */
+  getUserApprovalLevel(membership) {
     const activeOrg = orgState.getActiveOrg();
     if (!activeOrg) {
-      return false;
+      return null;
     }
 
-    const userApprovalLevel = memberState.getCurrentUserRole(activeOrg.id);
-    if (!userApprovalLevel) {
-      // Try to get from membership directly
-      const members = memberState.getOrgMembers(activeOrg.id);
-      const membership = members.find(m => m.userId === user.id);
-      if (!membership) {
-        return false;
-      }
-      // Use approval level from membership, or map from role
-      const approvalLevel = membership.approvalLevel || membership.role;
-      return hasApprovalPermission(approvalLevel, action.role);
-    }
+    // Use approval level from membership, or map from role
+    return memberState.getCurrentUserRole(activeOrg.id) ||
+      membership?.approvalLevel || membership?.role || null;
+  }
 
-    return hasApprovalPermission(userApprovalLevel, action.role);
+  /**
+   * Check if the current user may assign tasks to others
+   */
+  canAssignTasks() {
+    const user = authState.getUser();
+    const approvalLevel = user && this.getUserApprovalLevel(this.getMembership(user));
+    return !!approvalLevel && hasApprovalPermission(approvalLevel, APPROVAL_LEVELS.MANAGER);
   }
 
   /**
@@ -249,9 +286,14 @@ export class MySpaceTasksPage extends BasePage {
    * Get task due date
    */
   getTaskDueDate(process) {
-    // Check for SLA deadline
-    if (process.variables?.slaDeadline) {
-      return process.variables.slaDeadline;
+    // Earliest open SLA target
+    const slaDueAt = transitionEngine.getSLARecords(process)
+      .flatMap(record => [record.response, record.resolution])
+      .filter(target => target && !target.completedAt && target.status !== SLA_STATUS.CANCELLED)
+      .map(target => target.dueAt)
+      .sort()[0];
+    if (slaDueAt) {
+      return slaDueAt;
     }
 
     // Check for due date
@@ -270,8 +312,7 @@ export class MySpaceTasksPage extends BasePage {
   /**
    * Check if task is urgent
    */
-  isTaskUrgent(process, action) {
-    const dueDate = this.getTaskDueDate(process);
+  isTaskUrgent(dueDate) {
     if (!dueDate) return false;
 
     const now = new Date();
@@ -341,6 +382,8 @@ export class MySpaceTasksPage extends BasePage {
    * Render tasks list
    */
   renderTasks() {
+    this.renderBulkActions();
+
     const container = document.getElementById('tasks-container');
     if (!container) return;
 
@@ -434,9 +477,29 @@ export class MySpaceTasksPage extends BasePage {
     // Get priority badge
     const priorityBadge = this.getPriorityBadge(task.priority);
 
+    // Assignment
+    const currentUser = authState.getUser();
+    const assignee = task.task.assignee;
+    const assignedToMe = !!currentUser && assignee === currentUser.id;
+    const assigneeName = assignedToMe ? 'you' : this.getMemberName(assignee);
+
+    // Policy approvals go to each approver in turn and cannot be claimed or assigned
+    const approval = task.task.approval;
+    const approvalProgress = approval
+      ? approvalPolicy.describe(approval, task.process.approvals?.[task.taskId]?.decisions || [])
+      : null;
+
     card.innerHTML = `
       <ion-card-header>
         <div class="task-card-header">
+          ${this.selectionMode ? `
+            <ion-checkbox
+              class="task-select"
+              data-task-id="${task.taskId}"
+              aria-label="Select task"
+              ${this.selectedTaskIds.has(task.taskId) ? 'checked' : ''}
+            ></ion-checkbox>
+          ` : ''}
           <div class="task-info">
             <ion-card-subtitle>
               <ion-badge color="primary">${category}</ion-badge>
@@ -456,8 +519,36 @@ export class MySpaceTasksPage extends BasePage {
           </div>
           <p class="task-message">${actionMessage}</p>
           ${dueDateHtml}
+          <div class="task-assignee">
+            <ion-icon name="person-outline"></ion-icon>
+            <span>${approvalProgress || (assignee ? `Assigned to ${assigneeName}` : 'Unassigned')}</span>
+          </div>
+          ${task.onBehalfOf ? `
+            <div class="task-delegation">
+              <ion-icon name="swap-horizontal-outline"></ion-icon>
+              <span>On behalf of ${this.getMemberName(task.onBehalfOf)}</span>
+            </div>
+          ` : ''}
         </div>
         <div class="task-actions">
+          ${!assignee && !approval && !task.onBehalfOf ? `
+            <ion-button fill="outline" size="default" class="claim-task-btn" data-task-id="${task.taskId}">
+              <ion-icon slot="start" name="hand-left-outline"></ion-icon>
+              Claim
+            </ion-button>
+          ` : ''}
+          ${assignedToMe ? `
+            <ion-button fill="outline" size="default" class="unclaim-task-btn" data-task-id="${task.taskId}">
+              <ion-icon slot="start" name="arrow-undo-outline"></ion-icon>
+              Release
+            </ion-button>
+          ` : ''}
+          ${this.canAssignTasks() && !approval ? `
+            <ion-button fill="clear" size="default" class="assign-task-btn" data-task-id="${task.taskId}">
+              <ion-icon slot="start" name="people-outline"></ion-icon>
+              Assign
+            </ion-button>
+          ` : ''}
           <ion-button
             fill="solid"
             size="default"
@@ -474,6 +565,349 @@ export class MySpaceTasksPage extends BasePage {
     return card;
   }
 
+  /**
+   * Get a member's display name
+   */
+  getMemberName(userId) {
+    const activeOrg = orgState.getActiveOrg();
+    const member = activeOrg && memberState.getMember(activeOrg.id, userId);
+    return member?.userName || member?.email || userId;
+  }
+
+  /**
+   * Claim, release or assign a task, then refresh the list
+   */
+  async updateAssignment(taskId, action) {
+    const currentUser = authState.getUser();
+    if (!currentUser) return;
+
+    try {
+      if (action === 'claim') {
+        const membership = this.getMembership(currentUser);
+        taskService.claimTask(
+          taskId,
+          currentUser.id,
+          this.getUserApprovalLevel(membership),
+          membership?.groups || []
+        );
+      } else if (action === 'unclaim') {
+        taskService.unclaimTask(taskId, currentUser.id);
+      } else if (action === 'assign') {
+        const assignee = await this.pickAssignee(taskService.getTask(taskId)?.assignee);
+        if (assignee === undefined) return;
+        taskService.reassignTask(taskId, assignee, { by: currentUser.id });
+      }
+
+      await this.loadTasks();
+      this.renderTasks();
+    } catch (error) {
+      console.error('Error updating task assignment:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Render the actions for the selected tasks while in selection mode
+   */
+  renderBulkActions() {
+    const container = document.getElementById('bulk-actions-container');
+    if (!container) return;
+
+    if (!this.selectionMode) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const count = this.selectedTaskIds.size;
+    const disabled = count === 0 ? 'disabled' : '';
+
+    container.innerHTML = `
+      <div class="bulk-actions-bar">
+        <span class="bulk-selection-count">${count} selected</span>
+        <ion-button fill="clear" size="small" class="bulk-action-btn" data-action="select-all">
+          Select all
+        </ion-button>
+        <ion-button fill="solid" size="small" color="success" class="bulk-action-btn" data-action="approve" ${disabled}>
+          <ion-icon slot="start" name="checkmark-outline"></ion-icon>
+          Approve
+        </ion-button>
+        <ion-button fill="solid" size="small" color="danger" class="bulk-action-btn" data-action="reject" ${disabled}>
+          <ion-icon slot="start" name="close-outline"></ion-icon>
+          Reject
+        </ion-button>
+        ${this.canAssignTasks() ? `
+          <ion-button fill="outline" size="small" class="bulk-action-btn" data-action="assign" ${disabled}>
+            <ion-icon slot="start" name="people-outline"></ion-icon>
+            Assign
+          </ion-button>
+        ` : ''}
+        <ion-button fill="clear" size="small" class="bulk-action-btn" data-action="cancel">
+          Cancel
+        </ion-button>
+      </div>
+    `;
+  }
+
+  /**
+   * Turn selection mode on or off, clearing the selection
+   */
+  toggleSelectionMode() {
+    this.selectionMode = !this.selectionMode;
+    this.selectedTaskIds.clear();
+    this.renderTasks();
+  }
+
+  /**
+   * Approve, reject or assign every selected task with one shared comment
+   * Each task succeeds or fails on its own; failed tasks stay selected
+   */
+  async runBulkAction(action) {
+    const currentUser = authState.getUser();
+    if (!currentUser || this.selectedTaskIds.size === 0) return;
+
+    const selected = this.myTasks.filter(t => this.selectedTaskIds.has(t.taskId));
+    const labels = { approve: 'Approve', reject: 'Reject', assign: 'Assign' };
+
+    let assignee = null;
+    if (action === 'assign') {
+      assignee = await this.pickAssignee(null);
+      if (assignee === undefined) return;
+    }
+
+    const input = await this.presentAlert(`${labels[action]} ${selected.length} Tasks`, [
+      { name: 'comment', type: 'textarea', placeholder: 'Comment for all selected tasks (optional)' }
+    ], labels[action]);
+    if (!input) return;
+
+    const comment = input.comment || '';
+
+    try {
+      let summary;
+
+      if (action === 'assign') {
+        summary = taskService.reassignTasks(selected.map(t => t.taskId), assignee, {
+          by: currentUser.id,
+          reason: comment
+        });
+      } else {
+        // Only approval tasks can be decided in bulk; the rest are reported as skipped
+        const approvals = selected.filter(t => t.action.type === 'approval');
+        const skipped = selected.filter(t => t.action.type !== 'approval').map(t => ({
+          taskId: t.taskId,
+          success: false,
+          error: 'Not an approval task'
+        }));
+
+        const membership = this.getMembership(currentUser);
+        summary = await taskService.completeTasks(
+          approvals.map(t => t.taskId),
+          currentUser.id,
+          this.getUserApprovalLevel(membership),
+          { approved: action === 'approve', reason: comment },
+          membership?.groups || []
+        );
+        summary.results.push(...skipped);
+        summary.failed += skipped.length;
+      }
+
+      const failed = summary.results.filter(r => !r.success);
+      this.selectedTaskIds = new Set(failed.map(r => r.taskId));
+
+      if (failed.length > 0) {
+        this.showBulkFailures(failed, summary.succeeded);
+      } else {
+        this.showSuccess(`${summary.succeeded} tasks updated`);
+      }
+
+      await this.loadTasks();
+      this.renderTasks();
+    } catch (error) {
+      console.error('Error running bulk task action:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * List the tasks a bulk action failed on
+   */
+  showBulkFailures(failed, succeeded) {
+    const names = new Map(this.myTasks.map(t => [t.taskId, `${t.definition.name} #${t.processId.substring(0, 8)}`]));
+
+    const alert = document.createElement('ion-alert');
+    alert.header = `${failed.length} Tasks Failed`;
+    alert.subHeader = `${succeeded} tasks were updated`;
+    alert.message = failed.map(r => `${names.get(r.taskId) || r.taskId}: ${r.error}`).join('<br>');
+    alert.buttons = ['OK'];
+
+    document.body.appendChild(alert);
+    alert.present();
+  }
+
+  /**
+   * Ask for the member to assign a task to
+   * @returns {Promise<string|null|undefined>} User ID, null to unassign, undefined when cancelled
+   */
+  pickAssignee(currentAssignee) {
+    const activeOrg = orgState.getActiveOrg();
+    const members = activeOrg ? memberState.getOrgMembers(activeOrg.id) : [];
+
+    return new Promise((resolve) => {
+      const alert = document.createElement('ion-alert');
+      alert.header = 'Assign Task';
+      alert.inputs = [
+        { type: 'radio', label: 'Unassigned', value: '', checked: !currentAssignee },
+        ...members.map(m => ({
+          type: 'radio',
+          label: m.userName || m.email || m.userId,
+          value: m.userId,
+          checked: m.userId === currentAssignee
+        }))
+      ];
+      alert.buttons = [
+        {
+          text: 'Cancel',
+          role: 'cancel',
+          handler: () => resolve(undefined)
+        },
+        {
+          text: 'Assign',
+          handler: (value) => resolve(value || null)
+        }
+      ];
+
+      document.body.appendChild(alert);
+      alert.present();
+    });
+  }
+
+  /**
+   * Render the current user's active and upcoming delegations
+   */
+  renderDelegations() {
+    const container = document.getElementById('delegations-container');
+    const currentUser = authState.getUser();
+    const activeOrg = orgState.getActiveOrg();
+    if (!container || !currentUser || !activeOrg) return;
+
+    const now = new Date();
+    const delegations = memberService.getDelegations(activeOrg.id)
+      .filter(d => !d.revokedAt && new Date(d.endsAt) > now &&
+        (d.delegatorId === currentUser.id || d.delegateId === currentUser.id));
+
+    container.innerHTML = delegations.length === 0 ? '' : `
+      <ion-list class="delegations-list">
+        <ion-list-header>
+          <ion-label>Delegations</ion-label>
+        </ion-list-header>
+        ${delegations.map(d => `
+          <ion-item>
+            <ion-icon slot="start" name="swap-horizontal-outline"></ion-icon>
+            <ion-label>
+              <h3>${d.delegatorId === currentUser.id
+                ? `To ${this.getMemberName(d.delegateId)}`
+                : `From ${this.getMemberName(d.delegatorId)}`} (${d.approvalLevel})</h3>
+              <p>${formatDate(d.startsAt)} – ${formatDate(d.endsAt)}${d.reason ? ` · ${d.reason}` : ''}</p>
+            </ion-label>
+            ${d.delegatorId === currentUser.id ? `
+              <ion-button slot="end" fill="clear" color="danger" class="revoke-delegation-btn" data-delegation-id="${d._id}">
+                Revoke
+              </ion-button>
+            ` : ''}
+          </ion-item>
+        `).join('')}
+      </ion-list>
+    `;
+  }
+
+  /**
+   * Delegate the current user's approval rights to another member for a date range
+   */
+  async delegateApprovals() {
+    const currentUser = authState.getUser();
+    const activeOrg = orgState.getActiveOrg();
+    if (!currentUser || !activeOrg) return;
+
+    const members = memberState.getOrgMembers(activeOrg.id).filter(m => m.userId !== currentUser.id);
+    const delegateId = await this.presentAlert('Delegate Approvals', members.map((m, i) => ({
+      type: 'radio',
+      label: m.userName || m.email || m.userId,
+      value: m.userId,
+      checked: i === 0
+    })), 'Next');
+    if (!delegateId) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const period = await this.presentAlert('Delegation Period', [
+      { name: 'startsAt', type: 'date', value: today, label: 'From' },
+      { name: 'endsAt', type: 'date', value: today, label: 'Until (inclusive)' },
+      { name: 'reason', type: 'text', placeholder: 'Reason (optional)' }
+    ], 'Delegate');
+    if (!period) return;
+
+    try {
+      // The end date is inclusive, so the delegation runs until the following midnight
+      const endsAt = new Date(period.endsAt);
+      endsAt.setDate(endsAt.getDate() + 1);
+
+      await memberService.createDelegation(activeOrg.id, {
+        delegatorId: currentUser.id,
+        delegateId,
+        startsAt: period.startsAt,
+        endsAt,
+        reason: period.reason || ''
+      });
+
+      this.renderDelegations();
+    } catch (error) {
+      console.error('Error creating delegation:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Revoke one of the current user's delegations
+   */
+  async revokeDelegation(delegationId) {
+    const activeOrg = orgState.getActiveOrg();
+    if (!activeOrg) return;
+
+    try {
+      await memberService.revokeDelegation(activeOrg.id, delegationId);
+      this.renderDelegations();
+      await this.loadTasks();
+      this.renderTasks();
+    } catch (error) {
+      console.error('Error revoking delegation:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Present an alert with inputs
+   * @returns {Promise<*>} The alert's values, or null when cancelled
+   */
+  presentAlert(header, inputs, confirmText) {
+    return new Promise((resolve) => {
+      const alert = document.createElement('ion-alert');
+      alert.header = header;
+      alert.inputs = inputs;
+      alert.buttons = [
+        {
+          text: 'Cancel',
+          role: 'cancel',
+          handler: () => resolve(null)
+        },
+        {
+          text: confirmText,
+          handler: (value) => resolve(value || null)
+        }
+      ];
+
+      document.body.appendChild(alert);
+      alert.present();
+    });
+  }
+
   /**
    * Get priority badge HTML
    */
@@ -502,6 +936,38 @@ export class MySpaceTasksPage extends BasePage {
       });
     }
 
+    // Multi-select for bulk actions
+    document.getElementById('select-tasks-btn')?.addEventListener('click', () => {
+      this.toggleSelectionMode();
+    });
+
+    document.getElementById('bulk-actions-container')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.bulk-action-btn');
+      if (!btn || btn.disabled) return;
+
+      const action = btn.getAttribute('data-action');
+      if (action === 'cancel') {
+        this.toggleSelectionMode();
+      } else if (action === 'select-all') {
+        this.filteredTasks.forEach(t => this.selectedTaskIds.add(t.taskId));
+        this.renderTasks();
+      } else {
+        this.runBulkAction(action);
+      }
+    });
+
+    // Delegate approvals
+    document.getElementById('delegate-btn')?.addEventListener('click', () => {
+      this.delegateApprovals();
+    });
+
+    document.getElementById('delegations-container')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.revoke-delegation-btn');
+      if (btn) {
+        this.revokeDelegation(btn.getAttribute('data-delegation-id'));
+      }
+    });
+
     // Status filter
     const statusFilter = document.getElementById('status-filter');
     if (statusFilter) {
@@ -525,7 +991,27 @@ export class MySpaceTasksPage extends BasePage {
     // Task card clicks (event delegation)
     const container = document.getElementById('tasks-container');
     if (container) {
+      container.addEventListener('ionChange', (e) => {
+        if (!e.target.classList.contains('task-select')) return;
+
+        const taskId = e.target.getAttribute('data-task-id');
+        if (e.detail.checked) {
+          this.selectedTaskIds.add(taskId);
+        } else {
+          this.selectedTaskIds.delete(taskId);
+        }
+        this.renderBulkActions();
+      });
+
       container.addEventListener('click', (e) => {
+        const assignmentBtn = e.target.closest('.claim-task-btn, .unclaim-task-btn, .assign-task-btn');
+        if (assignmentBtn) {
+          const action = assignmentBtn.classList.contains('claim-task-btn') ? 'claim'
+            : assignmentBtn.classList.contains('unclaim-task-btn') ? 'unclaim' : 'assign';
+          this.updateAssignment(assignmentBtn.getAttribute('data-task-id'), action);
+          return;
+        }
+
         const btn = e.target.closest('.view-task-btn');
         if (btn) {
           const processId = btn.getAttribute('data-process-id');
@@ -536,16 +1022,24 @@ export class MySpaceTasksPage extends BasePage {
       });
     }
 
-    // Listen for process updates
-    eventBus.on(EVENTS.PROCESS_STATE_CHANGED, async () => {
+    // Listen for process updates, and tasks claimed or reassigned here or on another device
+    // (kept to unsubscribe the same handler when the page is left)
+    this.reloadTasks = async () => {
       await this.loadTasks();
       this.renderTasks();
-    });
+    };
 
-    eventBus.on(EVENTS.PROCESS_CREATED, async () => {
-      await this.loadTasks();
-      this.renderTasks();
-    });
+    eventBus.on(EVENTS.PROCESS_STATE_CHANGED, this.reloadTasks);
+    eventBus.on(EVENTS.PROCESS_CREATED, this.reloadTasks);
+    eventBus.on(EVENTS.TASKS_CHANGED, this.reloadTasks);
+
+    // Delegations granted or revoked, which change whose tasks are shown
+    this.reloadDelegations = async () => {
+      this.renderDelegations();
+      await this.reloadTasks();
+    };
+
+    eventBus.on(EVENTS.DELEGATIONS_CHANGED, this.reloadDelegations);
   }
 
   /**
@@ -553,8 +1047,10 @@ export class MySpaceTasksPage extends BasePage {
    */
   onWillLeave() {
     // Clean up event listeners
-    eventBus.off(EVENTS.PROCESS_STATE_CHANGED);
-    eventBus.off(EVENTS.PROCESS_CREATED);
+    eventBus.off(EVENTS.PROCESS_STATE_CHANGED, this.reloadTasks);
+    eventBus.off(EVENTS.PROCESS_CREATED, this.reloadTasks);
+    eventBus.off(EVENTS.TASKS_CHANGED, this.reloadTasks);
+    eventBus.off(EVENTS.DELEGATIONS_CHANGED, this.reloadDelegations);
   }
 }
 
@@ -3,6 +3,11 @@
  * TODO: Implement organization settings
  */
 
+import { processService } from '../services/bpm/process-service.js';
+import { definitionStore } from '../services/bpm/definition-store.js';
+import { router } from '../router.js';
+import { sanitizeHTML } from '../utils/helpers.js';
+
 class OrgSettingsPage {
   constructor(params = {}) {
     this.params = params;
@@ -25,15 +30,67 @@ class OrgSettingsPage {
         <div class="page-container">
           <h1>Settings for Org: ${this.orgId || 'Unknown'}</h1>
           <p>Coming in Phase 3: Organization settings management</p>
+
+          <div class="designer-section" id="workflows-section">
+            <div class="designer-row">
+              <h4 class="designer-title">Workflows</h4>
+              <ion-button size="small" id="new-workflow-btn">
+                <ion-icon slot="start" name="add"></ion-icon>
+                New Workflow
+              </ion-button>
+            </div>
+            <ion-list id="workflow-list"></ion-list>
+          </div>
         </div>
       </ion-content>
     `;
 
+    this.container = container;
     return container;
   }
 
   async mounted() {
     // TODO: Load org settings
+
+    // Workflows are designed by organization admins
+    if (!(await definitionStore.canManage(this.orgId))) {
+      this.container.querySelector('#workflows-section').remove();
+      return;
+    }
+
+    this.renderWorkflows();
+
+    this.container.querySelector('#new-workflow-btn').addEventListener('click', () => {
+      router.navigate(`/organizations/${this.orgId}/process-designer`);
+    });
+  }
+
+  /**
+   * List definitions that can be opened in the process designer
+   * Built-in definitions open as a copy (new version)
+   */
+  renderWorkflows() {
+    const list = this.container.querySelector('#workflow-list');
+    const definitions = processService.getAllDefinitions()
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    list.innerHTML = definitions.map(definition => `
+      <ion-item button data-definition-id="${sanitizeHTML(definition.id)}">
+        <ion-label>
+          <h3>${sanitizeHTML(definition.name)}</h3>
+          <p>${sanitizeHTML(definition.id)}@${sanitizeHTML(definition.version || '')}</p>
+        </ion-label>
+        <ion-badge slot="end" color="${definitionStore.isStoredDefinition(definition.id, definition.version) ? 'primary' : 'medium'}">
+          ${definitionStore.isStoredDefinition(definition.id, definition.version) ? 'Custom' : 'Built-in'}
+        </ion-badge>
+      </ion-item>
+    `).join('');
+
+    list.querySelectorAll('[data-definition-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        router.navigate(`/organizations/${this.orgId}/process-designer/${item.dataset.definitionId}`);
+      });
+    });
   }
 }
 
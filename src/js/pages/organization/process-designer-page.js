@@ -0,0 +1,1148 @@
+/**
+ * Process Designer Page
+ * Visual editor for organization process definitions: states and transitions
+ * on a canvas, variables, required actions and auto-transitions, with live
+ * validation and a preview of the generated step forms
+ */
+
+import { processService } from '../../services/bpm/process-service.js';
+import { definitionStore } from '../../services/bpm/definition-store.js';
+import { conditionEvaluator } from '../../services/bpm/condition-evaluator.js';
+import { WorkflowCanvasComponent } from '../../components/workflow-canvas.js';
+import { generateStepForm } from '../../utils/form-generator.js';
+import { authState } from '../../state/auth-state.js';
+import { router } from '../../router.js';
+import { APPROVAL_LEVELS } from '../../config/constants.js';
+import { sanitizeHTML, debounce } from '../../utils/helpers.js';
+
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'date', 'array', 'object'];
+const ACTION_TYPES = ['approval', 'manual', 'form', 'review'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Escape a value for use in HTML text and attributes
+ */
+function escape(value) {
+  return sanitizeHTML(String(value ?? '')).replace(/"/g, '&quot;');
+}
+
+class ProcessDesignerPage {
+  constructor(params = {}) {
+    this.params = params;
+    this.orgId = params.id;
+    this.definitionId = params.definitionId || null;
+    this.definition = null;
+    this.selection = null;
+    this.connectMode = false;
+    this.previewStep = 'create';
+    this.canvas = null;
+    this.page = null;
+    this.validation = { errors: [], warnings: [] };
+    this.updatePreview = debounce(() => this.renderPreview(), 300);
+  }
+
+  async render() {
+    const page = document.createElement('ion-page');
+    page.className = 'process-designer-page';
+
+    page.innerHTML = `
+      <ion-header>
+        <ion-toolbar>
+          <ion-buttons slot="start">
+            <ion-button onclick="window.app.goBack()">
+              <ion-icon slot="icon-only" name="arrow-back"></ion-icon>
+            </ion-button>
+          </ion-buttons>
+          <ion-title>Process Designer</ion-title>
+          <ion-buttons slot="end">
+            <ion-button id="designer-save-btn">
+              <ion-icon slot="start" name="save-outline"></ion-icon>
+              Save
+            </ion-button>
+          </ion-buttons>
+        </ion-toolbar>
+      </ion-header>
+
+      <ion-content class="ion-padding">
+        <div class="process-designer">
+          <div id="designer-meta" class="designer-section"></div>
+
+          <div class="designer-toolbar">
+            <ion-button size="small" id="designer-add-state-btn">
+              <ion-icon slot="start" name="add"></ion-icon>
+              State
+            </ion-button>
+            <ion-button size="small" fill="outline" id="designer-connect-btn">
+              <ion-icon slot="start" name="git-branch-outline"></ion-icon>
+              Connect
+            </ion-button>
+            <ion-button size="small" fill="outline" id="designer-layout-btn">
+              <ion-icon slot="start" name="grid-outline"></ion-icon>
+              Auto Layout
+            </ion-button>
+            <span id="designer-hint" class="designer-hint"></span>
+          </div>
+
+          <div class="row g-3">
+            <div class="col-lg-8">
+              <div id="designer-canvas" class="designer-canvas"></div>
+            </div>
+            <div class="col-lg-4">
+              <div id="designer-inspector" class="designer-section"></div>
+            </div>
+          </div>
+
+          <div id="designer-validation" class="designer-section"></div>
+          <div id="designer-variables" class="designer-section"></div>
+          <div id="designer-preview" class="designer-section"></div>
+          <div id="designer-json" class="designer-section"></div>
+        </div>
+      </ion-content>
+    `;
+
+    this.page = page;
+    return page;
+  }
+
+  async mounted() {
+    // Workflows are designed by organization admins
+    if (!(await definitionStore.canManage(this.orgId))) {
+      this.page.querySelector('ion-content').innerHTML = `
+        <p class="designer-hint">Only organization admins can design workflows.</p>
+      `;
+      this.page.querySelector('#designer-save-btn').remove();
+      return;
+    }
+
+    this.loadDefinition();
+
+    this.canvas = new WorkflowCanvasComponent('designer-canvas', {
+      onSelect: (selection) => this.select(selection),
+      onConnect: (from, to) => this.addTransition(from, to),
+      onMove: (positions) => {
+        this.getDesignerMetadata().positions = positions;
+        this.renderJson();
+      }
+    });
+    this.canvas.init();
+
+    this.setupEventListeners();
+    this.renderAll();
+  }
+
+  // ==================== Definition ====================
+
+  /**
+   * Load the definition to edit, or start a new one
+   * Built-in definitions and versions in use are edited as a new version
+   */
+  loadDefinition() {
+    const existing = this.definitionId ? processService.getDefinition(this.definitionId) : null;
+
+    if (!existing) {
+      this.definition = {
+        id: this.definitionId || '',
+        name: '',
+        description: '',
+        type: '',
+        version: '1.0.0',
+        initialState: 'draft',
+        variables: {},
+        states: {
+          draft: { name: 'Draft', transitions: ['completed'] },
+          completed: { name: 'Completed', transitions: [] }
+        },
+        metadata: {}
+      };
+      return;
+    }
+
+    this.definition = definitionStore.serialize(existing, { dropFunctions: true });
+    this.definition.variables = this.definition.variables || {};
+    this.definition.metadata = this.definition.metadata || {};
+
+    const frozen = !definitionStore.isStoredDefinition(existing.id, existing.version) ||
+      definitionStore.countProcesses(existing.id, existing.version) > 0;
+
+    if (frozen) {
+      const [major = 1, minor = 0] = String(existing.version || '1.0.0').split('.').map(Number);
+      this.definition.version = `${major}.${minor + 1}.0`;
+      this.showToast(`Editing as new version ${this.definition.version}`, 'info');
+    }
+  }
+
+  /**
+   * Designer data kept in the definition (canvas positions)
+   */
+  getDesignerMetadata() {
+    this.definition.metadata = this.definition.metadata || {};
+    this.definition.metadata.designer = this.definition.metadata.designer || { positions: {} };
+    return this.definition.metadata.designer;
+  }
+
+  /**
+   * Get normalized transitions of a state
+   */
+  getTransitions(stateName) {
+    return (this.definition.states[stateName]?.transitions || [])
+      .map(t => (typeof t === 'string' ? { to: t } : t));
+  }
+
+  /**
+   * Store a transition, collapsing to a plain target name when it has no options
+   */
+  setTransition(stateName, index, transition) {
+    const cleaned = Object.fromEntries(
+      Object.entries(transition).filter(([, value]) =>
+        value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+      )
+    );
+
+    this.definition.states[stateName].transitions[index] =
+      Object.keys(cleaned).length === 1 ? cleaned.to : cleaned;
+  }
+
+  addState() {
+    const states = this.definition.states;
+    let index = Object.keys(states).length + 1;
+    while (states[`state_${index}`]) {
+      index++;
+    }
+
+    const key = `state_${index}`;
+    states[key] = { name: `State ${index}`, transitions: [] };
+
+    this.selection = { type: 'state', state: key };
+    this.renderAll();
+  }
+
+  /**
+   * Rename a state key and update every reference to it
+   */
+  renameState(oldKey, newKey) {
+    const { states } = this.definition;
+
+    if (oldKey === newKey) {
+      return;
+    }
+
+    if (!KEY_PATTERN.test(newKey)) {
+      this.showToast('State keys must start with a letter and use letters, digits or _', 'error');
+      this.renderInspector();
+      return;
+    }
+
+    if (states[newKey]) {
+      this.showToast(`State "${newKey}" already exists`, 'error');
+      this.renderInspector();
+      return;
+    }
+
+    // Keep state order
+    this.definition.states = Object.fromEntries(
+      Object.entries(states).map(([key, config]) => [key === oldKey ? newKey : key, config])
+    );
+
+    Object.values(this.definition.states).forEach(config => {
+      config.transitions = config.transitions.map(t => {
+        if (typeof t === 'string') {
+          return t === oldKey ? newKey : t;
+        }
+        return t.to === oldKey ? { ...t, to: newKey } : t;
+      });
+
+      (config.autoTransition?.conditions || []).forEach(condition => {
+        if (condition.toState === oldKey) {
+          condition.toState = newKey;
+        }
+      });
+    });
+
+    if (this.definition.initialState === oldKey) {
+      this.definition.initialState = newKey;
+    }
+
+    Object.values(this.definition.variables).forEach(variable => {
+      if (variable.step === oldKey) {
+        variable.step = newKey;
+      } else if (Array.isArray(variable.step)) {
+        variable.step = variable.step.map(step => (step === oldKey ? newKey : step));
+      }
+    });
+
+    const { positions } = this.getDesignerMetadata();
+    if (positions[oldKey]) {
+      positions[newKey] = positions[oldKey];
+      delete positions[oldKey];
+    }
+
+    this.selection = { type: 'state', state: newKey };
+    this.renderAll();
+  }
+
+  deleteState(key) {
+    delete this.definition.states[key];
+    delete this.getDesignerMetadata().positions[key];
+
+    Object.values(this.definition.states).forEach(config => {
+      config.transitions = config.transitions.filter(t => (typeof t === 'string' ? t : t.to) !== key);
+
+      if (config.autoTransition?.conditions) {
+        config.autoTransition.conditions = config.autoTransition.conditions.filter(c => c.toState !== key);
+      }
+    });
+
+    this.selection = null;
+    this.renderAll();
+  }
+
+  addTransition(from, to) {
+    if (this.getTransitions(from).some(t => t.to === to)) {
+      this.showToast(`"${from}" already transitions to "${to}"`, 'warning');
+    } else {
+      this.definition.states[from].transitions.push(to);
+    }
+
+    this.selection = { type: 'transition', state: from, to };
+    this.renderAll();
+  }
+
+  deleteTransition(from, to) {
+    const config = this.definition.states[from];
+    config.transitions = config.transitions.filter(t => (typeof t === 'string' ? t : t.to) !== to);
+
+    if (config.autoTransition?.conditions) {
+      config.autoTransition.conditions = config.autoTransition.conditions.filter(c => c.toState !== to);
+    }
+
+    this.selection = null;
+    this.renderAll();
+  }
+
+  // ==================== Validation ====================
+
+  /**
+   * Validate the definition being designed
+   * StateMachine validation stops at the first error; the designer adds
+   * checks for the parts it edits so several problems show at once
+   */
+  validateDesign() {
+    const errors = [];
+    const warnings = [];
+    const { states = {}, variables = {}, initialState } = this.definition;
+
+    const result = definitionStore.validate(this.definition);
+    if (!result.valid) {
+      errors.push(result.error);
+    }
+
+    Object.entries(states).forEach(([name, config]) => {
+      const targets = this.getTransitions(name).map(t => t.to);
+
+      (config.requiredActions || []).forEach((action, index) => {
+        if (!action.type) {
+          errors.push(`State "${name}" action ${index + 1} must have a type`);
+        }
+      });
+
+      (config.autoTransition?.conditions || []).forEach((condition, index) => {
+        const label = `State "${name}" auto-transition ${index + 1}`;
+
+        if (condition.type === 'timer') {
+          if (!(condition.duration > 0)) {
+            errors.push(`${label} needs a duration`);
+          }
+        } else {
+          const validation = conditionEvaluator.validateCondition(condition);
+          if (!validation.valid) {
+            errors.push(`${label}: ${validation.error}`);
+          }
+        }
+
+        if (!condition.toState) {
+          errors.push(`${label} needs a target state`);
+        } else if (!targets.includes(condition.toState)) {
+          errors.push(`${label} targets "${condition.toState}", which is not one of its transitions`);
+        }
+      });
+    });
+
+    // States nobody can reach
+    const reachable = new Set();
+    const queue = states[initialState] ? [initialState] : [];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (reachable.has(current)) continue;
+      reachable.add(current);
+      this.getTransitions(current).forEach(t => states[t.to] && queue.push(t.to));
+    }
+
+    Object.keys(states)
+      .filter(name => !reachable.has(name))
+      .forEach(name => warnings.push(`State "${name}" cannot be reached from "${initialState}"`));
+
+    Object.entries(variables).forEach(([name, config]) => {
+      const steps = Array.isArray(config.step) ? config.step : [config.step || 'create'];
+      steps
+        .filter(step => !['create', 'all', 'system'].includes(step) && !states[step])
+        .forEach(step => warnings.push(`Variable "${name}" uses unknown step "${step}"`));
+    });
+
+    this.validation = { errors, warnings };
+    return this.validation;
+  }
+
+  // ==================== Rendering ====================
+
+  renderAll() {
+    this.renderMeta();
+    this.renderInspector();
+    this.renderVariables();
+    this.refresh();
+  }
+
+  /**
+   * Re-render the parts that depend on the whole definition
+   */
+  refresh() {
+    this.validateDesign();
+    this.canvas.setDefinition(this.definition, this.getDesignerMetadata().positions);
+    this.canvas.setSelection(this.selection);
+    this.renderValidation();
+    this.renderJson();
+    this.updatePreview();
+  }
+
+  renderMeta() {
+    const container = this.page.querySelector('#designer-meta');
+    const { id, name, type, version, description, initialState, states } = this.definition;
+
+    container.innerHTML = `
+      <div class="row g-2">
+        <div class="col-md-4">
+          <label class="form-label">Id</label>
+          <input class="form-control form-control-sm" data-meta="id" value="${escape(id)}" placeholder="equipment_request">
+        </div>
+        <div class="col-md-4">
+          <label class="form-label">Name</label>
+          <input class="form-control form-control-sm" data-meta="name" value="${escape(name)}" placeholder="Equipment Request">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Type</label>
+          <input class="form-control form-control-sm" data-meta="type" value="${escape(type)}" placeholder="equipment_request">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Version</label>
+          <input class="form-control form-control-sm" data-meta="version" value="${escape(version)}">
+        </div>
+        <div class="col-md-8">
+          <label class="form-label">Description</label>
+          <input class="form-control form-control-sm" data-meta="description" value="${escape(description)}">
+        </div>
+        <div class="col-md-4">
+          <label class="form-label">Initial State</label>
+          <select class="form-select form-select-sm" data-meta="initialState">
+            ${Object.keys(states).map(key => `
+              <option value="${escape(key)}" ${key === initialState ? 'selected' : ''}>${escape(states[key].name || key)}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+
+    container.querySelectorAll('[data-meta]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.definition[input.dataset.meta] = input.value.trim();
+        this.refresh();
+      });
+    });
+  }
+
+  renderInspector() {
+    const container = this.page.querySelector('#designer-inspector');
+    const selection = this.selection;
+
+    if (selection?.type === 'state' && this.definition.states[selection.state]) {
+      container.innerHTML = this.renderStateInspector(selection.state);
+      this.attachStateInspectorListeners(container, selection.state);
+    } else if (selection?.type === 'transition' && this.getTransitions(selection.state).some(t => t.to === selection.to)) {
+      container.innerHTML = this.renderTransitionInspector(selection.state, selection.to);
+      this.attachTransitionInspectorListeners(container, selection.state, selection.to);
+    } else {
+      container.innerHTML = `
+        <h4 class="designer-title">Inspector</h4>
+        <p class="designer-hint">Select a state or transition on the canvas. Use Connect, then click two states to add a transition.</p>
+      `;
+    }
+  }
+
+  renderStateInspector(key) {
+    const config = this.definition.states[key];
+    const targets = this.getTransitions(key).map(t => t.to);
+    const conditions = config.autoTransition?.conditions || [];
+    const isInitial = this.definition.initialState === key;
+
+    return `
+      <h4 class="designer-title">State</h4>
+
+      <label class="form-label">Key</label>
+      <input class="form-control form-control-sm mb-2" data-field="key" value="${escape(key)}">
+
+      <label class="form-label">Name</label>
+      <input class="form-control form-control-sm mb-2" data-field="name" value="${escape(config.name)}">
+
+      <label class="form-label">Type</label>
+      <select class="form-select form-select-sm mb-2" data-field="type">
+        <option value="" ${!config.type ? 'selected' : ''}>Normal</option>
+        <option value="fork" ${config.type === 'fork' ? 'selected' : ''}>Fork (parallel branches)</option>
+        <option value="join" ${config.type === 'join' ? 'selected' : ''}>Join (wait for branches)</option>
+      </select>
+
+      ${config.type === 'join' ? `
+        <label class="form-label">Join requires</label>
+        <input class="form-control form-control-sm mb-2" data-field="joinRequires"
+          value="${escape(config.join?.requires ?? 'all')}" placeholder="all or a number">
+      ` : ''}
+
+      ${isInitial ? `
+        <p class="designer-hint">Initial state</p>
+      ` : `
+        <ion-button size="small" fill="clear" data-action="set-initial">Set as initial state</ion-button>
+      `}
+
+      <h5 class="designer-subtitle">Transitions</h5>
+      ${targets.length === 0 ? '<p class="designer-hint">None (end state)</p>' : targets.map(to => `
+        <div class="designer-row">
+          <a href="#" data-select-transition="${escape(to)}">→ ${escape(this.definition.states[to]?.name || to)}</a>
+          <button class="btn btn-sm btn-link text-danger" data-remove-transition="${escape(to)}">Remove</button>
+        </div>
+      `).join('')}
+
+      <h5 class="designer-subtitle">Required Actions</h5>
+      ${(config.requiredActions || []).map((action, index) => `
+        <div class="designer-card" data-action-index="${index}">
+          <div class="row g-1">
+            <div class="col-6">
+              <select class="form-select form-select-sm" data-action-field="type">
+                ${ACTION_TYPES.map(type => `<option value="${type}" ${action.type === type ? 'selected' : ''}>${type}</option>`).join('')}
+              </select>
+            </div>
+            <div class="col-6">
+              <select class="form-select form-select-sm" data-action-field="role">
+                ${Object.values(APPROVAL_LEVELS).map(level => `<option value="${level}" ${action.role === level ? 'selected' : ''}>${level}</option>`).join('')}
+              </select>
+            </div>
+            <div class="col-12">
+              <input class="form-control form-control-sm" data-action-field="actionLabel" value="${escape(action.actionLabel)}" placeholder="Button label">
+            </div>
+            <div class="col-12">
+              <input class="form-control form-control-sm" data-action-field="message" value="${escape(action.message)}" placeholder="Message">
+            </div>
+          </div>
+          <button class="btn btn-sm btn-link text-danger" data-remove-action="${index}">Remove</button>
+        </div>
+      `).join('')}
+      <ion-button size="small" fill="outline" data-action="add-action">Add Action</ion-button>
+
+      <h5 class="designer-subtitle">Auto-Transitions</h5>
+      ${conditions.map((condition, index) => this.renderConditionEditor(condition, index, targets)).join('')}
+      <ion-button size="small" fill="outline" data-action="add-condition" ${targets.length === 0 ? 'disabled' : ''}>Add Auto-Transition</ion-button>
+
+      <hr>
+      <ion-button size="small" color="danger" fill="outline" data-action="delete-state">Delete State</ion-button>
+    `;
+  }
+
+  renderConditionEditor(condition, index, targets) {
+    const editable = condition.type === 'timer' ||
+      (condition.type === 'expression' && !Array.isArray(condition.conditions));
+
+    return `
+      <div class="designer-card" data-condition-index="${index}">
+        ${editable ? `
+          <div class="row g-1">
+            <div class="col-6">
+              <select class="form-select form-select-sm" data-condition-field="type">
+                <option value="timer" ${condition.type === 'timer' ? 'selected' : ''}>After time</option>
+                <option value="expression" ${condition.type === 'expression' ? 'selected' : ''}>When expression</option>
+              </select>
+            </div>
+            <div class="col-6">
+              <select class="form-select form-select-sm" data-condition-field="toState">
+                ${targets.map(to => `<option value="${escape(to)}" ${condition.toState === to ? 'selected' : ''}>→ ${escape(to)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="col-12">
+              ${condition.type === 'timer' ? `
+                <input type="number" min="0" step="0.25" class="form-control form-control-sm" data-condition-field="hours"
+                  value="${condition.duration ? condition.duration / HOUR_MS : ''}" placeholder="Hours">
+              ` : `
+                <input class="form-control form-control-sm" data-condition-field="expression"
+                  value="${escape(condition.expression)}" placeholder="amount > 1000 and priority == 'high'">
+              `}
+            </div>
+            <div class="col-12">
+              <input class="form-control form-control-sm" data-condition-field="reason" value="${escape(condition.reason)}" placeholder="Reason">
+            </div>
+          </div>
+        ` : `
+          <p class="designer-hint">${escape(condition.type)} condition → ${escape(condition.toState)} (edit in JSON)</p>
+        `}
+        <button class="btn btn-sm btn-link text-danger" data-remove-condition="${index}">Remove</button>
+      </div>
+    `;
+  }
+
+  attachStateInspectorListeners(container, key) {
+    const config = this.definition.states[key];
+
+    container.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = input.value.trim();
+
+        switch (input.dataset.field) {
+          case 'key':
+            this.renameState(key, value);
+            return;
+
+          case 'name':
+            config.name = value;
+            this.renderMeta();
+            break;
+
+          case 'type':
+            if (value) {
+              config.type = value;
+            } else {
+              delete config.type;
+            }
+            delete config.join;
+            this.renderInspector();
+            break;
+
+          case 'joinRequires':
+            config.join = { requires: value === 'all' || value === '' ? 'all' : Number(value) };
+            break;
+        }
+
+        this.refresh();
+      });
+    });
+
+    container.querySelectorAll('[data-select-transition]').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.select({ type: 'transition', state: key, to: link.dataset.selectTransition });
+      });
+    });
+
+    container.querySelectorAll('[data-remove-transition]').forEach(button => {
+      button.addEventListener('click', () => this.deleteTransition(key, button.dataset.removeTransition));
+    });
+
+    container.querySelectorAll('[data-action-index]').forEach(card => {
+      const action = config.requiredActions[Number(card.dataset.actionIndex)];
+      card.querySelectorAll('[data-action-field]').forEach(input => {
+        input.addEventListener('change', () => {
+          action[input.dataset.actionField] = input.value.trim();
+          this.refresh();
+        });
+      });
+    });
+
+    container.querySelectorAll('[data-remove-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        config.requiredActions.splice(Number(button.dataset.removeAction), 1);
+        if (config.requiredActions.length === 0) {
+          delete config.requiredActions;
+        }
+        this.renderInspector();
+        this.refresh();
+      });
+    });
+
+    container.querySelectorAll('[data-condition-index]').forEach(card => {
+      const condition = config.autoTransition.conditions[Number(card.dataset.conditionIndex)];
+      card.querySelectorAll('[data-condition-field]').forEach(input => {
+        input.addEventListener('change', () => {
+          const value = input.value.trim();
+
+          switch (input.dataset.conditionField) {
+            case 'type':
+              condition.type = value;
+              delete condition.duration;
+              delete condition.expression;
+              this.renderInspector();
+              break;
+
+            case 'hours':
+              condition.duration = Math.round(Number(value) * HOUR_MS);
+              break;
+
+            default:
+              condition[input.dataset.conditionField] = value;
+          }
+
+          this.refresh();
+        });
+      });
+    });
+
+    container.querySelectorAll('[data-remove-condition]').forEach(button => {
+      button.addEventListener('click', () => {
+        config.autoTransition.conditions.splice(Number(button.dataset.removeCondition), 1);
+        if (config.autoTransition.conditions.length === 0) {
+          delete config.autoTransition;
+        }
+        this.renderInspector();
+        this.refresh();
+      });
+    });
+
+    container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        switch (button.dataset.action) {
+          case 'set-initial':
+            this.definition.initialState = key;
+            this.renderMeta();
+            break;
+
+          case 'add-action':
+            config.requiredActions = config.requiredActions || [];
+            config.requiredActions.push({
+              type: 'approval',
+              role: APPROVAL_LEVELS.MEMBER,
+              message: '',
+              actionLabel: ''
+            });
+            break;
+
+          case 'add-condition':
+            config.autoTransition = config.autoTransition || { conditions: [] };
+            config.autoTransition.conditions.push({
+              type: 'timer',
+              duration: 24 * HOUR_MS,
+              toState: this.getTransitions(key)[0].to,
+              reason: ''
+            });
+            break;
+
+          case 'delete-state':
+            this.deleteState(key);
+            return;
+        }
+
+        this.renderInspector();
+        this.refresh();
+      });
+    });
+  }
+
+  renderTransitionInspector(from, to) {
+    const transition = this.getTransitions(from).find(t => t.to === to);
+    const guard = transition.guard;
+    const guardExpression = typeof guard === 'string' ? guard : (guard?.type === 'expression' ? guard.expression : '');
+    const structuredGuard = guard && typeof guard !== 'string' && guard.type !== 'expression';
+
+    return `
+      <h4 class="designer-title">Transition</h4>
+      <p>${escape(this.definition.states[from]?.name || from)} → ${escape(this.definition.states[to]?.name || to)}</p>
+
+      <label class="form-label">Button label</label>
+      <input class="form-control form-control-sm mb-2" data-field="label" value="${escape(transition.label)}">
+
+      <label class="form-label">Required approval level</label>
+      <select class="form-select form-select-sm mb-2" data-field="requiredApprovalLevel">
+        <option value="">Anyone</option>
+        ${Object.values(APPROVAL_LEVELS).map(level => `
+          <option value="${level}" ${transition.requiredApprovalLevel === level ? 'selected' : ''}>${level}</option>
+        `).join('')}
+      </select>
+
+      <label class="form-label">Required fields</label>
+      <input class="form-control form-control-sm mb-2" data-field="requiredFields"
+        value="${escape((transition.requiredFields || []).join(', '))}" placeholder="amount, approverId">
+
+      ${structuredGuard ? `
+        <p class="designer-hint">Guard: ${escape(guard.type)} condition (edit in JSON)</p>
+      ` : `
+        <label class="form-label">Guard expression</label>
+        <input class="form-control form-control-sm mb-2" data-field="guard" value="${escape(guardExpression)}" placeholder="amount < 1000">
+
+        <label class="form-label">Shown when guard blocks</label>
+        <input class="form-control form-control-sm mb-2" data-field="guardReason" value="${escape(guard?.reason)}">
+      `}
+
+      <hr>
+      <ion-button size="small" color="danger" fill="outline" data-action="delete-transition">Delete Transition</ion-button>
+    `;
+  }
+
+  attachTransitionInspectorListeners(container, from, to) {
+    container.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const index = this.getTransitions(from).findIndex(t => t.to === to);
+        const transition = { ...this.getTransitions(from)[index] };
+        const value = input.value.trim();
+
+        switch (input.dataset.field) {
+          case 'requiredFields':
+            transition.requiredFields = value.split(',').map(f => f.trim()).filter(Boolean);
+            break;
+
+          case 'guard':
+          case 'guardReason': {
+            const expression = container.querySelector('[data-field="guard"]').value.trim();
+            const reason = container.querySelector('[data-field="guardReason"]').value.trim();
+            transition.guard = expression && reason
+              ? { type: 'expression', expression, reason }
+              : (expression || undefined);
+            break;
+          }
+
+          default:
+            transition[input.dataset.field] = value;
+        }
+
+        this.setTransition(from, index, transition);
+        this.refresh();
+      });
+    });
+
+    container.querySelector('[data-action="delete-transition"]')?.addEventListener('click', () => {
+      this.deleteTransition(from, to);
+    });
+  }
+
+  renderVariables() {
+    const container = this.page.querySelector('#designer-variables');
+    const variables = this.definition.variables;
+
+    container.innerHTML = `
+      <h4 class="designer-title">Variables</h4>
+      <p class="designer-hint">
+        Step is <code>create</code>, <code>all</code> or state keys (comma separated).
+        Options turn a field into a choice: <code>value</code> or <code>value:Label</code>, comma separated.
+      </p>
+      <div class="table-responsive">
+        <table class="table table-sm designer-variables-table">
+          <thead>
+            <tr>
+              <th>Name</th><th>Type</th><th>Step</th><th>Required</th><th>Options</th><th>Description</th><th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${Object.entries(variables).map(([name, config]) => `
+              <tr data-variable="${escape(name)}">
+                <td><input class="form-control form-control-sm" data-variable-field="name" value="${escape(name)}"></td>
+                <td>
+                  <select class="form-select form-select-sm" data-variable-field="type">
+                    ${VARIABLE_TYPES.map(type => `<option value="${type}" ${config.type === type ? 'selected' : ''}>${type}</option>`).join('')}
+                  </select>
+                </td>
+                <td><input class="form-control form-control-sm" data-variable-field="step"
+                  value="${escape(Array.isArray(config.step) ? config.step.join(', ') : (config.step || 'create'))}"></td>
+                <td><input type="checkbox" class="form-check-input" data-variable-field="required" ${config.required ? 'checked' : ''}></td>
+                <td><input class="form-control form-control-sm" data-variable-field="options"
+                  value="${escape(this.formatOptions(config.foreignKey?.options))}"></td>
+                <td><input class="form-control form-control-sm" data-variable-field="description" value="${escape(config.description)}"></td>
+                <td><button class="btn btn-sm btn-link text-danger" data-remove-variable="${escape(name)}">Remove</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <ion-button size="small" fill="outline" id="designer-add-variable-btn">Add Variable</ion-button>
+    `;
+
+    container.querySelectorAll('[data-variable]').forEach(row => {
+      const name = row.dataset.variable;
+
+      row.querySelectorAll('[data-variable-field]').forEach(input => {
+        input.addEventListener('change', () => {
+          this.updateVariable(name, input.dataset.variableField, input.type === 'checkbox' ? input.checked : input.value.trim());
+        });
+      });
+    });
+
+    container.querySelectorAll('[data-remove-variable]').forEach(button => {
+      button.addEventListener('click', () => {
+        delete this.definition.variables[button.dataset.removeVariable];
+        this.renderVariables();
+        this.refresh();
+      });
+    });
+
+    container.querySelector('#designer-add-variable-btn').addEventListener('click', () => {
+      let index = Object.keys(variables).length + 1;
+      while (variables[`field${index}`]) {
+        index++;
+      }
+
+      variables[`field${index}`] = { type: 'string', required: false, step: 'create' };
+      this.renderVariables();
+      this.refresh();
+    });
+  }
+
+  updateVariable(name, field, value) {
+    const variables = this.definition.variables;
+    const config = variables[name];
+
+    switch (field) {
+      case 'name':
+        if (!KEY_PATTERN.test(value) || variables[value]) {
+          this.showToast(`Invalid or duplicate variable name "${value}"`, 'error');
+          break;
+        }
+
+        // Keep variable order
+        this.definition.variables = Object.fromEntries(
+          Object.entries(variables).map(([key, item]) => [key === name ? value : key, item])
+        );
+        break;
+
+      case 'step': {
+        const steps = value.split(',').map(s => s.trim()).filter(Boolean);
+        config.step = steps.length > 1 ? steps : (steps[0] || 'create');
+        break;
+      }
+
+      case 'options': {
+        const options = this.parseOptions(value);
+        if (options.length > 0) {
+          config.foreignKey = { ...config.foreignKey, options };
+        } else {
+          delete config.foreignKey;
+        }
+        break;
+      }
+
+      case 'description':
+        if (value) {
+          config.description = value;
+        } else {
+          delete config.description;
+        }
+        break;
+
+      default:
+        config[field] = value;
+    }
+
+    this.renderVariables();
+    this.refresh();
+  }
+
+  /**
+   * Format foreign key options as "value:Label, value"
+   */
+  formatOptions(options) {
+    if (!Array.isArray(options)) {
+      return '';
+    }
+
+    return options
+      .map(opt => (typeof opt === 'object' ? (opt.label && opt.label !== opt.value ? `${opt.value}:${opt.label}` : opt.value) : opt))
+      .join(', ');
+  }
+
+  /**
+   * Parse "value:Label, value" into foreign key options
+   */
+  parseOptions(text) {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const [value, ...label] = part.split(':');
+      return label.length > 0 ? { value: value.trim(), label: label.join(':').trim() } : value;
+    });
+  }
+
+  renderValidation() {
+    const container = this.page.querySelector('#designer-validation');
+    const { errors, warnings } = this.validation;
+
+    container.innerHTML = `
+      <h4 class="designer-title">Validation</h4>
+      ${errors.length === 0 && warnings.length === 0 ? `
+        <p class="designer-valid">✓ Definition is valid</p>
+      ` : ''}
+      ${errors.map(error => `<p class="designer-error">${escape(error)}</p>`).join('')}
+      ${warnings.map(warning => `<p class="designer-warning">${escape(warning)}</p>`).join('')}
+    `;
+
+    this.page.querySelector('#designer-save-btn').disabled = errors.length > 0;
+  }
+
+  renderPreview() {
+    const container = this.page.querySelector('#designer-preview');
+    const steps = ['create', ...Object.keys(this.definition.states)];
+
+    if (!steps.includes(this.previewStep)) {
+      this.previewStep = 'create';
+    }
+
+    container.innerHTML = `
+      <div class="designer-row">
+        <h4 class="designer-title">Form Preview</h4>
+        <select class="form-select form-select-sm designer-preview-step" id="designer-preview-step">
+          ${steps.map(step => `
+            <option value="${escape(step)}" ${step === this.previewStep ? 'selected' : ''}>
+              ${step === 'create' ? 'Create' : escape(this.definition.states[step].name || step)}
+            </option>
+          `).join('')}
+        </select>
+      </div>
+      <div id="designer-preview-form" class="designer-preview-form"></div>
+    `;
+
+    const formContainer = container.querySelector('#designer-preview-form');
+    try {
+      const form = generateStepForm(this.definition.variables, this.previewStep);
+      if (form.children.length === 0) {
+        formContainer.innerHTML = '<p class="designer-hint">No fields for this step</p>';
+      } else {
+        formContainer.appendChild(form);
+      }
+    } catch (error) {
+      formContainer.innerHTML = `<p class="designer-error">${escape(error.message)}</p>`;
+    }
+
+    container.querySelector('#designer-preview-step').addEventListener('change', (e) => {
+      this.previewStep = e.target.value;
+      this.renderPreview();
+    });
+  }
+
+  renderJson() {
+    const container = this.page.querySelector('#designer-json');
+    const textarea = container.querySelector('textarea');
+
+    // Keep what the user is typing
+    if (textarea && document.activeElement === textarea) {
+      return;
+    }
+
+    const json = JSON.stringify(this.definition, null, 2);
+
+    if (textarea) {
+      textarea.value = json;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="designer-row">
+        <h4 class="designer-title">JSON</h4>
+        <div>
+          <ion-button size="small" fill="outline" id="designer-json-apply-btn">Apply</ion-button>
+          <ion-button size="small" fill="outline" id="designer-json-download-btn">Download</ion-button>
+          <ion-button size="small" fill="outline" id="designer-json-copy-btn">Copy as Module</ion-button>
+        </div>
+      </div>
+      <textarea class="form-control designer-json" rows="14" spellcheck="false">${escape(json)}</textarea>
+    `;
+
+    container.querySelector('#designer-json-apply-btn').addEventListener('click', () => this.importJson());
+    container.querySelector('#designer-json-download-btn').addEventListener('click', () => this.downloadJson());
+    container.querySelector('#designer-json-copy-btn').addEventListener('click', () => this.copyModule());
+  }
+
+  // ==================== Actions ====================
+
+  select(selection) {
+    this.selection = selection;
+    this.renderInspector();
+    this.canvas.setSelection(selection);
+  }
+
+  importJson() {
+    const text = this.page.querySelector('#designer-json textarea').value;
+
+    try {
+      const definition = JSON.parse(text);
+      if (!definition || typeof definition.states !== 'object') {
+        throw new Error('JSON must be a process definition with states');
+      }
+
+      definition.variables = definition.variables || {};
+      this.definition = definition;
+      this.selection = null;
+      this.page.querySelector('#designer-json textarea').blur();
+      this.renderAll();
+      this.showToast('Definition applied', 'success');
+    } catch (error) {
+      this.showToast(`Invalid JSON: ${error.message}`, 'error');
+    }
+  }
+
+  downloadJson() {
+    const blob = new Blob([JSON.stringify(this.definition, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.definition.id || 'process-definition'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Copy the definition in the shape of the modules in services/bpm/definitions/
+   */
+  async copyModule() {
+    const name = (this.definition.id || 'custom').replace(/_v\d+$/, '')
+      .replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+    const source = `export const ${name}Definition = ${JSON.stringify(this.definition, null, 2)};\n`;
+
+    try {
+      await navigator.clipboard.writeText(source);
+      this.showToast('Definition module copied', 'success');
+    } catch (error) {
+      console.error('Error copying definition:', error);
+      this.showToast('Could not access the clipboard', 'error');
+    }
+  }
+
+  async save() {
+    const { errors } = this.validateDesign();
+    if (errors.length > 0) {
+      this.showToast('Fix the validation errors before saving', 'error');
+      return;
+    }
+
+    try {
+      const saved = await definitionStore.saveDefinition(this.orgId, this.definition, authState.getUser()?.id || null);
+      this.showToast(`Saved ${saved.id}@${saved.version}`, 'success');
+
+      if (this.definitionId !== saved.id) {
+        router.navigate(`/organizations/${this.orgId}/process-designer/${saved.id}`);
+      }
+    } catch (error) {
+      console.error('Error saving definition:', error);
+      this.showToast(error.message || 'Failed to save definition', 'error');
+    }
+  }
+
+  setupEventListeners() {
+    this.page.querySelector('#designer-save-btn').addEventListener('click', () => this.save());
+
+    this.page.querySelector('#designer-add-state-btn').addEventListener('click', () => this.addState());
+
+    this.page.querySelector('#designer-layout-btn').addEventListener('click', () => this.canvas.autoLayout());
+
+    const connectButton = this.page.querySelector('#designer-connect-btn');
+    connectButton.addEventListener('click', () => {
+      this.connectMode = !this.connectMode;
+      connectButton.fill = this.connectMode ? 'solid' : 'outline';
+      this.page.querySelector('#designer-hint').textContent = this.connectMode
+        ? 'Click the source state, then the target state'
+        : '';
+      this.canvas.setConnectMode(this.connectMode);
+    });
+  }
+
+  showToast(message, type = 'info') {
+    window.app?.showToast?.(message, type);
+  }
+}
+
+export default ProcessDesignerPage;
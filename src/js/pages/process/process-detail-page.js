@@ -54,8 +54,11 @@ export class ProcessDetailPage extends BaseProcessDetailPage {
       <ion-content>
         <div id="process-content">
           <div id="process-header"></div>
+          <div id="process-conflict"></div>
           <div id="process-details"></div>
           <div id="process-timeline"></div>
+          <div id="process-call-tree"></div>
+          <div id="process-approvals"></div>
           <div id="process-actions"></div>
           <div id="process-history"></div>
         </div>
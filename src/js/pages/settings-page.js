@@ -3,9 +3,13 @@
  * TODO: Implement app settings
  */
 
+import ENV from '../config/env.js';
+import { TimerDebugPanelComponent } from '../components/timer-debug-panel.js';
+
 class SettingsPage {
   constructor(params = {}) {
     this.params = params;
+    this.timerDebugPanel = null;
   }
 
   async render() {
@@ -21,6 +25,10 @@ class SettingsPage {
         <div class="page-container">
           <h1>App Settings</h1>
           <p>Coming soon: Theme, notifications, and other app settings</p>
+          ${ENV.DEBUG ? `
+            <h2>Debug</h2>
+            <div id="timer-debug-panel"></div>
+          ` : ''}
         </div>
       </ion-content>
     `;
@@ -30,6 +38,11 @@ class SettingsPage {
 
   async mounted() {
     // TODO: Load app settings
+
+    if (ENV.DEBUG) {
+      this.timerDebugPanel = new TimerDebugPanelComponent('timer-debug-panel');
+      this.timerDebugPanel.init();
+    }
   }
 }
 
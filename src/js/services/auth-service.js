@@ -291,16 +291,13 @@ class AuthService {
       // Clear local storage
       await storageService.clearAuthData();
 
-      // Clear databases (if database manager exists)
+      // Clear databases, unless they hold changes that have not synced yet
       try {
-        // Dynamic import to avoid errors if db-manager doesn't exist yet
         const { dbManager } = await import('./db-manager.js');
-        if (dbManager && dbManager.destroyAllDatabases) {
-          await dbManager.destroyAllDatabases();
-        }
+        await dbManager.destroyAllDatabases();
       } catch (error) {
+        // Kept databases sync on the next sign-in
         console.warn('Database cleanup skipped:', error.message);
-        // Continue without database cleanup - Phase 2 feature
       }
 
       // Update state
@@ -0,0 +1,216 @@
+/**
+ * Access Policy
+ * Decides which members replicate a process, its tasks and its comments. The
+ * `view` permissions of a definition name who may see its processes:
+ *
+ *   metadata: { permissions: { view: ['creator', 'employee', 'manager', 'hr', 'admin', 'owner'] } }
+ *
+ *   'member'         every member of the organization (no access list is kept)
+ *   approval levels  members at or above the lowest level listed ('manager' here)
+ *   participants     names of user variables: 'employee' -> employeeId, 'auditee' -> auditeeIds
+ *   other names      member groups, such as 'hr'
+ *
+ * The creator, members on the tasks of the process (assignees, candidates,
+ * deciders), comment authors, mentioned users and the delegates of listed users
+ * always see it too; org owners and admins see everything. The result is stored
+ * on the process and copied to its tasks and comments:
+ *
+ *   access: { users: ['u1', 'u2'], groups: ['hr'], approvalLevel: 'manager' }
+ *
+ * and the `process_access` design document (couchdb_design_documents/) filters
+ * pulls and validates writes by it. Access is recomputed when this device
+ * changes a process, its tasks or comments, or delegations.
+ */
+
+import { processService } from './process-service.js';
+import { taskService } from './task-service.js';
+import { commentService } from './comment-service.js';
+import { memberService } from '../member-service.js';
+import { processState } from '../../state/process-state.js';
+import { eventBus } from '../../utils/events.js';
+import { APPROVAL_HIERARCHY, EVENTS, PROCESS_SYNC_STATUS } from '../../config/constants.js';
+
+// View entries that are not a level, participant or group
+const IGNORED_VIEWERS = ['creator', 'system'];
+
+/**
+ * Turn a view entry into a variable name, e.g. "project_manager" -> "projectManager"
+ */
+function toVariableName(name) {
+  return name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Collect the user IDs held by a variable value
+ */
+function toUserIds(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(id => typeof id === 'string' && id);
+}
+
+/**
+ * Compare two access lists
+ */
+function sameAccess(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+class AccessPolicy {
+  constructor() {
+    this.orgId = null; // org whose delegations widen access
+
+    // Processes changed on this device (pulled ones arrive synced, with their access)
+    const onProcessChanged = ({ processId }) => {
+      if (processState.getProcess(processId)?.syncStatus === PROCESS_SYNC_STATUS.PENDING) {
+        this.refresh(processId);
+      }
+    };
+    eventBus.on(EVENTS.PROCESS_CREATED, onProcessChanged);
+    eventBus.on(EVENTS.PROCESS_UPDATED, onProcessChanged);
+
+    // New tasks and comments bring in their participants
+    const onDocsChanged = ({ docs, source }) => {
+      if (source === 'local') {
+        new Set(docs.map(doc => doc.processId)).forEach(processId => this.refresh(processId));
+      }
+    };
+    eventBus.on(EVENTS.TASKS_CHANGED, onDocsChanged);
+    eventBus.on(EVENTS.PROCESS_COMMENTS_CHANGED, onDocsChanged);
+
+    eventBus.on(EVENTS.DELEGATIONS_CHANGED, ({ orgId, source }) => {
+      if (source === 'local' && orgId === this.orgId) {
+        this.refreshAll(orgId);
+      }
+    });
+  }
+
+  /**
+   * Read the view permissions of a definition
+   * @returns {Object|null} { variables, levels, groups }, or null when every member may see its processes
+   */
+  getViewRules(definition) {
+    const view = definition?.metadata?.permissions?.view;
+    if (!Array.isArray(view) || view.length === 0 || view.includes('member')) {
+      return null;
+    }
+
+    const variables = definition.variables || {};
+    const rules = { variables: [], levels: [], groups: [] };
+
+    view.filter(name => !IGNORED_VIEWERS.includes(name)).forEach(name => {
+      const variable = [`${toVariableName(name)}Id`, `${toVariableName(name)}Ids`]
+        .find(variableName => variables[variableName]);
+
+      if (variable) {
+        rules.variables.push(variable);
+      } else if (APPROVAL_HIERARCHY[name]) {
+        rules.levels.push(name);
+      } else {
+        rules.groups.push(name);
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Work out who may see a process
+   * @param {Object} processInstance - Process instance
+   * @returns {Object|null} { users, groups, approvalLevel }, or null when every member may
+   */
+  computeAccess(processInstance) {
+    const rules = this.getViewRules(processService.getProcessDefinition(processInstance));
+    if (!rules) {
+      return null;
+    }
+
+    const tasks = taskService.getTasksForProcess(processInstance._id);
+    const comments = commentService.getComments(processInstance._id);
+
+    const users = new Set(toUserIds(processInstance.metadata?.createdBy));
+    const groups = new Set(rules.groups);
+    const levels = new Set(rules.levels);
+
+    rules.variables.forEach(variable => {
+      toUserIds(processInstance.variables?.[variable]).forEach(id => users.add(id));
+    });
+
+    tasks.forEach(task => {
+      [task.assignee, task.completedBy, ...(task.candidateUsers || []), ...(task.decidedBy || [])]
+        .forEach(id => toUserIds(id).forEach(userId => users.add(userId)));
+      (task.candidateGroups || []).forEach(group => groups.add(group));
+
+      // Unassigned tasks are open to everyone at their level
+      if (!task.assignee) {
+        (task.candidateRoles || []).filter(role => APPROVAL_HIERARCHY[role]).forEach(role => levels.add(role));
+      }
+    });
+
+    comments.forEach(comment => {
+      users.add(comment.authorId);
+      (comment.mentions || []).forEach(mention => users.add(mention.userId));
+    });
+
+    const approvalLevel = Array.from(levels)
+      .sort((a, b) => APPROVAL_HIERARCHY[a] - APPROVAL_HIERARCHY[b])[0] || null;
+
+    if (approvalLevel && APPROVAL_HIERARCHY[approvalLevel] <= APPROVAL_HIERARCHY.member) {
+      return null;
+    }
+
+    // Delegates act for listed users, or with approval rights the process asks for
+    memberService.getDelegations(this.orgId)
+      .filter(d => !d.revokedAt && (users.has(d.delegatorId) ||
+        (approvalLevel && APPROVAL_HIERARCHY[d.approvalLevel] >= APPROVAL_HIERARCHY[approvalLevel])))
+      .forEach(d => users.add(d.delegateId));
+
+    users.delete(undefined);
+    users.delete(null);
+
+    return {
+      users: Array.from(users).sort(),
+      groups: Array.from(groups).sort(),
+      approvalLevel
+    };
+  }
+
+  /**
+   * Recompute the access of a process, storing it on the process, its tasks and comments
+   * when it changed
+   */
+  refresh(processId) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      return;
+    }
+
+    const access = this.computeAccess(processInstance);
+
+    if (!sameAccess(access, processInstance.access)) {
+      processState.updateProcess(processId, { access, syncStatus: PROCESS_SYNC_STATUS.PENDING });
+    }
+
+    taskService.setProcessAccess(processId, access);
+    commentService.setProcessAccess(processId, access);
+  }
+
+  /**
+   * Recompute the access of every process of an organization, e.g. once they are loaded
+   */
+  refreshAll(orgId) {
+    this.orgId = orgId;
+
+    processState.getAllProcesses().forEach(processInstance => {
+      try {
+        this.refresh(processInstance._id);
+      } catch (error) {
+        console.error(`Error refreshing access of process ${processInstance._id}:`, error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+export const accessPolicy = new AccessPolicy();
+
+export default accessPolicy;
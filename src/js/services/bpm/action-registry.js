@@ -0,0 +1,318 @@
+/**
+ * Action Registry
+ * Executes declarative side-effect actions listed in a state's onEnter/onExit, e.g.
+ *   onEnter: [
+ *     { type: 'setVariable', name: 'approvedAt', value: '{{ timestamp() }}' },
+ *     { type: 'notify', initiator: true, title: 'Expense approved', message: 'Amount: {{ amount }}' }
+ *   ]
+ *
+ * String values may contain {{ expression }} placeholders, evaluated with the
+ * expression evaluator against the process and transition context. A failing
+ * action is recorded in the process auditLog and the remaining actions still run,
+ * unless the action sets stopOnError.
+ */
+
+import { expressionEvaluator } from './expression-evaluator.js';
+import { notificationService } from '../notification-service.js';
+import { commentService } from './comment-service.js';
+import { encryptionService } from './encryption-service.js';
+
+// Webhook requests are aborted after this long
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+class ActionRegistry {
+  constructor() {
+    this.handlers = new Map(); // action type -> { execute, required }
+
+    this.register('setVariable', {
+      required: ['name'],
+      execute: (action, processInstance, options) => {
+        processInstance.variables[action.name] = this.interpolate(action.value, processInstance, options.context);
+      }
+    });
+
+    this.register('compute', {
+      required: ['name', 'expression'],
+      validate: (action) => expressionEvaluator.validate(action.expression),
+      execute: (action, processInstance, options) => {
+        processInstance.variables[action.name] = expressionEvaluator.evaluate(
+          action.expression,
+          processInstance,
+          options.context
+        );
+      }
+    });
+
+    this.register('notify', {
+      required: ['title'],
+      validate: (action) => (action.role || action.userId || action.initiator)
+        ? { valid: true }
+        : { valid: false, error: 'notify action needs a role, userId or initiator' },
+      execute: (action, processInstance, options) => {
+        notificationService.notifyProcessMessage(processInstance, {
+          title: this.interpolate(action.title, processInstance, options.context),
+          message: this.interpolate(action.message || '', processInstance, options.context),
+          role: action.role || null,
+          userId: action.initiator
+            ? processInstance.metadata?.createdBy
+            : this.interpolate(action.userId || null, processInstance, options.context),
+          state: options.state
+        });
+      }
+    });
+
+    this.register('createTask', {
+      required: ['message'],
+      execute: (action, processInstance, options) => {
+        processInstance.tasks = processInstance.tasks || [];
+
+        const createdAt = new Date();
+        const task = {
+          id: `${processInstance._id}_task_${processInstance.tasks.length + 1}`,
+          adHoc: true,
+          taskType: action.taskType || 'manual',
+          role: action.role || null,
+          assignee: action.assignee || null,
+          candidateGroups: action.candidateGroups || [],
+          message: this.interpolate(action.message, processInstance, options.context),
+          actionLabel: action.actionLabel || 'Complete',
+          state: options.state,
+          branchId: options.branchId,
+          status: 'pending',
+          createdAt: createdAt.toISOString(),
+          dueAt: action.dueInHours
+            ? new Date(createdAt.getTime() + action.dueInHours * 60 * 60 * 1000).toISOString()
+            : null
+        };
+
+        processInstance.tasks.push(task);
+      }
+    });
+
+    this.register('startSubProcess', {
+      required: ['definitionId'],
+      execute: async (action, processInstance, options) => {
+        // Loaded lazily: the process service depends on the state machine, which depends on this registry
+        const { processService } = await import('./process-service.js');
+
+        const variables = this.interpolateValue(action.variables || {}, processInstance, options.context);
+        Object.entries(action.inputs || {}).forEach(([childVar, parentVar]) => {
+          if (processInstance.variables[parentVar] !== undefined) {
+            variables[childVar] = processInstance.variables[parentVar];
+          }
+        });
+
+        // Detached child: no parent state waits for it, so its completion does not move the parent
+        const child = await processService.createProcess({
+          definitionId: action.definitionId,
+          type: action.processType || processService.getDefinition(action.definitionId)?.type,
+          variables,
+          metadata: { ...processInstance.metadata },
+          parent: { processId: processInstance._id, state: null, branchId: null }
+        });
+
+        processInstance.childIds = [...(processInstance.childIds || []), child._id];
+        options.stateMachine.addAuditEntry(processInstance, 'subprocess_started', {
+          state: options.state,
+          childId: child._id,
+          definitionId: action.definitionId,
+          detached: true
+        });
+      }
+    });
+
+    this.register('webhook', {
+      required: ['url'],
+      execute: async (action, processInstance, options) => {
+        const url = this.interpolate(action.url, processInstance, options.context);
+        let body;
+
+        if (action.body !== undefined) {
+          body = this.interpolateValue(action.body, processInstance, options.context);
+        } else {
+          // Sensitive variables only leave the device when the body names them
+          const { processService } = await import('./process-service.js');
+          const sensitive = encryptionService.getSensitiveVariables(processService.getProcessDefinition(processInstance));
+
+          body = {
+            event: options.hook,
+            processId: processInstance._id,
+            definitionId: processInstance.definitionId,
+            state: options.state,
+            variables: Object.fromEntries(
+              Object.entries(processInstance.variables || {}).filter(([name]) => !sensitive.includes(name))
+            )
+          };
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+        try {
+          const response = await fetch(url, {
+            method: action.method || 'POST',
+            headers: { 'Content-Type': 'application/json', ...(action.headers || {}) },
+            body: JSON.stringify(body),
+            signal: controller.signal
+          });
+
+          if (!response.ok) {
+            throw new Error(`Webhook ${url} responded ${response.status}`);
+          }
+
+          options.stateMachine.addAuditEntry(processInstance, 'webhook_called', {
+            state: options.state,
+            url,
+            status: response.status
+          });
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    });
+
+    this.register('comment', {
+      required: ['text'],
+      execute: async (action, processInstance, options) => {
+        const text = this.interpolate(action.text, processInstance, options.context);
+        await commentService.addSystemComment(processInstance, String(text ?? ''), { state: options.state });
+      }
+    });
+  }
+
+  /**
+   * Register an action type
+   * @param {string} type - Action type used in definitions
+   * @param {Object} handler - { execute(action, processInstance, options), required?, validate? }
+   */
+  register(type, handler) {
+    if (!handler || typeof handler.execute !== 'function') {
+      throw new Error(`Action "${type}" must have an execute function`);
+    }
+
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Check whether an action type is registered
+   */
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Validate a declarative action
+   * @returns {object} { valid, error }
+   */
+  validate(action) {
+    if (!action || typeof action !== 'object' || !action.type) {
+      return { valid: false, error: 'Action must be an object with a type' };
+    }
+
+    const handler = this.handlers.get(action.type);
+    if (!handler) {
+      return { valid: false, error: `Unknown action type "${action.type}"` };
+    }
+
+    const missing = (handler.required || []).filter(field =>
+      action[field] === undefined || action[field] === null || action[field] === ''
+    );
+    if (missing.length > 0) {
+      return { valid: false, error: `${action.type} action is missing ${missing.join(', ')}` };
+    }
+
+    if (action.when) {
+      const validation = expressionEvaluator.validate(action.when);
+      if (!validation.valid) {
+        return validation;
+      }
+    }
+
+    return handler.validate ? handler.validate(action) : { valid: true };
+  }
+
+  /**
+   * Execute a list of actions in order
+   * Actions with a `when` expression only run when it is truthy
+   * @param {Array} actions - Declarative actions
+   * @param {Object} processInstance - Process instance (mutated in place)
+   * @param {Object} options - { stateMachine, state, hook, context, branchId }
+   */
+  async execute(actions, processInstance, options) {
+    const { stateMachine, state, hook, context = {} } = options;
+    processInstance.variables = processInstance.variables || {};
+
+    for (const [index, action] of actions.entries()) {
+      try {
+        if (action.when && !expressionEvaluator.evaluate(action.when, processInstance, context)) {
+          continue;
+        }
+
+        const handler = this.handlers.get(action.type);
+        if (!handler) {
+          throw new Error(`Unknown action type "${action.type}"`);
+        }
+
+        await handler.execute(action, processInstance, { ...options, context });
+      } catch (error) {
+        console.error(`Action ${action.type} failed in ${hook} of "${state}":`, error);
+
+        stateMachine.addAuditEntry(processInstance, 'action_failed', {
+          state,
+          hook,
+          index,
+          actionType: action.type,
+          error: error.message
+        });
+
+        if (action.stopOnError) {
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Replace {{ expression }} placeholders in a string
+   * A string that is a single placeholder keeps the expression's value type
+   */
+  interpolate(template, processInstance, context = {}) {
+    if (typeof template !== 'string' || !template.includes('{{')) {
+      return template;
+    }
+
+    const placeholders = [...template.matchAll(PLACEHOLDER_PATTERN)];
+    if (placeholders.length === 1 && placeholders[0][0] === template.trim()) {
+      return expressionEvaluator.evaluate(placeholders[0][1], processInstance, context);
+    }
+
+    return template.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+      const value = expressionEvaluator.evaluate(expression, processInstance, context);
+      return value === null || value === undefined ? '' : String(value);
+    });
+  }
+
+  /**
+   * Interpolate every string inside an object or array
+   */
+  interpolateValue(value, processInstance, context = {}) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolateValue(item, processInstance, context));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, this.interpolateValue(item, processInstance, context)]
+      ));
+    }
+
+    return this.interpolate(value, processInstance, context);
+  }
+}
+
+// Create singleton instance
+export const actionRegistry = new ActionRegistry();
+
+export default actionRegistry;
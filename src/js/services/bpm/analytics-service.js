@@ -5,7 +5,11 @@
 
 import { processState } from '../../state/process-state.js';
 import { processService } from './process-service.js';
+import { transitionEngine } from './transition-engine.js';
+import { SLA_STATUS } from './sla-policy.js';
+import { calendarService } from './calendar-service.js';
 import { eventBus } from '../../utils/events.js';
+import { businessHoursBetween } from '../../utils/date-utils.js';
 import {
   EVENTS,
   PROCESS_STATUS,
@@ -30,6 +34,9 @@ class AnalyticsService {
     eventBus.on(EVENTS.PROCESS_COMPLETED, () => this.clearCache());
     eventBus.on(EVENTS.PROCESS_CANCELLED, () => this.clearCache());
     eventBus.on(EVENTS.PROCESS_FAILED, () => this.clearCache());
+
+    // Claimed and completed tasks move SLA clocks
+    eventBus.on(EVENTS.TASKS_CHANGED, () => this.clearCache());
   }
 
   /**
@@ -138,10 +145,12 @@ class AnalyticsService {
   /**
    * Calculate average process duration
    * @param {string} definitionId - Optional definition ID filter
+   * @param {Object} options - { businessHours: true, a calendar name or an inline calendar to count working time only }
    * @returns {number} Average duration in milliseconds
    */
-  getProcessDuration(definitionId) {
-    const cacheKey = `duration_${definitionId || 'all'}`;
+  getProcessDuration(definitionId, { businessHours = null } = {}) {
+    const calendar = businessHours ? calendarService.resolve(businessHours) : null;
+    const cacheKey = `duration_${definitionId || 'all'}_${calendar ? JSON.stringify(calendar) : 'elapsed'}`;
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
@@ -156,6 +165,9 @@ class AnalyticsService {
     const durations = completed.map(p => {
       const created = new Date(p.createdAt).getTime();
       const completedAt = new Date(p.completedAt).getTime();
+      if (calendar) {
+        return businessHoursBetween(created, completedAt, calendar) * 60 * 60 * 1000;
+      }
       return completedAt - created;
     });
 
@@ -286,7 +298,7 @@ class AnalyticsService {
       active: assignedProcesses.filter(p => p.status === PROCESS_STATUS.ACTIVE).length,
       pending: assignedProcesses.filter(p => {
         // Processes in states requiring action
-        const stateMachine = processService.getStateMachine(p.definitionId);
+        const stateMachine = processService.getProcessStateMachine(p);
         if (!stateMachine) return false;
 
         const stateConfig = stateMachine.getStateConfig(p.currentState);
@@ -523,7 +535,7 @@ class AnalyticsService {
         'supply_chain_purchase_order', 'operations_sales_order'
       ];
       processes = processes.filter(p => {
-        const def = processService.getDefinition(p.definitionId);
+        const def = processService.getProcessDefinition(p);
         return def && financialTypes.includes(def.type);
       });
     }
@@ -556,7 +568,7 @@ class AnalyticsService {
     };
 
     processes.forEach(process => {
-      const def = processService.getDefinition(process.definitionId);
+      const def = processService.getProcessDefinition(process);
       if (!def) return;
 
       const amount = process.variables?.amount ||
@@ -715,76 +727,80 @@ class AnalyticsService {
 
   /**
    * Get SLA compliance metrics (Phase 5)
+   * Built from the SLA records of each process (see slaPolicy.buildRecord); a
+   * process counts as breached if any of its records is, at risk if any is
    * @param {object} filters - Filter criteria
-   * @returns {object} SLA compliance data
+   * @returns {object} SLA compliance data, with the records themselves
    */
   getSLACompliance(filters = {}) {
     const cacheKey = `sla_${JSON.stringify(filters)}`;
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
-    const processes = this.getFilteredProcesses(filters);
-
     const result = {
-      total: processes.length,
+      total: 0,
       onTime: 0,
       breached: 0,
       atRisk: 0,
       complianceRate: 0,
       averageResponseTime: 0,
+      averageResolutionTime: 0,
       breachesByCategory: {},
-      breachesByType: {}
+      breachesByType: {},
+      byScope: {},
+      records: []
     };
 
-    let totalResponseTime = 0;
-    let responseCount = 0;
+    const responseTimes = [];
+    const resolutionTimes = [];
+    const now = Date.now();
 
-    processes.forEach(process => {
-      const def = processService.getDefinition(process.definitionId);
+    this.getFilteredProcesses(filters).forEach(process => {
+      const def = processService.getProcessDefinition(process);
       if (!def) return;
 
-      // Check if process has SLA deadline
-      const deadline = process.variables?.deadline ||
-                      process.variables?.dueDate ||
-                      process.variables?.slaDeadline ||
-                      process.variables?.completionDeadline;
-
-      if (deadline) {
-        const deadlineTime = new Date(deadline).getTime();
-        const now = Date.now();
-        const completedTime = process.completedAt ? new Date(process.completedAt).getTime() : now;
-
-        // Calculate response time
-        const createdTime = new Date(process.createdAt).getTime();
-        const responseTime = completedTime - createdTime;
-        totalResponseTime += responseTime;
-        responseCount++;
-
-        // Check SLA compliance
-        if (process.status === PROCESS_STATUS.COMPLETED) {
-          if (completedTime <= deadlineTime) {
-            result.onTime++;
-          } else {
-            result.breached++;
-
-            // Track breaches by category
-            const category = def.metadata?.category || 'uncategorized';
-            result.breachesByCategory[category] = (result.breachesByCategory[category] || 0) + 1;
-
-            // Track breaches by type
-            result.breachesByType[def.type] = (result.breachesByType[def.type] || 0) + 1;
-          }
-        } else if (process.status === PROCESS_STATUS.ACTIVE) {
-          // Check if at risk
-          const timeRemaining = deadlineTime - now;
-          const avgDuration = this.getProcessDuration(process.definitionId).average;
-
-          if (timeRemaining < avgDuration * 0.5) {
-            result.atRisk++;
-          } else {
-            result.onTime++;
-          }
+      const records = transitionEngine.getSLARecords(process, now)
+        .filter(record => record.status !== SLA_STATUS.CANCELLED);
+      if (records.length === 0) return;
+
+      records.forEach(record => {
+        result.records.push({
+          ...record,
+          processId: process._id,
+          definitionId: process.definitionId,
+          processType: def.type
+        });
+
+        const scope = result.byScope[record.scope] || { total: 0, breached: 0, atRisk: 0 };
+        scope.total++;
+        if (record.status === SLA_STATUS.BREACHED) scope.breached++;
+        if (record.status === SLA_STATUS.AT_RISK) scope.atRisk++;
+        result.byScope[record.scope] = scope;
+
+        const startedTime = new Date(record.startedAt).getTime();
+        if (record.response?.completedAt) {
+          responseTimes.push(new Date(record.response.completedAt).getTime() - startedTime);
         }
+        if (record.resolution?.completedAt) {
+          resolutionTimes.push(new Date(record.resolution.completedAt).getTime() - startedTime);
+        }
+      });
+
+      result.total++;
+
+      if (records.some(record => record.status === SLA_STATUS.BREACHED)) {
+        result.breached++;
+
+        // Track breaches by category
+        const category = def.metadata?.category || 'uncategorized';
+        result.breachesByCategory[category] = (result.breachesByCategory[category] || 0) + 1;
+
+        // Track breaches by type
+        result.breachesByType[def.type] = (result.breachesByType[def.type] || 0) + 1;
+      } else if (records.some(record => record.status === SLA_STATUS.AT_RISK)) {
+        result.atRisk++;
+      } else {
+        result.onTime++;
       }
     });
 
@@ -792,9 +808,9 @@ class AnalyticsService {
       ? (result.onTime / result.total) * 100
       : 0;
 
-    result.averageResponseTime = responseCount > 0
-      ? totalResponseTime / responseCount
-      : 0;
+    const average = (times) => times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
+    result.averageResponseTime = average(responseTimes);
+    result.averageResolutionTime = average(resolutionTimes);
 
     this.setCache(cacheKey, result);
     return result;
@@ -912,9 +928,9 @@ class AnalyticsService {
           workload[userId].activeProcesses++;
 
           // Check if action is required
-          const def = processService.getDefinition(process.definitionId);
+          const def = processService.getProcessDefinition(process);
           if (def) {
-            const stateMachine = processService.getStateMachine(process.definitionId);
+            const stateMachine = processService.getProcessStateMachine(process);
             if (stateMachine) {
               const stateConfig = stateMachine.getStateConfig(process.currentState);
               if (stateConfig?.requiredActions?.length > 0) {
@@ -0,0 +1,324 @@
+/**
+ * Approval Policy
+ * Declarative rules for approvals that need more than one decision, set as
+ * `policy` on an approval required action:
+ *
+ *   Sequential chain, one step per level, each step only when its condition holds
+ *     { type: 'sequential', steps: [{ level: 'manager' }, { level: 'director', when: 'amount >= 5000' }] }
+ *   Sequential chain from amount thresholds (levels whose threshold the amount reaches)
+ *     { type: 'sequential', amountField: 'amount', thresholds: { manager: 0, director: 5000, executive: 50000 } }
+ *   Quorum: any `required` of the listed approvers, or of the members at a level
+ *     { type: 'quorum', required: 2, approvers: ['u1', 'u2', '{{ reviewerId }}'] }
+ *     { type: 'quorum', required: 2, level: 'director', rejectionLimit: 1 }
+ *   Unanimous: every listed approver
+ *     { type: 'unanimous', approvers: ['u1', 'u2'] }
+ *
+ * A policy is resolved against the process when its task is created, so later
+ * variable changes do not move the goalposts. Approvers that resolve to too few
+ * users to ever decide it fall back to the quorum's `level`, if it has one;
+ * otherwise the process is not let into the state (see
+ * StateMachine.checkApprovalPolicies). Each user decides at most once,
+ * whether in their own right or on behalf of a member who delegated to them;
+ * a rejection at any step of a sequential chain rejects the approval.
+ */
+
+import { actionRegistry } from './action-registry.js';
+import { expressionEvaluator } from './expression-evaluator.js';
+import { hasApprovalPermission } from '../../utils/helpers.js';
+import { APPROVAL_HIERARCHY } from '../../config/constants.js';
+
+export const APPROVAL_POLICY_TYPES = {
+  SEQUENTIAL: 'sequential',
+  QUORUM: 'quorum',
+  UNANIMOUS: 'unanimous'
+};
+
+export const APPROVAL_OUTCOMES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+class ApprovalPolicy {
+  /**
+   * Validate a policy declaration
+   * @returns {object} { valid, error }
+   */
+  validate(policy) {
+    if (!policy || typeof policy !== 'object') {
+      return { valid: false, error: 'Approval policy must be an object' };
+    }
+
+    const levelError = (level) => APPROVAL_HIERARCHY[level] ? null : `unknown approval level "${level}"`;
+
+    switch (policy.type) {
+      case APPROVAL_POLICY_TYPES.SEQUENTIAL: {
+        if (policy.thresholds) {
+          if (!policy.amountField) {
+            return { valid: false, error: 'Sequential policy with thresholds needs an amountField' };
+          }
+          const error = Object.keys(policy.thresholds).map(levelError).find(Boolean);
+          if (error) {
+            return { valid: false, error: `Sequential policy has ${error}` };
+          }
+          return { valid: true };
+        }
+
+        if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+          return { valid: false, error: 'Sequential policy needs steps or thresholds' };
+        }
+
+        for (const step of policy.steps) {
+          const error = levelError(step.level);
+          if (error) {
+            return { valid: false, error: `Sequential policy step has ${error}` };
+          }
+          if (step.when) {
+            const validation = expressionEvaluator.validate(step.when);
+            if (!validation.valid) {
+              return validation;
+            }
+          }
+        }
+        return { valid: true };
+      }
+
+      case APPROVAL_POLICY_TYPES.QUORUM:
+      case APPROVAL_POLICY_TYPES.UNANIMOUS: {
+        const hasApprovers = Array.isArray(policy.approvers) && policy.approvers.length > 0;
+
+        if (policy.type === APPROVAL_POLICY_TYPES.UNANIMOUS && !hasApprovers) {
+          return { valid: false, error: 'Unanimous policy needs a list of approvers' };
+        }
+        if (!hasApprovers && !policy.level) {
+          return { valid: false, error: 'Quorum policy needs approvers or a level' };
+        }
+        if (policy.level && levelError(policy.level)) {
+          return { valid: false, error: `Quorum policy has ${levelError(policy.level)}` };
+        }
+        if (policy.type === APPROVAL_POLICY_TYPES.QUORUM &&
+            !(Number.isInteger(policy.required) && policy.required > 0)) {
+          return { valid: false, error: 'Quorum policy needs a positive required count' };
+        }
+        return { valid: true };
+      }
+
+      default:
+        return { valid: false, error: `Unknown approval policy type "${policy.type}"` };
+    }
+  }
+
+  /**
+   * Resolve a policy against a process into the fixed form stored on its task
+   */
+  resolve(policy, processInstance) {
+    const base = {
+      type: policy.type,
+      onApproved: policy.onApproved || null,
+      onRejected: policy.onRejected || null
+    };
+
+    if (policy.type === APPROVAL_POLICY_TYPES.SEQUENTIAL) {
+      return { ...base, steps: this.resolveSteps(policy, processInstance) };
+    }
+
+    let approvers = policy.approvers ? this.resolveApprovers(policy.approvers, processInstance) : null;
+    const needed = policy.type === APPROVAL_POLICY_TYPES.QUORUM ? policy.required : 1;
+
+    // Too few approvers could never decide the approval, leaving the process stuck
+    if (approvers && approvers.length < needed) {
+      if (policy.type !== APPROVAL_POLICY_TYPES.QUORUM || !policy.level) {
+        throw new Error(
+          `Approval policy of process ${processInstance._id} resolved to ${approvers.length} approver(s), ` +
+          `${needed} needed`
+        );
+      }
+
+      console.warn(
+        `Approval policy of process ${processInstance._id} resolved to ${approvers.length} approver(s), ` +
+        `falling back to ${policy.level} level`
+      );
+      approvers = null;
+    }
+
+    if (policy.type === APPROVAL_POLICY_TYPES.UNANIMOUS) {
+      return { ...base, approvers };
+    }
+
+    return {
+      ...base,
+      required: policy.required,
+      approvers,
+      level: policy.level || null,
+      rejectionLimit: policy.rejectionLimit || 1
+    };
+  }
+
+  /**
+   * Pick the steps of a sequential chain that apply to the process
+   * Falls back to the first step so a chain never resolves empty
+   */
+  resolveSteps(policy, processInstance) {
+    let steps;
+
+    if (policy.thresholds) {
+      const amount = Number(processInstance.variables?.[policy.amountField]) || 0;
+      steps = Object.entries(policy.thresholds)
+        .sort(([a], [b]) => APPROVAL_HIERARCHY[a] - APPROVAL_HIERARCHY[b])
+        .filter(([, threshold]) => amount >= threshold)
+        .map(([level]) => ({ level }));
+
+      if (steps.length === 0) {
+        const [lowest] = Object.keys(policy.thresholds)
+          .sort((a, b) => APPROVAL_HIERARCHY[a] - APPROVAL_HIERARCHY[b]);
+        steps = [{ level: lowest }];
+      }
+    } else {
+      steps = policy.steps
+        .filter(step => !step.when || expressionEvaluator.evaluate(step.when, processInstance))
+        .map(({ level, label }) => ({ level, ...(label && { label }) }));
+
+      if (steps.length === 0) {
+        const { level, label } = policy.steps[0];
+        steps = [{ level, ...(label && { label }) }];
+      }
+    }
+
+    return steps;
+  }
+
+  /**
+   * Resolve approver entries; {{ expression }} entries may yield an ID or a list of IDs
+   */
+  resolveApprovers(entries, processInstance) {
+    const ids = entries.flatMap(entry => {
+      const value = actionRegistry.interpolate(entry, processInstance);
+      return Array.isArray(value) ? value : [value];
+    });
+
+    return [...new Set(ids.filter(Boolean).map(String))];
+  }
+
+  /**
+   * Evaluate the decisions made so far
+   * @param {object} approval - Resolved policy
+   * @param {Array} decisions - [{ userId, approved }]
+   * @returns {string} APPROVAL_OUTCOMES value
+   */
+  evaluate(approval, decisions = []) {
+    const approvals = decisions.filter(d => d.approved).length;
+    const rejections = decisions.length - approvals;
+
+    switch (approval.type) {
+      case APPROVAL_POLICY_TYPES.SEQUENTIAL:
+        if (rejections > 0) return APPROVAL_OUTCOMES.REJECTED;
+        return approvals >= approval.steps.length ? APPROVAL_OUTCOMES.APPROVED : APPROVAL_OUTCOMES.PENDING;
+
+      case APPROVAL_POLICY_TYPES.UNANIMOUS:
+        if (rejections > 0) return APPROVAL_OUTCOMES.REJECTED;
+        return approvals >= approval.approvers.length ? APPROVAL_OUTCOMES.APPROVED : APPROVAL_OUTCOMES.PENDING;
+
+      case APPROVAL_POLICY_TYPES.QUORUM:
+        if (approvals >= approval.required) return APPROVAL_OUTCOMES.APPROVED;
+        // A named pool is rejected once the quorum can no longer be reached
+        if (approval.approvers) {
+          return approval.approvers.length - rejections < approval.required
+            ? APPROVAL_OUTCOMES.REJECTED
+            : APPROVAL_OUTCOMES.PENDING;
+        }
+        return rejections >= approval.rejectionLimit ? APPROVAL_OUTCOMES.REJECTED : APPROVAL_OUTCOMES.PENDING;
+
+      default:
+        throw new Error(`Unknown approval policy type "${approval.type}"`);
+    }
+  }
+
+  /**
+   * Get the current step of a sequential chain
+   */
+  getCurrentStep(approval, decisions = []) {
+    if (approval.type !== APPROVAL_POLICY_TYPES.SEQUENTIAL) {
+      return null;
+    }
+
+    const index = decisions.filter(d => d.approved).length;
+    return index < approval.steps.length ? { index, ...approval.steps[index] } : null;
+  }
+
+  /**
+   * Check whether a user may record the next decision
+   * @returns {object} { allowed, reason }
+   */
+  canDecide(approval, decisions = [], userId, userLevel = null) {
+    if (this.evaluate(approval, decisions) !== APPROVAL_OUTCOMES.PENDING) {
+      return { allowed: false, reason: 'Approval is already decided' };
+    }
+
+    if (decisions.some(d => d.userId === userId || d.onBehalfOf === userId)) {
+      return { allowed: false, reason: 'User has already decided on this approval' };
+    }
+
+    if (approval.type === APPROVAL_POLICY_TYPES.SEQUENTIAL) {
+      const step = this.getCurrentStep(approval, decisions);
+      return hasApprovalPermission(userLevel, step.level)
+        ? { allowed: true }
+        : { allowed: false, reason: `Awaiting ${step.level} approval` };
+    }
+
+    if (approval.approvers) {
+      return approval.approvers.includes(userId)
+        ? { allowed: true }
+        : { allowed: false, reason: 'User is not an approver' };
+    }
+
+    return hasApprovalPermission(userLevel, approval.level)
+      ? { allowed: true }
+      : { allowed: false, reason: `Requires ${approval.level} approval level` };
+  }
+
+  /**
+   * Get who may decide next, in task candidate form
+   * @returns {object} { candidateRoles, candidateUsers }
+   */
+  getCandidates(approval, decisions = []) {
+    const decided = new Set(decisions.flatMap(d => [d.userId, d.onBehalfOf]));
+
+    if (approval.type === APPROVAL_POLICY_TYPES.SEQUENTIAL) {
+      const step = this.getCurrentStep(approval, decisions);
+      return { candidateRoles: step ? [step.level] : [], candidateUsers: [] };
+    }
+
+    if (approval.approvers) {
+      return { candidateRoles: [], candidateUsers: approval.approvers.filter(id => !decided.has(id)) };
+    }
+
+    return { candidateRoles: [approval.level], candidateUsers: [] };
+  }
+
+  /**
+   * Describe the progress of an approval, e.g. "Step 2 of 3: director"
+   */
+  describe(approval, decisions = []) {
+    const approvals = decisions.filter(d => d.approved).length;
+
+    switch (approval.type) {
+      case APPROVAL_POLICY_TYPES.SEQUENTIAL: {
+        const step = this.getCurrentStep(approval, decisions);
+        return step
+          ? `Step ${step.index + 1} of ${approval.steps.length}: ${step.label || step.level}`
+          : `${approval.steps.length} of ${approval.steps.length} steps approved`;
+      }
+
+      case APPROVAL_POLICY_TYPES.UNANIMOUS:
+        return `${approvals} of ${approval.approvers.length} approvers`;
+
+      default:
+        return `${approvals} of ${approval.required} approvals needed`;
+    }
+  }
+}
+
+// Create singleton instance
+export const approvalPolicy = new ApprovalPolicy();
+
+export default approvalPolicy;
@@ -0,0 +1,236 @@
+/**
+ * Calendar Service
+ * Working calendars of an organization: weekly working hours, time zone and
+ * holidays. Stored as `calendar` documents in the org database and synced
+ * like tasks. Timers, SLAs and analytics refer to a calendar by name, with
+ * `true` meaning the organization's "default" calendar:
+ *
+ *   await calendarService.saveCalendar(orgId, {
+ *     name: 'default',
+ *     days: [1, 2, 3, 4, 5],
+ *     start: 9.5,
+ *     end: 18,
+ *     timezone: 'Asia/Kolkata',
+ *     holidaySets: ['IN'],
+ *     holidays: [{ date: '2026-11-08', name: 'Diwali' }]
+ *   });
+ */
+
+import { processPersistence } from './process-persistence.js';
+import { memberService } from '../member-service.js';
+import { authState } from '../../state/auth-state.js';
+import { eventBus } from '../../utils/events.js';
+import { DEFAULT_BUSINESS_HOURS } from '../../utils/date-utils.js';
+import { getHolidaysByCountry } from '../../data/holidays-seed.js';
+import { DOC_TYPES, EVENTS } from '../../config/constants.js';
+
+export const DEFAULT_CALENDAR = 'default';
+
+const HOLIDAY_DATE_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+class CalendarService {
+  constructor() {
+    this.calendars = new Map(); // orgId -> Map(name -> calendar document)
+    this.orgId = null; // org whose calendars apply when none is given
+
+    // Calendars edited on another device
+    eventBus.on(EVENTS.PROCESS_CALENDARS_CHANGED, ({ orgId, docs, source }) => {
+      if (source !== 'sync') {
+        return;
+      }
+
+      const calendars = this.getOrgCalendars(orgId);
+      docs.forEach(doc => {
+        // Deletions written before calendars were named on them only carry the ID
+        const name = doc.name || doc._id.slice(`${DOC_TYPES.CALENDAR}:`.length);
+        if (doc._deleted) {
+          calendars.delete(name);
+        } else {
+          calendars.set(name, doc);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the calendar cache of an organization
+   */
+  getOrgCalendars(orgId) {
+    if (!this.calendars.has(orgId)) {
+      this.calendars.set(orgId, new Map());
+    }
+    return this.calendars.get(orgId);
+  }
+
+  /**
+   * Load the calendar documents of an organization and make it the current one
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array>} Calendars
+   */
+  async loadCalendars(orgId) {
+    const docs = await processPersistence.loadCalendars(orgId);
+    this.calendars.set(orgId, new Map(docs.map(doc => [doc.name, doc])));
+    this.orgId = orgId;
+    return docs;
+  }
+
+  /**
+   * Validate a calendar
+   * @returns {object} { valid, error }
+   */
+  validate(calendar) {
+    if (!calendar || typeof calendar !== 'object') {
+      return { valid: false, error: 'Calendar must be an object' };
+    }
+
+    const { days, start, end } = { ...DEFAULT_BUSINESS_HOURS, ...calendar };
+
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { valid: false, error: 'Calendar days must list weekdays from 0 (Sunday) to 6' };
+    }
+
+    if (!(start >= 0 && end <= 24 && end > start)) {
+      return { valid: false, error: 'Calendar hours must end after they start, within a day' };
+    }
+
+    if (calendar.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: calendar.timezone });
+      } catch (error) {
+        return { valid: false, error: `Unknown time zone "${calendar.timezone}"` };
+      }
+    }
+
+    const unknownSet = (calendar.holidaySets || []).find(code => getHolidaysByCountry(code).length === 0);
+    if (unknownSet) {
+      return { valid: false, error: `Unknown holiday set "${unknownSet}"` };
+    }
+
+    const badHoliday = (calendar.holidays || []).find(holiday =>
+      !HOLIDAY_DATE_PATTERN.test(typeof holiday === 'string' ? holiday : holiday?.date)
+    );
+    if (badHoliday) {
+      return { valid: false, error: 'Holidays must be dated YYYY-MM-DD or MM-DD' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Create or replace a named calendar (admins only)
+   * @param {string} orgId - Organization ID
+   * @param {Object} calendar - { name, days, start, end, timezone, holidaySets, holidays }
+   * @returns {Promise<Object>} Calendar document
+   */
+  async saveCalendar(orgId, calendar) {
+    await this.assertCanManage(orgId);
+
+    const name = calendar.name || DEFAULT_CALENDAR;
+    const validation = this.validate(calendar);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const { days, start, end } = { ...DEFAULT_BUSINESS_HOURS, ...calendar };
+    const doc = {
+      type: DOC_TYPES.CALENDAR,
+      orgId,
+      name,
+      days: [...days].sort((a, b) => a - b),
+      start,
+      end,
+      timezone: calendar.timezone || null,
+      holidaySets: calendar.holidaySets || [],
+      holidays: (calendar.holidays || []).map(holiday =>
+        typeof holiday === 'string' ? { date: holiday, name: '' } : { date: holiday.date, name: holiday.name || '' }
+      ),
+      updatedBy: authState.getUser()?.id || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    const saved = await processPersistence.saveCalendar(orgId, doc);
+    this.getOrgCalendars(orgId).set(name, saved);
+
+    eventBus.emit(EVENTS.PROCESS_CALENDARS_CHANGED, { orgId, docs: [saved], source: 'local' });
+
+    return saved;
+  }
+
+  /**
+   * Delete a named calendar (admins only)
+   */
+  async deleteCalendar(orgId, name) {
+    await this.assertCanManage(orgId);
+
+    if (!this.getOrgCalendars(orgId).has(name)) {
+      throw new Error(`Calendar not found: ${name}`);
+    }
+
+    const tombstone = await processPersistence.deleteCalendar(orgId, name);
+    this.getOrgCalendars(orgId).delete(name);
+
+    eventBus.emit(EVENTS.PROCESS_CALENDARS_CHANGED, {
+      orgId,
+      docs: [tombstone || { type: DOC_TYPES.CALENDAR, name, _deleted: true }],
+      source: 'local'
+    });
+  }
+
+  /**
+   * Throw unless the current user may manage the organization's calendars
+   */
+  async assertCanManage(orgId) {
+    const membership = await memberService.getMemberByUserId(orgId, authState.getUser()?.id);
+    if (!membership || !memberService.canManageMembers(membership.role)) {
+      throw new Error('Insufficient permissions to manage calendars');
+    }
+  }
+
+  /**
+   * Get the calendars of an organization
+   */
+  getCalendars(orgId = this.orgId) {
+    return Array.from(this.getOrgCalendars(orgId).values());
+  }
+
+  /**
+   * Get a named calendar document, or null
+   */
+  getCalendar(name = DEFAULT_CALENDAR, orgId = this.orgId) {
+    return this.getOrgCalendars(orgId).get(name) || null;
+  }
+
+  /**
+   * Resolve a calendar reference into the form the date-utils business functions take
+   * @param {boolean|string|Object} ref - true for the default calendar, a calendar name, or an inline calendar
+   * @param {string} orgId - Organization ID (current organization by default)
+   * @returns {object} { days, start, end, timezone, holidays: ['YYYY-MM-DD' | 'MM-DD'] }
+   */
+  resolve(ref = true, orgId = this.orgId) {
+    let calendar = ref;
+
+    if (ref === true || typeof ref === 'string') {
+      const name = ref === true ? DEFAULT_CALENDAR : ref;
+      calendar = this.getCalendar(name, orgId);
+
+      if (!calendar) {
+        if (name !== DEFAULT_CALENDAR) {
+          console.warn(`Calendar "${name}" not found, using the default working week`);
+        }
+        calendar = this.getCalendar(DEFAULT_CALENDAR, orgId) || DEFAULT_BUSINESS_HOURS;
+      }
+    }
+
+    const { days, start, end } = { ...DEFAULT_BUSINESS_HOURS, ...calendar };
+    const holidays = (calendar.holidaySets || [])
+      .flatMap(code => getHolidaysByCountry(code).map(holiday => holiday.date))
+      .concat((calendar.holidays || []).map(holiday => typeof holiday === 'string' ? holiday : holiday.date));
+
+    return { days, start, end, timezone: calendar.timezone || null, holidays };
+  }
+}
+
+// Create singleton instance
+export const calendarService = new CalendarService();
+
+export default calendarService;
@@ -0,0 +1,287 @@
+/**
+ * Comment Service
+ * Discussion threads on process instances. Each comment is a `comment`
+ * document in the org database, synced like tasks. @username mentions are
+ * resolved through the user lookup when a comment is posted or edited, and
+ * mentioned users are notified once the comment reaches their device.
+ */
+
+import { processState } from '../../state/process-state.js';
+import { processService } from './process-service.js';
+import { processPersistence } from './process-persistence.js';
+import { userLookupService } from '../../components/user-lookup-input.js';
+import { authState } from '../../state/auth-state.js';
+import { eventBus } from '../../utils/events.js';
+import { generateUUID } from '../../utils/helpers.js';
+import { notificationService } from '../notification-service.js';
+import { DOC_TYPES, EVENTS, COMMENT_EDIT_WINDOW } from '../../config/constants.js';
+
+// @username, not preceded by a word character (so e-mail addresses are not mentions)
+const MENTION_PATTERN = /(^|[^\w@])@([a-z0-9_]+)/gi;
+
+class CommentService {
+  constructor() {
+    this.comments = new Map(); // commentId -> comment document
+    this.orgId = null; // org whose database holds the comment documents
+
+    // Comments posted or edited on another device
+    eventBus.on(EVENTS.PROCESS_COMMENTS_CHANGED, ({ orgId, docs, source }) => {
+      if (source === 'sync' && orgId === this.orgId) {
+        docs.forEach(doc => this.applyDocument(doc));
+      }
+    });
+  }
+
+  /**
+   * Load the comment documents of an organization
+   */
+  async loadComments(orgId) {
+    this.comments.clear();
+    this.orgId = orgId;
+
+    const docs = await processPersistence.loadComments(orgId);
+    docs.forEach(doc => this.comments.set(doc._id, doc));
+
+    return docs;
+  }
+
+  /**
+   * Take in a comment document written on another device
+   * The local version wins if it was edited later
+   */
+  applyDocument(doc) {
+    const current = this.comments.get(doc._id);
+    if (current && (current.editedAt || current.createdAt) > (doc.editedAt || doc.createdAt)) {
+      return;
+    }
+
+    this.comments.set(doc._id, doc);
+    this.notifyIfMentioned(doc, current);
+  }
+
+  /**
+   * Get the comments on a process, oldest first
+   */
+  getComments(processId) {
+    return Array.from(this.comments.values())
+      .filter(comment => comment.processId === processId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Get a comment by ID
+   */
+  getComment(commentId) {
+    return this.comments.get(commentId) || null;
+  }
+
+  /**
+   * Get the distinct usernames mentioned in a text
+   */
+  parseMentions(text) {
+    const usernames = Array.from(text.matchAll(MENTION_PATTERN), match => match[2].toLowerCase());
+    return [...new Set(usernames)];
+  }
+
+  /**
+   * Resolve the mentions in a text to users; unknown usernames are left as plain text
+   * @returns {Promise<Array>} [{ userId, username, name }]
+   */
+  async resolveMentions(text) {
+    const mentions = await Promise.all(this.parseMentions(text).map(async (username) => {
+      const result = await userLookupService.verify(username);
+
+      // The lookup falls back to the closest match; a mention must name the user exactly
+      if (!result.success || result.user.username?.toLowerCase() !== username) {
+        return null;
+      }
+
+      return { userId: result.user.id, username: result.user.username, name: result.user.name || username };
+    }));
+
+    return mentions.filter(Boolean);
+  }
+
+  /**
+   * Post a comment on a process as the current user
+   * @param {string} processId - Process ID
+   * @param {string} text - Comment text, which may @mention users
+   * @returns {Promise<Object>} Comment document
+   */
+  async addComment(processId, text) {
+    const user = authState.getUser();
+    if (!user) {
+      throw new Error('You must be signed in to comment');
+    }
+
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    const body = (text || '').trim();
+    if (!body) {
+      throw new Error('Comment cannot be empty');
+    }
+
+    const doc = {
+      _id: `${DOC_TYPES.COMMENT}:${processId}:${generateUUID()}`,
+      type: DOC_TYPES.COMMENT,
+      orgId: this.orgId,
+      processId,
+      access: processInstance.access || null,
+      authorId: user.id,
+      authorName: user.name || user.username || user.id,
+      text: body,
+      mentions: await this.resolveMentions(body),
+      createdAt: new Date().toISOString(),
+      editedAt: null
+    };
+
+    return this.saveComment(doc);
+  }
+
+  /**
+   * Post a comment from the process itself, such as a definition's `comment` action
+   * It is written as the user whose action triggered it, as the server requires,
+   * but shown as the system's and cannot be edited
+   * @param {Object} processInstance - Process instance, which may not be in processState yet
+   * @param {string} text - Comment text
+   * @param {Object} options - { state: state the process was in }
+   * @returns {Promise<Object>} Comment document
+   */
+  async addSystemComment(processInstance, text, { state = null } = {}) {
+    const body = (text || '').trim();
+    if (!body) {
+      throw new Error('Comment cannot be empty');
+    }
+
+    const doc = {
+      _id: `${DOC_TYPES.COMMENT}:${processInstance._id}:${generateUUID()}`,
+      type: DOC_TYPES.COMMENT,
+      orgId: this.orgId,
+      processId: processInstance._id,
+      access: processInstance.access || null,
+      authorId: authState.getUser()?.id || null,
+      authorName: 'System',
+      system: true,
+      state,
+      text: body,
+      mentions: [],
+      createdAt: new Date().toISOString(),
+      editedAt: null
+    };
+
+    return this.saveComment(doc);
+  }
+
+  /**
+   * Check whether a user may still edit a comment: only its author, within the edit window
+   * System comments are never edited
+   */
+  canEdit(comment, userId, now = Date.now()) {
+    return !!comment && !comment.system && comment.authorId === userId &&
+      now - new Date(comment.createdAt).getTime() <= COMMENT_EDIT_WINDOW;
+  }
+
+  /**
+   * Change the text of one of the current user's comments
+   * Users mentioned for the first time by the edit are notified
+   * @returns {Promise<Object>} Comment document
+   */
+  async editComment(commentId, text) {
+    const comment = this.getComment(commentId);
+    if (!comment) {
+      throw new Error(`Comment not found: ${commentId}`);
+    }
+
+    const user = authState.getUser();
+    if (comment.system || comment.authorId !== user?.id) {
+      throw new Error('Only the author can edit a comment');
+    }
+
+    if (!this.canEdit(comment, user.id)) {
+      throw new Error('Comments can only be edited shortly after they are posted');
+    }
+
+    const body = (text || '').trim();
+    if (!body) {
+      throw new Error('Comment cannot be empty');
+    }
+
+    return this.saveComment({
+      ...comment,
+      text: body,
+      mentions: await this.resolveMentions(body),
+      editedAt: new Date().toISOString()
+    }, comment);
+  }
+
+  /**
+   * Persist a comment, then let the page and the mentioned users know
+   */
+  async saveComment(doc, previous = null) {
+    const saved = this.orgId ? await processPersistence.saveComment(this.orgId, doc) : doc;
+    this.comments.set(saved._id, saved);
+
+    eventBus.emit(EVENTS.PROCESS_COMMENTS_CHANGED, { orgId: this.orgId, docs: [saved], source: 'local' });
+
+    this.notifyIfMentioned(saved, previous);
+
+    return saved;
+  }
+
+  /**
+   * Copy the access list of a process to its comments, so they replicate to the same members
+   */
+  setProcessAccess(processId, access) {
+    this.getComments(processId)
+      .filter(comment => JSON.stringify(comment.access || null) !== JSON.stringify(access || null))
+      .forEach(comment => {
+        const updated = { ...comment, access };
+        this.comments.set(updated._id, updated);
+
+        if (this.orgId) {
+          processPersistence.saveComment(this.orgId, updated)
+            .then(saved => {
+              const current = this.comments.get(saved._id);
+              if (current) {
+                current._rev = saved._rev;
+              }
+            })
+            .catch(error => console.error(`Error saving access of comment ${comment._id}:`, error));
+        }
+      });
+  }
+
+  /**
+   * Notify the current user about a comment that newly mentions them
+   */
+  notifyIfMentioned(comment, previous = null) {
+    const currentUser = authState.getUser();
+    if (!currentUser || comment.authorId === currentUser.id) {
+      return;
+    }
+
+    const mentioned = (c) => (c?.mentions || []).some(m => m.userId === currentUser.id);
+    const processInstance = processState.getProcess(comment.processId);
+
+    if (!mentioned(comment) || mentioned(previous) || !processInstance) {
+      return;
+    }
+
+    try {
+      notificationService.notifyMentioned(comment, {
+        ...processInstance,
+        definition: processService.getProcessDefinition(processInstance)
+      });
+    } catch (err) {
+      console.warn('Failed to send mention notification:', err);
+    }
+  }
+}
+
+// Create singleton instance
+export const commentService = new CommentService();
+
+export default commentService;
@@ -0,0 +1,161 @@
+/**
+ * Computed Variables
+ * Variables whose value is a formula over other variables, written in the
+ * expression language (see expression-evaluator.js):
+ *
+ *   variables: {
+ *     items: { type: 'array' },
+ *     taxRate: { type: 'number', min: 0, max: 100 },
+ *     subtotal: { type: 'number', computed: "sumProduct(items, 'quantity', 'unitPrice')" },
+ *     taxAmount: { type: 'number', computed: 'round(subtotal * taxRate / 100, 2)' },
+ *     totalDays: { type: 'number', computed: 'daysBetween(startDate, endDate) + 1' }
+ *   }
+ *
+ * Computed variables are recalculated when a process is created and whenever its
+ * variables are updated, and are shown read-only in generated forms. They may
+ * build on each other, but not in a cycle.
+ */
+
+import { expressionEvaluator } from './expression-evaluator.js';
+
+/**
+ * Read form and stored values as the types of their schema, so that "5" + "2" adds
+ */
+function coerce(fieldSchema, value) {
+  if ((fieldSchema?.type === 'number' || fieldSchema?.type === 'integer') &&
+      typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  if (fieldSchema?.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+class ComputedVariables {
+  /**
+   * Get the variables a computed variable depends on
+   */
+  getDependencies(schema, fieldName) {
+    return expressionEvaluator.getVariableNames(schema[fieldName].computed);
+  }
+
+  /**
+   * Get the computed variables of a schema, each after those it depends on
+   * @throws {Error} When computed variables depend on each other in a cycle
+   */
+  getComputedFields(schema = {}) {
+    const ordered = [];
+    const visiting = new Set();
+
+    const visit = (fieldName, path) => {
+      if (ordered.includes(fieldName)) return;
+      if (visiting.has(fieldName)) {
+        throw new Error(`Computed variables depend on each other: ${[...path, fieldName].join(' -> ')}`);
+      }
+
+      visiting.add(fieldName);
+      this.getDependencies(schema, fieldName)
+        .filter(dependency => schema[dependency]?.computed)
+        .forEach(dependency => visit(dependency, [...path, fieldName]));
+      visiting.delete(fieldName);
+
+      ordered.push(fieldName);
+    };
+
+    Object.keys(schema)
+      .filter(fieldName => schema[fieldName].computed)
+      .forEach(fieldName => visit(fieldName, []));
+
+    return ordered;
+  }
+
+  /**
+   * Check whether a schema has computed variables
+   */
+  hasComputed(schema = {}) {
+    return Object.values(schema).some(fieldSchema => fieldSchema.computed);
+  }
+
+  /**
+   * Calculate the computed variables of a schema
+   * A formula that fails, or gives no usable number for a numeric variable, sets null
+   * @param {object} schema - Variables schema
+   * @param {object} values - Variable values
+   * @param {string} currentState - State the formulas see as currentState
+   * @returns {object} The values with the computed variables filled in
+   */
+  compute(schema = {}, values = {}, currentState = null) {
+    const fields = this.getComputedFields(schema);
+    if (fields.length === 0) {
+      return values;
+    }
+
+    const variables = {};
+    Object.entries(values).forEach(([fieldName, value]) => {
+      variables[fieldName] = coerce(schema[fieldName], value);
+    });
+
+    const result = { ...values };
+
+    fields.forEach(fieldName => {
+      const fieldSchema = schema[fieldName];
+      let value;
+
+      try {
+        value = expressionEvaluator.evaluate(fieldSchema.computed, { variables, currentState });
+      } catch (error) {
+        console.warn(`Computed variable "${fieldName}" failed to evaluate:`, error);
+        value = null;
+      }
+
+      const numeric = fieldSchema.type === 'number' || fieldSchema.type === 'integer';
+      if (value === undefined || (numeric && (typeof value !== 'number' || !isFinite(value)))) {
+        value = null;
+      }
+
+      variables[fieldName] = value;
+      result[fieldName] = value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Check the computed variables of a definition: formulas parse, read known
+   * variables and do not depend on each other in a cycle
+   * @returns {object} { valid, error }
+   */
+  validateDefinition(definition) {
+    const schema = definition.variables || {};
+
+    for (const [fieldName, fieldSchema] of Object.entries(schema)) {
+      if (fieldSchema.computed === undefined) continue;
+
+      const parsed = expressionEvaluator.validate(fieldSchema.computed);
+      if (!parsed.valid) {
+        return { valid: false, error: `Computed variable "${fieldName}": ${parsed.error}` };
+      }
+
+      const unknown = this.getDependencies(schema, fieldName).find(dependency => !schema[dependency]);
+      if (unknown) {
+        return { valid: false, error: `Computed variable "${fieldName}" refers to unknown variable "${unknown}"` };
+      }
+    }
+
+    try {
+      this.getComputedFields(schema);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    return { valid: true };
+  }
+}
+
+// Create singleton instance
+export const computedVariables = new ComputedVariables();
+
+export default computedVariables;
@@ -4,6 +4,10 @@
  */
 
 import { hasPermission } from '../../utils/helpers.js';
+import { expressionEvaluator } from './expression-evaluator.js';
+
+// Auto-transition types fired by the TransitionEngine rather than evaluated here
+const ENGINE_TRIGGERED_TYPES = ['timer', 'immediate', 'event'];
 
 class ConditionEvaluator {
   constructor() {
@@ -46,8 +50,13 @@ class ConditionEvaluator {
 
   /**
    * Evaluate a single condition
+   * A plain string is shorthand for { type: 'expression', expression: string }
    */
   evaluateCondition(condition, processInstance, context = {}) {
+    if (typeof condition === 'string') {
+      condition = { type: 'expression', expression: condition };
+    }
+
     const { type, operator, field, value, compareField } = condition;
 
     try {
@@ -71,6 +80,9 @@ class ConditionEvaluator {
         case 'expression':
           return this.evaluateExpression(condition, processInstance, context);
 
+        case 'condition':
+          return this.evaluateConditionGroup(condition, processInstance, context);
+
         default:
           console.warn(`Unknown condition type: ${type}`);
           return false;
@@ -199,12 +211,18 @@ class ConditionEvaluator {
   }
 
   /**
-   * Evaluate expression condition (combines multiple conditions)
+   * Evaluate expression condition
+   * Either an expression string (see ExpressionEvaluator), or a logical
+   * expression ('and' / 'or' / 'not') combining nested conditions
    */
   evaluateExpression(condition, processInstance, context) {
     const { expression, conditions } = condition;
 
-    if (!expression || !conditions) {
+    if (!Array.isArray(conditions)) {
+      return Boolean(expressionEvaluator.evaluate(expression, processInstance, context));
+    }
+
+    if (!expression) {
       console.warn('Expression condition must have expression and conditions');
       return false;
     }
@@ -231,6 +249,20 @@ class ConditionEvaluator {
     }
   }
 
+  /**
+   * Evaluate condition group (auto-transition wrapper around nested conditions)
+   */
+  evaluateConditionGroup(condition, processInstance, context) {
+    const { conditions, operator = 'and' } = condition;
+
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      console.warn('Condition group must have conditions');
+      return false;
+    }
+
+    return this.evaluateConditions(conditions, processInstance, context, operator);
+  }
+
   /**
    * Evaluate multiple conditions
    */
@@ -339,8 +371,8 @@ class ConditionEvaluator {
 
     // Find first condition that matches
     for (const condition of conditions) {
-      // Skip timer-based transitions (handled by TransitionEngine)
-      if (condition.type === 'timer') {
+      // Skip timer, immediate and event transitions (handled by TransitionEngine)
+      if (ENGINE_TRIGGERED_TYPES.includes(condition.type) || !condition.toState) {
         continue;
       }
 
@@ -362,6 +394,10 @@ class ConditionEvaluator {
    * Validate condition structure
    */
   validateCondition(condition) {
+    if (typeof condition === 'string') {
+      return expressionEvaluator.validate(condition);
+    }
+
     if (!condition || typeof condition !== 'object') {
       return { valid: false, error: 'Condition must be an object' };
     }
@@ -408,13 +444,26 @@ class ConditionEvaluator {
         break;
 
       case 'expression':
-        if (!condition.expression || !condition.conditions) {
+        if (!Array.isArray(condition.conditions)) {
+          return expressionEvaluator.validate(condition.expression);
+        }
+
+        if (!condition.expression) {
           return {
             valid: false,
             error: 'Expression condition must have expression and conditions'
           };
         }
         break;
+
+      case 'condition':
+        if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+          return {
+            valid: false,
+            error: 'Condition group must have conditions'
+          };
+        }
+        break;
     }
 
     return { valid: true };
@@ -0,0 +1,378 @@
+/**
+ * Conflict Resolver
+ * Reconciles process instances changed on two devices at once. That happens
+ * when replication leaves a document with `_conflicts` (two managers approving
+ * offline), or when a local save finds a newer revision pulled in meanwhile.
+ *
+ * Both versions are merged field by field against their common ancestor:
+ * a field changed on one side only takes that change, `variables` and other
+ * objects merge per key, and the logs (`stateHistory`, `auditLog`, approval
+ * decisions, ...) are unioned and ordered by time. Fields both sides changed
+ * differently, such as a divergent `currentState`, cannot be merged; the
+ * process is then marked `conflict` until someone picks a version for each of
+ * them on the process detail page.
+ */
+
+import { processPersistence } from './process-persistence.js';
+import { processService } from './process-service.js';
+import { computedVariables } from './computed-variables.js';
+import { processState } from '../../state/process-state.js';
+import { authState } from '../../state/auth-state.js';
+import { eventBus } from '../../utils/events.js';
+import { deepClone } from '../../utils/helpers.js';
+import { EVENTS, PROCESS_SYNC_STATUS } from '../../config/constants.js';
+
+// Lists merged as sets of entries rather than as single values
+const LOG_FIELDS = ['stateHistory', 'auditLog', 'childIds', 'tasks', 'decisions'];
+
+// Bookkeeping that differs between any two revisions
+const IGNORED_FIELDS = ['_rev', '_conflicts', '_revisions', 'syncStatus', 'lastSyncAt', 'updatedAt'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : deepClone(value);
+}
+
+/**
+ * Identify a log entry: by its id when it has one, otherwise by its content
+ */
+function entryKey(entry) {
+  return isPlainObject(entry) && entry.id !== undefined ? `id:${entry.id}` : JSON.stringify(entry);
+}
+
+/**
+ * Identify a stateHistory entry without its variables snapshot, which is
+ * dropped once a later transition is recorded
+ */
+function historyEntryKey(entry) {
+  if (!isPlainObject(entry)) {
+    return entryKey(entry);
+  }
+
+  const { variables, ...rest } = entry;
+  return entryKey(rest);
+}
+
+/**
+ * Get the full revision IDs of a document's ancestry, newest first
+ */
+function getRevisionIds(doc) {
+  const { start, ids } = doc._revisions || { start: 0, ids: [] };
+  return ids.map((id, index) => `${start - index}-${id}`);
+}
+
+/**
+ * Set a value at a key path such as ['variables', 'amount']
+ */
+function setPath(target, path, value) {
+  const keys = [...path];
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!isPlainObject(object[key])) object[key] = {};
+    return object[key];
+  }, target);
+
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+class ConflictResolver {
+  constructor() {
+    this.conflicts = new Map(); // processId -> unresolved conflict
+    this.orgId = null; // org whose processes are checked
+
+    // Processes pulled from another device may bring conflicting revisions along
+    eventBus.on(EVENTS.PROCESSES_CHANGED, ({ orgId, docs, source }) => {
+      if (source === 'sync' && orgId === this.orgId) {
+        docs.forEach(doc => this.checkProcess(orgId, doc._id).catch(error => {
+          console.error(`Error checking process ${doc._id} for conflicts:`, error);
+        }));
+      }
+    });
+  }
+
+  /**
+   * Resolve or record the conflicts already in an organization's database
+   */
+  async loadConflicts(orgId) {
+    this.conflicts.clear();
+    this.orgId = orgId;
+
+    const processIds = await processPersistence.findConflictedProcesses(orgId);
+    for (const processId of processIds) {
+      await this.checkProcess(orgId, processId);
+    }
+
+    return this.getConflicts();
+  }
+
+  /**
+   * Merge the conflicting revisions of a process, one at a time
+   * Stops at the first one that cannot be merged and records it for resolution
+   * @returns {Promise<Object|null>} The unresolved conflict, or null if none is left
+   */
+  async checkProcess(orgId, processId) {
+    const revisions = await processPersistence.loadProcessConflicts(orgId, processId);
+    if (!revisions || revisions.losers.length === 0) {
+      return null;
+    }
+
+    const { winner, losers: [loser] } = revisions;
+    const base = await this.findAncestor(orgId, winner, loser);
+    const { merged, conflicts } = this.mergeProcess(base, winner, loser);
+
+    if (conflicts.length > 0) {
+      return this.recordConflict({ orgId, processId, base, current: winner, other: loser, conflicts });
+    }
+
+    await this.saveResolution(orgId, merged, [loser._rev], {
+      action: 'conflict_merged',
+      revisions: [winner._rev, loser._rev]
+    });
+
+    // Merge the next conflicting revision into the one just saved
+    return this.checkProcess(orgId, processId);
+  }
+
+  /**
+   * Merge a local process that failed to save because a newer revision is stored
+   * @param {Object} local - Process as changed on this device, based on local._rev
+   * @returns {Promise<Object>} Saved process, or the recorded conflict ({ conflicts })
+   */
+  async mergeStaleProcess(orgId, local) {
+    const revisions = await processPersistence.loadProcessConflicts(orgId, local._id);
+    if (!revisions) {
+      throw new Error(`Process not found: ${local._id}`);
+    }
+
+    const stored = revisions.winner;
+    const base = local._rev ? await processPersistence.loadProcessRevision(orgId, local._id, local._rev) : null;
+    const { merged, conflicts } = this.mergeProcess(base, stored, local);
+
+    if (conflicts.length > 0) {
+      return this.recordConflict({ orgId, processId: local._id, base, current: stored, other: local, conflicts });
+    }
+
+    return this.saveResolution(orgId, merged, [], {
+      action: 'conflict_merged',
+      revisions: [stored._rev, local._rev || null]
+    });
+  }
+
+  /**
+   * Find the last revision two conflicting revisions share, if its body is still stored
+   */
+  async findAncestor(orgId, a, b) {
+    const ancestry = new Set(getRevisionIds(b));
+    const common = getRevisionIds(a).find(rev => ancestry.has(rev));
+
+    return common ? processPersistence.loadProcessRevision(orgId, a._id, common) : null;
+  }
+
+  /**
+   * Three-way merge of two versions of a process
+   * Without a common ancestor, fields that differ are conflicts and logs are unioned
+   * @param {Object|null} base - Common ancestor
+   * @param {Object} current - Stored (winning) version, kept for unresolved fields
+   * @param {Object} other - Conflicting version
+   * @returns {object} { merged, conflicts: [{ path, keys, current, other }] }
+   */
+  mergeProcess(base, current, other) {
+    const conflicts = [];
+    const definition = processService.getProcessDefinition(current);
+    const computed = computedVariables.getComputedFields(definition?.variables || {});
+    const ignored = [...IGNORED_FIELDS, ...computed.map(name => `variables.${name}`)];
+
+    const merged = this.mergeValue([], base, current, other, conflicts, ignored);
+
+    merged._id = current._id;
+    merged._rev = current._rev;
+    merged.updatedAt = [current.updatedAt, other.updatedAt].filter(Boolean).sort().pop() || null;
+    merged.variables = computedVariables.compute(definition?.variables, merged.variables || {}, merged.currentState);
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Merge one value of two versions against their ancestor, collecting conflicts
+   */
+  mergeValue(keys, base, current, other, conflicts, ignored) {
+    const path = keys.join('.');
+    const hasBase = base !== null && base !== undefined;
+
+    if (isEqual(current, other)) return clone(current);
+    if (ignored.includes(path)) return current;
+    if (hasBase && isEqual(base, current)) return clone(other);
+    if (hasBase && isEqual(base, other)) return clone(current);
+
+    if (LOG_FIELDS.includes(keys[keys.length - 1]) && (Array.isArray(current) || Array.isArray(other))) {
+      return this.mergeLog(keys, base, current, other, ignored);
+    }
+
+    if (isPlainObject(current) && isPlainObject(other)) {
+      const result = {};
+      const fields = new Set([...Object.keys(current), ...Object.keys(other)]);
+
+      fields.forEach(key => {
+        const value = this.mergeValue(
+          [...keys, key],
+          isPlainObject(base) ? base[key] : undefined,
+          current[key],
+          other[key],
+          conflicts,
+          ignored
+        );
+        if (value !== undefined) {
+          result[key] = value;
+        }
+      });
+
+      return result;
+    }
+
+    conflicts.push({ path, keys, current: current ?? null, other: other ?? null });
+    return clone(current);
+  }
+
+  /**
+   * Union two versions of a log: entries either side added are kept, entries
+   * either side removed (e.g. by a revert) are dropped, and entries are ordered by time
+   * Entries with an id that both sides changed are merged like objects, keeping
+   * the current version of any field changed on both
+   */
+  mergeLog(keys, base, current, other, ignored) {
+    const keyOf = keys[keys.length - 1] === 'stateHistory' ? historyEntryKey : entryKey;
+    const baseEntries = new Map((base || []).map(entry => [keyOf(entry), entry]));
+    const currentEntries = new Map((current || []).map(entry => [keyOf(entry), entry]));
+    const otherEntries = new Map((other || []).map(entry => [keyOf(entry), entry]));
+
+    const removed = new Set(Array.from(baseEntries.keys())
+      .filter(key => !currentEntries.has(key) || !otherEntries.has(key)));
+
+    const entries = [];
+    new Set([...currentEntries.keys(), ...otherEntries.keys()]).forEach(key => {
+      if (removed.has(key)) return;
+
+      const value = currentEntries.has(key) && otherEntries.has(key)
+        ? this.mergeValue([...keys, key], baseEntries.get(key), currentEntries.get(key), otherEntries.get(key), [], ignored)
+        : clone(currentEntries.get(key) ?? otherEntries.get(key));
+      entries.push(value);
+    });
+
+    // Array.prototype.sort is stable, so entries without a timestamp keep their order
+    return entries.sort((a, b) =>
+      a?.timestamp && b?.timestamp ? new Date(a.timestamp) - new Date(b.timestamp) : 0
+    );
+  }
+
+  /**
+   * Keep a conflict that needs a person to decide, and mark the process
+   */
+  recordConflict({ orgId, processId, base, current, other, conflicts }) {
+    const conflict = {
+      orgId,
+      processId,
+      base,
+      current,
+      other,
+      conflicts,
+      detectedAt: new Date().toISOString()
+    };
+
+    this.conflicts.set(processId, conflict);
+
+    if (processState.hasProcess(processId)) {
+      processState.updateProcessSyncStatus(processId, PROCESS_SYNC_STATUS.CONFLICT);
+    }
+
+    console.warn(`Process ${processId} has conflicting changes: ${conflicts.map(c => c.path).join(', ')}`);
+    eventBus.emit(EVENTS.PROCESS_CONFLICT_DETECTED, { orgId, processId, fields: conflicts.map(c => c.path) });
+
+    return conflict;
+  }
+
+  /**
+   * Get the unresolved conflicts
+   */
+  getConflicts() {
+    return Array.from(this.conflicts.values());
+  }
+
+  /**
+   * Get the unresolved conflict of a process, or null
+   */
+  getConflict(processId) {
+    return this.conflicts.get(processId) || null;
+  }
+
+  /**
+   * Resolve a recorded conflict by picking a version for each field that could not be merged
+   * @param {string} processId - Process ID
+   * @param {Object} choices - { [path]: 'current' | 'other' }; unlisted fields keep the current version
+   * @returns {Promise<Object>} Saved process
+   */
+  async resolveConflict(processId, choices = {}) {
+    const conflict = this.getConflict(processId);
+    if (!conflict) {
+      throw new Error(`No conflict recorded for process: ${processId}`);
+    }
+
+    const { orgId, base, current, other } = conflict;
+    const { merged, conflicts } = this.mergeProcess(base, current, other);
+
+    conflicts.forEach(({ path, keys, current: currentValue, other: otherValue }) => {
+      setPath(merged, keys, clone(choices[path] === 'other' ? otherValue : currentValue));
+    });
+
+    const definition = processService.getProcessDefinition(merged);
+    merged.variables = computedVariables.compute(definition?.variables, merged.variables || {}, merged.currentState);
+
+    // A conflicting revision from replication is deleted; a local one was never stored
+    const conflictRevs = (current._conflicts || []).includes(other._rev) ? [other._rev] : [];
+
+    const saved = await this.saveResolution(orgId, merged, conflictRevs, {
+      action: 'conflict_resolved',
+      revisions: [current._rev, other._rev || null],
+      choices: conflicts.map(({ path }) => ({ path, version: choices[path] === 'other' ? 'other' : 'current' })),
+      resolvedBy: authState.getUser()?.id || null
+    });
+
+    this.conflicts.delete(processId);
+    eventBus.emit(EVENTS.PROCESS_CONFLICT_RESOLVED, { orgId, processId });
+
+    // Further conflicting revisions may be waiting
+    await this.checkProcess(orgId, processId);
+
+    return saved;
+  }
+
+  /**
+   * Store a merged process with an audit entry
+   * processState picks it up from the changes feed (see process-sync.js)
+   */
+  async saveResolution(orgId, merged, conflictRevs, audit) {
+    const { action, ...details } = audit;
+    merged.auditLog = [...(merged.auditLog || []), { timestamp: new Date().toISOString(), action, ...details }];
+
+    const saved = await processPersistence.saveMergedProcess(orgId, merged, conflictRevs);
+
+    console.log(`Process ${saved._id} ${action.replace('_', ' ')}`);
+
+    return saved;
+  }
+}
+
+// Create singleton instance
+export const conflictResolver = new ConflictResolver();
+
+export default conflictResolver;
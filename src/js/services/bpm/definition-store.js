@@ -0,0 +1,277 @@
+/**
+ * Definition Store Service
+ * Stores organization-defined process definitions as JSON documents
+ * and registers them alongside the built-in definitions
+ */
+
+import { StateMachine } from './state-machine.js';
+import { processService } from './process-service.js';
+import { processPersistence } from './process-persistence.js';
+import { memberService } from '../member-service.js';
+import { authState } from '../../state/auth-state.js';
+import { processState } from '../../state/process-state.js';
+import { eventBus } from '../../utils/events.js';
+import { EVENTS, DOC_TYPES } from '../../config/constants.js';
+
+class DefinitionStore {
+  constructor() {
+    this.storedKeys = new Set(); // "definitionId@version" registered from the store
+    this.orgId = null;
+
+    // Definitions saved or deleted on another device
+    eventBus.on(EVENTS.PROCESS_DEFINITIONS_CHANGED, (data) => {
+      if (data.source === 'sync' && data.orgId === this.orgId) {
+        data.docs.forEach(doc => this.applyDocument(doc));
+      }
+    });
+  }
+
+  /**
+   * Convert a definition to plain JSON
+   * Functions (hooks, custom conditions) cannot be stored; they are rejected,
+   * or left out when dropFunctions is set (e.g. to export a built-in definition)
+   */
+  serialize(definition, { dropFunctions = false } = {}) {
+    const functionPaths = [];
+
+    const copy = (value, path) => {
+      if (typeof value === 'function') {
+        functionPaths.push(path);
+        return undefined;
+      }
+
+      if (Array.isArray(value)) {
+        return value.map((item, index) => copy(item, `${path}[${index}]`)).filter(item => item !== undefined);
+      }
+
+      if (value instanceof Date) {
+        return value.toISOString();
+      }
+
+      if (value && typeof value === 'object') {
+        return Object.entries(value).reduce((result, [key, item]) => {
+          const copied = copy(item, path ? `${path}.${key}` : key);
+          if (copied !== undefined) {
+            result[key] = copied;
+          }
+          return result;
+        }, {});
+      }
+
+      return value;
+    };
+
+    const json = copy(definition, '');
+
+    if (functionPaths.length > 0) {
+      if (!dropFunctions) {
+        throw new Error(`Definition is not serialisable, functions at: ${functionPaths.join(', ')}`);
+      }
+
+      console.warn(`Functions left out of ${definition.id}: ${functionPaths.join(', ')}`);
+    }
+
+    return json;
+  }
+
+  /**
+   * Validate a definition for storage
+   * @returns {object} { valid, error }
+   */
+  validate(definition) {
+    try {
+      if (!definition?.version) {
+        throw new Error('Process definition must have a version');
+      }
+
+      this.serialize(definition);
+      new StateMachine(definition);
+
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a definition version came from the store
+   */
+  isStoredDefinition(definitionId, version) {
+    return this.storedKeys.has(`${definitionId}@${version}`);
+  }
+
+  /**
+   * Count processes pinned to a definition version
+   */
+  countProcesses(definitionId, version) {
+    return processState.getAllProcesses().filter(p =>
+      p.definitionId === definitionId && processService.getProcessVersion(p) === version
+    ).length;
+  }
+
+  /**
+   * Whether the current user may design the organization's workflows (admins only)
+   */
+  async canManage(orgId) {
+    const membership = await memberService.getMemberByUserId(orgId, authState.getUser()?.id);
+    return !!membership && memberService.canManageMembers(membership.role);
+  }
+
+  /**
+   * Save a definition for an organization and register it
+   */
+  async saveDefinition(orgId, definition, savedBy = null) {
+    if (!(await this.canManage(orgId))) {
+      throw new Error('Insufficient permissions to manage process definitions');
+    }
+
+    const validation = this.validate(definition);
+    if (!validation.valid) {
+      throw new Error(`Invalid process definition: ${validation.error}`);
+    }
+
+    const { id, version } = definition;
+
+    if (processService.getDefinition(id, version) && !this.isStoredDefinition(id, version)) {
+      throw new Error(`${id}@${version} is a built-in definition; save it under another id`);
+    }
+
+    // Versions that processes run on are frozen; changes go into a new version
+    const inUse = this.countProcesses(id, version);
+    if (inUse > 0) {
+      throw new Error(`${id}@${version} is used by ${inUse} process(es); save a new version instead`);
+    }
+
+    const doc = await processPersistence.saveDefinition(orgId, this.serialize(definition), savedBy);
+    this.register(doc.definition);
+
+    eventBus.emit(EVENTS.PROCESS_DEFINITIONS_CHANGED, {
+      orgId,
+      docs: [doc],
+      source: 'local'
+    });
+
+    return doc.definition;
+  }
+
+  /**
+   * Delete a stored definition version
+   */
+  async deleteDefinition(orgId, definitionId, version) {
+    if (!(await this.canManage(orgId))) {
+      throw new Error('Insufficient permissions to manage process definitions');
+    }
+
+    if (!this.isStoredDefinition(definitionId, version)) {
+      throw new Error(`${definitionId}@${version} is not a stored definition`);
+    }
+
+    const inUse = this.countProcesses(definitionId, version);
+    if (inUse > 0) {
+      throw new Error(`${definitionId}@${version} is used by ${inUse} process(es)`);
+    }
+
+    const tombstone = await processPersistence.deleteDefinition(orgId, definitionId, version);
+    this.unregister(definitionId, version);
+
+    eventBus.emit(EVENTS.PROCESS_DEFINITIONS_CHANGED, {
+      orgId,
+      docs: [tombstone || { type: DOC_TYPES.PROCESS_DEFINITION, definitionId, version, _deleted: true }],
+      source: 'local'
+    });
+
+    return true;
+  }
+
+  /**
+   * Load and register the stored definitions of an organization
+   * Invalid documents are skipped so one bad definition cannot block startup
+   */
+  async loadDefinitions(orgId) {
+    // Definitions of the previous organization do not apply any more
+    this.unloadDefinitions();
+    this.orgId = orgId;
+
+    const docs = await processPersistence.loadDefinitions(orgId);
+    const registered = docs.filter(doc => this.applyDocument(doc));
+
+    console.log(`Loaded ${registered.length} of ${docs.length} stored process definitions`);
+
+    return registered.map(doc => doc.definition);
+  }
+
+  /**
+   * Unregister all stored definitions
+   */
+  unloadDefinitions() {
+    this.storedKeys.forEach(key => {
+      const [definitionId, version] = key.split('@');
+      processService.unregisterDefinition(definitionId, version);
+    });
+
+    this.storedKeys.clear();
+    this.orgId = null;
+  }
+
+  /**
+   * Register or remove a definition from a stored (or synced) document
+   */
+  applyDocument(doc) {
+    if (doc._deleted) {
+      // Deletions written before definitions were named on them only carry the ID
+      const [definitionId, version] = doc.definitionId
+        ? [doc.definitionId, doc.version]
+        : doc._id.slice(doc._id.indexOf(':') + 1).split('@');
+      if (this.isStoredDefinition(definitionId, version) && this.countProcesses(definitionId, version) === 0) {
+        this.unregister(definitionId, version);
+      }
+      return false;
+    }
+
+    const validation = this.validate(doc.definition);
+    if (!validation.valid) {
+      console.error(`Skipping stored definition ${doc._id}: ${validation.error}`);
+      return false;
+    }
+
+    const { id, version } = doc.definition;
+    if (processService.getDefinition(id, version) && !this.isStoredDefinition(id, version)) {
+      console.error(`Skipping stored definition ${doc._id}: conflicts with a built-in definition`);
+      return false;
+    }
+
+    this.register(doc.definition);
+    return true;
+  }
+
+  /**
+   * Register a stored definition with the process service
+   */
+  register(definition) {
+    processService.registerDefinition(definition);
+    this.storedKeys.add(`${definition.id}@${definition.version}`);
+  }
+
+  /**
+   * Unregister a stored definition
+   */
+  unregister(definitionId, version) {
+    processService.unregisterDefinition(definitionId, version);
+    this.storedKeys.delete(`${definitionId}@${version}`);
+  }
+
+  /**
+   * Get stored definitions currently registered
+   */
+  getStoredDefinitions() {
+    return Array.from(this.storedKeys).map(key => {
+      const [definitionId, version] = key.split('@');
+      return processService.getDefinition(definitionId, version);
+    });
+  }
+}
+
+// Create singleton instance
+export const definitionStore = new DefinitionStore();
+
+export default definitionStore;
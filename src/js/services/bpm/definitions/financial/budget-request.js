@@ -101,7 +101,16 @@ export const budgetRequestDefinition = {
         type: 'approval',
         role: APPROVAL_LEVELS.MANAGER,
         message: 'Review budget request',
-        actionLabel: 'Review Budget'
+        actionLabel: 'Review Budget',
+        policy: {
+          type: 'sequential',
+          amountField: 'requestedAmount',
+          thresholds: {
+            [APPROVAL_LEVELS.MANAGER]: 0,
+            [APPROVAL_LEVELS.DIRECTOR]: 10000,
+            [APPROVAL_LEVELS.EXECUTIVE]: 100000
+          }
+        }
       }]
     },
 
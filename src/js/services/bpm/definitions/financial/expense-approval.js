@@ -174,20 +174,15 @@ export const expenseApprovalDefinition = {
       description: 'Expense claim submitted for review',
       transitions: ['manager_review', 'rejected'],
 
-      onEnter: async (processInstance, context) => {
-        console.log(`Expense claim submitted by ${processInstance.variables.employeeName}`);
-
-        processInstance.variables.submittedAt = new Date().toISOString();
-
-        // TODO: Send notification to manager
-        // await notificationService.send({
-        //   to: processInstance.variables.managerId,
-        //   type: 'expense_submitted',
-        //   employeeName: processInstance.variables.employeeName,
-        //   amount: processInstance.variables.amount,
-        //   category: processInstance.variables.category
-        // });
-      },
+      onEnter: [
+        { type: 'setVariable', name: 'submittedAt', value: '{{ timestamp() }}' },
+        {
+          type: 'notify',
+          role: APPROVAL_LEVELS.MANAGER,
+          title: 'Expense claim submitted',
+          message: '{{ employeeName }} submitted a {{ category }} expense of {{ amount }}'
+        }
+      ],
 
       // Auto-transition to manager review
       autoTransition: {
@@ -204,7 +199,11 @@ export const expenseApprovalDefinition = {
     manager_review: {
       name: 'Manager Review',
       description: 'Expense is being reviewed by manager',
-      transitions: ['approved', 'rejected', 'submitted'],
+      transitions: [
+        { to: 'approved', label: 'Approve', requiredApprovalLevel: APPROVAL_LEVELS.MANAGER },
+        { to: 'rejected', label: 'Reject', requiredApprovalLevel: APPROVAL_LEVELS.MANAGER },
+        { to: 'submitted', label: 'Send Back' }
+      ],
 
       onEnter: async (processInstance, context) => {
         console.log(`Expense claim under manager review for ${processInstance.variables.employeeName}`);
@@ -241,31 +240,38 @@ export const expenseApprovalDefinition = {
     approved: {
       name: 'Approved',
       description: 'Expense claim has been approved',
-      transitions: ['reimbursed'],
-
-      onEnter: async (processInstance, context) => {
-        console.log(`Expense claim approved for ${processInstance.variables.employeeName}`);
+      transitions: [
+        { to: 'reimbursed', label: 'Mark Reimbursed', requiredApprovalLevel: APPROVAL_LEVELS.ADMIN }
+      ],
 
+      onEnter: [
         // Record reviewer
-        if (context.reviewedBy) {
-          processInstance.variables.reviewedBy = context.reviewedBy;
+        { type: 'setVariable', name: 'reviewedBy', value: '{{ context.reviewedBy }}', when: 'context.reviewedBy' },
+        { type: 'setVariable', name: 'approvalNotes', value: '{{ context.approvalNotes }}', when: 'context.approvalNotes' },
+        { type: 'setVariable', name: 'approvedAt', value: '{{ timestamp() }}' },
+        {
+          type: 'notify',
+          initiator: true,
+          title: 'Expense claim approved',
+          message: 'Your {{ category }} expense of {{ amount }} has been approved'
+        },
+        {
+          type: 'notify',
+          role: APPROVAL_LEVELS.ADMIN,
+          title: 'Expense ready for reimbursement',
+          message: 'Reimburse {{ amount }} to {{ employeeName }}'
         }
+      ],
 
-        if (context.approvalNotes) {
-          processInstance.variables.approvalNotes = context.approvalNotes;
+      // Approval reverted by an admin
+      onCompensate: [
+        {
+          type: 'notify',
+          initiator: true,
+          title: 'Expense approval withdrawn',
+          message: 'The approval of your {{ category }} expense was reverted: {{ context.reason }}'
         }
-
-        processInstance.variables.approvedAt = new Date().toISOString();
-
-        // TODO: Send notification to employee
-        // await notificationService.send({
-        //   to: processInstance.variables.employeeEmail,
-        //   type: 'expense_approved',
-        //   amount: processInstance.variables.amount
-        // });
-
-        // TODO: Send to finance for reimbursement
-      },
+      ],
 
       requiredActions: [
         {
@@ -282,29 +288,30 @@ export const expenseApprovalDefinition = {
       name: 'Reimbursed',
       description: 'Expense has been reimbursed',
       transitions: ['completed'],
+      irreversible: true, // money has been paid out
 
-      onEnter: async (processInstance, context) => {
-        console.log(`Expense reimbursed to ${processInstance.variables.employeeName}`);
-
+      onEnter: [
         // Record reimbursement details
-        if (context.reimbursementMethod) {
-          processInstance.variables.reimbursementMethod = context.reimbursementMethod;
-        }
-
-        if (context.reimbursementReference) {
-          processInstance.variables.reimbursementReference = context.reimbursementReference;
+        {
+          type: 'setVariable',
+          name: 'reimbursementMethod',
+          value: '{{ context.reimbursementMethod }}',
+          when: 'context.reimbursementMethod'
+        },
+        {
+          type: 'setVariable',
+          name: 'reimbursementReference',
+          value: '{{ context.reimbursementReference }}',
+          when: 'context.reimbursementReference'
+        },
+        { type: 'setVariable', name: 'reimbursementDate', value: '{{ timestamp() }}' },
+        {
+          type: 'notify',
+          initiator: true,
+          title: 'Expense reimbursed',
+          message: '{{ amount }} has been reimbursed to you'
         }
-
-        processInstance.variables.reimbursementDate = new Date().toISOString();
-
-        // TODO: Send confirmation to employee
-        // await notificationService.send({
-        //   to: processInstance.variables.employeeEmail,
-        //   type: 'expense_reimbursed',
-        //   amount: processInstance.variables.amount,
-        //   method: processInstance.variables.reimbursementMethod
-        // });
-      },
+      ],
 
       // Auto-complete immediately
       autoTransition: {
@@ -323,14 +330,9 @@ export const expenseApprovalDefinition = {
       description: 'Expense claim completed',
       transitions: [],
 
-      onEnter: async (processInstance, context) => {
-        console.log(`Expense claim completed for ${processInstance.variables.employeeName}`);
-
-        processInstance.variables.completedAt = new Date().toISOString();
-
-        // TODO: Update financial records
-        // TODO: Add to expense reports
-      }
+      onEnter: [
+        { type: 'setVariable', name: 'completedAt', value: '{{ timestamp() }}' }
+      ]
     },
 
     // Rejected - Expense rejected (terminal state)
@@ -339,23 +341,22 @@ export const expenseApprovalDefinition = {
       description: 'Expense claim has been rejected',
       transitions: [],
 
-      onEnter: async (processInstance, context) => {
-        console.log(`Expense claim rejected for ${processInstance.variables.employeeName}`);
-
+      onEnter: [
         // Record rejection reason
-        if (context.reason || context.rejectionReason) {
-          processInstance.variables.rejectionReason = context.reason || context.rejectionReason;
+        {
+          type: 'setVariable',
+          name: 'rejectionReason',
+          value: '{{ context.reason || context.rejectionReason }}',
+          when: 'context.reason || context.rejectionReason'
+        },
+        { type: 'setVariable', name: 'rejectedAt', value: '{{ timestamp() }}' },
+        {
+          type: 'notify',
+          initiator: true,
+          title: 'Expense claim rejected',
+          message: 'Your {{ category }} expense of {{ amount }} was rejected: {{ rejectionReason }}'
         }
-
-        processInstance.variables.rejectedAt = new Date().toISOString();
-
-        // TODO: Send rejection notification to employee
-        // await notificationService.send({
-        //   to: processInstance.variables.employeeEmail,
-        //   type: 'expense_rejected',
-        //   reason: processInstance.variables.rejectionReason
-        // });
-      }
+      ]
     }
   },
 
@@ -249,7 +249,21 @@ export const invoiceApprovalDefinition = {
     submitted: {
       name: 'Submitted',
       description: 'Invoice submitted for review',
-      transitions: ['review', 'approved', 'rejected'],
+      transitions: [
+        'review',
+        {
+          to: 'approved',
+          label: 'Approve Without Review',
+          guard: {
+            type: 'variable',
+            field: 'amount',
+            operator: 'lt',
+            value: 1000,
+            reason: 'Only invoices under $1,000 can skip review'
+          }
+        },
+        'rejected'
+      ],
 
       onEnter: async (processInstance, context) => {
         console.log(`Invoice ${processInstance.variables.invoiceId} submitted`);
@@ -289,7 +303,11 @@ export const invoiceApprovalDefinition = {
     review: {
       name: 'Under Review',
       description: 'Invoice is being reviewed',
-      transitions: ['approved', 'rejected', 'draft'],
+      transitions: [
+        { to: 'approved', label: 'Approve', requiredApprovalLevel: APPROVAL_LEVELS.MANAGER },
+        { to: 'rejected', label: 'Reject', requiredApprovalLevel: APPROVAL_LEVELS.MANAGER },
+        { to: 'draft', label: 'Return to Draft' }
+      ],
 
       onEnter: async (processInstance, context) => {
         console.log(`Invoice ${processInstance.variables.invoiceId} under review`);
@@ -304,9 +322,17 @@ export const invoiceApprovalDefinition = {
           metadata: {
             approveLabel: 'Approve',
             rejectLabel: 'Reject',
-            requiresAmount: true,
-            amountThreshold: 5000,
-            escalateTo: APPROVAL_LEVELS.DIRECTOR
+            requiresAmount: true
+          },
+          // Manager signs off every invoice; larger ones escalate up the chain
+          policy: {
+            type: 'sequential',
+            amountField: 'amount',
+            thresholds: {
+              [APPROVAL_LEVELS.MANAGER]: 0,
+              [APPROVAL_LEVELS.DIRECTOR]: 5000,
+              [APPROVAL_LEVELS.EXECUTIVE]: 50000
+            }
           }
         }
       ],
@@ -379,6 +405,7 @@ export const invoiceApprovalDefinition = {
       name: 'Paid',
       description: 'Invoice has been paid',
       transitions: ['archived'],
+      irreversible: true, // payment has been made
 
       onEnter: async (processInstance, context) => {
         console.log(`Invoice ${processInstance.variables.invoiceId} paid`);
@@ -15,7 +15,11 @@ import { PROCESS_TYPES, PROCESS_CATEGORIES, APPROVAL_LEVELS } from '../../../../
  * Employee Onboarding Process
  *
  * State Flow:
- * initiated → background_check → equipment_assigned → training_scheduled → training_complete → active | terminated
+ * initiated → background_check → provisioning ⇉ [it_provisioning | payroll_setup | equipment_assigned]
+ *   → provisioning_complete → training_scheduled → training_complete → active | terminated
+ *
+ * IT provisioning, payroll setup and equipment assignment run as parallel branches;
+ * provisioning_complete waits for all three before training is scheduled.
  */
 export const employeeOnboardingDefinition = {
   id: 'employee_onboarding_v1',
@@ -166,6 +170,7 @@ export const employeeOnboardingDefinition = {
     backgroundCheckNotes: {
       type: 'string',
       required: false,
+      sensitive: true,
       step: 'background_check',
       multiline: true,
       rows: 2,
@@ -189,15 +194,27 @@ export const employeeOnboardingDefinition = {
       placeholder: 'Desk/office location'
     },
 
+    // === IT_PROVISIONING STEP FIELDS ===
     itSetupNotes: {
       type: 'string',
       required: false,
-      step: 'equipment_assigned',
+      step: 'it_provisioning',
       multiline: true,
       rows: 2,
       placeholder: 'IT setup notes (software, access, etc.)'
     },
 
+    // === PAYROLL_SETUP STEP FIELDS ===
+    payrollSetupNotes: {
+      type: 'string',
+      required: false,
+      sensitive: true,
+      step: 'payroll_setup',
+      multiline: true,
+      rows: 2,
+      placeholder: 'Payroll setup notes (bank details, tax forms, etc.)'
+    },
+
     // === TRAINING_SCHEDULED STEP FIELDS ===
     trainingStartDate: {
       type: 'date',
@@ -243,6 +260,7 @@ export const employeeOnboardingDefinition = {
     terminationReason: {
       type: 'string',
       required: false,
+      sensitive: true,
       step: 'terminated',
       multiline: true,
       rows: 2,
@@ -260,6 +278,7 @@ export const employeeOnboardingDefinition = {
     equipmentAssigned: { type: 'boolean', required: false, step: 'system', default: false },
     equipmentList: { type: 'array', required: false, step: 'system', default: [] },
     emailAccountCreated: { type: 'boolean', required: false, step: 'system', default: false },
+    payrollConfigured: { type: 'boolean', required: false, step: 'system', default: false },
     systemAccessGranted: { type: 'boolean', required: false, step: 'system', default: false },
     accessRoles: { type: 'array', required: false, step: 'system', default: [] },
     trainingScheduled: { type: 'boolean', required: false, step: 'system', default: false },
@@ -270,7 +289,7 @@ export const employeeOnboardingDefinition = {
     teamIntroduced: { type: 'boolean', required: false, step: 'system', default: false },
     documents: { type: 'array', required: false, step: 'system', default: [] },
     notes: { type: 'string', required: false, step: 'system' },
-    salary: { type: 'number', required: false, step: 'system', min: 0 },
+    salary: { type: 'number', required: false, step: 'system', min: 0, sensitive: true },
     currency: { type: 'string', required: false, step: 'system', default: 'USD' },
     initiatedAt: { type: 'date', required: false, step: 'system' },
     activeAt: { type: 'date', required: false, step: 'system' },
@@ -313,7 +332,7 @@ export const employeeOnboardingDefinition = {
     background_check: {
       name: 'Background Check',
       description: 'Background check in progress',
-      transitions: ['equipment_assigned', 'terminated'],
+      transitions: ['provisioning', 'terminated'],
 
       onEnter: async (processInstance, context) => {
         console.log(`Running background check for ${processInstance.variables.employeeId}`);
@@ -341,31 +360,106 @@ export const employeeOnboardingDefinition = {
       }
     },
 
-    // Equipment Assigned
-    equipment_assigned: {
-      name: 'Equipment Assigned',
-      description: 'Equipment has been assigned',
-      transitions: ['training_scheduled'],
+    // Provisioning - fork into parallel branches
+    provisioning: {
+      name: 'Provisioning',
+      description: 'IT, payroll and equipment are set up in parallel',
+      type: 'fork',
+      transitions: ['it_provisioning', 'payroll_setup', 'equipment_assigned'],
 
       onEnter: async (processInstance, context) => {
-        console.log(`Assigning equipment for ${processInstance.variables.employeeId}`);
+        console.log(`Starting provisioning for ${processInstance.variables.employeeId}`);
 
         if (context.backgroundCheckStatus === 'passed') {
           processInstance.variables.backgroundCheckStatus = 'passed';
           processInstance.variables.backgroundCheckCompletedAt = new Date().toISOString();
         }
+      }
+    },
+
+    // IT Provisioning (parallel branch)
+    it_provisioning: {
+      name: 'IT Provisioning',
+      description: 'Email account and system access being set up',
+      transitions: ['provisioning_complete'],
+
+      onExit: async (processInstance, context) => {
+        processInstance.variables.emailAccountCreated = true;
+        processInstance.variables.systemAccessGranted = true;
       },
 
       requiredActions: [
         {
           type: 'manual',
           role: APPROVAL_LEVELS.MEMBER,
-          message: 'Assign equipment and setup accounts',
+          message: 'Create email account and grant system access',
+          actionLabel: 'Mark IT Provisioning Complete'
+        }
+      ]
+    },
+
+    // Payroll Setup (parallel branch)
+    payroll_setup: {
+      name: 'Payroll Setup',
+      description: 'Employee being added to payroll',
+      transitions: ['provisioning_complete'],
+
+      onExit: async (processInstance, context) => {
+        processInstance.variables.payrollConfigured = true;
+      },
+
+      requiredActions: [
+        {
+          type: 'manual',
+          role: APPROVAL_LEVELS.ADMIN,
+          message: 'Add employee to payroll and collect tax forms',
+          actionLabel: 'Mark Payroll Setup Complete'
+        }
+      ]
+    },
+
+    // Equipment Assigned (parallel branch)
+    equipment_assigned: {
+      name: 'Equipment Assigned',
+      description: 'Equipment has been assigned',
+      transitions: ['provisioning_complete'],
+
+      onEnter: async (processInstance, context) => {
+        console.log(`Assigning equipment for ${processInstance.variables.employeeId}`);
+      },
+
+      onExit: async (processInstance, context) => {
+        processInstance.variables.equipmentAssigned = true;
+      },
+
+      requiredActions: [
+        {
+          type: 'manual',
+          role: APPROVAL_LEVELS.MEMBER,
+          message: 'Order and assign equipment',
           actionLabel: 'Mark Equipment Assigned'
         }
       ]
     },
 
+    // Provisioning Complete - join waiting for all branches
+    provisioning_complete: {
+      name: 'Provisioning Complete',
+      description: 'IT, payroll and equipment are ready',
+      type: 'join',
+      join: { requires: 'all' },
+      transitions: ['training_scheduled'],
+
+      autoTransition: {
+        conditions: [
+          {
+            type: 'immediate',
+            toState: 'training_scheduled'
+          }
+        ]
+      }
+    },
+
     // Training Scheduled
     training_scheduled: {
       name: 'Training Scheduled',
@@ -376,10 +470,6 @@ export const employeeOnboardingDefinition = {
         console.log(`Scheduling training for ${processInstance.variables.employeeId}`);
 
         processInstance.variables.trainingScheduled = true;
-
-        if (context.equipmentAssigned) {
-          processInstance.variables.equipmentAssigned = true;
-        }
       },
 
       requiredActions: [
@@ -459,9 +549,12 @@ export const employeeOnboardingDefinition = {
       view: ['creator', 'manager', 'hr', 'admin', 'owner'],
       transition: {
         initiated_to_background_check: ['system'],
-        background_check_to_equipment_assigned: ['hr', 'admin', 'owner'],
+        background_check_to_provisioning: ['hr', 'admin', 'owner'],
         background_check_to_terminated: ['hr', 'admin', 'owner'],
-        equipment_assigned_to_training_scheduled: ['member', 'admin', 'owner'],
+        it_provisioning_to_provisioning_complete: ['member', 'admin', 'owner'],
+        payroll_setup_to_provisioning_complete: ['hr', 'admin', 'owner'],
+        equipment_assigned_to_provisioning_complete: ['member', 'admin', 'owner'],
+        provisioning_complete_to_training_scheduled: ['system'],
         training_scheduled_to_training_complete: ['manager', 'admin', 'owner'],
         training_complete_to_active: ['system']
       }
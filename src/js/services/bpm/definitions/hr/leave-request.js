@@ -10,6 +10,8 @@
  */
 
 import { PROCESS_TYPES, PROCESS_CATEGORIES, APPROVAL_LEVELS } from '../../../../config/constants.js';
+import { memberService } from '../../../member-service.js';
+import { orgState } from '../../../../state/org-state.js';
 
 /**
  * Leave Request Process
@@ -94,10 +96,21 @@ export const leaveRequestDefinition = {
       toggleLabel: 'Half day only'
     },
 
+    // Days requested, shown read-only while the dates are picked
+    totalDays: {
+      type: 'number',
+      required: false,
+      step: 'create',
+      min: 0.5,
+      computed: 'halfDay ? 0.5 : daysBetween(startDate, endDate) + 1',
+      description: 'Calculated from the dates'
+    },
+
     // Reason
     reason: {
       type: 'string',
       required: false,
+      sensitive: true,
       step: 'create',
       multiline: true,
       rows: 3,
@@ -124,6 +137,7 @@ export const leaveRequestDefinition = {
     approvalNotes: {
       type: 'string',
       required: false,
+      sensitive: true,
       step: 'manager_review',
       multiline: true,
       rows: 2,
@@ -134,6 +148,8 @@ export const leaveRequestDefinition = {
     rejectionReason: {
       type: 'string',
       required: false,
+      sensitive: true,
+      requiredIn: ['rejected'],
       step: 'rejected',
       multiline: true,
       rows: 2,
@@ -144,6 +160,8 @@ export const leaveRequestDefinition = {
     cancellationReason: {
       type: 'string',
       required: false,
+      sensitive: true,
+      requiredIn: ['cancelled'],
       step: 'cancelled',
       multiline: true,
       rows: 2,
@@ -151,15 +169,15 @@ export const leaveRequestDefinition = {
     },
 
     // === SYSTEM CALCULATED/TRACKING FIELDS ===
-    totalDays: { type: 'number', required: false, step: 'system', min: 0.5 },
     currentBalance: { type: 'number', required: false, step: 'system', min: 0 },
     balanceAfter: { type: 'number', required: false, step: 'system' },
     requiresUnpaid: { type: 'boolean', required: false, step: 'system', default: false },
     managerId: { type: 'string', required: false, step: 'system' },
     reviewedBy: { type: 'string', required: false, step: 'system' },
-    coverageNotes: { type: 'string', required: false, step: 'system' },
+    coverageNotes: { type: 'string', required: false, step: 'system', sensitive: true },
+    coveringDelegationId: { type: 'string', required: false, step: 'system' },
     handoverCompleted: { type: 'boolean', required: false, step: 'system', default: false },
-    handoverNotes: { type: 'string', required: false, step: 'system' },
+    handoverNotes: { type: 'string', required: false, step: 'system', sensitive: true },
     documents: { type: 'array', required: false, step: 'system', default: [] },
     submittedAt: { type: 'date', required: false, step: 'system' },
     approvedAt: { type: 'date', required: false, step: 'system' },
@@ -168,6 +186,15 @@ export const leaveRequestDefinition = {
     completedAt: { type: 'date', required: false, step: 'system' }
   },
 
+  // Cross-field rules, checked in forms and on every variable update
+  validation: [
+    {
+      fields: ['endDate', 'startDate'],
+      expression: 'date(endDate) >= date(startDate)',
+      message: 'End date must be on or after the start date'
+    }
+  ],
+
   // State definitions
   states: {
     // Submitted - Leave request submitted
@@ -186,15 +213,6 @@ export const leaveRequestDefinition = {
 
         processInstance.variables.submittedAt = new Date().toISOString();
 
-        // Calculate total days if not provided
-        if (!processInstance.variables.totalDays) {
-          const start = new Date(processInstance.variables.startDate);
-          const end = new Date(processInstance.variables.endDate);
-          const diffTime = Math.abs(end - start);
-          const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
-          processInstance.variables.totalDays = processInstance.variables.halfDay ? 0.5 : diffDays;
-        }
-
         console.log(`Leave request ${processInstance.variables.requestId} submitted`);
 
         // TODO: Get employee's manager and leave balance
@@ -301,6 +319,28 @@ export const leaveRequestDefinition = {
       onEnter: async (processInstance, context) => {
         console.log(`Leave ${processInstance.variables.requestId} scheduled`);
 
+        // The covering employee approves on the employee's behalf while they are away
+        const { employeeId, coveringEmployeeId, startDate, endDate } = processInstance.variables;
+        const orgId = orgState.getActiveOrg()?.id;
+        if (coveringEmployeeId && orgId) {
+          try {
+            const endsAt = new Date(endDate);
+            endsAt.setDate(endsAt.getDate() + 1);
+
+            const delegation = await memberService.createDelegation(orgId, {
+              delegatorId: employeeId,
+              delegateId: coveringEmployeeId,
+              startsAt: startDate,
+              endsAt,
+              reason: `Leave ${processInstance.variables.requestId}`
+            }, { processId: processInstance._id });
+
+            processInstance.variables.coveringDelegationId = delegation._id;
+          } catch (error) {
+            console.warn(`Could not delegate approvals for leave ${processInstance.variables.requestId}:`, error);
+          }
+        }
+
         // TODO: Add to team calendar
         // TODO: Send reminders
       },
@@ -363,6 +403,17 @@ export const leaveRequestDefinition = {
           processInstance.variables.cancellationReason = context.reason || context.cancellationReason;
         }
 
+        const orgId = orgState.getActiveOrg()?.id;
+        if (processInstance.variables.coveringDelegationId && orgId) {
+          try {
+            await memberService.revokeDelegation(orgId, processInstance.variables.coveringDelegationId, {
+              processId: processInstance._id
+            });
+          } catch (error) {
+            console.warn(`Could not revoke delegation of leave ${processInstance.variables.requestId}:`, error);
+          }
+        }
+
         // TODO: Restore leave balance if deducted
         // TODO: Remove from calendar
       }
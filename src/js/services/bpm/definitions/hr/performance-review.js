@@ -26,21 +26,22 @@ export const performanceReviewDefinition = {
       enum: ['annual', 'semi_annual', 'quarterly', 'probation'],
       default: 'annual'
     },
-    selfAssessment: { type: 'string', required: false },
-    managerAssessment: { type: 'string', required: false },
+    selfAssessment: { type: 'string', required: false, sensitive: true },
+    managerAssessment: { type: 'string', required: false, sensitive: true },
     goals: { type: 'array', required: false, default: [] },
     achievements: { type: 'array', required: false, default: [] },
-    areasForImprovement: { type: 'array', required: false, default: [] },
+    areasForImprovement: { type: 'array', required: false, default: [], sensitive: true },
     overallRating: {
       type: 'string',
       required: false,
+      sensitive: true,
       enum: ['exceeds_expectations', 'meets_expectations', 'needs_improvement', 'unsatisfactory']
     },
-    ratingScore: { type: 'number', required: false, min: 1, max: 5 },
+    ratingScore: { type: 'number', required: false, min: 1, max: 5, sensitive: true },
     meetingScheduled: { type: 'boolean', required: false, default: false },
     meetingDate: { type: 'date', required: false },
     acknowledged: { type: 'boolean', required: false, default: false },
-    employeeComments: { type: 'string', required: false },
+    employeeComments: { type: 'string', required: false, sensitive: true },
     documents: { type: 'array', required: false, default: [] }
   },
 
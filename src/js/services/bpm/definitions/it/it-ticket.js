@@ -5,13 +5,17 @@
 
 import { PROCESS_TYPES, PROCESS_CATEGORIES, APPROVAL_LEVELS } from '../../../../config/constants.js';
 
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
 /**
  * IT Ticket Process
  *
  * State Flow:
  * submitted → assigned → in_progress → pending_user → resolved → closed | escalated
  *
- * SLA-based escalation and auto-assignment rules
+ * SLA-based escalation and auto-assignment rules: response and resolution
+ * targets by priority, counted from submission
  */
 export const itTicketDefinition = {
   id: 'it_ticket_v1',
@@ -21,6 +25,46 @@ export const itTicketDefinition = {
   version: '1.0.0',
   initialState: 'submitted',
 
+  // Response ends on assignment or when work starts, resolution when the ticket is resolved
+  sla: {
+    response: {
+      by: 'priority',
+      values: { critical: 15 * MINUTE_MS, high: HOUR_MS, medium: 4 * HOUR_MS, low: 8 * HOUR_MS },
+      default: 4 * HOUR_MS
+    },
+    resolution: {
+      by: 'priority',
+      values: { critical: 4 * HOUR_MS, high: 8 * HOUR_MS, medium: 24 * HOUR_MS, low: 72 * HOUR_MS },
+      default: 24 * HOUR_MS
+    },
+    respondedIn: ['assigned', 'in_progress'],
+    resolvedIn: ['resolved'],
+    warnAt: 0.75,
+    escalations: [
+      {
+        on: 'breach',
+        target: 'response',
+        type: 'notify',
+        role: APPROVAL_LEVELS.MANAGER,
+        title: 'Ticket {{ ticketNumber }} missed its response SLA',
+        message: '{{ subject }}'
+      },
+      {
+        on: 'warning',
+        type: 'notify',
+        role: APPROVAL_LEVELS.MANAGER,
+        title: 'Ticket {{ ticketNumber }} is at risk of breaching its resolution SLA',
+        message: '{{ subject }}'
+      },
+      {
+        on: 'breach',
+        type: 'transition',
+        toState: 'escalated',
+        reason: 'Resolution SLA breached - escalated'
+      }
+    ]
+  },
+
   // Variable schema
   variables: {
     // Ticket details
@@ -83,16 +127,7 @@ export const itTicketDefinition = {
       enum: ['helpdesk', 'desktop_support', 'network', 'security', 'applications', 'infrastructure']
     },
 
-    // SLA tracking
-    slaDeadline: { type: 'date', required: false },
-    slaStatus: {
-      type: 'string',
-      required: false,
-      enum: ['on_track', 'at_risk', 'breached'],
-      default: 'on_track'
-    },
-    responseDeadline: { type: 'date', required: false },
-    resolutionDeadline: { type: 'date', required: false },
+    // SLA tracking (deadlines and status come from the definition's SLA)
     responseTime: { type: 'number', required: false }, // in minutes
     resolutionTime: { type: 'number', required: false }, // in minutes
 
@@ -155,42 +190,11 @@ export const itTicketDefinition = {
           processInstance.variables.ticketNumber = `IT-${timestamp}-${random}`;
         }
 
-        // Calculate SLA deadlines based on priority
-        const now = new Date();
-        const priority = processInstance.variables.priority || 'medium';
-
-        // Response time SLAs (in minutes)
-        const responseSLA = {
-          'critical': 15,    // 15 minutes
-          'high': 60,        // 1 hour
-          'medium': 240,     // 4 hours
-          'low': 480         // 8 hours
-        };
-
-        // Resolution time SLAs (in hours)
-        const resolutionSLA = {
-          'critical': 4,     // 4 hours
-          'high': 8,         // 8 hours
-          'medium': 24,      // 1 day
-          'low': 72          // 3 days
-        };
-
-        const responseMinutes = responseSLA[priority] || 240;
-        const resolutionHours = resolutionSLA[priority] || 24;
-
-        const responseDeadline = new Date(now.getTime() + responseMinutes * 60 * 1000);
-        const resolutionDeadline = new Date(now.getTime() + resolutionHours * 60 * 60 * 1000);
-
-        processInstance.variables.responseDeadline = responseDeadline.toISOString();
-        processInstance.variables.resolutionDeadline = resolutionDeadline.toISOString();
-        processInstance.variables.slaDeadline = resolutionDeadline.toISOString();
-
         // TODO: Send acknowledgment to requester
         // await notificationService.send({
         //   to: processInstance.variables.requesterEmail,
         //   type: 'ticket_submitted',
-        //   ticketNumber: processInstance.variables.ticketNumber,
-        //   slaDeadline: processInstance.variables.slaDeadline
+        //   ticketNumber: processInstance.variables.ticketNumber
         // });
 
         // TODO: Notify helpdesk team
@@ -266,8 +270,7 @@ export const itTicketDefinition = {
         //   to: processInstance.variables.assignedTo,
         //   type: 'ticket_assigned',
         //   ticketNumber: processInstance.variables.ticketNumber,
-        //   priority: processInstance.variables.priority,
-        //   slaDeadline: processInstance.variables.slaDeadline
+        //   priority: processInstance.variables.priority
         // });
 
         // TODO: Update requester
@@ -288,12 +291,13 @@ export const itTicketDefinition = {
         }
       ],
 
-      // Escalate if not started within response SLA
-      autoTransition: {
-        conditions: [
+      // Escalate if not started within 2 hours
+      sla: {
+        resolution: 2 * HOUR_MS,
+        escalations: [
           {
-            type: 'timer',
-            duration: 2 * 60 * 60 * 1000, // 2 hours
+            on: 'breach',
+            type: 'transition',
             toState: 'escalated',
             reason: 'Not started within 2 hours - escalated'
           }
@@ -319,26 +323,6 @@ export const itTicketDefinition = {
         //   ticketNumber: processInstance.variables.ticketNumber,
         //   assignedToName: processInstance.variables.assignedToName
         // });
-      },
-
-      // Check SLA status
-      autoTransition: {
-        conditions: [
-          {
-            type: 'timer',
-            duration: 4 * 60 * 60 * 1000, // 4 hours
-            toState: 'escalated',
-            reason: 'SLA at risk - escalated for attention',
-            conditions: [
-              {
-                type: 'variable',
-                field: 'priority',
-                operator: 'in',
-                value: ['high', 'critical']
-              }
-            ]
-          }
-        ]
       }
     },
 
@@ -415,18 +399,6 @@ export const itTicketDefinition = {
           processInstance.variables.resolutionTime = Math.floor(resolutionMs / (1000 * 60)); // minutes
         }
 
-        // Check SLA status
-        if (processInstance.variables.slaDeadline && processInstance.variables.resolvedAt) {
-          const deadline = new Date(processInstance.variables.slaDeadline);
-          const resolved = new Date(processInstance.variables.resolvedAt);
-
-          if (resolved > deadline) {
-            processInstance.variables.slaStatus = 'breached';
-          } else {
-            processInstance.variables.slaStatus = 'on_track';
-          }
-        }
-
         // TODO: Send resolution notification to requester
         // await notificationService.send({
         //   to: processInstance.variables.requesterEmail,
@@ -511,9 +483,6 @@ export const itTicketDefinition = {
 
         processInstance.variables.escalatedAt = new Date().toISOString();
 
-        // Update SLA status
-        processInstance.variables.slaStatus = 'at_risk';
-
         // TODO: Notify escalation contact
         // await notificationService.send({
         //   to: processInstance.variables.escalatedTo || 'it_manager',
@@ -541,6 +510,13 @@ export const itTicketDefinition = {
           actionLabel: 'Handle Escalation',
           metadata: {
             requiresManagerAction: true
+          },
+          // Unclaimed for an hour: hand it to directors
+          sla: {
+            response: HOUR_MS,
+            escalations: [
+              { on: 'breach', target: 'response', type: 'reassign', level: APPROVAL_LEVELS.DIRECTOR }
+            ]
           }
         }
       ]
@@ -67,11 +67,27 @@ export const salesOrderDefinition = {
     },
 
     // Financial details
-    subtotal: { type: 'number', required: true, min: 0 },
-    taxAmount: { type: 'number', required: false, min: 0, default: 0 },
+    subtotal: {
+      type: 'number',
+      required: true,
+      min: 0,
+      computed: "sumProduct(items, 'quantity', 'unitPrice')"
+    },
+    taxRate: { type: 'number', required: false, min: 0, max: 100, default: 0 },
+    taxAmount: {
+      type: 'number',
+      required: false,
+      min: 0,
+      computed: 'round(subtotal * (taxRate || 0) / 100, 2)'
+    },
     shippingCost: { type: 'number', required: false, min: 0, default: 0 },
     discount: { type: 'number', required: false, min: 0, default: 0 },
-    totalAmount: { type: 'number', required: true, min: 0 },
+    totalAmount: {
+      type: 'number',
+      required: true,
+      min: 0,
+      computed: 'subtotal + taxAmount + (shippingCost || 0) - (discount || 0)'
+    },
     currency: { type: 'string', required: false, default: 'USD' },
 
     // Payment details
@@ -396,6 +412,7 @@ export const salesOrderDefinition = {
       name: 'Paid',
       description: 'Payment has been received',
       transitions: ['closed'],
+      irreversible: true, // payment has been received
 
       onEnter: async (processInstance, context) => {
         console.log(`Sales order ${processInstance.variables.orderNumber} paid`);
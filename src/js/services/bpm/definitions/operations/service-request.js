@@ -5,6 +5,8 @@
 
 import { PROCESS_TYPES, PROCESS_CATEGORIES, APPROVAL_LEVELS } from '../../../../config/constants.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export const serviceRequestDefinition = {
   id: 'service_request_v1',
   name: 'Service Request',
@@ -13,6 +15,16 @@ export const serviceRequestDefinition = {
   version: '1.0.0',
   initialState: 'submitted',
 
+  // Resolution target by priority, counted from submission
+  sla: {
+    resolution: {
+      by: 'priority',
+      values: { low: 5 * DAY_MS, medium: 3 * DAY_MS, high: DAY_MS, critical: 0.5 * DAY_MS },
+      default: 3 * DAY_MS
+    },
+    resolvedIn: ['resolved']
+  },
+
   variables: {
     // Request details
     requestNumber: { type: 'string', required: true },
@@ -44,7 +56,6 @@ export const serviceRequestDefinition = {
     assignedAt: { type: 'date', required: false },
 
     // SLA
-    slaDeadline: { type: 'date', required: false },
     responseTime: { type: 'number', required: false }, // minutes
     resolutionTime: { type: 'number', required: false }, // minutes
 
@@ -73,12 +84,6 @@ export const serviceRequestDefinition = {
       onEnter: async (processInstance) => {
         console.log(`Service request ${processInstance.variables.requestNumber} submitted`);
         processInstance.variables.submittedAt = new Date().toISOString();
-
-        // Calculate SLA
-        const priority = processInstance.variables.priority;
-        const slaDays = { low: 5, medium: 3, high: 1, critical: 0.5 };
-        const slaMs = (slaDays[priority] || 3) * 24 * 60 * 60 * 1000;
-        processInstance.variables.slaDeadline = new Date(Date.now() + slaMs).toISOString();
       },
       autoTransition: {
         conditions: [{
@@ -17,6 +17,9 @@ import { PROCESS_TYPES, PROCESS_CATEGORIES, APPROVAL_LEVELS } from '../../../../
  * State Flow:
  * draft → submitted → approved → sent_to_vendor → acknowledged → shipped → received → invoiced → closed
  *
+ * Receiving starts an incoming QC inspection (qc_inspection_v1) as a sub-process;
+ * the PO moves to invoiced once the inspection completes.
+ *
  * Approval Rules:
  * - < $1,000: Auto-approve
  * - $1,000 - $9,999: Manager approval
@@ -294,6 +297,9 @@ export const purchaseOrderDefinition = {
     acknowledgedAt: { type: 'date', required: false, step: 'system' },
     shippedAt: { type: 'date', required: false, step: 'system' },
     receivedAt: { type: 'date', required: false, step: 'system' },
+    qcInspectionId: { type: 'string', required: false, step: 'system' },
+    qcResult: { type: 'string', required: false, step: 'system' },
+    qcDisposition: { type: 'string', required: false, step: 'system' },
     invoiceReceived: { type: 'boolean', required: false, step: 'system', default: false },
     documents: { type: 'array', required: false, step: 'system', default: [] },
     submittedAt: { type: 'date', required: false, step: 'system' },
@@ -512,16 +518,27 @@ export const purchaseOrderDefinition = {
         }
       },
 
-      // Auto-transition to invoiced after 7 days
-      autoTransition: {
-        conditions: [
-          {
-            type: 'timer',
-            duration: 7 * 24 * 60 * 60 * 1000, // 7 days
-            toState: 'invoiced',
-            reason: 'Auto-moved to invoiced after 7 days'
-          }
-        ]
+      // Incoming QC inspection; moves to invoiced when it completes
+      subProcess: {
+        definitionId: 'qc_inspection_v1',
+        type: PROCESS_TYPES.SC_QC_INSPECTION,
+        variables: {
+          inspectionType: 'incoming',
+          referenceType: 'purchase_order'
+        },
+        inputs: {
+          inspectionTitle: 'poNumber',
+          referenceId: 'poNumber',
+          itemName: 'itemsDescription',
+          vendorId: 'vendorId',
+          scheduledDate: 'receivedAt'
+        },
+        outputs: {
+          qcInspectionId: 'inspectionId',
+          qcResult: 'result',
+          qcDisposition: 'disposition'
+        },
+        onComplete: 'invoiced'
       }
     },
 
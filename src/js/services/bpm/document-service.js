@@ -10,8 +10,7 @@ import {
   EVENTS,
   MAX_FILE_SIZE,
   MAX_FILES_PER_PROCESS,
-  ALLOWED_FILE_TYPES,
-  PROCESS_SYNC_STATUS
+  ALLOWED_FILE_TYPES
 } from '../../config/constants.js';
 
 class DocumentService {
@@ -72,7 +71,7 @@ class DocumentService {
       const doc = await db.get(processId);
 
       // Add attachment to PouchDB
-      const updatedDoc = await db.putAttachment(
+      await db.putAttachment(
         processId,
         documentId,
         doc._rev,
@@ -80,25 +79,16 @@ class DocumentService {
         file.type
       );
 
-      // Update process variables with document metadata
-      const documents = [...existingDocs, docMetadata];
-      const updated = {
+      // Record the document on the revision holding the attachment;
+      // processState picks it up from the changes feed
+      const stored = await db.get(processId);
+      await processPersistence.saveProcess(orgId, {
+        ...stored,
         variables: {
-          ...processInstance.variables,
-          documents
+          ...stored.variables,
+          documents: [...(stored.variables?.documents || []), docMetadata]
         },
-        syncStatus: PROCESS_SYNC_STATUS.PENDING,
-        updatedAt: new Date().toISOString(),
-        _rev: updatedDoc.rev
-      };
-
-      // Update in state
-      processState.updateProcess(processId, updated);
-
-      // Save to persistence
-      await processPersistence.saveProcess(orgId, {
-        ...processInstance,
-        ...updated
+        updatedAt: new Date().toISOString()
       });
 
       // Emit event
@@ -198,34 +188,21 @@ class DocumentService {
       const doc = await db.get(processId);
 
       // Remove attachment
-      const updatedDoc = await db.removeAttachment(
+      await db.removeAttachment(
         processId,
         documentId,
         doc._rev
       );
 
-      // Update process variables
-      const documents = (processInstance.variables.documents || []).filter(
-        doc => doc.id !== documentId
-      );
-
-      const updated = {
+      // Update process variables; processState picks them up from the changes feed
+      const stored = await db.get(processId);
+      await processPersistence.saveProcess(orgId, {
+        ...stored,
         variables: {
-          ...processInstance.variables,
-          documents
+          ...stored.variables,
+          documents: (stored.variables?.documents || []).filter(d => d.id !== documentId)
         },
-        syncStatus: PROCESS_SYNC_STATUS.PENDING,
-        updatedAt: new Date().toISOString(),
-        _rev: updatedDoc.rev
-      };
-
-      // Update in state
-      processState.updateProcess(processId, updated);
-
-      // Save to persistence
-      await processPersistence.saveProcess(orgId, {
-        ...processInstance,
-        ...updated
+        updatedAt: new Date().toISOString()
       });
 
       // Emit event
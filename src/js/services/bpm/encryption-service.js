@@ -0,0 +1,550 @@
+/**
+ * Encryption Service
+ * Encrypts the sensitive variables of process instances before they are stored,
+ * so neither CouchDB nor members without the organization's key can read them.
+ * A definition marks a variable sensitive with `sensitive: true`:
+ *
+ *   variables: { reason: { type: 'string', sensitive: true } }
+ *
+ * Each organization has an AES-GCM key, kept in an `encryption_key` document
+ * wrapped (RSA-OAEP) for the public key of every member's device. Each device
+ * a member signs in on has a key pair of its own: the public key is published in
+ * a `member_key` document per device, and the private key stays in a device
+ * database (DB_NAMES.DEVICE_KEYS) that logout leaves in place. Any member holding
+ * the key wraps it for members who joined or signed in on a new device:
+ *
+ *   wrappedKeys: { <publicKeyId>: { userId, key } }
+ * When a member is removed, an admin rotates the key:
+ * processes are written again under the new key, which the removed member never
+ * receives.
+ *
+ * Stored processes carry the sensitive values, wherever they appear under
+ * `variables`, `stateHistory` and `auditLog`, in one encrypted blob, and so do
+ * tasks for the values under `outcome` and `history`:
+ *
+ *   encrypted: { keyId, iv, data }
+ *
+ * Processes whose key this device does not hold yet stay locked (the blob is kept
+ * as it is) until the key is shared.
+ */
+
+import { processPersistence } from './process-persistence.js';
+import { processService } from './process-service.js';
+import { processSync } from './process-sync.js';
+import { taskService } from './task-service.js';
+import { memberService } from '../member-service.js';
+import { authState } from '../../state/auth-state.js';
+import { processState } from '../../state/process-state.js';
+import { eventBus } from '../../utils/events.js';
+import { generateUUID } from '../../utils/helpers.js';
+import { EVENTS, DOC_TYPES } from '../../config/constants.js';
+
+// Parts of a process instance that may hold variable values
+const PROCESS_ROOTS = ['variables', 'stateHistory', 'auditLog'];
+
+// Parts of a task that may hold them: the data it was completed with, and its history
+const TASK_ROOTS = ['outcome', 'history'];
+
+const KEY_PAIR_ALGORITHM = {
+  name: 'RSA-OAEP',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+};
+
+const ORG_KEY_ALGORITHM = { name: 'AES-GCM', length: 256 };
+
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Move the values of sensitive fields out of an object, collecting [path, value] entries
+ */
+function extractSensitive(value, names, path, entries) {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+
+  Object.keys(value).forEach(key => {
+    if (!Array.isArray(value) && names.has(key)) {
+      entries.push([[...path, key], value[key]]);
+      delete value[key];
+    } else {
+      extractSensitive(value[key], names, [...path, key], entries);
+    }
+  });
+}
+
+/**
+ * Put a value back at its path
+ */
+function setAtPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    return node[key];
+  }, target);
+
+  parent[path[path.length - 1]] = value;
+}
+
+class EncryptionService {
+  constructor() {
+    this.orgId = null;
+    this.userId = null;
+    this.keyPair = null; // { publicKey, privateKey, publicKeyId } of this device; null while encryption is off
+    this.keyDocs = new Map(); // keyId -> encryption_key document
+    this.keys = new Map(); // keyId -> org key this member holds
+    this.memberKeys = new Map(); // publicKeyId -> member_key document of a member's device
+    this.processKeys = new Map(); // processId -> keyId its sensitive values are encrypted with
+    this.creating = null; // promise of the first org key being created
+
+    // Keys shared or rotated, or members who need the key, on another device
+    eventBus.on(EVENTS.ENCRYPTION_KEYS_CHANGED, ({ orgId, source }) => {
+      if (source === 'sync' && orgId === this.orgId && this.keyPair) {
+        this.refreshKeys(orgId).catch(error => {
+          console.error('Error refreshing encryption keys:', error);
+        });
+      }
+    });
+
+    // Removed members keep what they already read, but nothing written from now on
+    eventBus.on(EVENTS.MEMBER_REMOVED, ({ orgId, userId }) => {
+      if (orgId === this.orgId && this.keyPair) {
+        this.rotateKey(orgId, { removedUserId: userId }).catch(error => {
+          console.error('Error rotating encryption key:', error);
+        });
+      }
+    });
+  }
+
+  /**
+   * Names of the variables a definition marks sensitive
+   * @param {Object} definition - Process definition
+   * @returns {Array<string>} Variable names
+   */
+  getSensitiveVariables(definition) {
+    return Object.entries(definition?.variables || {})
+      .filter(([, variable]) => variable?.sensitive === true)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Set up this member's keys for an organization
+   * Publishes the public key of this device and loads the org keys shared with it.
+   * Encryption stays off when this fails: processes stay locked, and writes of
+   * sensitive values are refused
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<void>}
+   */
+  async initialize(orgId) {
+    this.orgId = orgId;
+    this.userId = authState.getUser()?.id || null;
+    this.keyPair = null;
+    this.keyDocs.clear();
+    this.keys.clear();
+    this.memberKeys.clear();
+    this.processKeys.clear();
+    this.creating = null;
+
+    if (!this.userId) {
+      return;
+    }
+
+    const keyPair = await this.loadKeyPair();
+
+    await processPersistence.saveMemberKey(orgId, {
+      _id: `${DOC_TYPES.MEMBER_KEY}:${orgId}:${this.userId}:${keyPair.publicKeyId}`,
+      userId: this.userId,
+      publicKey: keyPair.publicJwk,
+      publicKeyId: keyPair.publicKeyId,
+      createdAt: new Date().toISOString()
+    });
+
+    this.keyPair = keyPair;
+    await this.loadKeys(orgId);
+    await this.shareKeys(orgId);
+  }
+
+  /**
+   * Load this member's key pair on this device, generating it on first use
+   */
+  async loadKeyPair() {
+    let stored = await processPersistence.loadKeyPair(this.userId);
+
+    if (!stored) {
+      const keyPair = await crypto.subtle.generateKey(KEY_PAIR_ALGORITHM, true, ['wrapKey', 'unwrapKey']);
+
+      stored = {
+        publicKeyId: generateUUID(),
+        publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+      };
+      await processPersistence.saveKeyPair(this.userId, stored);
+    }
+
+    return {
+      publicKeyId: stored.publicKeyId,
+      publicJwk: stored.publicKey,
+      publicKey: await crypto.subtle.importKey('jwk', stored.publicKey, KEY_PAIR_ALGORITHM, true, ['wrapKey']),
+      privateKey: await crypto.subtle.importKey('jwk', stored.privateKey, KEY_PAIR_ALGORITHM, false, ['unwrapKey'])
+    };
+  }
+
+  /**
+   * Load the org keys and member keys, unwrapping the org keys shared with this device
+   */
+  async loadKeys(orgId) {
+    const keyDocs = await processPersistence.loadEncryptionKeys(orgId);
+    const memberKeys = await processPersistence.loadMemberKeys(orgId);
+
+    this.keyDocs = new Map(keyDocs.map(doc => [doc.keyId, doc]));
+    this.memberKeys = new Map(memberKeys.map(doc => [doc.publicKeyId, doc]));
+
+    for (const doc of keyDocs) {
+      const wrapped = doc.wrappedKeys?.[this.keyPair.publicKeyId];
+
+      if (this.keys.has(doc.keyId) || !wrapped) {
+        continue;
+      }
+
+      try {
+        this.keys.set(doc.keyId, await crypto.subtle.unwrapKey(
+          'raw', fromBase64(wrapped.key), this.keyPair.privateKey, KEY_PAIR_ALGORITHM.name,
+          ORG_KEY_ALGORITHM, true, ['encrypt', 'decrypt']
+        ));
+      } catch (error) {
+        console.error(`Error unwrapping encryption key ${doc.keyId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * The newest org key, which new writes are encrypted with
+   * @returns {Object|null} encryption_key document
+   */
+  getCurrentKeyDoc() {
+    return Array.from(this.keyDocs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+  }
+
+  /**
+   * The key new writes are encrypted with
+   * The first one is created on the first write that needs it, so devices that have
+   * not pulled the organization's key yet do not start their own
+   * @returns {Promise<Object>} { keyId, key }
+   */
+  async getCurrentKey(orgId) {
+    if (orgId !== this.orgId || !this.keyPair) {
+      throw new Error(`No encryption keys loaded for org ${orgId}`);
+    }
+
+    if (this.keyDocs.size === 0) {
+      this.creating = this.creating || this.createKey(orgId, 'created');
+      await this.creating;
+    }
+
+    const keyDoc = this.getCurrentKeyDoc();
+    const key = this.keys.get(keyDoc.keyId);
+    if (!key) {
+      throw new Error(`The encryption key of org ${orgId} has not been shared with you yet`);
+    }
+
+    return { keyId: keyDoc.keyId, key };
+  }
+
+  /**
+   * Wrap an org key for every device whose public key a member published
+   */
+  async wrapForMembers(key, wrappedKeys = {}) {
+    const result = { ...wrappedKeys };
+
+    for (const memberKey of this.memberKeys.values()) {
+      if (result[memberKey.publicKeyId]) {
+        continue;
+      }
+
+      try {
+        const publicKey = await crypto.subtle.importKey(
+          'jwk', memberKey.publicKey, KEY_PAIR_ALGORITHM, false, ['wrapKey']
+        );
+        result[memberKey.publicKeyId] = {
+          userId: memberKey.userId,
+          key: toBase64(await crypto.subtle.wrapKey('raw', key, publicKey, KEY_PAIR_ALGORITHM.name))
+        };
+      } catch (error) {
+        console.error(`Error wrapping encryption key for ${memberKey.userId}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a new org key, wrapped for every member
+   * @param {string} orgId - Organization ID
+   * @param {string} reason - 'created' or 'rotated'
+   * @returns {Promise<Object>} encryption_key document
+   */
+  async createKey(orgId, reason) {
+    const key = await crypto.subtle.generateKey(ORG_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+    const keyId = generateUUID();
+
+    this.memberKeys.set(this.keyPair.publicKeyId, {
+      userId: this.userId,
+      publicKey: this.keyPair.publicJwk,
+      publicKeyId: this.keyPair.publicKeyId
+    });
+
+    const doc = await processPersistence.saveEncryptionKey(orgId, {
+      _id: `${DOC_TYPES.ENCRYPTION_KEY}:${orgId}:${keyId}`,
+      keyId,
+      createdAt: new Date().toISOString(),
+      createdBy: this.userId,
+      reason,
+      wrappedKeys: await this.wrapForMembers(key)
+    });
+
+    this.keyDocs.set(keyId, doc);
+    this.keys.set(keyId, key);
+
+    console.log(`Encryption key ${keyId} ${reason} for org ${orgId}`);
+
+    return doc;
+  }
+
+  /**
+   * Wrap the org keys this member holds for members still missing them
+   */
+  async shareKeys(orgId) {
+    for (const [keyId, key] of this.keys) {
+      const doc = this.keyDocs.get(keyId);
+      const wrappedKeys = await this.wrapForMembers(key, doc.wrappedKeys);
+
+      if (Object.keys(wrappedKeys).every(publicKeyId => wrappedKeys[publicKeyId] === doc.wrappedKeys?.[publicKeyId])) {
+        continue;
+      }
+
+      try {
+        this.keyDocs.set(keyId, await processPersistence.saveEncryptionKey(orgId, { ...doc, wrappedKeys }));
+      } catch (error) {
+        console.error(`Error sharing encryption key ${keyId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Reload the keys after another device changed them, share them on, and unlock
+   * the processes and tasks they open
+   */
+  async refreshKeys(orgId) {
+    await this.loadKeys(orgId);
+    await this.shareKeys(orgId);
+
+    for (const processInstance of processState.getAllProcesses()) {
+      if (processInstance.encrypted && this.keys.has(processInstance.encrypted.keyId)) {
+        const unlocked = await this.decryptProcess(orgId, JSON.parse(JSON.stringify(processInstance)));
+
+        if (!unlocked.encrypted) {
+          processState.replaceProcess(unlocked);
+        }
+      }
+    }
+
+    for (const task of taskService.getAllTasks()) {
+      if (task.encrypted && this.keys.has(task.encrypted.keyId)) {
+        const unlocked = await this.decryptTask(orgId, JSON.parse(JSON.stringify(task)));
+
+        if (!unlocked.encrypted) {
+          taskService.applyDocument(unlocked);
+        }
+      }
+    }
+  }
+
+  /**
+   * Replace the current org key with a new one and write every process encrypted
+   * with an older key again (org admins only)
+   * @param {string} orgId - Organization ID
+   * @param {Object} options - { removedUserId: member who lost access }
+   * @returns {Promise<Object>} New encryption_key document
+   */
+  async rotateKey(orgId, { removedUserId = null } = {}) {
+    const caller = await memberService.getMemberByUserId(orgId, this.userId);
+    if (!caller || !memberService.canManageMembers(caller.role)) {
+      throw new Error('Only organization admins can rotate the encryption key');
+    }
+
+    if (removedUserId) {
+      // Every device of theirs
+      for (const [publicKeyId, memberKey] of this.memberKeys) {
+        if (memberKey.userId === removedUserId) {
+          if (memberKey._id) {
+            await processPersistence.deleteMemberKey(orgId, memberKey._id);
+          }
+          this.memberKeys.delete(publicKeyId);
+        }
+      }
+
+      // Older keys stop being shared with them too
+      for (const doc of this.keyDocs.values()) {
+        const wrappedKeys = Object.fromEntries(
+          Object.entries(doc.wrappedKeys || {}).filter(([, wrapped]) => wrapped.userId !== removedUserId)
+        );
+
+        if (Object.keys(wrappedKeys).length !== Object.keys(doc.wrappedKeys || {}).length) {
+          this.keyDocs.set(doc.keyId, await processPersistence.saveEncryptionKey(orgId, { ...doc, wrappedKeys }));
+        }
+      }
+    }
+
+    const doc = await this.createKey(orgId, 'rotated');
+
+    const processIds = Array.from(this.processKeys)
+      .filter(([, keyId]) => keyId !== doc.keyId)
+      .map(([processId]) => processId);
+    processSync.rewriteProcesses(processIds);
+
+    eventBus.emit(EVENTS.ENCRYPTION_KEYS_CHANGED, { orgId, docs: [doc], source: 'local' });
+
+    return doc;
+  }
+
+  /**
+   * Encrypt the sensitive values of a process document about to be stored
+   * @param {string} orgId - Organization ID
+   * @param {Object} doc - Process document
+   * @returns {Promise<Object>} Document to store
+   */
+  async encryptProcess(orgId, doc) {
+    const names = this.getSensitiveVariables(processService.getProcessDefinition(doc));
+    const stored = await this.encryptDocument(orgId, doc, names, PROCESS_ROOTS);
+
+    if (stored !== doc) {
+      this.processKeys.set(doc._id, stored.encrypted.keyId);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Encrypt the sensitive values a task document carries, such as completion data
+   * @param {string} orgId - Organization ID
+   * @param {Object} doc - Task document
+   * @returns {Promise<Object>} Document to store
+   */
+  async encryptTask(orgId, doc) {
+    const processInstance = processState.getProcess(doc.processId);
+    const definition = processInstance
+      ? processService.getProcessDefinition(processInstance)
+      : processService.getDefinition(doc.definitionId);
+
+    return this.encryptDocument(orgId, doc, this.getSensitiveVariables(definition), TASK_ROOTS);
+  }
+
+  /**
+   * Move the sensitive values under some fields of a document into an encrypted blob
+   * @param {Array<string>} names - Sensitive variable names
+   * @param {Array<string>} roots - Fields that may hold them
+   * @returns {Promise<Object>} Document to store, the same one when nothing was encrypted
+   */
+  async encryptDocument(orgId, doc, names, roots) {
+    if (names.length === 0) {
+      return doc;
+    }
+
+    const sensitive = new Set(names);
+    const stored = JSON.parse(JSON.stringify(doc));
+    const entries = [];
+    roots.forEach(root => extractSensitive(stored[root], sensitive, [root], entries));
+
+    // Nothing sensitive in memory: a locked document keeps its blob
+    if (entries.length === 0) {
+      return doc;
+    }
+
+    if (stored.encrypted) {
+      throw new Error(`${doc._id} is locked until its encryption key is shared with you`);
+    }
+
+    const { keyId, key } = await this.getCurrentKey(orgId);
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: ORG_KEY_ALGORITHM.name, iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(entries))
+    );
+
+    stored.encrypted = { keyId, iv: toBase64(iv), data: toBase64(data) };
+
+    return stored;
+  }
+
+  /**
+   * Decrypt the sensitive values of a stored process document
+   * Documents whose key this member does not hold are returned locked
+   * @param {string} orgId - Organization ID
+   * @param {Object} doc - Stored process document
+   * @returns {Promise<Object>} Process document
+   */
+  async decryptProcess(orgId, doc) {
+    const keyId = doc?.encrypted?.keyId;
+    const result = await this.decryptDocument(orgId, doc);
+
+    if (keyId && !result.encrypted) {
+      this.processKeys.set(doc._id, keyId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Decrypt the sensitive values of a stored task document
+   * @param {string} orgId - Organization ID
+   * @param {Object} doc - Stored task document
+   * @returns {Promise<Object>} Task document
+   */
+  decryptTask(orgId, doc) {
+    return this.decryptDocument(orgId, doc);
+  }
+
+  /**
+   * Put the values of a document's encrypted blob back in place
+   * Documents whose key this member does not hold are returned locked
+   */
+  async decryptDocument(orgId, doc) {
+    const blob = doc?.encrypted;
+    const key = blob && orgId === this.orgId ? this.keys.get(blob.keyId) : null;
+
+    if (!key) {
+      return doc;
+    }
+
+    try {
+      const data = await crypto.subtle.decrypt(
+        { name: ORG_KEY_ALGORITHM.name, iv: fromBase64(blob.iv) },
+        key,
+        fromBase64(blob.data)
+      );
+
+      JSON.parse(new TextDecoder().decode(data)).forEach(([path, value]) => setAtPath(doc, path, value));
+      delete doc.encrypted;
+    } catch (error) {
+      console.error(`Error decrypting ${doc._id}:`, error);
+    }
+
+    return doc;
+  }
+}
+
+// Create singleton instance
+export const encryptionService = new EncryptionService();
+
+export default encryptionService;
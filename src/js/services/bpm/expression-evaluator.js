@@ -0,0 +1,615 @@
+/**
+ * Expression Evaluator
+ * Parses and evaluates a small, sandboxed expression language without eval, e.g.
+ *   amount > 5000 && department in ['sales', 'marketing']
+ *   daysBetween(startDate, endDate) <= 10 || user.approvalLevel == 'director'
+ *
+ * Names resolve to process variables; `variables`, `currentState`, `status`,
+ * `user` and `context` are also available. Only registered functions can be called.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Properties that would reach outside plain data
+const BLOCKED_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+// Names that resolve to the evaluation scope rather than to a process variable
+const SCOPE_NAMES = ['variables', 'currentState', 'status', 'user', 'context'];
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+const PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'
+];
+
+/**
+ * Convert a date-like value to a timestamp (ms)
+ */
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return Date.parse(value);
+  return NaN;
+}
+
+class ExpressionEvaluator {
+  constructor() {
+    this.cache = new Map(); // source -> parsed tree
+
+    this.functions = {
+      // Dates
+      now: () => Date.now(),
+      timestamp: () => new Date().toISOString(),
+      today: () => new Date().setHours(0, 0, 0, 0),
+      date: (value) => toTime(value),
+      addDays: (value, days) => new Date(toTime(value) + days * DAY_MS).toISOString(),
+      daysBetween: (from, to) => Math.round((toTime(to) - toTime(from)) / DAY_MS),
+      daysSince: (value) => (Date.now() - toTime(value)) / DAY_MS,
+      daysUntil: (value) => (toTime(value) - Date.now()) / DAY_MS,
+      hoursSince: (value) => (Date.now() - toTime(value)) / (60 * 60 * 1000),
+
+      // Numbers
+      abs: (value) => Math.abs(value),
+      floor: (value) => Math.floor(value),
+      ceil: (value) => Math.ceil(value),
+      round: (value, digits = 0) => {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+      },
+      min: (...values) => Math.min(...values.flat()),
+      max: (...values) => Math.max(...values.flat()),
+
+      // Lists
+      count: (list) => (Array.isArray(list) ? list.length : 0),
+      sum: (list, field) => (Array.isArray(list) ? list : []).reduce((total, item) => {
+        const value = field ? item?.[field] : item;
+        return total + (Number(value) || 0);
+      }, 0),
+      sumProduct: (list, ...fields) => (Array.isArray(list) ? list : []).reduce((total, item) =>
+        total + fields.reduce((product, field) => product * (Number(item?.[field]) || 0), 1), 0),
+
+      // Strings and values
+      len: (value) => (value === null || value === undefined ? 0 : value.length || 0),
+      lower: (value) => String(value ?? '').toLowerCase(),
+      upper: (value) => String(value ?? '').toUpperCase(),
+      contains: (haystack, needle) => (Array.isArray(haystack) || typeof haystack === 'string')
+        ? haystack.includes(needle)
+        : false,
+      startsWith: (value, prefix) => String(value ?? '').startsWith(prefix),
+      isEmpty: (value) => value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0),
+      exists: (value) => value !== null && value !== undefined
+    };
+  }
+
+  /**
+   * Parse an expression (cached)
+   */
+  parse(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('Expression must be a non-empty string');
+    }
+
+    if (!this.cache.has(source)) {
+      const parser = new Parser(this.tokenize(source), this.functions);
+      this.cache.set(source, parser.parseExpression());
+    }
+
+    return this.cache.get(source);
+  }
+
+  /**
+   * Check that an expression parses
+   */
+  validate(source) {
+    try {
+      this.parse(source);
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: `Invalid expression: ${error.message}` };
+    }
+  }
+
+  /**
+   * Evaluate an expression against a process instance and user context
+   */
+  evaluate(source, processInstance = {}, context = {}) {
+    const scope = {
+      variables: processInstance.variables || {},
+      currentState: processInstance.currentState,
+      status: processInstance.status,
+      user: context.user || {
+        id: context.userId,
+        approvalLevel: context.approvalLevel,
+        role: context.userRole
+      },
+      context
+    };
+
+    return this.evaluateNode(this.parse(source), scope);
+  }
+
+  /**
+   * Get the process variables an expression reads, e.g. ['items', 'taxRate']
+   */
+  getVariableNames(source) {
+    const names = new Set();
+
+    const visit = (node) => {
+      switch (node.type) {
+        case 'identifier':
+          if (!SCOPE_NAMES.includes(node.name)) {
+            names.add(node.name);
+          }
+          break;
+        case 'member':
+          // variables.amount reads amount; other property names are not variables
+          if (node.object.type === 'identifier' && node.object.name === 'variables' &&
+              node.property.type === 'literal') {
+            names.add(node.property.value);
+          } else {
+            visit(node.object);
+          }
+          if (node.property.type !== 'literal') visit(node.property);
+          break;
+        case 'array':
+          node.elements.forEach(visit);
+          break;
+        case 'call':
+          node.args.forEach(visit);
+          break;
+        case 'unary':
+          visit(node.argument);
+          break;
+        case 'conditional':
+          visit(node.test);
+          visit(node.consequent);
+          visit(node.alternate);
+          break;
+        case 'logical':
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+      }
+    };
+
+    visit(this.parse(source));
+    return Array.from(names);
+  }
+
+  /**
+   * Register a function callable from expressions
+   */
+  registerFunction(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Expression function must be a function');
+    }
+
+    this.functions[name] = fn;
+    console.log(`Expression function registered: ${name}`);
+  }
+
+  /**
+   * Split source into tokens
+   */
+  tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < source.length) {
+      const char = source[pos];
+
+      if (/\s/.test(char)) {
+        pos++;
+        continue;
+      }
+
+      // Numbers
+      const number = /^\d+(\.\d+)?/.exec(source.slice(pos));
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[0]), pos });
+        pos += number[0].length;
+        continue;
+      }
+
+      // Strings
+      if (char === '\'' || char === '"') {
+        let value = '';
+        let end = pos + 1;
+
+        while (end < source.length && source[end] !== char) {
+          if (source[end] === '\\' && end + 1 < source.length) {
+            end++;
+          }
+          value += source[end];
+          end++;
+        }
+
+        if (end >= source.length) {
+          throw new Error(`Unterminated string at position ${pos}`);
+        }
+
+        tokens.push({ type: 'string', value, pos });
+        pos = end + 1;
+        continue;
+      }
+
+      // Names and keywords
+      const name = /^[A-Za-z_$][\w$]*/.exec(source.slice(pos));
+      if (name) {
+        tokens.push({ type: 'name', value: name[0], pos });
+        pos += name[0].length;
+        continue;
+      }
+
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+      if (punctuator) {
+        tokens.push({ type: 'punctuator', value: punctuator, pos });
+        pos += punctuator.length;
+        continue;
+      }
+
+      throw new Error(`Unexpected character "${char}" at position ${pos}`);
+    }
+
+    tokens.push({ type: 'end', value: null, pos });
+    return tokens;
+  }
+
+  /**
+   * Evaluate a parsed node
+   */
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'array':
+        return node.elements.map(element => this.evaluateNode(element, scope));
+
+      case 'identifier':
+        if (Object.prototype.hasOwnProperty.call(scope, node.name)) {
+          return scope[node.name];
+        }
+        return this.getProperty(scope.variables, node.name);
+
+      case 'member':
+        return this.getProperty(
+          this.evaluateNode(node.object, scope),
+          this.evaluateNode(node.property, scope)
+        );
+
+      case 'call':
+        return this.functions[node.callee](
+          ...node.args.map(arg => this.evaluateNode(arg, scope))
+        );
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, scope);
+        return node.operator === '!' ? !value : -value;
+      }
+
+      case 'logical': {
+        const left = this.evaluateNode(node.left, scope);
+        if (node.operator === '&&') {
+          return left ? this.evaluateNode(node.right, scope) : left;
+        }
+        return left ? left : this.evaluateNode(node.right, scope);
+      }
+
+      case 'conditional':
+        return this.evaluateNode(node.test, scope)
+          ? this.evaluateNode(node.consequent, scope)
+          : this.evaluateNode(node.alternate, scope);
+
+      case 'binary':
+        return this.applyBinary(
+          node.operator,
+          this.evaluateNode(node.left, scope),
+          this.evaluateNode(node.right, scope)
+        );
+
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Apply a binary operator
+   * == and != compare strictly, except that null and undefined (missing) are equal
+   */
+  applyBinary(operator, left, right) {
+    switch (operator) {
+      case '==':
+        return left === right || (left == null && right == null);
+      case '!=':
+        return !(left === right || (left == null && right == null));
+      case '===':
+        return left === right;
+      case '!==':
+        return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case 'in':
+        return this.isMember(left, right);
+      case 'not in':
+        return !this.isMember(left, right);
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Membership test for the `in` operator
+   */
+  isMember(value, collection) {
+    if (Array.isArray(collection) || typeof collection === 'string') {
+      return collection.includes(value);
+    }
+
+    if (collection && typeof collection === 'object') {
+      return Object.prototype.hasOwnProperty.call(collection, value);
+    }
+
+    return false;
+  }
+
+  /**
+   * Read an own property of plain data; anything else is undefined
+   */
+  getProperty(object, property) {
+    if (object === null || object === undefined || BLOCKED_PROPERTIES.includes(property)) {
+      return undefined;
+    }
+
+    if (property === 'length' && (Array.isArray(object) || typeof object === 'string')) {
+      return object.length;
+    }
+
+    if (typeof object === 'string') {
+      return undefined;
+    }
+
+    return Object.prototype.hasOwnProperty.call(object, property) ? object[property] : undefined;
+  }
+}
+
+/**
+ * Recursive descent parser, lowest precedence first:
+ * ?: , || (or), && (and), == != , < <= > >= , in / not in, + -, * / %, unary ! - not
+ */
+class Parser {
+  constructor(tokens, functions) {
+    this.tokens = tokens;
+    this.functions = functions;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  /**
+   * Consume the next token if it is the given punctuator or keyword
+   */
+  match(value) {
+    const token = this.peek();
+    if ((token.type === 'punctuator' || token.type === 'name') && token.value === value) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.match(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    throw new Error(`${message} but found ${found} at position ${token.pos}`);
+  }
+
+  parseExpression() {
+    const node = this.parseConditional();
+
+    if (this.peek().type !== 'end') {
+      this.fail('Expected end of expression');
+    }
+
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseOr();
+
+    if (this.match('?')) {
+      const consequent = this.parseConditional();
+      this.expect(':');
+      const alternate = this.parseConditional();
+      return { type: 'conditional', test, consequent, alternate };
+    }
+
+    return test;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.match('||') || this.match('or')) {
+      left = { type: 'logical', operator: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseEquality();
+    while (this.match('&&') || this.match('and')) {
+      left = { type: 'logical', operator: '&&', left, right: this.parseEquality() };
+    }
+    return left;
+  }
+
+  parseEquality() {
+    let left = this.parseComparison();
+    for (;;) {
+      const operator = ['===', '!==', '==', '!='].find(op => this.match(op));
+      if (!operator) return left;
+      left = { type: 'binary', operator, left, right: this.parseComparison() };
+    }
+  }
+
+  parseComparison() {
+    let left = this.parseMembership();
+    for (;;) {
+      const operator = ['<=', '>=', '<', '>'].find(op => this.match(op));
+      if (!operator) return left;
+      left = { type: 'binary', operator, left, right: this.parseMembership() };
+    }
+  }
+
+  parseMembership() {
+    const left = this.parseAdditive();
+
+    if (this.match('in')) {
+      return { type: 'binary', operator: 'in', left, right: this.parseAdditive() };
+    }
+
+    const token = this.peek();
+    const following = this.tokens[this.index + 1];
+    if (token.type === 'name' && token.value === 'not' && following.value === 'in') {
+      this.index += 2;
+      return { type: 'binary', operator: 'not in', left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    for (;;) {
+      const operator = ['+', '-'].find(op => this.match(op));
+      if (!operator) return left;
+      left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+    }
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    for (;;) {
+      const operator = ['*', '/', '%'].find(op => this.match(op));
+      if (!operator) return left;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+  }
+
+  parseUnary() {
+    if (this.match('!') || this.match('not')) {
+      return { type: 'unary', operator: '!', argument: this.parseUnary() };
+    }
+
+    if (this.match('-')) {
+      return { type: 'unary', operator: '-', argument: this.parseUnary() };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.match('.')) {
+        const token = this.next();
+        if (token.type !== 'name') {
+          this.index--;
+          this.fail('Expected property name');
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+      } else if (this.match('[')) {
+        const property = this.parseConditional();
+        this.expect(']');
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+        return { type: 'literal', value: KEYWORDS[token.value] };
+      }
+
+      // Only registered functions may be called
+      if (this.match('(')) {
+        if (!Object.prototype.hasOwnProperty.call(this.functions, token.value)) {
+          throw new Error(`Unknown function "${token.value}" at position ${token.pos}`);
+        }
+
+        const args = [];
+        if (!this.match(')')) {
+          do {
+            args.push(this.parseConditional());
+          } while (this.match(','));
+          this.expect(')');
+        }
+
+        return { type: 'call', callee: token.value, args };
+      }
+
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (token.type === 'punctuator' && token.value === '(') {
+      const node = this.parseConditional();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.type === 'punctuator' && token.value === '[') {
+      const elements = [];
+      if (!this.match(']')) {
+        do {
+          elements.push(this.parseConditional());
+        } while (this.match(','));
+        this.expect(']');
+      }
+      return { type: 'array', elements };
+    }
+
+    this.index--;
+    this.fail('Expected a value');
+  }
+}
+
+// Create singleton instance
+export const expressionEvaluator = new ExpressionEvaluator();
+
+export default expressionEvaluator;
@@ -11,9 +11,21 @@ export { processState } from '../../state/process-state.js';
 // Phase 2 services
 export { processPersistence } from './process-persistence.js';
 export { processSync } from './process-sync.js';
+export { definitionStore } from './definition-store.js';
 export { conditionEvaluator } from './condition-evaluator.js';
+export { expressionEvaluator } from './expression-evaluator.js';
+export { variableValidator } from './variable-validator.js';
+export { computedVariables } from './computed-variables.js';
+export { actionRegistry } from './action-registry.js';
+export { approvalPolicy } from './approval-policy.js';
+export { slaPolicy } from './sla-policy.js';
+export { calendarService } from './calendar-service.js';
 export { transitionEngine } from './transition-engine.js';
 export { taskService } from './task-service.js';
+export { commentService } from './comment-service.js';
+export { conflictResolver } from './conflict-resolver.js';
+export { accessPolicy } from './access-policy.js';
+export { encryptionService } from './encryption-service.js';
 
 // Enhanced services (Phase 1 infrastructure)
 export { documentService } from './document-service.js';
@@ -183,9 +195,21 @@ export function exposeBPMGlobally() {
     import('./process-service.js').then(async ({ processService }) => {
       const { processState } = await import('../../state/process-state.js');
       const { processSync } = await import('./process-sync.js');
+      const { definitionStore } = await import('./definition-store.js');
       const { transitionEngine } = await import('./transition-engine.js');
       const { taskService } = await import('./task-service.js');
+      const { commentService } = await import('./comment-service.js');
+      const { conflictResolver } = await import('./conflict-resolver.js');
+      const { accessPolicy } = await import('./access-policy.js');
+      const { encryptionService } = await import('./encryption-service.js');
       const { conditionEvaluator } = await import('./condition-evaluator.js');
+      const { expressionEvaluator } = await import('./expression-evaluator.js');
+      const { variableValidator } = await import('./variable-validator.js');
+      const { computedVariables } = await import('./computed-variables.js');
+      const { actionRegistry } = await import('./action-registry.js');
+      const { approvalPolicy } = await import('./approval-policy.js');
+      const { slaPolicy } = await import('./sla-policy.js');
+      const { calendarService } = await import('./calendar-service.js');
       const { documentService } = await import('./document-service.js');
       const { analyticsService } = await import('./analytics-service.js');
       const { exportService } = await import('./export-service.js');
@@ -196,9 +220,21 @@ export function exposeBPMGlobally() {
         processService,
         processState,
         processSync,
+        definitionStore,
         transitionEngine,
         taskService,
+        commentService,
+        conflictResolver,
+        accessPolicy,
+        encryptionService,
         conditionEvaluator,
+        expressionEvaluator,
+        variableValidator,
+        computedVariables,
+        actionRegistry,
+        approvalPolicy,
+        slaPolicy,
+        calendarService,
         documentService,
         analyticsService,
         exportService,
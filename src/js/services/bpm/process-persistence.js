@@ -4,16 +4,61 @@
  */
 
 import { eventBus } from '../../utils/events.js';
-import { EVENTS, DOC_TYPES, PROCESS_SYNC_STATUS } from '../../config/constants.js';
+import { EVENTS, DOC_TYPES, COUCHDB_CONFIG, DB_NAMES } from '../../config/constants.js';
 import { getPouchDB } from '../pouchdb-init.js';
+import { encryptionService } from './encryption-service.js';
 
 // PouchDB reference (set after initialization)
 let PouchDB = null;
 
+// Process instance IDs look like process_inst:{type}_{timestamp}_{random}
+const PROCESS_ID_PREFIX = 'process_inst:';
+
+// Local document (never replicated) recording how far the remote has received this database
+const SYNC_CHECKPOINT_ID = '_local/process_sync_checkpoint';
+
+// Local document holding a member's encryption key pair, whose private key never leaves the device
+// Kept in DB_NAMES.DEVICE_KEYS, apart from the org databases destroyed on logout
+const KEY_PAIR_ID_PREFIX = '_local/member_key_pair:';
+
+// Fields describing this device's sync progress, which are not stored on the document
+const SYNC_FIELDS = ['syncStatus', 'lastSyncAt'];
+
+/**
+ * Prepare a process instance for storing
+ * Replicated documents carry their orgId, as organizations may share a CouchDB database
+ */
+function toProcessDoc(processInstance, orgId) {
+  const doc = { ...processInstance, type: DOC_TYPES.PROCESS_INSTANCE, orgId };
+  SYNC_FIELDS.forEach(field => delete doc[field]);
+  return doc;
+}
+
+/**
+ * ID of a calendar or definition document, e.g. calendar:{orgId}:{name}
+ * Names are only unique within an organization, and organizations may share a database
+ */
+function scopedId(type, orgId, key) {
+  return `${type}:${orgId}:${key}`;
+}
+
+/**
+ * Delay before the next replication retry: COUCHDB_CONFIG.RETRY.INITIAL_DELAY_MS,
+ * growing by BACK_OFF_FACTOR with each failure until MAX_ATTEMPTS, then staying there
+ */
+function backOff(delay) {
+  const { INITIAL_DELAY_MS, BACK_OFF_FACTOR, MAX_ATTEMPTS } = COUCHDB_CONFIG.RETRY;
+  const maxDelay = INITIAL_DELAY_MS * Math.pow(BACK_OFF_FACTOR, MAX_ATTEMPTS - 1);
+
+  return delay === 0 ? INITIAL_DELAY_MS : Math.min(delay * BACK_OFF_FACTOR, maxDelay);
+}
+
 class ProcessPersistence {
   constructor() {
     this.databases = new Map(); // orgId -> PouchDB instance
     this.syncHandlers = new Map(); // orgId -> sync handler
+    this.changeFeeds = new Map(); // orgId -> live changes feed of process instances
+    this.keysDb = null; // device database of encryption key pairs
     this.initPromise = null;
   }
 
@@ -41,7 +86,7 @@ class ProcessPersistence {
 
     try {
       // Create local PouchDB instance
-      const dbName = `v4l_org_${orgId}`;
+      const dbName = `${DB_NAMES.ORG_PREFIX}${orgId}`;
       const db = new PouchDB(dbName);
 
       // Create indexes for queries
@@ -91,17 +136,23 @@ class ProcessPersistence {
         }
       });
 
-      // Index for querying by sync status
+      // Index for sorting by creation date
       await db.createIndex({
         index: {
-          fields: ['type', 'syncStatus']
+          fields: ['type', 'createdAt']
         }
       });
 
-      // Index for sorting by creation date
+      // Indexes for querying task and comment documents
       await db.createIndex({
         index: {
-          fields: ['type', 'createdAt']
+          fields: ['type', 'processId']
+        }
+      });
+
+      await db.createIndex({
+        index: {
+          fields: ['type', 'assignee']
         }
       });
 
@@ -123,36 +174,68 @@ class ProcessPersistence {
     return db;
   }
 
+  /**
+   * Load a calendar or definition document by name, under its org-scoped ID or the
+   * unscoped one ({type}:{key}) it was stored with before organizations shared databases
+   * @returns {Promise<Object|null>} Document, or null when not stored
+   */
+  async getScopedDoc(db, type, orgId, key) {
+    for (const id of [scopedId(type, orgId, key), `${type}:${key}`]) {
+      try {
+        return await db.get(id);
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Deletion of a document that keeps what the server filters and validates by
+   * (type and orgId), and the name of a calendar or definition for other devices
+   */
+  toTombstone(orgId, doc) {
+    return {
+      _id: doc._id,
+      _rev: doc._rev,
+      _deleted: true,
+      type: doc.type,
+      orgId,
+      ...(doc.type === DOC_TYPES.CALENDAR && { name: doc.name }),
+      ...(doc.type === DOC_TYPES.PROCESS_DEFINITION && { definitionId: doc.definitionId, version: doc.version })
+    };
+  }
+
+  /**
+   * Decrypt the sensitive variables of stored process instances
+   */
+  decryptProcesses(orgId, docs) {
+    return Promise.all(docs.map(doc => encryptionService.decryptProcess(orgId, doc)));
+  }
+
   /**
    * Save a process instance
    */
   async saveProcess(orgId, processInstance) {
     try {
       const db = this.getDatabase(orgId);
+      const doc = toProcessDoc(processInstance, orgId);
 
-      // Ensure document type is set
-      processInstance.type = DOC_TYPES.PROCESS_INSTANCE;
-
-      // Update sync status and timestamp
-      processInstance.syncStatus = PROCESS_SYNC_STATUS.SYNCED;
-      processInstance.lastSyncAt = new Date().toISOString();
+      // Save to database, with sensitive variables encrypted
+      const result = await db.put(await encryptionService.encryptProcess(orgId, doc));
+      doc._rev = result.rev;
 
-      // Save to database
-      const result = await db.put(processInstance);
+      console.log(`Process saved: ${doc._id}`);
 
-      // Update _rev if document was updated
-      if (result.ok) {
-        processInstance._rev = result.rev;
-      }
-
-      console.log(`Process saved: ${processInstance._id}`);
-
-      return processInstance;
+      return doc;
     } catch (error) {
-      console.error('Error saving process:', error);
-
-      // Mark as pending sync on error
-      processInstance.syncStatus = PROCESS_SYNC_STATUS.ERROR;
+      // A stale _rev is expected when another device or service changed the process first
+      if (error.status !== 409) {
+        console.error('Error saving process:', error);
+      }
 
       throw error;
     }
@@ -166,7 +249,7 @@ class ProcessPersistence {
       const db = this.getDatabase(orgId);
       const processInstance = await db.get(processId);
 
-      return processInstance;
+      return encryptionService.decryptProcess(orgId, processInstance);
     } catch (error) {
       if (error.name === 'not_found') {
         return null;
@@ -191,7 +274,7 @@ class ProcessPersistence {
         sort: [{ createdAt: 'desc' }]
       });
 
-      return result.docs;
+      return this.decryptProcesses(orgId, result.docs);
     } catch (error) {
       console.error('Error loading all processes:', error);
       return [];
@@ -213,7 +296,7 @@ class ProcessPersistence {
         sort: [{ createdAt: 'desc' }]
       });
 
-      return result.docs;
+      return this.decryptProcesses(orgId, result.docs);
     } catch (error) {
       console.error('Error loading processes by type:', error);
       return [];
@@ -235,7 +318,7 @@ class ProcessPersistence {
         sort: [{ createdAt: 'desc' }]
       });
 
-      return result.docs;
+      return this.decryptProcesses(orgId, result.docs);
     } catch (error) {
       console.error('Error loading processes by status:', error);
       return [];
@@ -257,7 +340,7 @@ class ProcessPersistence {
         sort: [{ createdAt: 'desc' }]
       });
 
-      return result.docs;
+      return this.decryptProcesses(orgId, result.docs);
     } catch (error) {
       console.error('Error loading processes by state:', error);
       return [];
@@ -279,7 +362,7 @@ class ProcessPersistence {
         sort: [{ createdAt: 'desc' }]
       });
 
-      return result.docs;
+      return this.decryptProcesses(orgId, result.docs);
     } catch (error) {
       console.error('Error loading processes by definition:', error);
       return [];
@@ -294,7 +377,7 @@ class ProcessPersistence {
       const db = this.getDatabase(orgId);
       const doc = await db.get(processId);
 
-      await db.remove(doc);
+      await db.put(this.toTombstone(orgId, doc));
 
       console.log(`Process deleted: ${processId}`);
 
@@ -312,26 +395,22 @@ class ProcessPersistence {
     try {
       const db = this.getDatabase(orgId);
 
-      // Ensure all documents have correct type and sync status
-      const docs = processes.map(p => ({
-        ...p,
-        type: DOC_TYPES.PROCESS_INSTANCE,
-        syncStatus: PROCESS_SYNC_STATUS.SYNCED,
-        lastSyncAt: new Date().toISOString()
-      }));
+      const docs = processes.map(processInstance => toProcessDoc(processInstance, orgId));
 
-      const result = await db.bulkDocs(docs);
+      const result = await db.bulkDocs(
+        await Promise.all(docs.map(doc => encryptionService.encryptProcess(orgId, doc)))
+      );
 
       // Update _rev for successful saves
       result.forEach((r, index) => {
         if (r.ok) {
-          processes[index]._rev = r.rev;
+          docs[index]._rev = r.rev;
         }
       });
 
       console.log(`Bulk saved ${processes.length} processes`);
 
-      return processes;
+      return docs;
     } catch (error) {
       console.error('Error bulk saving processes:', error);
       throw error;
@@ -339,28 +418,747 @@ class ProcessPersistence {
   }
 
   /**
-   * Get processes that need sync
+   * Load all process instances with the update sequence of their stored revision
+   * @returns {Promise<Object>} { processes, seqs: { processId: seq }, lastSeq }
+   */
+  async loadProcessesWithSeqs(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.changes({
+        since: 0,
+        include_docs: true,
+        filter: (doc) => doc._id.startsWith(PROCESS_ID_PREFIX)
+      });
+
+      const live = result.results.filter(change => !change.deleted);
+      const seqs = {};
+      live.forEach(change => {
+        seqs[change.id] = change.seq;
+      });
+
+      return {
+        processes: await this.decryptProcesses(orgId, live.map(change => change.doc)),
+        seqs,
+        lastSeq: result.last_seq
+      };
+    } catch (error) {
+      console.error('Error loading processes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow every stored change to process instances, whether written on this
+   * device or replicated from another
+   * @param {*} since - Update sequence to follow on from
+   * @param {Function} onChange - Called with { id, seq, doc, deleted }
    */
-  async getProcessesNeedingSync(orgId) {
+  watchProcesses(orgId, since, onChange) {
+    const db = this.getDatabase(orgId);
+
+    this.unwatchProcesses(orgId);
+
+    const feed = db.changes({
+      since,
+      live: true,
+      include_docs: true,
+      filter: (doc) => doc._id.startsWith(PROCESS_ID_PREFIX)
+    });
+
+    // Changes are applied in order, once their sensitive variables are decrypted
+    let applied = Promise.resolve();
+    feed.on('change', (change) => {
+      applied = applied.then(async () => {
+        try {
+          onChange({ ...change, doc: await encryptionService.decryptProcess(orgId, change.doc) });
+        } catch (error) {
+          console.error(`Error applying change to ${change.id}:`, error);
+        }
+      });
+    });
+
+    feed.on('error', (error) => {
+      console.error('Process changes feed error:', error);
+    });
+
+    this.changeFeeds.set(orgId, feed);
+
+    return feed;
+  }
+
+  /**
+   * Stop following process changes for an organization
+   */
+  unwatchProcesses(orgId) {
+    if (this.changeFeeds.has(orgId)) {
+      this.changeFeeds.get(orgId).cancel();
+      this.changeFeeds.delete(orgId);
+    }
+  }
+
+  /**
+   * Get the last local update sequence the remote database has received
+   * Returns 0 when nothing was pushed yet, or only to another remote
+   */
+  async loadSyncCheckpoint(orgId, remoteUrl) {
+    try {
+      const db = this.getDatabase(orgId);
+      const checkpoint = await db.get(SYNC_CHECKPOINT_ID);
+
+      return checkpoint.remote === remoteUrl ? checkpoint.pushedSeq : 0;
+    } catch (error) {
+      if (error.name !== 'not_found') {
+        console.error('Error loading sync checkpoint:', error);
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * Record the last local update sequence pushed to the remote database
+   */
+  async saveSyncCheckpoint(orgId, remoteUrl, pushedSeq) {
+    const db = this.getDatabase(orgId);
+
+    let checkpoint = { _id: SYNC_CHECKPOINT_ID };
+    try {
+      checkpoint = await db.get(SYNC_CHECKPOINT_ID);
+    } catch (error) {
+      if (error.name !== 'not_found') throw error;
+    }
+
+    await db.put({ ...checkpoint, remote: remoteUrl, pushedSeq });
+  }
+
+  /**
+   * Load the current revision of a process with the revisions it conflicts with
+   * Each carries its `_revisions` ancestry, used to find their common ancestor
+   * @returns {Promise<Object|null>} { winner, losers }, or null if the process is missing
+   */
+  async loadProcessConflicts(orgId, processId) {
+    try {
+      const db = this.getDatabase(orgId);
+      const winner = await db.get(processId, { conflicts: true, revs: true });
+      const losers = await Promise.all(
+        (winner._conflicts || []).map(rev => db.get(processId, { rev, revs: true }))
+      );
+
+      return {
+        winner: await encryptionService.decryptProcess(orgId, winner),
+        losers: await this.decryptProcesses(orgId, losers)
+      };
+    } catch (error) {
+      if (error.name === 'not_found') {
+        return null;
+      }
+
+      console.error('Error loading process conflicts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load an earlier revision of a process
+   * Returns null once compaction has dropped its body
+   */
+  async loadProcessRevision(orgId, processId, rev) {
+    try {
+      const db = this.getDatabase(orgId);
+      return await encryptionService.decryptProcess(orgId, await db.get(processId, { rev }));
+    } catch (error) {
+      if (error.name === 'not_found') {
+        return null;
+      }
+
+      console.error('Error loading process revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of processes whose documents have conflicting revisions
+   */
+  async findConflictedProcesses(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.allDocs({
+        include_docs: true,
+        conflicts: true,
+        startkey: PROCESS_ID_PREFIX,
+        endkey: `${PROCESS_ID_PREFIX}\ufff0`
+      });
+
+      return result.rows
+        .filter(row => row.doc?._conflicts?.length > 0)
+        .map(row => row.id);
+    } catch (error) {
+      console.error('Error finding conflicted processes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the resolution of a conflict: the merged process on top of the
+   * current revision, and deletion of the conflicting ones
+   * @param {Object} merged - Merged process, with _rev set to the current revision
+   * @param {Array} conflictRevs - Conflicting revisions to delete
+   * @returns {Promise<Object>} Saved process
+   */
+  async saveMergedProcess(orgId, merged, conflictRevs = []) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = toProcessDoc(merged, orgId);
+      delete doc._conflicts;
+      delete doc._revisions;
+
+      const results = await db.bulkDocs([
+        await encryptionService.encryptProcess(orgId, doc),
+        ...conflictRevs.map(rev => this.toTombstone(orgId, { ...doc, _rev: rev }))
+      ]);
+
+      if (results[0].error) {
+        throw new Error(`Failed to save merged process: ${results[0].message || results[0].name}`);
+      }
+
+      doc._rev = results[0].rev;
+      console.log(`Merged process saved: ${doc._id}`);
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving merged process:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a pending auto-transition timer
+   * Timer documents stay local: the sync filter only replicates process instances
+   */
+  async saveTimer(orgId, timer) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const doc = {
+        ...timer,
+        _id: `${DOC_TYPES.PROCESS_TIMER}:${timer.key}`,
+        type: DOC_TYPES.PROCESS_TIMER
+      };
+
+      // Overwrite the previous timer of the same process (or branch)
+      try {
+        const existing = await db.get(doc._id);
+        doc._rev = existing._rev;
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+      }
+
+      await db.put(doc);
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving timer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a timer document by its token key
+   */
+  async deleteTimer(orgId, key) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = await db.get(`${DOC_TYPES.PROCESS_TIMER}:${key}`);
+
+      await db.remove(doc);
+
+      return true;
+    } catch (error) {
+      if (error.name === 'not_found') {
+        return false;
+      }
+
+      console.error('Error deleting timer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all persisted timers for an organization, earliest first
+   */
+  async loadTimers(orgId) {
     try {
       const db = this.getDatabase(orgId);
 
       const result = await db.find({
         selector: {
-          type: DOC_TYPES.PROCESS_INSTANCE,
-          syncStatus: {
-            $in: [PROCESS_SYNC_STATUS.PENDING, PROCESS_SYNC_STATUS.ERROR]
-          }
+          type: DOC_TYPES.PROCESS_TIMER
+        }
+      });
+
+      return result.docs.sort((a, b) => new Date(a.fireAt) - new Date(b.fireAt));
+    } catch (error) {
+      console.error('Error loading timers:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a task document
+   * Overwrites the stored revision; the in-memory task is the latest version.
+   * Sensitive values it was completed with are stored encrypted, like those of processes
+   */
+  async saveTask(orgId, task) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = { ...task, type: DOC_TYPES.TASK, orgId };
+
+      try {
+        const existing = await db.get(doc._id);
+        doc._rev = existing._rev;
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+        delete doc._rev;
+      }
+
+      const result = await db.put(await encryptionService.encryptTask(orgId, doc));
+      doc._rev = result.rev;
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load task documents, optionally narrowed by a selector
+   * e.g. { processId } or { assignee, status: 'pending' }
+   */
+  async loadTasks(orgId, selector = {}) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: {
+          ...selector,
+          type: DOC_TYPES.TASK
         }
       });
 
+      return Promise.all(result.docs.map(doc => encryptionService.decryptTask(orgId, doc)));
+    } catch (error) {
+      console.error('Error loading tasks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a delegation document
+   * Overwrites the stored revision, like task documents
+   */
+  async saveDelegation(orgId, delegation) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = { ...delegation, type: DOC_TYPES.DELEGATION, orgId };
+
+      try {
+        const existing = await db.get(doc._id);
+        doc._rev = existing._rev;
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+        delete doc._rev;
+      }
+
+      const result = await db.put(doc);
+      doc._rev = result.rev;
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving delegation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all delegation documents
+   */
+  async loadDelegations(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: { type: DOC_TYPES.DELEGATION }
+      });
+
+      return result.docs;
+    } catch (error) {
+      console.error('Error loading delegations:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a working calendar document
+   * Overwrites the stored revision, like delegation documents
+   */
+  async saveCalendar(orgId, calendar) {
+    try {
+      const db = this.getDatabase(orgId);
+      const existing = await this.getScopedDoc(db, DOC_TYPES.CALENDAR, orgId, calendar.name);
+      const doc = {
+        ...calendar,
+        _id: existing ? existing._id : scopedId(DOC_TYPES.CALENDAR, orgId, calendar.name),
+        type: DOC_TYPES.CALENDAR,
+        orgId
+      };
+
+      if (existing) {
+        doc._rev = existing._rev;
+      } else {
+        delete doc._rev;
+      }
+
+      const result = await db.put(doc);
+      doc._rev = result.rev;
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a working calendar document
+   * @returns {Promise<Object|null>} The deletion, or null when there was no such calendar
+   */
+  async deleteCalendar(orgId, name) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = await this.getScopedDoc(db, DOC_TYPES.CALENDAR, orgId, name);
+      if (!doc) {
+        return null;
+      }
+
+      const tombstone = this.toTombstone(orgId, doc);
+      const result = await db.put(tombstone);
+      tombstone._rev = result.rev;
+
+      return tombstone;
+    } catch (error) {
+      console.error('Error deleting calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all working calendar documents
+   */
+  async loadCalendars(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: { type: DOC_TYPES.CALENDAR }
+      });
+
+      return result.docs;
+    } catch (error) {
+      console.error('Error loading calendars:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a process comment document
+   * Overwrites the stored revision; only the author edits a comment
+   */
+  async saveComment(orgId, comment) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = { ...comment, type: DOC_TYPES.COMMENT, orgId };
+
+      try {
+        const existing = await db.get(doc._id);
+        doc._rev = existing._rev;
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+        delete doc._rev;
+      }
+
+      const result = await db.put(doc);
+      doc._rev = result.rev;
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load comment documents, optionally narrowed by a selector such as { processId }
+   */
+  async loadComments(orgId, selector = {}) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: {
+          ...selector,
+          type: DOC_TYPES.COMMENT
+        }
+      });
+
+      return result.docs;
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save an encryption key document (an org key, wrapped for each member)
+   * Overwrites the stored revision, like task documents
+   */
+  async saveEncryptionKey(orgId, keyDoc) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = { ...keyDoc, type: DOC_TYPES.ENCRYPTION_KEY, orgId };
+
+      try {
+        const existing = await db.get(doc._id);
+        doc._rev = existing._rev;
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+        delete doc._rev;
+      }
+
+      const result = await db.put(doc);
+      doc._rev = result.rev;
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving encryption key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all encryption key documents
+   */
+  async loadEncryptionKeys(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: { type: DOC_TYPES.ENCRYPTION_KEY }
+      });
+
+      return result.docs;
+    } catch (error) {
+      console.error('Error loading encryption keys:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a member's published public key
+   */
+  async saveMemberKey(orgId, memberKey) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = { ...memberKey, type: DOC_TYPES.MEMBER_KEY, orgId };
+
+      try {
+        const existing = await db.get(doc._id);
+        doc._rev = existing._rev;
+      } catch (error) {
+        if (error.name !== 'not_found') {
+          throw error;
+        }
+        delete doc._rev;
+      }
+
+      const result = await db.put(doc);
+      doc._rev = result.rev;
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving member key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the published public keys of the organization's members
+   */
+  async loadMemberKeys(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: { type: DOC_TYPES.MEMBER_KEY }
+      });
+
       return result.docs;
     } catch (error) {
-      console.error('Error getting processes needing sync:', error);
+      console.error('Error loading member keys:', error);
       return [];
     }
   }
 
+  /**
+   * Delete a member's published public key, e.g. once they left the organization
+   */
+  async deleteMemberKey(orgId, memberKeyId) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = await db.get(memberKeyId);
+      await db.put(this.toTombstone(orgId, doc));
+    } catch (error) {
+      if (error.name !== 'not_found') {
+        console.error('Error deleting member key:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get the device database of encryption key pairs
+   */
+  async getKeysDatabase() {
+    await this.ensureInitialized();
+
+    if (!this.keysDb) {
+      this.keysDb = new PouchDB(DB_NAMES.DEVICE_KEYS);
+    }
+    return this.keysDb;
+  }
+
+  /**
+   * Load this device's key pair of a member, which it uses in every organization
+   * @returns {Promise<Object|null>} { publicKeyId, publicKey, privateKey } as JWK, or null
+   */
+  async loadKeyPair(userId) {
+    try {
+      const db = await this.getKeysDatabase();
+      return await db.get(`${KEY_PAIR_ID_PREFIX}${userId}`);
+    } catch (error) {
+      if (error.name !== 'not_found') {
+        console.error('Error loading key pair:', error);
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a member's key pair on this device
+   */
+  async saveKeyPair(userId, keyPair) {
+    const db = await this.getKeysDatabase();
+    await db.put({ ...keyPair, _id: `${KEY_PAIR_ID_PREFIX}${userId}` });
+  }
+
+  /**
+   * Save a process definition document
+   * One document per definition version; definitions must be plain JSON
+   */
+  async saveDefinition(orgId, definition, savedBy = null) {
+    try {
+      const db = this.getDatabase(orgId);
+      const now = new Date().toISOString();
+      const key = `${definition.id}@${definition.version}`;
+      const existing = await this.getScopedDoc(db, DOC_TYPES.PROCESS_DEFINITION, orgId, key);
+
+      const doc = {
+        _id: existing ? existing._id : scopedId(DOC_TYPES.PROCESS_DEFINITION, orgId, key),
+        type: DOC_TYPES.PROCESS_DEFINITION,
+        orgId,
+        definitionId: definition.id,
+        version: definition.version,
+        definition,
+        createdAt: now,
+        updatedAt: now,
+        updatedBy: savedBy
+      };
+
+      // Keep creation date when overwriting the same version
+      if (existing) {
+        doc._rev = existing._rev;
+        doc.createdAt = existing.createdAt || now;
+      }
+
+      const result = await db.put(doc);
+      doc._rev = result.rev;
+
+      console.log(`Process definition saved: ${definition.id}@${definition.version}`);
+
+      return doc;
+    } catch (error) {
+      console.error('Error saving process definition:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all stored process definition documents
+   */
+  async loadDefinitions(orgId) {
+    try {
+      const db = this.getDatabase(orgId);
+
+      const result = await db.find({
+        selector: {
+          type: DOC_TYPES.PROCESS_DEFINITION
+        }
+      });
+
+      return result.docs;
+    } catch (error) {
+      console.error('Error loading process definitions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a stored process definition version
+   * @returns {Promise<Object|null>} The deletion, or null when there was no such version
+   */
+  async deleteDefinition(orgId, definitionId, version) {
+    try {
+      const db = this.getDatabase(orgId);
+      const doc = await this.getScopedDoc(db, DOC_TYPES.PROCESS_DEFINITION, orgId, `${definitionId}@${version}`);
+      if (!doc) {
+        return null;
+      }
+
+      const tombstone = this.toTombstone(orgId, doc);
+      const result = await db.put(tombstone);
+      tombstone._rev = result.rev;
+
+      console.log(`Process definition deleted: ${definitionId}@${version}`);
+
+      return tombstone;
+    } catch (error) {
+      console.error('Error deleting process definition:', error);
+      throw error;
+    }
+  }
+
   /**
    * Setup remote sync with CouchDB
    */
@@ -382,24 +1180,151 @@ class ProcessPersistence {
         remote = url.toString();
       }
 
-      // Start bidirectional sync
+      // Start bidirectional sync. Pushes are limited to process documents here; pulls are
+      // filtered on the server, which only sends the documents of this organization
+      // (the database may be shared) that this member may see
       const sync = db.sync(remote, {
         live: true,
         retry: true,
-        filter: (doc) => {
-          // Only sync process instances
-          return doc.type === DOC_TYPES.PROCESS_INSTANCE;
+        back_off_function: backOff,
+        push: {
+          filter: (doc) => {
+            // Only sync process instances, tasks, comments, delegations, calendars, definitions
+            // and encryption keys
+            return doc.type === DOC_TYPES.PROCESS_INSTANCE ||
+              doc.type === DOC_TYPES.TASK ||
+              doc.type === DOC_TYPES.COMMENT ||
+              doc.type === DOC_TYPES.DELEGATION ||
+              doc.type === DOC_TYPES.CALENDAR ||
+              doc.type === DOC_TYPES.PROCESS_DEFINITION ||
+              doc.type === DOC_TYPES.ENCRYPTION_KEY ||
+              doc.type === DOC_TYPES.MEMBER_KEY ||
+              (doc._deleted && doc._id.startsWith(`${DOC_TYPES.PROCESS_DEFINITION}:`)) ||
+              (doc._deleted && doc._id.startsWith(`${DOC_TYPES.CALENDAR}:`));
+          }
+        },
+        pull: {
+          filter: COUCHDB_CONFIG.ORG_PULL_FILTER,
+          query_params: { orgId }
         }
       });
 
+      // Checkpoints are saved one after another, so a later one is never overwritten
+      let checkpointSaved = Promise.resolve();
+
+      // Pulled tasks are decrypted one batch after another, so they apply in order
+      let tasksDecrypted = Promise.resolve();
+
       // Listen to sync events
       sync.on('change', (info) => {
         console.log('Sync change:', info);
         eventBus.emit(EVENTS.PROCESS_SYNC_COMPLETED, {
           orgId,
           direction: info.direction,
-          docsWritten: info.change.docs_written
+          docsWritten: info.change.docs_written,
+          lastSeq: info.change.last_seq
         });
+
+        // Everything up to the pushed sequence is now on the remote
+        if (info.direction === 'push') {
+          checkpointSaved = checkpointSaved
+            .then(() => this.saveSyncCheckpoint(orgId, remoteUrl, info.change.last_seq))
+            .catch(error => console.error('Error saving sync checkpoint:', error));
+        }
+
+        // Processes changed on another device, which may conflict with local changes
+        const processDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc.type === DOC_TYPES.PROCESS_INSTANCE)
+          : [];
+
+        if (processDocs.length > 0) {
+          eventBus.emit(EVENTS.PROCESSES_CHANGED, {
+            orgId,
+            docs: processDocs,
+            source: 'sync'
+          });
+        }
+
+        // Definitions edited on another device
+        const definitionDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc._id.startsWith(`${DOC_TYPES.PROCESS_DEFINITION}:`))
+          : [];
+
+        if (definitionDocs.length > 0) {
+          eventBus.emit(EVENTS.PROCESS_DEFINITIONS_CHANGED, {
+            orgId,
+            docs: definitionDocs,
+            source: 'sync'
+          });
+        }
+
+        // Tasks claimed, reassigned or completed on another device
+        const taskDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc.type === DOC_TYPES.TASK)
+          : [];
+
+        if (taskDocs.length > 0) {
+          tasksDecrypted = tasksDecrypted
+            .then(() => Promise.all(taskDocs.map(doc => encryptionService.decryptTask(orgId, doc))))
+            .then(docs => eventBus.emit(EVENTS.TASKS_CHANGED, {
+              orgId,
+              docs,
+              source: 'sync'
+            }))
+            .catch(error => console.error('Error decrypting synced tasks:', error));
+        }
+
+        // Comments posted or edited on another device
+        const commentDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc.type === DOC_TYPES.COMMENT)
+          : [];
+
+        if (commentDocs.length > 0) {
+          eventBus.emit(EVENTS.PROCESS_COMMENTS_CHANGED, {
+            orgId,
+            docs: commentDocs,
+            source: 'sync'
+          });
+        }
+
+        // Delegations granted or revoked on another device
+        const delegationDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc.type === DOC_TYPES.DELEGATION)
+          : [];
+
+        if (delegationDocs.length > 0) {
+          eventBus.emit(EVENTS.DELEGATIONS_CHANGED, {
+            orgId,
+            docs: delegationDocs,
+            source: 'sync'
+          });
+        }
+
+        // Working calendars edited or deleted on another device
+        const calendarDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc._id.startsWith(`${DOC_TYPES.CALENDAR}:`))
+          : [];
+
+        if (calendarDocs.length > 0) {
+          eventBus.emit(EVENTS.PROCESS_CALENDARS_CHANGED, {
+            orgId,
+            docs: calendarDocs,
+            source: 'sync'
+          });
+        }
+
+        // Encryption keys rotated or shared, or member keys published, on another device
+        const keyDocs = info.direction === 'pull'
+          ? info.change.docs.filter(doc => doc.type === DOC_TYPES.ENCRYPTION_KEY || doc.type === DOC_TYPES.MEMBER_KEY)
+          : [];
+
+        if (keyDocs.length > 0) {
+          eventBus.emit(EVENTS.ENCRYPTION_KEYS_CHANGED, {
+            orgId,
+            docs: keyDocs,
+            source: 'sync'
+          });
+        }
       });
 
       sync.on('paused', (err) => {
@@ -417,8 +1342,9 @@ class ProcessPersistence {
       });
 
       sync.on('denied', (err) => {
+        // Writes the server's validate_doc_update rejected, e.g. from a viewer
         console.error('Sync denied:', err);
-        eventBus.emit(EVENTS.PROCESS_SYNC_ERROR, { orgId, error: 'Sync denied' });
+        eventBus.emit(EVENTS.PROCESS_SYNC_ERROR, { orgId, error: err.message || 'Sync denied' });
       });
 
       sync.on('error', (err) => {
@@ -430,7 +1356,8 @@ class ProcessPersistence {
 
       console.log(`Sync setup for org: ${orgId}`);
 
-      return sync;
+      // The handler is not returned: it is a thenable that only settles when a live
+      // sync ends, so awaiting this method would never finish
     } catch (error) {
       console.error('Error setting up sync:', error);
       throw error;
@@ -455,6 +1382,7 @@ class ProcessPersistence {
     try {
       // Cancel sync first
       this.cancelSync(orgId);
+      this.unwatchProcesses(orgId);
 
       // Close database
       if (this.databases.has(orgId)) {
@@ -480,7 +1408,7 @@ class ProcessPersistence {
       await this.closeDatabase(orgId);
 
       // Destroy the database
-      const dbName = `v4l_org_${orgId}`;
+      const dbName = `${DB_NAMES.ORG_PREFIX}${orgId}`;
 
       // Create a temporary instance to destroy
       const tempDb = new PouchDB(dbName);
@@ -4,6 +4,8 @@
  */
 
 import { StateMachine } from './state-machine.js';
+import { variableValidator } from './variable-validator.js';
+import { computedVariables } from './computed-variables.js';
 import { processState } from '../../state/process-state.js';
 import { eventBus } from '../../utils/events.js';
 import {
@@ -13,110 +15,202 @@ import {
   DOC_TYPES
 } from '../../config/constants.js';
 import { notificationService } from '../notification-service.js';
+import { memberService } from '../member-service.js';
+import { authState } from '../../state/auth-state.js';
+import { orgState } from '../../state/org-state.js';
+import { compareVersions } from '../../utils/helpers.js';
+
+// Version assumed for definitions that do not declare one
+const DEFAULT_DEFINITION_VERSION = '1.0.0';
 
 class ProcessService {
   constructor() {
-    this.processDefinitions = new Map(); // definitionId -> definition
-    this.stateMachines = new Map(); // definitionId -> StateMachine instance
+    this.processDefinitions = new Map(); // definitionId -> Map(version -> definition)
+    this.stateMachines = new Map(); // "definitionId@version" -> StateMachine instance
   }
 
   /**
    * Register a process definition
+   * Several versions of the same definition id can be registered side by side;
+   * new instances use the latest, existing instances keep their own
    */
   registerDefinition(definition) {
     if (!definition || !definition.id) {
       throw new Error('Invalid process definition');
     }
 
+    const version = definition.version || DEFAULT_DEFINITION_VERSION;
+
     // Create and validate state machine
     const stateMachine = new StateMachine(definition);
 
     // Store definition and state machine
-    this.processDefinitions.set(definition.id, definition);
-    this.stateMachines.set(definition.id, stateMachine);
+    if (!this.processDefinitions.has(definition.id)) {
+      this.processDefinitions.set(definition.id, new Map());
+    }
 
-    console.log(`Process definition registered: ${definition.id} (${definition.name})`);
+    this.processDefinitions.get(definition.id).set(version, definition);
+    this.stateMachines.set(`${definition.id}@${version}`, stateMachine);
+
+    console.log(`Process definition registered: ${definition.id}@${version} (${definition.name})`);
 
     return definition;
   }
 
   /**
-   * Get a process definition
+   * Remove a registered definition version
    */
-  getDefinition(definitionId) {
-    return this.processDefinitions.get(definitionId);
+  unregisterDefinition(definitionId, version) {
+    const versions = this.processDefinitions.get(definitionId);
+    if (!versions || !versions.delete(version)) {
+      return false;
+    }
+
+    if (versions.size === 0) {
+      this.processDefinitions.delete(definitionId);
+    }
+
+    this.stateMachines.delete(`${definitionId}@${version}`);
+
+    console.log(`Process definition unregistered: ${definitionId}@${version}`);
+
+    return true;
+  }
+
+  /**
+   * Get registered versions of a definition, oldest first
+   */
+  getDefinitionVersions(definitionId) {
+    const versions = this.processDefinitions.get(definitionId);
+    return versions ? Array.from(versions.keys()).sort(compareVersions) : [];
   }
 
   /**
-   * Get all registered definitions
+   * Resolve a version of a definition (latest when omitted)
+   */
+  resolveVersion(definitionId, version = null) {
+    if (version) {
+      return version;
+    }
+
+    const versions = this.getDefinitionVersions(definitionId);
+    return versions[versions.length - 1] || null;
+  }
+
+  /**
+   * Get a process definition (latest version unless one is given)
+   */
+  getDefinition(definitionId, version = null) {
+    const versions = this.processDefinitions.get(definitionId);
+    return versions ? versions.get(this.resolveVersion(definitionId, version)) : undefined;
+  }
+
+  /**
+   * Get all registered definitions (latest version of each)
    */
   getAllDefinitions() {
-    return Array.from(this.processDefinitions.values());
+    return Array.from(this.processDefinitions.keys()).map(id => this.getDefinition(id));
   }
 
   /**
-   * Get state machine for a definition
+   * Get state machine for a definition (latest version unless one is given)
    */
-  getStateMachine(definitionId) {
-    const stateMachine = this.stateMachines.get(definitionId);
+  getStateMachine(definitionId, version = null) {
+    const resolved = this.resolveVersion(definitionId, version);
+    const stateMachine = this.stateMachines.get(`${definitionId}@${resolved}`);
 
     if (!stateMachine) {
-      throw new Error(`No state machine found for definition: ${definitionId}`);
+      throw new Error(`No state machine found for definition: ${definitionId}@${resolved}`);
     }
 
     return stateMachine;
   }
 
+  /**
+   * Get the definition version a process instance is pinned to
+   * Instances created before versioning belong to the oldest registered version
+   */
+  getProcessVersion(processInstance) {
+    return processInstance.definitionVersion ||
+      this.getDefinitionVersions(processInstance.definitionId)[0] ||
+      null;
+  }
+
+  /**
+   * Get the definition a process instance runs on
+   */
+  getProcessDefinition(processInstance) {
+    return this.getDefinition(processInstance.definitionId, this.getProcessVersion(processInstance));
+  }
+
+  /**
+   * Get the state machine a process instance runs on
+   */
+  getProcessStateMachine(processInstance) {
+    return this.getStateMachine(processInstance.definitionId, this.getProcessVersion(processInstance));
+  }
+
   /**
    * Create a new process instance
    */
-  async createProcess({ definitionId, type, variables = {}, metadata = {} }) {
+  async createProcess({ definitionId, type, variables = {}, metadata = {}, parent = null }) {
     // Get definition and state machine
     const definition = this.getDefinition(definitionId);
     if (!definition) {
       throw new Error(`Process definition not found: ${definitionId}`);
     }
 
-    const stateMachine = this.getStateMachine(definitionId);
+    const stateMachine = this.getStateMachine(definitionId, definition.version);
 
     // Generate unique process ID
     const processId = this.generateProcessId(type, definitionId);
+    const user = authState.getUser();
 
     // Create process instance
     const processInstance = {
       _id: processId,
       type: DOC_TYPES.PROCESS_INSTANCE,
       definitionId,
+      definitionVersion: definition.version || DEFAULT_DEFINITION_VERSION,
       processType: type,
       currentState: stateMachine.getInitialState(),
       status: PROCESS_STATUS.ACTIVE,
-      variables: { ...variables },
-      metadata: { ...metadata },
+      variables: computedVariables.compute(definition.variables, { ...variables }, stateMachine.getInitialState()),
+      metadata: { ...(user && { createdBy: user.id }), ...metadata },
       stateHistory: [],
       auditLog: [],
+      parentId: parent ? parent.processId : null,
+      parentState: parent ? parent.state : null,
+      parentBranchId: parent ? parent.branchId : null,
+      childIds: [],
       syncStatus: PROCESS_SYNC_STATUS.PENDING,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
+    // An initial state whose approval could never be decided would leave the process stuck
+    const policyError = stateMachine.checkApprovalPolicies(processInstance, processInstance.currentState);
+    if (policyError) {
+      throw new Error(policyError);
+    }
+
     // Add initial audit entry
     stateMachine.addAuditEntry(processInstance, 'process_created', {
       definitionId,
+      definitionVersion: processInstance.definitionVersion,
       type,
       initialState: processInstance.currentState
     });
 
     // Execute onEnter hook for initial state
     const initialStateConfig = stateMachine.getStateConfig(processInstance.currentState);
-    if (initialStateConfig.onEnter && typeof initialStateConfig.onEnter === 'function') {
-      try {
-        await initialStateConfig.onEnter(processInstance, variables);
-      } catch (error) {
-        console.error('Error executing onEnter hook for initial state:', error);
-        stateMachine.addAuditEntry(processInstance, 'initial_state_hook_error', {
-          error: error.message
-        });
-      }
+    try {
+      await stateMachine.runHook(processInstance, processInstance.currentState, 'onEnter', variables);
+    } catch (error) {
+      console.error('Error executing onEnter hook for initial state:', error);
+      stateMachine.addAuditEntry(processInstance, 'initial_state_hook_error', {
+        error: error.message
+      });
     }
 
     // Store in state
@@ -132,13 +226,25 @@ class ProcessService {
 
     console.log(`Process created: ${processId} (${definition.name})`);
 
-    return processInstance;
+    // Initial state may itself invoke a sub-process
+    if (initialStateConfig.subProcess) {
+      await this.startSubProcess(processInstance, processInstance.currentState, null);
+    }
+
+    // Initial state may already meet an auto-transition condition
+    await this.checkAutoTransitions(processId);
+
+    return processState.getProcess(processId);
   }
 
   /**
    * Transition a process to a new state
+   * branchId selects the branch to move while the process runs parallel branches;
+   * when omitted, the branch is inferred from the target state.
+   * Throws if the transition's guard, required fields or approval level
+   * (checked against context.approvalLevel) are not met
    */
-  async transitionState(processId, targetState, context = {}) {
+  async transitionState(processId, targetState, context = {}, branchId = null) {
     // Get process instance
     const processInstance = processState.getProcess(processId);
     if (!processInstance) {
@@ -146,22 +252,27 @@ class ProcessService {
     }
 
     // Get state machine
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
+    const historyStart = (processInstance.stateHistory || []).length;
 
     // Execute transition
     const updatedInstance = await stateMachine.executeTransition(
       processInstance,
       targetState,
-      context
+      context,
+      branchId
     );
 
-    // Update state
-    processState.updateProcess(processId, updatedInstance);
+    // Update state; pending so the write queue stores the transition
+    processState.updateProcess(processId, {
+      ...updatedInstance,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
 
-    // Check if process reached a terminal state (completed)
-    if (stateMachine.isTerminalState(targetState)) {
+    // Check if process reached a terminal state (directly or through auto-transitions)
+    if (stateMachine.isTerminalState(updatedInstance.currentState)) {
       try {
-        const definition = this.getDefinition(processInstance.definitionId);
+        const definition = this.getProcessDefinition(processInstance);
         updatedInstance.definition = definition;
         notificationService.notifyProcessCompleted(updatedInstance);
       } catch (err) {
@@ -171,11 +282,226 @@ class ProcessService {
 
     console.log(`Process ${processId} transitioned: ${processInstance.currentState} -> ${targetState}`);
 
+    // Start sub-processes for states entered by this transition
+    await this.startEnteredSubProcesses(updatedInstance, historyStart);
+
+    // Report back to the parent once a sub-process reaches an end state
+    if (updatedInstance.parentId && !updatedInstance.parallel &&
+        stateMachine.isEndState(updatedInstance.currentState)) {
+      await this.completeSubProcess(updatedInstance);
+    }
+
     return updatedInstance;
   }
 
+  /**
+   * Run the condition-based auto-transition that applies to a process, if any
+   * Used on creation and by the TransitionEngine's periodic check; transitions
+   * themselves check auto-transitions inside StateMachine.executeTransition
+   */
+  async checkAutoTransitions(processId) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance || processInstance.status !== PROCESS_STATUS.ACTIVE) {
+      return null;
+    }
+
+    const stateMachine = this.getProcessStateMachine(processInstance);
+
+    for (const { branchId } of stateMachine.getActiveTokens(processInstance)) {
+      const match = stateMachine.findAutoTransition(processInstance, {}, branchId);
+
+      if (match) {
+        console.log(`Condition met for process ${processId}: transitioning to ${match.toState}`);
+
+        return this.transitionState(processId, match.toState, {
+          trigger: 'condition',
+          reason: match.condition.reason || 'Auto-transition by condition'
+        }, branchId);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Start sub-processes for states entered since historyStart
+   * that the process (or one of its branches) still occupies
+   */
+  async startEnteredSubProcesses(processInstance, historyStart) {
+    const stateMachine = this.getProcessStateMachine(processInstance);
+    const entered = (processInstance.stateHistory || []).slice(historyStart);
+
+    for (const { branchId, state } of stateMachine.getActiveTokens(processInstance)) {
+      const stateConfig = stateMachine.getStateConfig(state);
+      if (!stateConfig.subProcess) {
+        continue;
+      }
+
+      const wasEntered = entered.some(h =>
+        h.to === state && (h.branchId || null) === (processInstance.parallel ? branchId : null)
+      );
+
+      if (wasEntered) {
+        await this.startSubProcess(processInstance, state, branchId);
+      }
+    }
+  }
+
+  /**
+   * Start the child process configured on a state
+   *
+   * State config:
+   *   subProcess: {
+   *     definitionId,            // child definition
+   *     type,                    // child process type (defaults to the definition type)
+   *     inputs: { childVar: 'parentVar' },
+   *     variables: { childVar: value },
+   *     outputs: { parentVar: 'childVar' },
+   *     onComplete: 'state',     // parent transition when the child completes
+   *     onCancel: 'state'        // parent transition when the child is cancelled or fails
+   *   }
+   */
+  async startSubProcess(processInstance, state, branchId = null) {
+    const stateMachine = this.getProcessStateMachine(processInstance);
+    const config = stateMachine.getStateConfig(state).subProcess;
+    const childDefinition = this.getDefinition(config.definitionId);
+
+    if (!childDefinition) {
+      stateMachine.addAuditEntry(processInstance, 'subprocess_error', {
+        state,
+        definitionId: config.definitionId,
+        error: `Process definition not found: ${config.definitionId}`
+      });
+      processState.updateProcess(processInstance._id, processInstance);
+      return null;
+    }
+
+    // Map parent variables into the child
+    const variables = { ...(config.variables || {}) };
+    Object.entries(config.inputs || {}).forEach(([childVar, parentVar]) => {
+      const value = processInstance.variables[parentVar];
+      if (value !== undefined) {
+        variables[childVar] = value;
+      }
+    });
+
+    const child = await this.createProcess({
+      definitionId: config.definitionId,
+      type: config.type || childDefinition.type,
+      variables,
+      metadata: { ...processInstance.metadata },
+      parent: { processId: processInstance._id, state, branchId }
+    });
+
+    const updated = processState.updateProcess(processInstance._id, {
+      childIds: [...(processInstance.childIds || []), child._id],
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+
+    stateMachine.addAuditEntry(updated, 'subprocess_started', {
+      state,
+      branchId,
+      childId: child._id,
+      definitionId: config.definitionId
+    });
+    processState.updateProcess(processInstance._id, updated);
+
+    return child;
+  }
+
+  /**
+   * Map a finished child's outputs into its parent and advance the parent
+   */
+  async completeSubProcess(childInstance) {
+    const parent = processState.getProcess(childInstance.parentId);
+    if (!parent || parent.status !== PROCESS_STATUS.ACTIVE) {
+      return;
+    }
+
+    const stateMachine = this.getProcessStateMachine(parent);
+    const { parentState, parentBranchId } = childInstance;
+
+    // Parent must still be waiting in the invoking state
+    const waiting = stateMachine.getActiveTokens(parent).some(t =>
+      t.state === parentState && (t.branchId || null) === (parentBranchId || null)
+    );
+    const config = stateMachine.getStateConfig(parentState)?.subProcess;
+
+    if (!waiting || !config) {
+      return;
+    }
+
+    // Map child outputs back into the parent
+    const outputs = {};
+    Object.entries(config.outputs || {}).forEach(([parentVar, childVar]) => {
+      outputs[parentVar] = childInstance.variables[childVar];
+    });
+
+    if (Object.keys(outputs).length > 0) {
+      this.updateProcessVariables(parent._id, outputs);
+    }
+
+    const succeeded = ![PROCESS_STATUS.CANCELLED, PROCESS_STATUS.FAILED].includes(childInstance.status);
+    const updated = processState.getProcess(parent._id);
+    stateMachine.addAuditEntry(updated, 'subprocess_completed', {
+      state: parentState,
+      childId: childInstance._id,
+      childState: childInstance.currentState,
+      outputs
+    });
+    processState.updateProcess(parent._id, updated);
+
+    const nextState = succeeded ? config.onComplete : config.onCancel;
+    if (nextState) {
+      await this.transitionState(parent._id, nextState, {
+        trigger: 'subprocess',
+        childId: childInstance._id,
+        childState: childInstance.currentState
+      }, parentBranchId);
+    }
+  }
+
+  /**
+   * Get direct child processes of a process
+   */
+  getChildProcesses(processId) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    return (processInstance.childIds || [])
+      .map(childId => processState.getProcess(childId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the call tree a process belongs to, starting from its root process
+   * Returns { process, children: [...] }
+   */
+  getCallTree(processId) {
+    let root = processState.getProcess(processId);
+    if (!root) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    while (root.parentId && processState.getProcess(root.parentId)) {
+      root = processState.getProcess(root.parentId);
+    }
+
+    const buildNode = (processInstance) => ({
+      process: processInstance,
+      children: this.getChildProcesses(processInstance._id).map(buildNode)
+    });
+
+    return buildNode(root);
+  }
+
   /**
    * Update process variables
+   * Computed variables are recalculated, then the changed variables are validated
+   * against the definition's variable schema and cross-field rules, as they
+   * apply in the current state
    */
   updateProcessVariables(processId, variables) {
     const processInstance = processState.getProcess(processId);
@@ -183,10 +509,16 @@ class ProcessService {
       throw new Error(`Process not found: ${processId}`);
     }
 
-    const updatedVariables = {
+    const definition = this.getProcessDefinition(processInstance);
+    const updatedVariables = computedVariables.compute(definition?.variables, {
       ...processInstance.variables,
       ...variables
-    };
+    }, processInstance.currentState);
+
+    variableValidator.assertValid(definition, updatedVariables, {
+      state: processInstance.currentState,
+      fields: Object.keys(variables)
+    });
 
     const updated = processState.updateProcess(processId, {
       variables: updatedVariables,
@@ -194,7 +526,7 @@ class ProcessService {
     });
 
     // Get state machine and add audit entry
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
     stateMachine.addAuditEntry(updated, 'variables_updated', {
       updates: variables
     });
@@ -236,7 +568,7 @@ class ProcessService {
     }
 
     // Check if process is already in a terminal state
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
     if (stateMachine.isTerminalState(processInstance.currentState)) {
       throw new Error(`Process ${processId} is already in terminal state: ${processInstance.currentState}`);
     }
@@ -251,6 +583,7 @@ class ProcessService {
         currentState: 'cancelled',
         cancelledAt: new Date().toISOString(),
         cancellationReason: reason,
+        parallel: null,
         syncStatus: PROCESS_SYNC_STATUS.PENDING
       });
 
@@ -264,12 +597,37 @@ class ProcessService {
         timestamp: updated.cancelledAt
       });
 
+      await this.cancelChildProcesses(processId, reason);
+
+      if (updated.parentId) {
+        await this.completeSubProcess(updated);
+      }
+
       return updated;
     }
 
+    await this.cancelChildProcesses(processId, reason);
+
     return processState.getProcess(processId);
   }
 
+  /**
+   * Cancel every still-running child of a cancelled process
+   */
+  async cancelChildProcesses(processId, reason) {
+    const children = this.getChildProcesses(processId).filter(child =>
+      [PROCESS_STATUS.ACTIVE, PROCESS_STATUS.SUSPENDED].includes(child.status)
+    );
+
+    for (const child of children) {
+      try {
+        await this.cancelProcess(child._id, `Parent process cancelled: ${reason}`);
+      } catch (error) {
+        console.warn(`Failed to cancel child process ${child._id}:`, error);
+      }
+    }
+  }
+
   /**
    * Suspend a process
    */
@@ -290,7 +648,7 @@ class ProcessService {
       syncStatus: PROCESS_SYNC_STATUS.PENDING
     });
 
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
     stateMachine.addAuditEntry(updated, 'suspended', { reason });
     processState.updateProcess(processId, updated);
 
@@ -316,13 +674,282 @@ class ProcessService {
       syncStatus: PROCESS_SYNC_STATUS.PENDING
     });
 
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
     stateMachine.addAuditEntry(updated, 'resumed', {});
     processState.updateProcess(processId, updated);
 
     return updated;
   }
 
+  /**
+   * Revert the last transition of a process (admins only)
+   * The process returns to the state it came from with the variables it had
+   * then, after the onCompensate hook of the state being left has run. States
+   * marked `irreversible` (e.g. a payment made) cannot be left this way.
+   * @param {string} processId - Process ID
+   * @param {object} options - { reason, orgId } (the active organization by default)
+   * @returns {Promise<Object>} Updated process instance
+   */
+  async revertLastTransition(processId, { reason = '', orgId = orgState.getActiveOrganization()?.id } = {}) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    const user = authState.getUser();
+    const membership = orgId ? await memberService.getMemberByUserId(orgId, user?.id) : null;
+    if (!membership || !memberService.canManageMembers(membership.role)) {
+      throw new Error('Insufficient permissions to revert transitions');
+    }
+
+    const stateMachine = this.getProcessStateMachine(processInstance);
+    const history = processInstance.stateHistory || [];
+    const last = history[history.length - 1];
+    const state = processInstance.currentState;
+
+    if (!last) {
+      throw new Error(`Process ${processId} has no transition to revert`);
+    }
+
+    if (processInstance.status === PROCESS_STATUS.SUSPENDED) {
+      throw new Error('Resume the process before reverting its last transition');
+    }
+
+    if (processInstance.parallel || last.branchId || last.to !== state || stateMachine.isForkState(last.from)) {
+      throw new Error('Transitions of parallel branches cannot be reverted');
+    }
+
+    if (stateMachine.getStateConfig(state)?.irreversible) {
+      throw new Error(`State "${state}" is irreversible and cannot be reverted`);
+    }
+
+    const runningChild = this.getChildProcesses(processId).find(child =>
+      child.parentState === state && [PROCESS_STATUS.ACTIVE, PROCESS_STATUS.SUSPENDED].includes(child.status)
+    );
+    if (runningChild) {
+      throw new Error(`Cancel sub-process ${runningChild._id} before reverting`);
+    }
+
+    const context = { trigger: 'revert', reason, revertedBy: user.id, transition: last };
+
+    try {
+      await stateMachine.runHook(processInstance, state, 'onCompensate', context);
+    } catch (error) {
+      stateMachine.addAuditEntry(processInstance, 'compensation_error', { state, error: error.message });
+      processState.updateProcess(processId, processInstance);
+      throw new Error(`Compensation of "${state}" failed: ${error.message}`);
+    }
+
+    // The entry that entered the restored state gets a new revision, so its tasks are opened again
+    const reverts = (processInstance.reverts || 0) + 1;
+    const stateHistory = history.slice(0, -1);
+    const previous = stateHistory[stateHistory.length - 1];
+    if (previous) {
+      stateHistory[stateHistory.length - 1] = { ...previous, revision: reverts };
+    }
+
+    const updated = processState.updateProcess(processId, {
+      currentState: last.from,
+      status: PROCESS_STATUS.ACTIVE,
+      completedAt: null,
+      variables: last.variables ? { ...last.variables } : processInstance.variables,
+      stateHistory,
+      reverts,
+      initialRevision: previous ? processInstance.initialRevision : reverts,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+
+    stateMachine.addAuditEntry(updated, 'transition_reverted', {
+      from: state,
+      to: last.from,
+      transitionAt: last.timestamp,
+      variablesRestored: !!last.variables,
+      reason,
+      revertedBy: user.id
+    });
+    processState.updateProcess(processId, updated);
+
+    console.log(`Process ${processId} reverted: ${state} -> ${last.from}`);
+
+    eventBus.emit(EVENTS.PROCESS_STATE_CHANGED, {
+      processId,
+      definitionId: processInstance.definitionId,
+      from: state,
+      to: last.from,
+      branchId: null,
+      timestamp: new Date().toISOString(),
+      context: { trigger: 'revert', reason, revertedBy: user.id }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Migrate a process instance to another version of its definition
+   * State and variable maps are merged over the target definition's
+   * `migrations[fromVersion]` entry; mapping a variable to null drops it.
+   * With dryRun the report is returned without changing the instance.
+   */
+  migrateProcess(processId, { toVersion = null, states = {}, variables = {}, dryRun = false, migratedBy = null } = {}) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    const { definitionId } = processInstance;
+    const fromVersion = this.getProcessVersion(processInstance);
+    const targetVersion = this.resolveVersion(definitionId, toVersion);
+    const targetDefinition = this.getDefinition(definitionId, targetVersion);
+
+    const report = {
+      processId,
+      definitionId,
+      fromVersion,
+      toVersion: targetVersion,
+      dryRun,
+      fromState: processInstance.currentState,
+      toState: processInstance.currentState,
+      renamedVariables: {},
+      droppedVariables: [],
+      defaultedVariables: [],
+      missingRequiredVariables: [],
+      warnings: [],
+      errors: [],
+      applied: false
+    };
+
+    if (!targetDefinition) {
+      report.errors.push(`Unknown version ${definitionId}@${toVersion}`);
+      return report;
+    }
+
+    if (targetVersion === fromVersion) {
+      report.errors.push(`Process is already on version ${fromVersion}`);
+    }
+
+    if (![PROCESS_STATUS.ACTIVE, PROCESS_STATUS.SUSPENDED].includes(processInstance.status)) {
+      report.errors.push(`Cannot migrate process in ${processInstance.status} status`);
+    }
+
+    if (processInstance.parallel) {
+      report.errors.push('Cannot migrate process while parallel branches are running');
+    }
+
+    const preset = targetDefinition.migrations?.[fromVersion] || {};
+    const stateMap = { ...preset.states, ...states };
+    const variableMap = { ...preset.variables, ...variables };
+
+    // Map current state
+    const toState = stateMap[processInstance.currentState] || processInstance.currentState;
+    report.toState = toState;
+
+    if (!targetDefinition.states?.[toState]) {
+      report.errors.push(`State "${toState}" does not exist in version ${targetVersion}`);
+    }
+
+    // Map variables
+    const schema = targetDefinition.variables || {};
+    const migratedVariables = {};
+
+    Object.entries(processInstance.variables || {}).forEach(([name, value]) => {
+      if (Object.prototype.hasOwnProperty.call(variableMap, name)) {
+        const mapped = variableMap[name];
+
+        if (mapped === null) {
+          report.droppedVariables.push(name);
+          return;
+        }
+
+        if (mapped !== name) {
+          report.renamedVariables[name] = mapped;
+        }
+
+        migratedVariables[mapped] = value;
+        return;
+      }
+
+      if (!schema[name]) {
+        report.warnings.push(`Variable "${name}" is not declared in version ${targetVersion}; kept as is`);
+      }
+
+      migratedVariables[name] = value;
+    });
+
+    Object.entries(schema).forEach(([name, config]) => {
+      if (migratedVariables[name] !== undefined) {
+        return;
+      }
+
+      if (config.default !== undefined) {
+        migratedVariables[name] = config.default;
+        report.defaultedVariables.push(name);
+      } else if (config.required) {
+        report.missingRequiredVariables.push(name);
+      }
+    });
+
+    if (report.missingRequiredVariables.length > 0) {
+      report.warnings.push(`Missing required variables: ${report.missingRequiredVariables.join(', ')}`);
+    }
+
+    if (dryRun || report.errors.length > 0) {
+      return report;
+    }
+
+    const updated = processState.updateProcess(processId, {
+      definitionVersion: targetVersion,
+      currentState: toState,
+      variables: migratedVariables,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+
+    const stateMachine = this.getStateMachine(definitionId, targetVersion);
+    stateMachine.addAuditEntry(updated, 'definition_migrated', {
+      fromVersion,
+      toVersion: targetVersion,
+      fromState: report.fromState,
+      toState,
+      renamedVariables: report.renamedVariables,
+      droppedVariables: report.droppedVariables,
+      defaultedVariables: report.defaultedVariables,
+      migratedBy
+    });
+    processState.updateProcess(processId, updated);
+
+    report.applied = true;
+
+    console.log(`Process migrated: ${processId} ${definitionId}@${fromVersion} -> ${targetVersion}`);
+
+    // A state change re-arms auto-transitions for the new state
+    if (toState !== report.fromState) {
+      eventBus.emit(EVENTS.PROCESS_STATE_CHANGED, {
+        processId,
+        definitionId,
+        from: report.fromState,
+        to: toState,
+        branchId: null,
+        timestamp: new Date().toISOString(),
+        context: { trigger: 'migration', migratedBy }
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Migrate all running instances of a definition
+   * Returns one report per instance (see migrateProcess)
+   */
+  migrateProcesses(definitionId, { fromVersion = null, ...options } = {}) {
+    return processState.getAllProcesses()
+      .filter(p =>
+        p.definitionId === definitionId &&
+        [PROCESS_STATUS.ACTIVE, PROCESS_STATUS.SUSPENDED].includes(p.status) &&
+        (!fromVersion || this.getProcessVersion(p) === fromVersion)
+      )
+      .map(p => this.migrateProcess(p._id, options));
+  }
+
   /**
    * Get process by ID
    */
@@ -353,15 +980,36 @@ class ProcessService {
 
   /**
    * Get available transitions for a process
+   * While parallel branches run, transitions of every active branch are returned
+   * (each tagged with its branchId) unless branchId narrows it to one branch.
+   * Transitions whose guard, required fields or approval level are not met for
+   * the given context (e.g. { approvalLevel }) come back with enabled: false and a reason
+   */
+  getAvailableTransitions(processId, branchId = null, context = {}) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    const stateMachine = this.getProcessStateMachine(processInstance);
+    const transitions = stateMachine.getInstanceTransitions(processInstance, context);
+
+    return branchId
+      ? transitions.filter(t => t.branchId === branchId)
+      : transitions;
+  }
+
+  /**
+   * Get active parallel branches for a process
    */
-  getAvailableTransitions(processId) {
+  getActiveBranches(processId) {
     const processInstance = processState.getProcess(processId);
     if (!processInstance) {
       throw new Error(`Process not found: ${processId}`);
     }
 
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
-    return stateMachine.getAvailableTransitions(processInstance.currentState);
+    const stateMachine = this.getProcessStateMachine(processInstance);
+    return stateMachine.getActiveBranches(processInstance);
   }
 
   /**
@@ -373,7 +1021,7 @@ class ProcessService {
       throw new Error(`Process not found: ${processId}`);
     }
 
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
     return stateMachine.getStateHistory(processInstance);
   }
 
@@ -386,7 +1034,7 @@ class ProcessService {
       throw new Error(`Process not found: ${processId}`);
     }
 
-    const stateMachine = this.getStateMachine(processInstance.definitionId);
+    const stateMachine = this.getProcessStateMachine(processInstance);
     return stateMachine.getAuditLog(processInstance);
   }
 
@@ -1,19 +1,83 @@
 /**
  * Process Sync Service
- * Manages synchronization of process instances between local and remote storage
+ * Keeps process instances in step between memory, PouchDB and CouchDB through
+ * a single pipeline:
+ *
+ *   processState --(changed processes)--> PouchDB <--(live sync)--> CouchDB
+ *        ^                                   |
+ *        +---------(changes feed)------------+
+ *
+ * Processes marked `pending` in processState are written to PouchDB one by one
+ * as they change. Every stored revision, written here or replicated from another
+ * device, comes back through the changes feed, and the push checkpoint of the
+ * replication tells which of them have reached the server (`syncing` until
+ * then, `synced` after).
  */
 
 import { processPersistence } from './process-persistence.js';
+import { transitionEngine } from './transition-engine.js';
+import { definitionStore } from './definition-store.js';
+import { taskService } from './task-service.js';
+import { calendarService } from './calendar-service.js';
+import { commentService } from './comment-service.js';
+import { conflictResolver } from './conflict-resolver.js';
+import { accessPolicy } from './access-policy.js';
+import { encryptionService } from './encryption-service.js';
+import { memberService } from '../member-service.js';
 import { processState } from '../../state/process-state.js';
 import { eventBus } from '../../utils/events.js';
-import { EVENTS, PROCESS_SYNC_STATUS } from '../../config/constants.js';
+import { sleep } from '../../utils/helpers.js';
+import { EVENTS, PROCESS_SYNC_STATUS, COUCHDB_CONFIG } from '../../config/constants.js';
 import { orgState } from '../../state/org-state.js';
 
 class ProcessSync {
   constructor() {
-    this.syncInterval = null;
-    this.syncIntervalMs = 30000; // Sync every 30 seconds
-    this.isSyncing = false;
+    this.orgId = null; // org whose processes are synced
+    this.remote = null; // { remoteUrl, credentials } while replicating
+    this.writeDelayMs = 100; // let a burst of updates to a process settle into one write
+    this.writing = null; // promise of the running write loop
+    this.writingId = null; // process being written
+    this.changed = new Set(); // processes changed in memory since they were last written
+    this.localRevs = new Set(); // revisions written by this device, already in processState
+    this.attempts = new Map(); // processId -> failed writes in a row
+    this.retryTimers = new Map(); // processId -> timeout of the next write attempt
+    this.pushedSeq = 0; // last local update sequence the server has received
+    this.unpushed = new Map(); // processId -> update sequence not yet on the server
+    this.pulledRevs = new Set(); // revisions pulled from the server, so already there
+
+    // Processes created or changed in memory
+    const onProcessChanged = ({ processId }) => this.trackChange(processId);
+    eventBus.on(EVENTS.PROCESS_CREATED, onProcessChanged);
+    eventBus.on(EVENTS.PROCESS_UPDATED, onProcessChanged);
+
+    // Replication progress
+    eventBus.on(EVENTS.PROCESS_SYNC_STARTED, ({ orgId }) => {
+      if (orgId === this.orgId) {
+        processState.setSyncStatus(PROCESS_SYNC_STATUS.SYNCING);
+      }
+    });
+
+    eventBus.on(EVENTS.PROCESS_SYNC_COMPLETED, ({ orgId, direction, lastSeq }) => {
+      if (orgId !== this.orgId) return;
+
+      if (direction === 'push') {
+        this.markPushed(lastSeq);
+      }
+      this.updateOverallStatus();
+    });
+
+    // Pulled revisions are on the server, though no push checkpoint covers them
+    eventBus.on(EVENTS.PROCESSES_CHANGED, ({ orgId, docs, source }) => {
+      if (source === 'sync' && orgId === this.orgId) {
+        docs.forEach(doc => this.markPulled(doc));
+      }
+    });
+
+    eventBus.on(EVENTS.PROCESS_SYNC_ERROR, ({ orgId }) => {
+      if (orgId === this.orgId) {
+        processState.setSyncStatus(PROCESS_SYNC_STATUS.ERROR);
+      }
+    });
   }
 
   /**
@@ -24,16 +88,52 @@ class ProcessSync {
       // Initialize database
       await processPersistence.initDatabase(orgId);
 
-      // Load existing processes from database
-      await this.loadProcessesFromDatabase(orgId);
+      this.orgId = orgId;
+      this.remote = remoteUrl ? { remoteUrl, credentials } : null;
+      this.pushedSeq = remoteUrl ? await processPersistence.loadSyncCheckpoint(orgId, remoteUrl) : 0;
+
+      // Register the organization's own definitions before their processes load
+      await definitionStore.loadDefinitions(orgId);
+
+      // Working calendars, which business-hours timers and SLAs count in
+      await calendarService.loadCalendars(orgId);
+
+      // Encryption keys, which the sensitive variables of processes are read with. Without
+      // them (e.g. no WebCrypto on an insecure origin) processes still load, locked
+      try {
+        await encryptionService.initialize(orgId);
+      } catch (error) {
+        console.error(`Encryption unavailable for org ${orgId}, sensitive variables stay locked:`, error);
+      }
+
+      // Load existing processes from database, then follow their changes
+      const { lastSeq } = await this.loadProcessesFromDatabase(orgId);
+      processPersistence.watchProcesses(orgId, lastSeq, change => this.applyChange(change));
+
+      // Merge revisions that conflicted while the app was closed
+      await conflictResolver.loadConflicts(orgId);
+
+      // Load delegations, which decide who else may work on a member's tasks
+      await memberService.loadDelegations(orgId);
+
+      // Load their tasks, creating any the processes are still missing
+      await taskService.loadTasks(orgId);
+
+      // Load the comment threads of the processes
+      await commentService.loadComments(orgId);
+
+      // Stamp who may replicate each process, before anything is pushed
+      accessPolicy.refreshAll(orgId);
+
+      // Restore pending timers of the loaded processes
+      await transitionEngine.rehydrateTimers(orgId);
 
       // Setup remote sync if URL provided
       if (remoteUrl) {
         await processPersistence.setupSync(orgId, remoteUrl, credentials);
       }
 
-      // Start periodic sync check
-      this.startPeriodicSync();
+      this.updateOverallStatus();
 
       console.log(`Process sync initialized for org: ${orgId}`);
     } catch (error) {
@@ -44,21 +144,28 @@ class ProcessSync {
 
   /**
    * Load processes from database into state
+   * @returns {Promise<Object>} { processes, lastSeq } - lastSeq is where the changes feed follows on
    */
   async loadProcessesFromDatabase(orgId) {
     try {
       processState.setLoading(true);
 
-      const processes = await processPersistence.loadAllProcesses(orgId);
+      const { processes, seqs, lastSeq } = await processPersistence.loadProcessesWithSeqs(orgId);
+
+      this.unpushed.clear();
+      const loaded = processes.map(process => {
+        this.trackSeq(process._id, seqs[process._id]);
+        return { ...process, syncStatus: this.getStoredStatus(process._id) };
+      });
 
       // Load processes into state
-      processState.loadProcesses(processes);
+      processState.loadProcesses(loaded);
 
-      console.log(`Loaded ${processes.length} processes from database`);
+      console.log(`Loaded ${loaded.length} processes from database`);
 
       processState.setLoading(false);
 
-      return processes;
+      return { processes: loaded, lastSeq };
     } catch (error) {
       console.error('Error loading processes from database:', error);
       processState.setError(error);
@@ -67,178 +174,368 @@ class ProcessSync {
   }
 
   /**
-   * Save a process to database
+   * Queue a process for writing when it was changed in memory
    */
-  async saveProcess(processInstance) {
-    try {
-      const activeOrg = orgState.getActiveOrganization();
-      if (!activeOrg) {
-        throw new Error('No active organization');
-      }
-
-      // Save to database
-      const saved = await processPersistence.saveProcess(activeOrg.id, processInstance);
-
-      // Update state with saved version (includes _rev)
-      processState.updateProcess(saved._id, saved);
-
-      return saved;
-    } catch (error) {
-      console.error('Error saving process:', error);
+  trackChange(processId) {
+    const process = processState.getProcess(processId);
 
-      // Mark as pending sync on error
-      processState.updateProcessSyncStatus(
-        processInstance._id,
-        PROCESS_SYNC_STATUS.PENDING
-      );
+    if (this.orgId && process?.syncStatus === PROCESS_SYNC_STATUS.PENDING) {
+      this.changed.add(processId);
+      this.scheduleWrites();
+    }
+  }
 
-      throw error;
+  /**
+   * Write processes again although they did not change, e.g. under a new encryption key
+   */
+  rewriteProcesses(processIds) {
+    processIds.filter(processId => processState.hasProcess(processId)).forEach(processId => {
+      processState.updateProcessSyncStatus(processId, PROCESS_SYNC_STATUS.PENDING);
+      this.changed.add(processId);
+    });
+
+    if (this.changed.size > 0) {
+      this.scheduleWrites();
     }
   }
 
   /**
-   * Save multiple processes to database
+   * Start the write loop unless it is already running
    */
-  async saveProcesses(processes) {
-    try {
-      const activeOrg = orgState.getActiveOrganization();
-      if (!activeOrg) {
-        throw new Error('No active organization');
-      }
+  scheduleWrites() {
+    if (this.writing) return;
 
-      // Bulk save to database
-      const saved = await processPersistence.bulkSaveProcesses(activeOrg.id, processes);
+    this.writing = sleep(this.writeDelayMs)
+      .then(() => this.writeChanges())
+      .finally(() => {
+        this.writing = null;
 
-      // Update state with saved versions
-      saved.forEach(p => {
-        if (processState.hasProcess(p._id)) {
-          processState.updateProcess(p._id, p);
-        } else {
-          processState.addProcess(p);
+        // Changes made while the loop was finishing
+        if (this.changed.size > 0) {
+          this.scheduleWrites();
         }
       });
+  }
 
-      return saved;
-    } catch (error) {
-      console.error('Error saving processes:', error);
-      throw error;
+  /**
+   * Write the changed processes, one at a time
+   */
+  async writeChanges() {
+    while (this.changed.size > 0) {
+      const [processId] = this.changed;
+      this.changed.delete(processId);
+
+      this.writingId = processId;
+      try {
+        await this.writeProcess(processId);
+      } finally {
+        this.writingId = null;
+      }
     }
+
+    this.updateOverallStatus();
   }
 
   /**
-   * Sync pending processes
+   * Wait until every change made so far is written to PouchDB
    */
-  async syncPendingProcesses() {
-    if (this.isSyncing) {
-      console.log('Sync already in progress, skipping...');
+  async flushWrites() {
+    while (this.writing) {
+      await this.writing;
+    }
+  }
+
+  /**
+   * Write the in-memory version of a process to PouchDB
+   */
+  async writeProcess(processId) {
+    const process = processState.getProcess(processId);
+    if (!process || process.syncStatus !== PROCESS_SYNC_STATUS.PENDING) {
       return;
     }
 
     try {
-      this.isSyncing = true;
-      processState.setSyncStatus(PROCESS_SYNC_STATUS.SYNCING);
+      const saved = await processPersistence.saveProcess(this.orgId, process);
+      this.localRevs.add(saved._rev);
+      this.attempts.delete(processId);
+
+      // Changed again while being written: the next write builds on this revision
+      processState.setProcessRevision(
+        processId,
+        saved._rev,
+        this.changed.has(processId) ? PROCESS_SYNC_STATUS.PENDING : this.getWrittenStatus()
+      );
+    } catch (error) {
+      if (error.status === 409) {
+        await this.mergeStaleProcess(process);
+      } else {
+        this.retryWrite(processId, error);
+      }
+    }
+  }
+
+  /**
+   * Merge a process that was changed elsewhere since this device loaded it
+   */
+  async mergeStaleProcess(process) {
+    try {
+      const merged = await conflictResolver.mergeStaleProcess(this.orgId, process);
 
-      const activeOrg = orgState.getActiveOrganization();
-      if (!activeOrg) {
-        console.log('No active organization, skipping sync');
+      // Unmergeable changes wait for someone to pick a version; the process is marked `conflict`
+      if (merged.conflicts) {
         return;
       }
 
-      // Get processes that need sync
-      const pendingProcesses = processState.getProcessesNeedingSync();
+      this.localRevs.add(merged._rev);
 
-      if (pendingProcesses.length === 0) {
-        console.log('No processes need sync');
-        processState.setSyncStatus(PROCESS_SYNC_STATUS.SYNCED);
-        return;
+      // Further changes in memory are merged on their own write, against the same ancestor
+      if (!this.changed.has(process._id)) {
+        processState.replaceProcess({ ...merged, syncStatus: this.getWrittenStatus() });
       }
+    } catch (error) {
+      this.retryWrite(process._id, error);
+    }
+  }
 
-      console.log(`Syncing ${pendingProcesses.length} pending processes...`);
+  /**
+   * Try writing a process again after COUCHDB_CONFIG.RETRY's backoff,
+   * marking it `error` once the attempts run out
+   */
+  retryWrite(processId, error) {
+    const { MAX_ATTEMPTS, INITIAL_DELAY_MS, BACK_OFF_FACTOR } = COUCHDB_CONFIG.RETRY;
+    const attempt = (this.attempts.get(processId) || 0) + 1;
 
-      // Save each process
-      const results = await Promise.allSettled(
-        pendingProcesses.map(p => processPersistence.saveProcess(activeOrg.id, p))
-      );
+    if (attempt >= MAX_ATTEMPTS) {
+      this.attempts.delete(processId);
+      console.error(`✗ Process ${processId} could not be saved:`, error);
 
-      // Update sync status for each process
-      results.forEach((result, index) => {
-        const process = pendingProcesses[index];
+      if (processState.hasProcess(processId)) {
+        processState.updateProcessSyncStatus(processId, PROCESS_SYNC_STATUS.ERROR);
+      }
+      processState.setSyncStatus(PROCESS_SYNC_STATUS.ERROR);
 
-        if (result.status === 'fulfilled') {
-          // Update with saved version
-          processState.updateProcess(process._id, result.value);
-          console.log(`✓ Process ${process._id} synced`);
-        } else {
-          // Mark as error
-          processState.updateProcessSyncStatus(process._id, PROCESS_SYNC_STATUS.ERROR);
-          console.error(`✗ Process ${process._id} sync failed:`, result.reason);
-        }
-      });
+      eventBus.emit(EVENTS.PROCESS_SYNC_ERROR, { orgId: this.orgId, processId, error: error.message });
+      return;
+    }
 
-      const successCount = results.filter(r => r.status === 'fulfilled').length;
-      const errorCount = results.filter(r => r.status === 'rejected').length;
+    this.attempts.set(processId, attempt);
+    const delay = INITIAL_DELAY_MS * Math.pow(BACK_OFF_FACTOR, attempt - 1);
 
-      console.log(`Sync completed: ${successCount} succeeded, ${errorCount} failed`);
+    console.warn(`Saving process ${processId} failed, retrying in ${Math.round(delay)}ms:`, error);
 
-      // Set overall sync status
-      if (errorCount === 0) {
-        processState.setSyncStatus(PROCESS_SYNC_STATUS.SYNCED);
-      } else {
-        processState.setSyncStatus(PROCESS_SYNC_STATUS.ERROR);
+    clearTimeout(this.retryTimers.get(processId));
+    this.retryTimers.set(processId, setTimeout(() => {
+      this.retryTimers.delete(processId);
+      this.changed.add(processId);
+      this.scheduleWrites();
+    }, delay));
+  }
+
+  /**
+   * Take in a stored revision from the changes feed
+   */
+  applyChange({ id, seq, doc, deleted }) {
+    this.trackSeq(id, seq);
+
+    if (this.pulledRevs.delete(doc._rev)) {
+      this.unpushed.delete(id);
+    }
+
+    // Written by this device from processState, which already has it
+    if (this.localRevs.delete(doc._rev)) {
+      const process = processState.getProcess(id);
+      if (process && process._rev === doc._rev) {
+        processState.updateProcessSyncStatus(id, this.getStoredStatus(id));
       }
+      this.updateOverallStatus();
+      return;
+    }
 
-      // Emit sync completed event
-      eventBus.emit(EVENTS.PROCESS_SYNC_COMPLETED, {
-        orgId: activeOrg.id,
-        total: pendingProcesses.length,
-        succeeded: successCount,
-        failed: errorCount
-      });
+    // Local changes not written yet are merged with this revision when they are
+    if (this.writingId === id || processState.getProcess(id)?.syncStatus === PROCESS_SYNC_STATUS.PENDING) {
+      return;
+    }
 
-    } catch (error) {
-      console.error('Error syncing pending processes:', error);
-      processState.setSyncStatus(PROCESS_SYNC_STATUS.ERROR);
+    if (deleted) {
+      this.unpushed.delete(id);
+      processState.removeProcess(id);
+    } else if (processState.hasProcess(id)) {
+      processState.replaceProcess({ ...doc, syncStatus: this.getStoredStatus(id) });
+    } else {
+      processState.addProcess({ ...doc, syncStatus: this.getStoredStatus(id) });
+    }
 
-      eventBus.emit(EVENTS.PROCESS_SYNC_ERROR, {
-        error: error.message
-      });
-    } finally {
-      this.isSyncing = false;
+    this.updateOverallStatus();
+  }
+
+  /**
+   * Note the update sequence of a process's stored revision
+   */
+  trackSeq(processId, seq) {
+    if (this.remote && seq > this.pushedSeq) {
+      this.unpushed.set(processId, seq);
+    } else {
+      this.unpushed.delete(processId);
     }
   }
 
   /**
-   * Start periodic sync
+   * Mark the processes the server has received up to a push checkpoint as synced
    */
-  startPeriodicSync() {
-    // Clear existing interval
-    this.stopPeriodicSync();
+  markPushed(lastSeq) {
+    this.pushedSeq = Math.max(this.pushedSeq, lastSeq);
 
-    // Start new interval
-    this.syncInterval = setInterval(async () => {
-      await this.syncPendingProcesses();
-    }, this.syncIntervalMs);
+    this.unpushed.forEach((seq, processId) => {
+      if (seq > this.pushedSeq) return;
 
-    console.log(`Periodic sync started (every ${this.syncIntervalMs}ms)`);
+      this.unpushed.delete(processId);
+      if (processState.getProcess(processId)?.syncStatus === PROCESS_SYNC_STATUS.SYNCING) {
+        processState.updateProcessSyncStatus(processId, PROCESS_SYNC_STATUS.SYNCED);
+      }
+    });
   }
 
   /**
-   * Stop periodic sync
+   * Note a revision pulled from the server; it is synced once the changes feed has applied it
    */
-  stopPeriodicSync() {
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
-      this.syncInterval = null;
-      console.log('Periodic sync stopped');
+  markPulled(doc) {
+    const process = processState.getProcess(doc._id);
+
+    if (process?._rev === doc._rev) {
+      this.unpushed.delete(doc._id);
+      if (process.syncStatus === PROCESS_SYNC_STATUS.SYNCING) {
+        processState.updateProcessSyncStatus(doc._id, PROCESS_SYNC_STATUS.SYNCED);
+      }
+    } else {
+      this.pulledRevs.add(doc._rev);
     }
   }
 
   /**
-   * Force immediate sync
+   * Get the sync status of a revision just written, before the changes feed reports its sequence
+   */
+  getWrittenStatus() {
+    return this.remote ? PROCESS_SYNC_STATUS.SYNCING : PROCESS_SYNC_STATUS.SYNCED;
+  }
+
+  /**
+   * Get the sync status of a process's stored revision
+   */
+  getStoredStatus(processId) {
+    if (conflictResolver.getConflict(processId)) {
+      return PROCESS_SYNC_STATUS.CONFLICT;
+    }
+
+    return this.unpushed.has(processId) ? PROCESS_SYNC_STATUS.SYNCING : PROCESS_SYNC_STATUS.SYNCED;
+  }
+
+  /**
+   * Set the overall sync status from the processes still unwritten, unpushed or failed
+   */
+  updateOverallStatus() {
+    const statuses = new Set(processState.getProcessesNeedingSync().map(process => process.syncStatus));
+
+    processState.setSyncStatus(
+      statuses.has(PROCESS_SYNC_STATUS.ERROR) ? PROCESS_SYNC_STATUS.ERROR
+        : statuses.size > 0 ? PROCESS_SYNC_STATUS.SYNCING
+          : PROCESS_SYNC_STATUS.SYNCED
+    );
+  }
+
+  /**
+   * Save a process through the pipeline
+   */
+  async saveProcess(processInstance) {
+    const process = { ...processInstance, syncStatus: PROCESS_SYNC_STATUS.PENDING };
+
+    if (processState.hasProcess(process._id)) {
+      processState.updateProcess(process._id, process);
+    } else {
+      processState.addProcess(process);
+    }
+
+    await this.flushWrites();
+
+    return processState.getProcess(process._id);
+  }
+
+  /**
+   * Save multiple processes through the pipeline
+   */
+  async saveProcesses(processes) {
+    processes.forEach(processInstance => {
+      const process = { ...processInstance, syncStatus: PROCESS_SYNC_STATUS.PENDING };
+
+      if (processState.hasProcess(process._id)) {
+        processState.updateProcess(process._id, process);
+      } else {
+        processState.addProcess(process);
+      }
+    });
+
+    await this.flushWrites();
+
+    return processes.map(process => processState.getProcess(process._id));
+  }
+
+  /**
+   * Write pending changes now, retry processes that failed to save, and
+   * restart replication without waiting out its backoff
    */
   async forceSync() {
+    if (!this.orgId) {
+      console.log('No organization is syncing, skipping sync');
+      return;
+    }
+
     console.log('Forcing immediate sync...');
-    await this.syncPendingProcesses();
+
+    processState.getAllProcesses()
+      .filter(process => process.syncStatus === PROCESS_SYNC_STATUS.ERROR)
+      .forEach(process => {
+        this.attempts.delete(process._id);
+        processState.updateProcessSyncStatus(process._id, PROCESS_SYNC_STATUS.PENDING);
+        this.changed.add(process._id);
+      });
+
+    this.retryTimers.forEach((timer, processId) => {
+      clearTimeout(timer);
+      this.changed.add(processId);
+    });
+    this.retryTimers.clear();
+
+    if (this.changed.size > 0) {
+      this.scheduleWrites();
+    }
+    await this.flushWrites();
+
+    if (this.remote) {
+      await processPersistence.setupSync(this.orgId, this.remote.remoteUrl, this.remote.credentials);
+    }
+
+    this.updateOverallStatus();
+  }
+
+  /**
+   * Write what is pending and stop syncing the current organization
+   */
+  async stop() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+
+    await this.flushWrites();
+
+    if (this.orgId) {
+      processPersistence.unwatchProcesses(this.orgId);
+    }
+
+    this.orgId = null;
+    this.remote = null;
+    this.pushedSeq = 0;
+    this.unpushed.clear();
+    this.pulledRevs.clear();
+    this.localRevs.clear();
+    this.attempts.clear();
   }
 
   /**
@@ -333,7 +630,7 @@ class ProcessSync {
   async switchOrganization(orgId, remoteUrl = null, credentials = null) {
     try {
       // Stop current sync
-      this.stopPeriodicSync();
+      await this.stop();
 
       // Get previous org to close its database
       const previousOrg = orgState.getActiveOrganization();
@@ -359,8 +656,8 @@ class ProcessSync {
    */
   async cleanup() {
     try {
-      // Stop periodic sync
-      this.stopPeriodicSync();
+      // Write pending changes and stop syncing
+      await this.stop();
 
       // Close all databases
       const activeOrg = orgState.getActiveOrganization();
@@ -378,27 +675,12 @@ class ProcessSync {
     }
   }
 
-  /**
-   * Set sync interval
-   */
-  setSyncInterval(milliseconds) {
-    this.syncIntervalMs = milliseconds;
-
-    // Restart periodic sync with new interval
-    if (this.syncInterval) {
-      this.startPeriodicSync();
-    }
-
-    console.log(`Sync interval set to ${milliseconds}ms`);
-  }
-
   /**
    * Get sync status
    */
   getSyncStatus() {
     return {
-      isSyncing: this.isSyncing,
-      syncInterval: this.syncIntervalMs,
+      isSyncing: !!this.writing || processState.get('syncStatus') === PROCESS_SYNC_STATUS.SYNCING,
       overallStatus: processState.get('syncStatus'),
       pendingCount: processState.getProcessesNeedingSync().length
     };
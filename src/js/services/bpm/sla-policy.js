@@ -0,0 +1,425 @@
+/**
+ * SLA Policy
+ * Response and resolution targets set as `sla` on a definition (the whole
+ * process), on a state (each visit of it) or on a required action (its task):
+ *
+ *   sla: {
+ *     response: 15 * 60 * 1000,
+ *     resolution: { by: 'priority', values: { critical: 4 * HOUR, high: 8 * HOUR }, default: 24 * HOUR },
+ *     warnAt: 0.75,
+ *     businessHours: true,
+ *     escalations: [
+ *       { on: 'warning', type: 'notify', role: 'manager', title: 'SLA at risk' },
+ *       { on: 'breach', target: 'response', type: 'reassign', level: 'manager' },
+ *       { on: 'breach', after: 2 * HOUR, type: 'transition', toState: 'escalated' }
+ *     ]
+ *   }
+ *
+ * Targets are durations in milliseconds, counted in working time when
+ * businessHours is set: true for the organization's default calendar, a
+ * calendar name, or an inline { days, start, end, timezone, holidays } calendar. The response ends when a task is first
+ * claimed or completed, the state is left, or for a process when it enters one
+ * of `respondedIn` (any state after the initial one by default). The resolution
+ * ends when the task is completed, the state is left, or for a process when it
+ * enters one of `resolvedIn` (an end state by default) or completes.
+ *
+ * Records are derived from the process history and its tasks, so every device
+ * computes the same ones; only the escalations already fired are stored, in
+ * processInstance.slaEscalations.
+ */
+
+import { actionRegistry } from './action-registry.js';
+import { calendarService } from './calendar-service.js';
+import { addBusinessHours } from '../../utils/date-utils.js';
+import { APPROVAL_HIERARCHY, PROCESS_STATUS, TASK_STATUS } from '../../config/constants.js';
+
+export const SLA_STATUS = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached',
+  MET: 'met',
+  CANCELLED: 'cancelled'
+};
+
+export const SLA_TARGETS = ['response', 'resolution'];
+
+const DEFAULT_WARN_AT = 0.8;
+
+const CLOSED_PROCESS_STATUSES = [PROCESS_STATUS.COMPLETED, PROCESS_STATUS.CANCELLED, PROCESS_STATUS.FAILED];
+
+class SLAPolicy {
+  /**
+   * Validate an SLA declaration
+   * @returns {object} { valid, error }
+   */
+  validate(sla) {
+    if (!sla || typeof sla !== 'object') {
+      return { valid: false, error: 'SLA must be an object' };
+    }
+
+    if (!SLA_TARGETS.some(target => sla[target] !== undefined)) {
+      return { valid: false, error: 'SLA needs a response or resolution target' };
+    }
+
+    for (const target of SLA_TARGETS) {
+      const value = sla[target];
+      if (value === undefined) {
+        continue;
+      }
+
+      const valid = typeof value === 'number'
+        ? value > 0
+        : value && typeof value === 'object' && value.by && value.values && typeof value.values === 'object';
+      if (!valid) {
+        return { valid: false, error: `SLA ${target} must be a positive duration or { by, values, default }` };
+      }
+    }
+
+    if (sla.warnAt !== undefined && !(sla.warnAt > 0 && sla.warnAt < 1)) {
+      return { valid: false, error: 'SLA warnAt must be a fraction between 0 and 1' };
+    }
+
+    if (sla.businessHours && typeof sla.businessHours === 'object') {
+      const validation = calendarService.validate(sla.businessHours);
+      if (!validation.valid) {
+        return { valid: false, error: `SLA businessHours: ${validation.error}` };
+      }
+    }
+
+    for (const [index, escalation] of (sla.escalations || []).entries()) {
+      const validation = this.validateEscalation(escalation, sla);
+      if (!validation.valid) {
+        return { valid: false, error: `SLA escalation ${index + 1}: ${validation.error}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate one escalation step
+   * reassign and transition steps are run by the transition engine; any other
+   * type is a declarative action
+   */
+  validateEscalation(escalation, sla) {
+    if (!['warning', 'breach'].includes(escalation?.on)) {
+      return { valid: false, error: 'on must be "warning" or "breach"' };
+    }
+
+    const target = escalation.target || 'resolution';
+    if (!SLA_TARGETS.includes(target) || sla[target] === undefined) {
+      return { valid: false, error: `target "${target}" has no SLA` };
+    }
+
+    if (escalation.type === 'reassign') {
+      return !escalation.level || APPROVAL_HIERARCHY[escalation.level]
+        ? { valid: true }
+        : { valid: false, error: `unknown approval level "${escalation.level}"` };
+    }
+
+    if (escalation.type === 'transition') {
+      return escalation.toState ? { valid: true } : { valid: false, error: 'transition needs a toState' };
+    }
+
+    return actionRegistry.validate(this.getAction(escalation));
+  }
+
+  /**
+   * Strip the escalation fields, leaving the declarative action
+   */
+  getAction(escalation) {
+    const { on, target, after, ...action } = escalation;
+    return action;
+  }
+
+  /**
+   * Resolve a target to milliseconds for a process
+   */
+  resolveTarget(value, processInstance) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const key = processInstance.variables?.[value.by];
+    return value.values[key] ?? value.default ?? null;
+  }
+
+  /**
+   * Add a duration to a start time, in working time when the SLA uses business hours
+   */
+  addDuration(startedAt, ms, sla) {
+    if (!sla.businessHours) {
+      return new Date(new Date(startedAt).getTime() + ms);
+    }
+
+    return addBusinessHours(startedAt, ms / (60 * 60 * 1000), calendarService.resolve(sla.businessHours));
+  }
+
+  /**
+   * Get when an SLA is due to be resolved (or responded to, without a resolution target)
+   * @returns {string|null} ISO date
+   */
+  getDueAt(sla, processInstance, startedAt) {
+    const ms = this.resolveTarget(sla.resolution ?? sla.response, processInstance);
+    return ms ? this.addDuration(startedAt, ms, sla).toISOString() : null;
+  }
+
+  /**
+   * Get every SLA record of a process, open and closed
+   * @param {object} processInstance - Process instance
+   * @param {StateMachine} stateMachine - State machine of its definition
+   * @param {Array} tasks - Task documents of the process
+   * @param {number} now - Evaluation time (ms)
+   * @returns {Array} Records of the shape described by buildRecord
+   */
+  getRecords(processInstance, stateMachine, tasks = [], now = Date.now()) {
+    const definition = stateMachine.getDefinition();
+    const history = processInstance.stateHistory || [];
+    const closed = CLOSED_PROCESS_STATUSES.includes(processInstance.status);
+    const closedAt = closed
+      ? processInstance.completedAt || processInstance.cancelledAt || processInstance.updatedAt
+      : null;
+    const completed = processInstance.status === PROCESS_STATUS.COMPLETED;
+    const records = [];
+
+    // The whole process
+    const processSLA = definition.sla || this.getDeadlineSLA(processInstance);
+    if (processSLA) {
+      const { respondedIn, resolvedIn } = processSLA;
+      const response = history.find(entry => !respondedIn || respondedIn.includes(entry.to));
+      const resolution = history.find(entry => resolvedIn
+        ? resolvedIn.includes(entry.to)
+        : stateMachine.isEndState(entry.to) && entry.to !== 'cancelled' && entry.to !== 'failed');
+
+      records.push(this.buildRecord(processInstance, processSLA, {
+        key: 'process',
+        scope: 'process',
+        state: null,
+        branchId: null,
+        taskId: null,
+        startedAt: processInstance.createdAt,
+        respondedAt: response?.timestamp || resolution?.timestamp || (completed ? closedAt : null),
+        resolvedAt: resolution?.timestamp || (completed ? closedAt : null),
+        cancelledAt: closed && !completed && !resolution ? closedAt : null
+      }, now));
+    }
+
+    // Each visit of a state with an SLA: the initial state (visit 0) and every history entry
+    const initialState = history[0]?.from || definition.initialState;
+    const visits = [{
+      state: initialState,
+      branchId: null,
+      visit: 0,
+      revision: processInstance.initialRevision || 0,
+      at: processInstance.createdAt
+    }].concat(history.map((entry, index) => ({
+      state: entry.to,
+      branchId: entry.branchId || null,
+      visit: index + 1,
+      revision: entry.revision || 0,
+      at: entry.timestamp
+    })));
+
+    visits.forEach(({ state, branchId, visit, revision, at }) => {
+      const sla = stateMachine.getStateConfig(state)?.sla;
+      if (!sla) {
+        return;
+      }
+
+      const left = history.slice(visit).find(entry => (entry.branchId || null) === branchId && entry.from === state);
+      const endedAt = left?.timestamp || null;
+      const stateTasks = tasks.filter(task =>
+        !task.adHoc && task.state === state && task.visit === visit && (task.revision || 0) === revision &&
+        (task.branchId || null) === branchId
+      );
+      const responses = stateTasks.map(task => this.getTaskResponse(task)).filter(Boolean).sort();
+
+      records.push(this.buildRecord(processInstance, sla, {
+        key: `state:${state}:${visit}`,
+        scope: 'state',
+        state,
+        branchId,
+        taskId: null,
+        startedAt: at,
+        respondedAt: responses[0] || endedAt,
+        resolvedAt: endedAt,
+        cancelledAt: !endedAt && closed ? closedAt : null
+      }, now));
+    });
+
+    // Tasks of required actions with an SLA
+    tasks.forEach(task => {
+      if (task.adHoc || task.actionIndex === null || task.actionIndex === undefined) {
+        return;
+      }
+
+      const sla = stateMachine.getStateConfig(task.state)?.requiredActions?.[task.actionIndex]?.sla;
+      if (!sla) {
+        return;
+      }
+
+      records.push(this.buildRecord(processInstance, sla, {
+        key: `task:${task._id}`,
+        scope: 'task',
+        state: task.state,
+        branchId: task.branchId || null,
+        taskId: task._id,
+        startedAt: task.createdAt,
+        respondedAt: this.getTaskResponse(task),
+        resolvedAt: task.status === TASK_STATUS.COMPLETED ? task.completedAt : null,
+        cancelledAt: task.status === TASK_STATUS.CANCELLED ? task.cancelledAt || task.updatedAt : null
+      }, now));
+    });
+
+    return records;
+  }
+
+  /**
+   * Resolution target of a process without a declared SLA, taken from the
+   * deadline variables older definitions set
+   */
+  getDeadlineSLA(processInstance) {
+    const variables = processInstance.variables || {};
+    const deadline = variables.deadline || variables.dueDate || variables.slaDeadline || variables.completionDeadline;
+    const ms = deadline ? new Date(deadline).getTime() - new Date(processInstance.createdAt).getTime() : NaN;
+
+    return ms > 0 ? { resolution: ms } : null;
+  }
+
+  /**
+   * When a task was first taken up: claimed, assigned or completed
+   */
+  getTaskResponse(task) {
+    const taken = (task.history || []).find(entry => ['claimed', 'reassigned'].includes(entry.action) && entry.to);
+    return taken?.at || task.completedAt || null;
+  }
+
+  /**
+   * Build a record from the facts of one SLA clock
+   * @returns {object} { key, scope, state, branchId, taskId, startedAt, closedAt,
+   *   response, resolution: { target, dueAt, warnAt, completedAt, status } | null,
+   *   status, escalations: [{ index, on, target, type, dueAt, firedAt }] }
+   */
+  buildRecord(processInstance, sla, facts, now) {
+    const { respondedAt, resolvedAt, cancelledAt, ...record } = facts;
+    const completedAt = { response: respondedAt, resolution: resolvedAt };
+    const targets = {};
+
+    SLA_TARGETS.forEach(target => {
+      const ms = sla[target] !== undefined ? this.resolveTarget(sla[target], processInstance) : null;
+      targets[target] = ms ? this.evaluateTarget(sla, record.startedAt, ms, completedAt[target], cancelledAt, now) : null;
+    });
+
+    const fired = processInstance.slaEscalations?.[record.key] || {};
+    const escalations = (sla.escalations || []).map((escalation, index) => {
+      const target = targets[escalation.target || 'resolution'];
+      const base = target && (escalation.on === 'warning' ? target.warnAt : target.dueAt);
+
+      return {
+        index,
+        on: escalation.on,
+        target: escalation.target || 'resolution',
+        type: escalation.type,
+        dueAt: base ? new Date(new Date(base).getTime() + (escalation.after || 0)).toISOString() : null,
+        firedAt: fired[index] || null
+      };
+    });
+
+    const statuses = SLA_TARGETS.map(target => targets[target]?.status).filter(Boolean);
+    let status = SLA_STATUS.ON_TRACK;
+    if (statuses.includes(SLA_STATUS.BREACHED)) {
+      status = SLA_STATUS.BREACHED;
+    } else if (cancelledAt) {
+      status = SLA_STATUS.CANCELLED;
+    } else if (statuses.length > 0 && statuses.every(s => s === SLA_STATUS.MET)) {
+      status = SLA_STATUS.MET;
+    } else if (statuses.includes(SLA_STATUS.AT_RISK)) {
+      status = SLA_STATUS.AT_RISK;
+    }
+
+    return {
+      ...record,
+      closedAt: resolvedAt || cancelledAt || null,
+      response: targets.response,
+      resolution: targets.resolution,
+      status,
+      escalations
+    };
+  }
+
+  /**
+   * Evaluate one target against when it was completed (or now)
+   */
+  evaluateTarget(sla, startedAt, ms, completedAt, cancelledAt, now) {
+    const dueAt = this.addDuration(startedAt, ms, sla);
+    const warnAt = this.addDuration(startedAt, ms * (sla.warnAt || DEFAULT_WARN_AT), sla);
+    const endedAt = completedAt || cancelledAt;
+    const at = endedAt ? new Date(endedAt).getTime() : now;
+
+    let status;
+    if (at > dueAt.getTime()) {
+      status = SLA_STATUS.BREACHED;
+    } else if (completedAt) {
+      status = SLA_STATUS.MET;
+    } else if (cancelledAt) {
+      status = SLA_STATUS.CANCELLED;
+    } else {
+      status = at >= warnAt.getTime() ? SLA_STATUS.AT_RISK : SLA_STATUS.ON_TRACK;
+    }
+
+    return {
+      target: ms,
+      dueAt: dueAt.toISOString(),
+      warnAt: warnAt.toISOString(),
+      completedAt: completedAt || null,
+      status
+    };
+  }
+
+  /**
+   * Get the escalations of a process that are due and not fired yet
+   * Only open targets escalate
+   * @returns {Array} [{ record, escalation, step }] in due order
+   */
+  getDueEscalations(processInstance, stateMachine, tasks = [], now = Date.now()) {
+    const due = [];
+
+    this.getRecords(processInstance, stateMachine, tasks, now).forEach(record => {
+      const sla = this.getRecordPolicy(record, stateMachine);
+
+      record.escalations.forEach(step => {
+        const target = record[step.target];
+        if (step.firedAt || !step.dueAt || !target || target.completedAt ||
+            target.status === SLA_STATUS.CANCELLED || new Date(step.dueAt).getTime() > now) {
+          return;
+        }
+
+        due.push({ record, escalation: sla.escalations[step.index], step });
+      });
+    });
+
+    return due.sort((a, b) => a.step.dueAt.localeCompare(b.step.dueAt));
+  }
+
+  /**
+   * Get the SLA declaration a record was built from
+   */
+  getRecordPolicy(record, stateMachine) {
+    if (record.scope === 'process') {
+      return stateMachine.getDefinition().sla;
+    }
+
+    const stateConfig = stateMachine.getStateConfig(record.state);
+    if (record.scope === 'state') {
+      return stateConfig.sla;
+    }
+
+    const actionIndex = Number(record.taskId.split(':').pop());
+    return stateConfig.requiredActions[actionIndex].sla;
+  }
+}
+
+// Create singleton instance
+export const slaPolicy = new SLAPolicy();
+
+export default slaPolicy;
@@ -4,7 +4,16 @@
  */
 
 import { eventBus } from '../../utils/events.js';
-import { EVENTS, PROCESS_STATUS } from '../../config/constants.js';
+import { EVENTS, PROCESS_STATUS, APPROVAL_HIERARCHY } from '../../config/constants.js';
+import { hasApprovalPermission, deepClone } from '../../utils/helpers.js';
+import { conditionEvaluator } from './condition-evaluator.js';
+import { actionRegistry } from './action-registry.js';
+import { approvalPolicy } from './approval-policy.js';
+import { slaPolicy } from './sla-policy.js';
+import { variableValidator } from './variable-validator.js';
+
+// Longest chain of auto-transitions a single transition may trigger
+const MAX_AUTO_TRANSITION_CHAIN = 10;
 
 export class StateMachine {
   constructor(processDefinition) {
@@ -13,6 +22,7 @@ export class StateMachine {
     }
 
     this.definition = processDefinition;
+    this.autoTransitionChains = new Map(); // token key -> states entered by the running chain
     this.validateDefinition();
   }
 
@@ -42,6 +52,32 @@ export class StateMachine {
     Object.entries(states).forEach(([stateName, stateConfig]) => {
       this.validateState(stateName, stateConfig);
     });
+
+    if (this.definition.sla) {
+      this.validateSLA('Process', this.definition.sla, null);
+    }
+
+    const variables = variableValidator.validateDefinition(this.definition);
+    if (!variables.valid) {
+      throw new Error(`Process definition has invalid variables: ${variables.error}`);
+    }
+  }
+
+  /**
+   * Validate an SLA declaration; escalations of a state may only move along its transitions
+   */
+  validateSLA(owner, sla, stateName) {
+    const validation = slaPolicy.validate(sla);
+    if (!validation.valid) {
+      throw new Error(`${owner} has an invalid SLA: ${validation.error}`);
+    }
+
+    (sla.escalations || []).filter(escalation => escalation.type === 'transition').forEach(({ toState }) => {
+      const valid = stateName ? this.getTransition(stateName, toState) : this.definition.states[toState];
+      if (!valid) {
+        throw new Error(`${owner} SLA escalates to unreachable state "${toState}"`);
+      }
+    });
   }
 
   /**
@@ -52,12 +88,153 @@ export class StateMachine {
       throw new Error(`State "${stateName}" must have a transitions array`);
     }
 
-    // Validate that each transition target exists
-    stateConfig.transitions.forEach(targetState => {
-      if (!this.definition.states[targetState]) {
-        throw new Error(`State "${stateName}" has invalid transition to "${targetState}"`);
+    // Validate each transition (a target name or a { to, ... } object)
+    stateConfig.transitions.forEach(transition => {
+      this.validateTransition(stateName, transition);
+    });
+
+    // Fork states split into one branch per transition target
+    if (stateConfig.type === 'fork' && stateConfig.transitions.length < 2) {
+      throw new Error(`Fork state "${stateName}" must have at least two branch transitions`);
+    }
+
+    // Sub-process states start a child process of another definition
+    if (stateConfig.subProcess && !stateConfig.subProcess.definitionId) {
+      throw new Error(`State "${stateName}" sub-process must have a definitionId`);
+    }
+
+    // Join states wait for all branches or a minimum number of them
+    if (stateConfig.type === 'join' && stateConfig.join) {
+      const { requires = 'all' } = stateConfig.join;
+      if (requires !== 'all' && !(Number.isInteger(requires) && requires > 0)) {
+        throw new Error(`Join state "${stateName}" must require "all" or a positive number of branches`);
+      }
+    }
+
+    // Approvals may carry a multi-decision policy
+    (stateConfig.requiredActions || []).forEach((action, index) => {
+      if (!action.policy) {
+        return;
+      }
+
+      const validation = approvalPolicy.validate(action.policy);
+      if (!validation.valid) {
+        throw new Error(`State "${stateName}" required action ${index + 1} has an invalid policy: ${validation.error}`);
+      }
+
+      const { approve, reject } = this.getApprovalTargets(stateName, action);
+      if (!this.getTransition(stateName, approve) || !this.getTransition(stateName, reject)) {
+        throw new Error(`State "${stateName}" approval policy needs transitions to approve and reject`);
+      }
+    });
+
+    if (stateConfig.sla) {
+      this.validateSLA(`State "${stateName}"`, stateConfig.sla, stateName);
+    }
+
+    (stateConfig.requiredActions || []).forEach((action, index) => {
+      if (action.sla) {
+        this.validateSLA(`State "${stateName}" required action ${index + 1}`, action.sla, stateName);
       }
     });
+
+    // Hooks are functions or lists of declarative actions
+    ['onEnter', 'onExit', 'onCompensate'].forEach(hook => {
+      const value = stateConfig[hook];
+      if (value === undefined || value === null || typeof value === 'function') {
+        return;
+      }
+
+      if (!Array.isArray(value)) {
+        throw new Error(`State "${stateName}" ${hook} must be a function or a list of actions`);
+      }
+
+      value.forEach((action, index) => {
+        const validation = actionRegistry.validate(action);
+        if (!validation.valid) {
+          throw new Error(`State "${stateName}" ${hook} action ${index + 1} is invalid: ${validation.error}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate a single transition of a state
+   */
+  validateTransition(stateName, transition) {
+    const { to, guard, requiredApprovalLevel, requiredFields } = this.normalizeTransition(transition);
+
+    if (!to || !this.definition.states[to]) {
+      throw new Error(`State "${stateName}" has invalid transition to "${to}"`);
+    }
+
+    if (requiredApprovalLevel && !APPROVAL_HIERARCHY[requiredApprovalLevel]) {
+      throw new Error(`Transition "${stateName}" -> "${to}" has unknown approval level "${requiredApprovalLevel}"`);
+    }
+
+    if (requiredFields && !Array.isArray(requiredFields)) {
+      throw new Error(`Transition "${stateName}" -> "${to}" requiredFields must be an array`);
+    }
+
+    if (guard) {
+      (Array.isArray(guard) ? guard : [guard]).forEach(condition => {
+        const validation = conditionEvaluator.validateCondition(condition);
+        if (!validation.valid) {
+          throw new Error(`Transition "${stateName}" -> "${to}" has invalid guard: ${validation.error}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the states an approval policy moves to when it is approved or rejected
+   * Defaults to the first transition that is not a rejection, and to "rejected" or "cancelled"
+   */
+  getApprovalTargets(stateName, action) {
+    const targets = (this.definition.states[stateName]?.transitions || [])
+      .map(transition => this.normalizeTransition(transition).to);
+    const rejections = ['rejected', 'cancelled'];
+
+    return {
+      approve: action.policy?.onApproved || targets.find(to => !rejections.includes(to)) || null,
+      reject: action.policy?.onRejected || rejections.find(to => targets.includes(to)) || null
+    };
+  }
+
+  /**
+   * Check whether a target state is an outcome of an approval policy on the current state
+   */
+  isApprovalPolicyTarget(currentState, targetState) {
+    return (this.definition.states[currentState]?.requiredActions || [])
+      .filter(action => action.policy)
+      .some(action => {
+        const { approve, reject } = this.getApprovalTargets(currentState, action);
+        return targetState === approve || targetState === reject;
+      });
+  }
+
+  /**
+   * Normalize a transition to object form
+   * Transitions may be declared as a target name or as
+   * { to, label, guard, requiredApprovalLevel, requiredFields }
+   */
+  normalizeTransition(transition) {
+    return typeof transition === 'string' ? { to: transition } : { ...transition };
+  }
+
+  /**
+   * Get the normalized transitions of a state
+   */
+  getTransitions(stateName) {
+    const state = this.definition.states[stateName];
+    return state ? state.transitions.map(t => this.normalizeTransition(t)) : [];
+  }
+
+  /**
+   * Get the transition from one state to another, if declared
+   */
+  getTransition(currentState, targetState) {
+    return this.getTransitions(currentState).find(t => t.to === targetState) || null;
   }
 
   /**
@@ -73,7 +250,7 @@ export class StateMachine {
       };
     }
 
-    if (!state.transitions.includes(targetState)) {
+    if (!this.getTransition(currentState, targetState)) {
       return {
         valid: false,
         reason: `Transition from "${currentState}" to "${targetState}" is not allowed`
@@ -83,11 +260,81 @@ export class StateMachine {
     return { valid: true };
   }
 
+  /**
+   * Check the guard, required fields and approval level of a transition
+   * The approval level only applies to user actions; system triggers
+   * (timer, condition, event, sub-process...) carry context.trigger and skip it
+   */
+  checkTransitionGuards(processInstance, currentState, targetState, context = {}) {
+    const transition = this.getTransition(currentState, targetState);
+    if (!transition) {
+      return { allowed: false, reason: `Transition from "${currentState}" to "${targetState}" is not allowed` };
+    }
+
+    const { guard, requiredApprovalLevel, requiredFields = [] } = transition;
+
+    // Outcomes of an approval policy are only reached by its decisions
+    if (!context.trigger && this.isApprovalPolicyTarget(currentState, targetState)) {
+      return { allowed: false, reason: 'Awaiting the approval policy of this step' };
+    }
+
+    if (requiredApprovalLevel && !context.trigger &&
+        !hasApprovalPermission(context.approvalLevel, requiredApprovalLevel)) {
+      return { allowed: false, reason: `Requires ${requiredApprovalLevel} approval level` };
+    }
+
+    const variables = processInstance.variables || {};
+    const missing = requiredFields.filter(field =>
+      variables[field] === undefined || variables[field] === null || variables[field] === ''
+    );
+
+    if (missing.length > 0) {
+      return { allowed: false, reason: `Missing required fields: ${missing.join(', ')}` };
+    }
+
+    if (guard) {
+      const guards = Array.isArray(guard) ? guard : [guard];
+      const result = conditionEvaluator.canTransition(processInstance, targetState, guards, context);
+
+      if (!result.allowed) {
+        return { allowed: false, reason: guards.find(g => g.reason)?.reason || result.reason };
+      }
+    }
+
+    // An approval that could never be decided would leave the process stuck in the target state
+    const policyError = this.checkApprovalPolicies(processInstance, targetState);
+    if (policyError) {
+      return { allowed: false, reason: policyError };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Resolve the approval policies of a state against a process before it enters the state
+   * @returns {string|null} Why one of them could never be decided, or null
+   */
+  checkApprovalPolicies(processInstance, stateName) {
+    const actions = (this.definition.states[stateName]?.requiredActions || []).filter(action => action.policy);
+
+    for (const action of actions) {
+      try {
+        approvalPolicy.resolve(action.policy, processInstance);
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Execute state transition
+   * Pass branchId to move a single branch while the process runs in parallel
    */
-  async executeTransition(processInstance, targetState, context = {}) {
-    const currentState = processInstance.currentState;
+  async executeTransition(processInstance, targetState, context = {}, branchId = null) {
+    const branch = this.resolveBranch(processInstance, targetState, branchId);
+    const currentState = branch ? branch.state : processInstance.currentState;
 
     // Validate transition
     const validation = this.canTransition(currentState, targetState);
@@ -95,44 +342,74 @@ export class StateMachine {
       throw new Error(validation.reason);
     }
 
-    const currentStateConfig = this.definition.states[currentState];
+    const guardCheck = this.checkTransitionGuards(processInstance, currentState, targetState, context);
+    if (!guardCheck.allowed) {
+      throw new Error(`Cannot transition to "${targetState}": ${guardCheck.reason}`);
+    }
+
     const targetStateConfig = this.definition.states[targetState];
 
+    // Variables as they were before the transition, restored if it is reverted
+    const variables = deepClone(processInstance.variables || {});
+
     try {
       // Execute onExit hook for current state
-      if (currentStateConfig.onExit && typeof currentStateConfig.onExit === 'function') {
-        await currentStateConfig.onExit(processInstance, context);
-      }
+      await this.runHook(processInstance, currentState, 'onExit', context, branch?.id || null);
 
       // Record transition in history
       const transition = {
         from: currentState,
         to: targetState,
         timestamp: new Date().toISOString(),
-        context: context
+        context: context,
+        variables
       };
 
+      if (branch) {
+        transition.branchId = branch.id;
+      }
+
+      this.stampRevision(processInstance, transition);
+
       // Update process instance
-      const previousState = processInstance.currentState;
-      processInstance.currentState = targetState;
+      const previousState = currentState;
+      if (branch) {
+        branch.state = targetState;
+      } else {
+        processInstance.currentState = targetState;
+      }
+      // Only the latest entry keeps its variables snapshot, the one a revert restores
       processInstance.stateHistory = processInstance.stateHistory || [];
+      processInstance.stateHistory.forEach(entry => delete entry.variables);
       processInstance.stateHistory.push(transition);
       processInstance.updatedAt = new Date().toISOString();
 
-      // Execute onEnter hook for target state
-      if (targetStateConfig.onEnter && typeof targetStateConfig.onEnter === 'function') {
-        await targetStateConfig.onEnter(processInstance, context);
+      // A branch reaching a join waits there; the join's hooks run once it is satisfied
+      if (branch && this.isJoinState(targetState)) {
+        this.emitStateChanged(processInstance, previousState, targetState, transition, branch.id);
+        await this.arriveAtJoin(processInstance, branch, targetState, context);
+        return processInstance;
+      }
+
+      // A branch reaching a dead end (no outgoing transitions) ends the parallel section
+      if (branch && targetStateConfig.transitions.length === 0) {
+        this.endParallel(processInstance, targetState, branch.id);
       }
 
+      // Branch still running in parallel after this transition, if any
+      const activeBranchId = branch && processInstance.parallel ? branch.id : null;
+
+      // Execute onEnter hook for target state
+      await this.runHook(processInstance, targetState, 'onEnter', context, activeBranchId);
+
       // Emit state changed event
-      eventBus.emit(EVENTS.PROCESS_STATE_CHANGED, {
-        processId: processInstance._id,
-        definitionId: processInstance.definitionId,
-        from: previousState,
-        to: targetState,
-        timestamp: transition.timestamp,
-        context: context
-      });
+      this.emitStateChanged(processInstance, previousState, targetState, transition, activeBranchId);
+
+      // Fork states split the process into concurrent branches
+      if (this.isForkState(targetState)) {
+        await this.startBranches(processInstance, targetState, context);
+        return processInstance;
+      }
 
       // Check if this is a terminal state (completed, cancelled, failed)
       const terminalStates = ['completed', 'cancelled', 'failed'];
@@ -157,7 +434,7 @@ export class StateMachine {
       }
 
       // Check for auto-transitions
-      await this.checkAutoTransitions(processInstance, context);
+      await this.checkAutoTransitions(processInstance, context, activeBranchId);
 
       return processInstance;
     } catch (error) {
@@ -177,48 +454,380 @@ export class StateMachine {
   }
 
   /**
-   * Check and execute auto-transitions if configured
+   * Mark a history entry made after a revert, so the tasks of the state it enters
+   * get new IDs rather than those of the reverted entry at the same position
    */
-  async checkAutoTransitions(processInstance, context = {}) {
-    const currentState = processInstance.currentState;
-    const stateConfig = this.definition.states[currentState];
+  stampRevision(processInstance, transition) {
+    if (processInstance.reverts) {
+      transition.revision = processInstance.reverts;
+    }
+  }
 
-    if (!stateConfig.autoTransition) {
-      return;
+  /**
+   * Run the onEnter, onExit or onCompensate hook of a state
+   * Function hooks are called directly; action lists go through the action registry,
+   * which records failing actions in the audit log instead of throwing
+   */
+  async runHook(processInstance, stateName, hook, context = {}, branchId = null) {
+    const handler = this.definition.states[stateName]?.[hook];
+
+    if (typeof handler === 'function') {
+      await handler(processInstance, context);
+    } else if (Array.isArray(handler) && handler.length > 0) {
+      await actionRegistry.execute(handler, processInstance, {
+        stateMachine: this,
+        state: stateName,
+        hook,
+        context,
+        branchId
+      });
+    }
+  }
+
+  /**
+   * Emit state changed event
+   */
+  emitStateChanged(processInstance, from, to, transition, branchId = null) {
+    eventBus.emit(EVENTS.PROCESS_STATE_CHANGED, {
+      processId: processInstance._id,
+      definitionId: processInstance.definitionId,
+      from,
+      to,
+      branchId,
+      timestamp: transition.timestamp,
+      context: transition.context
+    });
+  }
+
+  /**
+   * Check if state splits into parallel branches
+   */
+  isForkState(stateName) {
+    const state = this.definition.states[stateName];
+    return !!state && state.type === 'fork';
+  }
+
+  /**
+   * Check if state waits for parallel branches
+   */
+  isJoinState(stateName) {
+    const state = this.definition.states[stateName];
+    return !!state && state.type === 'join';
+  }
+
+  /**
+   * Start one branch per transition of a fork state
+   */
+  async startBranches(processInstance, forkState, context = {}) {
+    if (processInstance.parallel) {
+      throw new Error(`Nested fork "${forkState}" is not supported inside a running parallel section`);
+    }
+
+    const forkConfig = this.definition.states[forkState];
+    const startedAt = new Date().toISOString();
+
+    processInstance.parallel = {
+      forkState,
+      startedAt,
+      branches: {}
+    };
+
+    const startStates = this.getTransitions(forkState).map(t => t.to);
+
+    startStates.forEach(startState => {
+      processInstance.parallel.branches[startState] = {
+        id: startState,
+        state: forkState,
+        status: 'active',
+        startedAt
+      };
+    });
+
+    this.addAuditEntry(processInstance, 'parallel_started', {
+      forkState,
+      branches: startStates
+    });
+
+    // Move every branch onto its first state. A branch may end the parallel section
+    // before the rest have moved (an N-of-M join satisfied, or an end state reached)
+    const parallel = processInstance.parallel;
+
+    for (const startState of startStates) {
+      if (processInstance.parallel !== parallel) {
+        break;
+      }
+      if (parallel.branches[startState].status !== 'active') {
+        continue;
+      }
+
+      await this.executeTransition(processInstance, startState, context, startState);
     }
+  }
 
-    const { conditions } = stateConfig.autoTransition;
+  /**
+   * Mark a branch as arrived at a join and continue once the join is satisfied
+   */
+  async arriveAtJoin(processInstance, branch, joinState, context = {}) {
+    branch.status = 'arrived';
+    branch.arrivedAt = new Date().toISOString();
+
+    const branches = Object.values(processInstance.parallel.branches);
+    const arrived = branches.filter(b => b.status === 'arrived' && b.state === joinState);
+    const { requires = 'all' } = this.definition.states[joinState].join || {};
+    const needed = requires === 'all' ? branches.length : Math.min(requires, branches.length);
+
+    this.addAuditEntry(processInstance, 'branch_arrived', {
+      branchId: branch.id,
+      joinState,
+      arrived: arrived.length,
+      required: needed
+    });
 
-    if (!conditions || !Array.isArray(conditions)) {
+    if (arrived.length < needed) {
       return;
     }
 
-    // For now, we'll just log auto-transition conditions
-    // Full implementation will be in TransitionEngine (Phase 2)
-    console.log(`Auto-transition conditions found for state "${currentState}":`, conditions);
+    // Join satisfied - collapse branches back into a single token
+    const forkState = processInstance.parallel.forkState;
+    this.endParallel(processInstance, joinState);
+
+    const transition = {
+      from: forkState,
+      to: joinState,
+      timestamp: new Date().toISOString(),
+      context: context
+    };
+    this.stampRevision(processInstance, transition);
+    processInstance.stateHistory.push(transition);
+
+    await this.runHook(processInstance, joinState, 'onEnter', context);
 
-    // TODO: Implement in Phase 2 with ConditionEvaluator
-    // - Timer-based transitions
-    // - Condition-based transitions
-    // - Event-driven transitions
+    this.emitStateChanged(processInstance, forkState, joinState, transition);
+
+    await this.checkAutoTransitions(processInstance, context);
   }
 
   /**
-   * Get available transitions from current state
+   * Close the parallel section and move the process onto a single state
+   * endingBranchId is the branch that left the section through a dead end, if any
    */
-  getAvailableTransitions(currentState) {
-    const state = this.definition.states[currentState];
+  endParallel(processInstance, state, endingBranchId = null) {
+    const { branches, forkState } = processInstance.parallel;
+    const endedAt = new Date().toISOString();
+
+    Object.values(branches).forEach(branch => {
+      if (branch.id === endingBranchId) {
+        branch.status = 'completed';
+      } else if (branch.status === 'arrived') {
+        branch.status = 'joined';
+      } else if (branch.status === 'active') {
+        branch.status = 'cancelled';
+
+        this.addAuditEntry(processInstance, 'branch_cancelled', {
+          branchId: branch.id,
+          state: branch.state
+        });
+      }
 
-    if (!state) {
+      branch.endedAt = branch.endedAt || endedAt;
+    });
+
+    this.addAuditEntry(processInstance, 'parallel_ended', {
+      forkState,
+      state,
+      branches: Object.values(branches).map(({ id, status }) => ({ id, status }))
+    });
+
+    processInstance.currentState = state;
+    processInstance.parallel = null;
+  }
+
+  /**
+   * Resolve the branch a transition applies to
+   * Returns null when the process is not running parallel branches
+   */
+  resolveBranch(processInstance, targetState, branchId = null) {
+    const parallel = processInstance.parallel;
+
+    if (!parallel) {
+      if (branchId) {
+        throw new Error(`Process is not running parallel branches (branch "${branchId}")`);
+      }
+      return null;
+    }
+
+    if (branchId) {
+      const branch = parallel.branches[branchId];
+      if (!branch || branch.status !== 'active') {
+        throw new Error(`Branch "${branchId}" is not active`);
+      }
+      return branch;
+    }
+
+    // Infer the branch from the target state
+    const candidates = this.getActiveBranches(processInstance).filter(b =>
+      this.canTransition(b.state, targetState).valid
+    );
+
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    throw new Error(
+      candidates.length === 0
+        ? `No active branch can transition to "${targetState}"`
+        : `Several branches can transition to "${targetState}"; specify a branch`
+    );
+  }
+
+  /**
+   * Get active branches of a process instance
+   */
+  getActiveBranches(processInstance) {
+    if (!processInstance.parallel) {
       return [];
     }
 
-    return state.transitions.map(targetState => ({
-      targetState,
-      targetStateConfig: this.definition.states[targetState]
+    return Object.values(processInstance.parallel.branches).filter(b => b.status === 'active');
+  }
+
+  /**
+   * Get the states a process instance currently occupies
+   * Returns [{ branchId, state }] - branchId is null outside parallel sections
+   */
+  getActiveTokens(processInstance) {
+    if (!processInstance.parallel) {
+      return [{ branchId: null, state: processInstance.currentState }];
+    }
+
+    return this.getActiveBranches(processInstance).map(b => ({
+      branchId: b.id,
+      state: b.state
     }));
   }
 
+  /**
+   * Find the condition-based auto-transition that applies to a process (or branch)
+   * Timer, immediate and event transitions are left to the TransitionEngine
+   */
+  findAutoTransition(processInstance, context = {}, branchId = null) {
+    const currentState = branchId
+      ? processInstance.parallel.branches[branchId].state
+      : processInstance.currentState;
+    const stateConfig = this.definition.states[currentState];
+
+    if (!stateConfig?.autoTransition) {
+      return null;
+    }
+
+    const match = conditionEvaluator.findMatchingAutoTransition(
+      stateConfig.autoTransition,
+      processInstance,
+      context
+    );
+
+    if (!match) {
+      return null;
+    }
+
+    const validation = this.canTransition(currentState, match.toState);
+    if (!validation.valid) {
+      console.warn(`Ignoring auto-transition for state "${currentState}": ${validation.reason}`);
+      return null;
+    }
+
+    // A guarded edge only fires once its guard passes
+    const guardCheck = this.checkTransitionGuards(processInstance, currentState, match.toState, {
+      ...context,
+      trigger: 'condition'
+    });
+    if (!guardCheck.allowed) {
+      return null;
+    }
+
+    return { ...match, fromState: currentState };
+  }
+
+  /**
+   * Check and execute auto-transitions if configured
+   * Chained auto-transitions stop when a state repeats or the chain grows too long
+   */
+  async checkAutoTransitions(processInstance, context = {}, branchId = null) {
+    const match = this.findAutoTransition(processInstance, context, branchId);
+
+    if (!match) {
+      return;
+    }
+
+    const chainKey = branchId ? `${processInstance._id}#${branchId}` : processInstance._id;
+    const chain = this.autoTransitionChains.get(chainKey) || [match.fromState];
+
+    if (chain.includes(match.toState) || chain.length > MAX_AUTO_TRANSITION_CHAIN) {
+      console.warn(`Auto-transition loop stopped for process ${processInstance._id} at "${match.fromState}"`);
+
+      this.addAuditEntry(processInstance, 'auto_transition_loop', {
+        from: match.fromState,
+        to: match.toState,
+        chain: [...chain],
+        ...(branchId && { branchId })
+      });
+      return;
+    }
+
+    chain.push(match.toState);
+    this.autoTransitionChains.set(chainKey, chain);
+
+    try {
+      await this.executeTransition(processInstance, match.toState, {
+        trigger: 'condition',
+        reason: match.condition.reason || 'Auto-transition by condition'
+      }, branchId);
+    } catch (error) {
+      // The transition that got us here stands; the failure is in the audit log
+      console.error(`Auto-transition to "${match.toState}" failed:`, error);
+    } finally {
+      chain.pop();
+      if (chain.length === 1) {
+        this.autoTransitionChains.delete(chainKey);
+      }
+    }
+  }
+
+  /**
+   * Get available transitions from current state
+   * With a process instance, each transition also reports whether it is
+   * enabled for the given context and, if not, why
+   */
+  getAvailableTransitions(currentState, processInstance = null, context = {}) {
+    return this.getTransitions(currentState).map(transition => {
+      const result = {
+        targetState: transition.to,
+        targetStateConfig: this.definition.states[transition.to],
+        label: transition.label || null,
+        enabled: true,
+        reason: null
+      };
+
+      if (processInstance) {
+        const guardCheck = this.checkTransitionGuards(processInstance, currentState, transition.to, context);
+        result.enabled = guardCheck.allowed;
+        result.reason = guardCheck.reason || null;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Get available transitions for every active branch of a process instance
+   */
+  getInstanceTransitions(processInstance, context = {}) {
+    return this.getActiveTokens(processInstance).flatMap(({ branchId, state }) =>
+      this.getAvailableTransitions(state, processInstance, context)
+        .map(t => ({ ...t, fromState: state, branchId }))
+    );
+  }
+
   /**
    * Get state configuration
    */
@@ -248,6 +857,14 @@ export class StateMachine {
     return terminalStates.includes(stateName);
   }
 
+  /**
+   * Check if state is an end state (no outgoing transitions)
+   */
+  isEndState(stateName) {
+    const state = this.definition.states[stateName];
+    return !!state && state.transitions.length === 0;
+  }
+
   /**
    * Get state history for a process instance
    */
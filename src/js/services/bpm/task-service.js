@@ -1,149 +1,717 @@
 /**
  * Task Service
  * Manages user tasks and approvals within business processes
+ *
+ * Tasks are stored as documents in the org database: one per required action
+ * of each state a process enters, plus one per createTask action. A task stays
+ * pending until it is completed or its process leaves the state.
  */
 
 import { processState } from '../../state/process-state.js';
 import { processService } from './process-service.js';
+import { processPersistence } from './process-persistence.js';
+import { actionRegistry } from './action-registry.js';
 import { conditionEvaluator } from './condition-evaluator.js';
+import { approvalPolicy, APPROVAL_OUTCOMES } from './approval-policy.js';
+import { slaPolicy } from './sla-policy.js';
+import { variableValidator } from './variable-validator.js';
 import { eventBus } from '../../utils/events.js';
+import { authState } from '../../state/auth-state.js';
 import { hasPermission, hasApprovalPermission } from '../../utils/helpers.js';
-import { EVENTS, DOC_TYPES } from '../../config/constants.js';
+import {
+  EVENTS,
+  DOC_TYPES,
+  PROCESS_STATUS,
+  PROCESS_SYNC_STATUS,
+  TASK_STATUS,
+  APPROVAL_HIERARCHY
+} from '../../config/constants.js';
 import { notificationService } from '../notification-service.js';
+import { memberService } from '../member-service.js';
+
+// Process statuses whose open tasks are cancelled
+const CLOSED_PROCESS_STATUSES = [PROCESS_STATUS.COMPLETED, PROCESS_STATUS.CANCELLED, PROCESS_STATUS.FAILED];
 
 class TaskService {
   constructor() {
-    this.tasks = new Map(); // taskId -> task
+    this.tasks = new Map(); // taskId -> task document
+    this.taskWrites = new Map(); // taskId -> pending document write
+    this.orgId = null; // org whose database holds the task documents
+
+    // Keep tasks in step with the processes they belong to
+    [
+      EVENTS.PROCESS_CREATED,
+      EVENTS.PROCESS_STATE_CHANGED,
+      EVENTS.PROCESS_COMPLETED,
+      EVENTS.PROCESS_CANCELLED,
+      EVENTS.PROCESS_FAILED
+    ].forEach(event => {
+      eventBus.on(event, ({ processId }) => {
+        const processInstance = processState.getProcess(processId);
+        if (processInstance) {
+          this.syncProcessTasks(processInstance);
+        }
+      });
+    });
+
+    // Tasks claimed, reassigned or completed on another device
+    eventBus.on(EVENTS.TASKS_CHANGED, (data) => {
+      if (data.source === 'sync' && data.orgId === this.orgId) {
+        data.docs.forEach(doc => this.applyDocument(doc));
+      }
+    });
   }
 
   /**
-   * Get tasks for a process
+   * Load the task documents of an organization
+   * Processes may have moved on since their tasks were written, so they are synced afterwards
    */
-  getProcessTasks(processId) {
-    const processInstance = processState.getProcess(processId);
-    if (!processInstance) {
-      throw new Error(`Process not found: ${processId}`);
+  async loadTasks(orgId) {
+    this.tasks.clear();
+    this.orgId = orgId;
+
+    const docs = await processPersistence.loadTasks(orgId);
+    docs.forEach(doc => this.tasks.set(doc._id, doc));
+
+    const pendingProcessIds = new Set(
+      docs.filter(doc => doc.status === TASK_STATUS.PENDING).map(doc => doc.processId)
+    );
+
+    processState.getAllProcesses()
+      .filter(p => p.status === PROCESS_STATUS.ACTIVE || pendingProcessIds.has(p._id))
+      .forEach(processInstance => {
+        try {
+          this.syncProcessTasks(processInstance);
+        } catch (error) {
+          console.error(`Error syncing tasks of process ${processInstance._id}:`, error);
+        }
+      });
+
+    console.log(`Loaded ${docs.length} tasks for org ${orgId}`);
+
+    return this.getAllTasks();
+  }
+
+  /**
+   * Create the tasks a process is waiting on and cancel the ones it left behind
+   * Task IDs derive from the process history, so every device creates the same documents
+   */
+  syncProcessTasks(processInstance) {
+    if (processInstance.status === PROCESS_STATUS.SUSPENDED) {
+      return;
+    }
+
+    const expected = new Set();
+
+    if (!CLOSED_PROCESS_STATUSES.includes(processInstance.status)) {
+      const stateMachine = processService.getProcessStateMachine(processInstance);
+
+      stateMachine.getActiveTokens(processInstance).forEach(({ branchId, state }) => {
+        const visit = this.getStateVisit(processInstance, state, branchId);
+        const revision = this.getVisitRevision(processInstance, visit);
+        const visitKey = revision ? `${visit}.${revision}` : visit;
+        const actions = stateMachine.getStateConfig(state)?.requiredActions || [];
+
+        actions.forEach((action, index) => {
+          const taskId = `${DOC_TYPES.TASK}:${processInstance._id}:${state}:${visitKey}:${index}`;
+          expected.add(taskId);
+
+          if (!this.tasks.has(taskId)) {
+            this.addTask(this.buildTask(taskId, processInstance, {
+              ...action,
+              taskType: action.type,
+              state,
+              branchId,
+              visit,
+              revision,
+              actionIndex: index
+            }));
+          }
+        });
+      });
+
+      // Tasks from createTask actions stay open until completed
+      (processInstance.tasks || [])
+        .filter(entry => entry.adHoc && entry.status === TASK_STATUS.PENDING)
+        .forEach(entry => {
+          const taskId = `${DOC_TYPES.TASK}:${entry.id}`;
+          expected.add(taskId);
+
+          if (!this.tasks.has(taskId)) {
+            this.addTask(this.buildTask(taskId, processInstance, entry));
+          }
+        });
     }
 
-    // Get state machine
-    const stateMachine = processService.getStateMachine(processInstance.definitionId);
-    const stateConfig = stateMachine.getStateConfig(processInstance.currentState);
+    const reason = CLOSED_PROCESS_STATUSES.includes(processInstance.status)
+      ? `process_${processInstance.status}`
+      : 'state_exited';
 
-    if (!stateConfig.requiredActions) {
-      return [];
+    this.getTasksForProcess(processInstance._id)
+      .filter(task => task.status === TASK_STATUS.PENDING && !expected.has(task._id))
+      .forEach(task => this.updateTask(task, {
+        status: TASK_STATUS.CANCELLED,
+        cancelledAt: new Date().toISOString()
+      }, { action: 'cancelled', reason }));
+  }
+
+  /**
+   * Number the visits of a state: the position in stateHistory of the transition
+   * that entered it, or 0 for the initial state
+   */
+  getStateVisit(processInstance, state, branchId = null) {
+    const history = processInstance.stateHistory || [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].to === state && (history[i].branchId || null) === (branchId || null)) {
+        return i + 1;
+      }
     }
 
-    // Generate tasks from required actions
-    return stateConfig.requiredActions.map((action, index) => {
-      const taskId = `${processId}_${processInstance.currentState}_${index}`;
+    return 0;
+  }
 
-      return {
-        id: taskId,
-        processId: processId,
-        processType: processInstance.processType,
-        definitionId: processInstance.definitionId,
-        currentState: processInstance.currentState,
-        type: action.type,
-        role: action.role,
-        message: action.message,
-        actionLabel: action.actionLabel || 'Complete',
-        metadata: action.metadata || {},
-        createdAt: processInstance.updatedAt,
-        status: 'pending'
-      };
-    });
+  /**
+   * Get how often a visit was re-entered by reverting a transition (0 if never)
+   * See processService.revertLastTransition
+   */
+  getVisitRevision(processInstance, visit) {
+    return visit === 0
+      ? processInstance.initialRevision || 0
+      : processInstance.stateHistory?.[visit - 1]?.revision || 0;
   }
 
   /**
-   * Get all pending tasks for a user
+   * Build a task document
+   * spec carries the task fields of a required action or createTask entry:
+   * taskType, role, message, actionLabel, metadata, assignee, candidateRoles,
+   * candidateGroups, dueInHours (or dueAt, or an sla), state, branchId, policy
    */
-  getUserTasks(userId, userRole = null) {
-    const allProcesses = processState.getActiveProcesses();
-    const userTasks = [];
+  buildTask(taskId, processInstance, spec) {
+    const now = new Date();
+    const role = spec.role || null;
 
-    for (const processInstance of allProcesses) {
-      // Check if process belongs to user or user has role to access
-      const canAccess = this.canUserAccessProcess(processInstance, userId, userRole);
+    // Approval policies route the task to each decider in turn instead of one assignee
+    const approval = spec.policy ? approvalPolicy.resolve(spec.policy, processInstance) : null;
+    const decisions = processInstance.approvals?.[taskId]?.decisions || [];
+    const candidates = approval ? approvalPolicy.getCandidates(approval, decisions) : null;
 
-      if (!canAccess) {
-        continue;
+    let assignee = null;
+    if (spec.assignee) {
+      try {
+        assignee = actionRegistry.interpolate(spec.assignee, processInstance) || null;
+      } catch (error) {
+        console.warn(`Could not resolve assignee of task ${taskId}:`, error);
       }
+    }
 
-      // Get tasks for this process
-      const processTasks = this.getProcessTasks(processInstance._id);
+    let dueAt = spec.dueAt || null;
+    if (!dueAt && spec.dueInHours) {
+      dueAt = new Date(now.getTime() + spec.dueInHours * 60 * 60 * 1000).toISOString();
+    }
+    if (!dueAt && spec.sla) {
+      dueAt = slaPolicy.getDueAt(spec.sla, processInstance, now);
+    }
 
-      // Filter tasks by user approval level
-      const filteredTasks = processTasks.filter(task => {
-        if (!task.role) {
-          return true; // No role restriction
-        }
+    return {
+      _id: taskId,
+      type: DOC_TYPES.TASK,
+      processId: processInstance._id,
+      processType: processInstance.processType,
+      definitionId: processInstance.definitionId,
+      access: processInstance.access || null,
+      state: spec.state,
+      branchId: spec.branchId || null,
+      visit: spec.visit ?? null,
+      revision: spec.revision || 0,
+      actionIndex: spec.actionIndex ?? null,
+      adHoc: !!spec.adHoc,
+      taskType: spec.taskType || 'manual',
+      role,
+      message: spec.message,
+      actionLabel: spec.actionLabel || 'Complete',
+      metadata: spec.metadata || {},
+      assignee: approval ? null : assignee,
+      candidateRoles: candidates?.candidateRoles || spec.candidateRoles || (role ? [role] : []),
+      candidateGroups: approval ? [] : spec.candidateGroups || [],
+      candidateUsers: candidates?.candidateUsers || [],
+      approval,
+      decidedBy: this.getDeciders(decisions),
+      status: TASK_STATUS.PENDING,
+      dueAt,
+      claimedAt: null,
+      completedBy: null,
+      completedAt: null,
+      outcome: null,
+      createdAt: spec.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      history: [{
+        action: 'created',
+        at: now.toISOString(),
+        ...(assignee && !approval && { to: assignee })
+      }]
+    };
+  }
 
-        if (!userRole) {
-          return false; // User has no role/approval level
+  /**
+   * Add a new task and persist it
+   */
+  addTask(task) {
+    this.tasks.set(task._id, task);
+    this.persistTask(task);
+
+    eventBus.emit(EVENTS.TASKS_CHANGED, { orgId: this.orgId, docs: [task], source: 'local' });
+
+    if (task.assignee) {
+      this.notifyIfAssignedToMe(task);
+    }
+
+    return task;
+  }
+
+  /**
+   * Replace a task with changed fields and a history entry, and persist it
+   */
+  updateTask(task, changes, historyEntry) {
+    const now = new Date().toISOString();
+    const updated = {
+      ...task,
+      ...changes,
+      updatedAt: now,
+      history: [...(task.history || []), { ...historyEntry, at: now }]
+    };
+
+    this.tasks.set(task._id, updated);
+    this.persistTask(updated);
+
+    eventBus.emit(EVENTS.TASKS_CHANGED, { orgId: this.orgId, docs: [updated], source: 'local' });
+
+    return updated;
+  }
+
+  /**
+   * Write the latest version of a task (no-op until an org database is attached)
+   * Writes of one task run one after another
+   */
+  persistTask(task) {
+    const orgId = this.orgId;
+    if (!orgId) {
+      return;
+    }
+
+    const taskId = task._id;
+    const previous = this.taskWrites.get(taskId) || Promise.resolve();
+    const next = previous
+      .then(() => processPersistence.saveTask(orgId, this.tasks.get(taskId) || task))
+      .then(doc => {
+        const current = this.tasks.get(taskId);
+        if (current) {
+          current._rev = doc._rev;
         }
+      })
+      .catch(error => console.error(`Error persisting task ${taskId}:`, error))
+      .finally(() => {
+        if (this.taskWrites.get(taskId) === next) {
+          this.taskWrites.delete(taskId);
+        }
+      });
 
-        // Check if user has required approval permission
-        return hasApprovalPermission(userRole, task.role);
+    this.taskWrites.set(taskId, next);
+  }
+
+  /**
+   * Copy the access list of a process to its tasks, so they replicate to the same members
+   */
+  setProcessAccess(processId, access) {
+    this.getTasksForProcess(processId)
+      .filter(task => JSON.stringify(task.access || null) !== JSON.stringify(access || null))
+      .forEach(task => {
+        this.tasks.set(task._id, { ...task, access });
+        this.persistTask(this.tasks.get(task._id));
       });
+  }
 
-      userTasks.push(...filteredTasks);
+  /**
+   * Take in a task document written on another device
+   * The local version wins if it changed later
+   */
+  applyDocument(doc) {
+    const current = this.tasks.get(doc._id);
+    if (current && current.updatedAt > doc.updatedAt) {
+      return;
     }
 
-    return userTasks;
+    this.tasks.set(doc._id, doc);
+
+    if (doc.assignee && doc.assignee !== current?.assignee) {
+      this.notifyIfAssignedToMe(doc);
+    }
   }
 
   /**
-   * Get tasks by type
+   * Notify the current user about a task assigned to them
    */
-  getTasksByType(taskType) {
-    const allProcesses = processState.getActiveProcesses();
-    const tasks = [];
+  notifyIfAssignedToMe(task) {
+    const currentUser = authState.getUser();
+    const processInstance = processState.getProcess(task.processId);
 
-    for (const processInstance of allProcesses) {
-      const processTasks = this.getProcessTasks(processInstance._id);
+    if (!currentUser || task.assignee !== currentUser.id || !processInstance) {
+      return;
+    }
 
-      const filteredTasks = processTasks.filter(task => task.type === taskType);
+    try {
+      notificationService.notifyTaskAssigned(task, {
+        ...processInstance,
+        definition: processService.getProcessDefinition(processInstance)
+      });
+    } catch (err) {
+      console.warn('Failed to send task assignment notification:', err);
+    }
+  }
 
-      tasks.push(...filteredTasks);
+  /**
+   * Get every task document of a process, closed ones included
+   */
+  getTasksForProcess(processId) {
+    return Array.from(this.tasks.values()).filter(task => task.processId === processId);
+  }
+
+  /**
+   * Get pending tasks for a process
+   * Parallel branches each contribute the tasks of their current state
+   */
+  getProcessTasks(processId) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    this.syncProcessTasks(processInstance);
+
+    return this.getTasksForProcess(processId).filter(task => task.status === TASK_STATUS.PENDING);
+  }
+
+  /**
+   * Check whether a user may claim a task
+   * Candidate roles are minimum approval levels; tasks without candidates are open to everyone.
+   * Users who already decided on a policy approval are no longer candidates
+   */
+  isCandidate(task, userId, userRole = null, userGroups = []) {
+    const roles = task.candidateRoles || [];
+    const groups = task.candidateGroups || [];
+    const users = task.candidateUsers || [];
+
+    if ((task.decidedBy || []).includes(userId)) {
+      return false;
+    }
+
+    if (roles.length === 0 && groups.length === 0 && users.length === 0) {
+      return !task.approval;
+    }
+
+    return users.includes(userId) ||
+      roles.some(role => userRole && hasApprovalPermission(userRole, role)) ||
+      groups.some(group => userGroups.includes(group));
+  }
+
+  /**
+   * Get all pending tasks for a user: tasks assigned to them, unassigned
+   * tasks they are a candidate for, and tasks of members who delegated to them
+   */
+  getUserTasks(userId, userRole = null, userGroups = []) {
+    const hasDelegations = memberService.getActiveDelegations(this.orgId, userId).length > 0;
+
+    return this.getAllTasks()
+      .filter(task => (task.assignee
+        ? task.assignee === userId
+        : this.isCandidate(task, userId, userRole, userGroups)
+      ) || (hasDelegations && !!this.getDelegationFor(task, userId)))
+      .sort((a, b) => {
+        if (a.dueAt && b.dueAt) return new Date(a.dueAt) - new Date(b.dueAt);
+        if (a.dueAt || b.dueAt) return a.dueAt ? -1 : 1;
+        return new Date(a.createdAt) - new Date(b.createdAt);
+      });
+  }
+
+  /**
+   * Get the active delegation, if any, under which a user may work on a task
+   * Delegates act with the delegated approval level; member groups are not delegated
+   */
+  getDelegationFor(task, userId) {
+    return memberService.getActiveDelegations(this.orgId, userId, { category: this.getTaskCategory(task) })
+      .find(delegation => task.assignee
+        ? task.assignee === delegation.delegatorId
+        : this.isCandidate(task, delegation.delegatorId, delegation.approvalLevel)
+      ) || null;
+  }
+
+  /**
+   * Get the process category of a task, which delegations may be limited to
+   */
+  getTaskCategory(task) {
+    const processInstance = processState.getProcess(task.processId);
+    const definition = processInstance && processService.getProcessDefinition(processInstance);
+    return definition?.metadata?.category || definition?.category || null;
+  }
+
+  /**
+   * Check whether a user may complete a task in their own right
+   * @returns {object} { allowed, reason }
+   */
+  canActOn(task, processInstance, userId, userRole = null, userGroups = []) {
+    if (task.approval) {
+      const decisions = processInstance.approvals?.[task._id]?.decisions || [];
+      return approvalPolicy.canDecide(task.approval, decisions, userId, userRole);
+    }
+
+    if (task.assignee) {
+      return task.assignee === userId
+        ? { allowed: true }
+        : { allowed: false, reason: `Task is assigned to ${task.assignee}` };
     }
 
-    return tasks;
+    return this.isCandidate(task, userId, userRole, userGroups)
+      ? { allowed: true }
+      : { allowed: false, reason: 'User does not have permission to complete this task' };
+  }
+
+  /**
+   * Work out in whose right a user completes a task: their own, or that of a
+   * member who delegated to them (acting with the delegated approval level)
+   * @returns {object} { approvalLevel, onBehalfOf, delegation }
+   */
+  resolveActor(task, processInstance, userId, userRole = null, userGroups = []) {
+    const own = this.canActOn(task, processInstance, userId, userRole, userGroups);
+    if (own.allowed) {
+      return { approvalLevel: userRole, onBehalfOf: null, delegation: null };
+    }
+
+    // A delegate who already decided on a policy approval cannot decide again for someone else
+    const decisions = processInstance.approvals?.[task._id]?.decisions || [];
+    const delegation = !this.getDeciders(decisions).includes(userId) &&
+      memberService.getActiveDelegations(this.orgId, userId, { category: this.getTaskCategory(task) })
+        .find(d => this.canActOn(task, processInstance, d.delegatorId, d.approvalLevel).allowed);
+
+    if (!delegation) {
+      throw new Error(own.reason);
+    }
+
+    return { approvalLevel: delegation.approvalLevel, onBehalfOf: delegation.delegatorId, delegation };
+  }
+
+  /**
+   * Get everyone who took part in policy approval decisions, delegators included
+   */
+  getDeciders(decisions = []) {
+    return decisions.flatMap(d => [d.userId, d.onBehalfOf]).filter(Boolean);
+  }
+
+  /**
+   * Get pending tasks by type
+   */
+  getTasksByType(taskType) {
+    return this.getAllTasks().filter(task => task.taskType === taskType);
   }
 
   /**
    * Get a specific task
    */
   getTask(taskId) {
-    // Parse task ID to get process ID
-    const parts = taskId.split('_');
-    if (parts.length < 3) {
-      throw new Error(`Invalid task ID: ${taskId}`);
+    return this.tasks.get(taskId) || null;
+  }
+
+  /**
+   * Get a task that can still be worked on
+   */
+  getPendingTask(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    if (task.status !== TASK_STATUS.PENDING) {
+      throw new Error(`Task ${taskId} is ${task.status}`);
+    }
+
+    return task;
+  }
+
+  /**
+   * Claim an unassigned task
+   */
+  claimTask(taskId, userId, userRole = null, userGroups = []) {
+    const task = this.getPendingTask(taskId);
+
+    if (task.assignee === userId) {
+      return task;
+    }
+
+    if (task.approval) {
+      throw new Error('Policy approvals are decided by each approver and cannot be claimed');
+    }
+
+    if (task.assignee) {
+      throw new Error(`Task is already claimed by ${task.assignee}`);
+    }
+
+    if (!this.isCandidate(task, userId, userRole, userGroups)) {
+      throw new Error('User is not a candidate for this task');
+    }
+
+    const updated = this.updateTask(task, {
+      assignee: userId,
+      claimedAt: new Date().toISOString()
+    }, { action: 'claimed', by: userId, to: userId });
+
+    eventBus.emit(EVENTS.TASK_ASSIGNED, {
+      taskId,
+      processId: task.processId,
+      assignee: userId,
+      previousAssignee: null,
+      by: userId
+    });
+
+    return updated;
+  }
+
+  /**
+   * Release a claimed task back to its candidates
+   */
+  unclaimTask(taskId, userId) {
+    const task = this.getPendingTask(taskId);
+
+    if (task.assignee !== userId) {
+      throw new Error('Only the assignee can release a task');
+    }
+
+    const updated = this.updateTask(task, {
+      assignee: null,
+      claimedAt: null
+    }, { action: 'unclaimed', by: userId, from: userId });
+
+    eventBus.emit(EVENTS.TASK_ASSIGNED, {
+      taskId,
+      processId: task.processId,
+      assignee: null,
+      previousAssignee: userId,
+      by: userId
+    });
+
+    return updated;
+  }
+
+  /**
+   * Assign a task to a named user (null returns it to its candidates)
+   */
+  reassignTask(taskId, assignee, { by = null, reason = '', notify = true } = {}) {
+    const task = this.getPendingTask(taskId);
+
+    if (task.approval) {
+      throw new Error('Policy approvals are decided by each approver and cannot be reassigned');
+    }
+
+    const updated = this.updateTask(task, {
+      assignee: assignee || null,
+      claimedAt: assignee ? new Date().toISOString() : null
+    }, { action: 'reassigned', by, from: task.assignee, to: assignee || null, reason });
+
+    eventBus.emit(EVENTS.TASK_ASSIGNED, {
+      taskId,
+      processId: task.processId,
+      assignee: updated.assignee,
+      previousAssignee: task.assignee,
+      by
+    });
+
+    if (notify) {
+      this.notifyIfAssignedToMe(updated);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Assign several tasks to a named user (null returns them to their candidates)
+   * Each task is reassigned on its own; failures do not undo the others
+   * @returns {object} { results: [{ taskId, success, error }], succeeded, failed }
+   */
+  reassignTasks(taskIds, assignee, { by = null, reason = '' } = {}) {
+    const results = taskIds.map(taskId => {
+      try {
+        this.reassignTask(taskId, assignee, { by, reason, notify: false });
+        return { taskId, success: true };
+      } catch (error) {
+        return { taskId, success: false, error: error.message };
+      }
+    });
+
+    return this.reportBatch(assignee ? 'reassigned' : 'unassigned', results);
+  }
+
+  /**
+   * Hand a task to a higher approval level, releasing any assignee
+   * Without a level the task moves one level above its current role
+   */
+  escalateTask(taskId, level = null, { by = null, reason = '' } = {}) {
+    const task = this.getPendingTask(taskId);
+
+    if (task.approval) {
+      throw new Error('Policy approvals are decided by each approver and cannot be escalated');
     }
 
-    const processId = parts.slice(0, -2).join('_');
-    const processTasks = this.getProcessTasks(processId);
+    const levels = Object.keys(APPROVAL_HIERARCHY).sort((a, b) => APPROVAL_HIERARCHY[a] - APPROVAL_HIERARCHY[b]);
+    const nextLevel = level || levels.find(l => APPROVAL_HIERARCHY[l] > (APPROVAL_HIERARCHY[task.role] || 0));
+    if (!nextLevel) {
+      throw new Error(`Task ${taskId} is already at the highest approval level`);
+    }
 
-    return processTasks.find(task => task.id === taskId);
+    const updated = this.updateTask(task, {
+      role: nextLevel,
+      candidateRoles: [nextLevel],
+      candidateGroups: [],
+      candidateUsers: [],
+      assignee: null,
+      claimedAt: null
+    }, { action: 'escalated', by, from: task.role, level: nextLevel, reason });
+
+    eventBus.emit(EVENTS.TASK_ASSIGNED, {
+      taskId,
+      processId: task.processId,
+      assignee: null,
+      previousAssignee: task.assignee,
+      by
+    });
+
+    return updated;
+  }
+
+  /**
+   * Set or clear the due date of a task
+   */
+  setTaskDueDate(taskId, dueAt, by = null) {
+    const task = this.getPendingTask(taskId);
+    const date = dueAt ? new Date(dueAt) : null;
+
+    if (date && isNaN(date.getTime())) {
+      throw new Error(`Invalid due date: ${dueAt}`);
+    }
+
+    return this.updateTask(task, {
+      dueAt: date ? date.toISOString() : null
+    }, { action: 'due_date_changed', by, from: task.dueAt, to: date ? date.toISOString() : null });
   }
 
   /**
    * Complete a task
+   * Tasks assigned to someone can only be completed by that user; unassigned
+   * tasks by any candidate. A policy approval stays pending until its policy
+   * is satisfied, each call recording one approver's decision.
+   * Delegates complete tasks on behalf of the member who delegated to them
    */
-  async completeTask(taskId, userId, userRole, data = {}) {
+  async completeTask(taskId, userId, userRole, data = {}, userGroups = [], { notify = true } = {}) {
     try {
       // Get task
-      const task = this.getTask(taskId);
-      if (!task) {
-        throw new Error(`Task not found: ${taskId}`);
-      }
-
-      // Verify user has approval permission
-      if (task.role && userRole) {
-        const hasPermissionToComplete = hasApprovalPermission(userRole, task.role);
-        if (!hasPermissionToComplete) {
-          throw new Error(`User does not have permission to complete this task`);
-        }
-      }
+      const task = this.getPendingTask(taskId);
 
       // Get process instance
       const processInstance = processState.getProcess(task.processId);
@@ -151,44 +719,100 @@ class TaskService {
         throw new Error(`Process not found: ${task.processId}`);
       }
 
+      const { approvalLevel, onBehalfOf, delegation } =
+        this.resolveActor(task, processInstance, userId, userRole, userGroups);
+
+      const completion = {
+        status: TASK_STATUS.COMPLETED,
+        assignee: task.assignee || userId,
+        completedBy: userId,
+        onBehalfOf,
+        completedAt: new Date().toISOString(),
+        outcome: data
+      };
+
+      // Closed before the handler moves the process, so the move does not cancel it
+      this.tasks.set(taskId, { ...task, ...completion });
+
       // Execute task based on type
       let result;
 
-      switch (task.type) {
-        case 'approval':
-          result = await this.handleApprovalTask(task, processInstance, userId, data);
-          break;
+      try {
+        switch (task.adHoc ? 'adHoc' : task.taskType) {
+          case 'adHoc':
+            result = await this.handleAdHocTask(task, processInstance, userId, data);
+            break;
 
-        case 'manual':
-          result = await this.handleManualTask(task, processInstance, userId, data);
-          break;
+          case 'approval':
+            result = await this.handleApprovalTask(task, processInstance, userId, data, approvalLevel, onBehalfOf);
+            break;
 
-        case 'form':
-          result = await this.handleFormTask(task, processInstance, userId, data);
-          break;
+          case 'manual':
+            result = await this.handleManualTask(task, processInstance, userId, data, approvalLevel);
+            break;
 
-        case 'review':
-          result = await this.handleReviewTask(task, processInstance, userId, data);
-          break;
+          case 'form':
+            result = await this.handleFormTask(task, processInstance, userId, data, approvalLevel);
+            break;
 
-        default:
-          result = await this.handleGenericTask(task, processInstance, userId, data);
+          case 'review':
+            result = await this.handleReviewTask(task, processInstance, userId, data, approvalLevel);
+            break;
+
+          default:
+            result = await this.handleGenericTask(task, processInstance, userId, data, approvalLevel);
+        }
+      } catch (error) {
+        this.tasks.set(taskId, task);
+        throw error;
+      }
+
+      if (delegation) {
+        this.recordDelegatedAction(task, userId, delegation, data);
+      }
+
+      // Decision recorded, but the policy still needs more approvers
+      if (result.pending) {
+        this.tasks.set(taskId, task);
+
+        const decisions = processState.getProcess(task.processId).approvals[taskId].decisions;
+        this.updateTask(task, {
+          ...approvalPolicy.getCandidates(task.approval, decisions),
+          decidedBy: this.getDeciders(decisions)
+        }, { action: 'decision', by: userId, approved: !!data.approved, ...(onBehalfOf && { onBehalfOf }) });
+
+        return result;
       }
 
+      const completed = this.updateTask(task, completion, {
+        action: 'completed',
+        by: userId,
+        ...(onBehalfOf && { onBehalfOf })
+      });
+
       // Emit task completed event
+      eventBus.emit(EVENTS.TASK_COMPLETED, {
+        taskId,
+        processId: task.processId,
+        completedBy: userId,
+        timestamp: completed.completedAt
+      });
+
       eventBus.emit(EVENTS.PROCESS_UPDATED, {
         processId: task.processId,
         taskId: taskId,
-        taskType: task.type,
+        taskType: task.taskType,
         completedBy: userId,
-        timestamp: new Date().toISOString()
+        timestamp: completed.completedAt
       });
 
       // Send notification for task completion
-      try {
-        notificationService.notifyTaskCompleted(task, processInstance, userId);
-      } catch (err) {
-        console.warn('Failed to send task completion notification:', err);
+      if (notify) {
+        try {
+          notificationService.notifyTaskCompleted(completed, processInstance, userId);
+        } catch (err) {
+          console.warn('Failed to send task completion notification:', err);
+        }
       }
 
       return result;
@@ -199,27 +823,127 @@ class TaskService {
     }
   }
 
+  /**
+   * Complete several tasks with the same data, e.g. approving a batch of claims
+   * with one shared comment. Tasks are completed one after another; a failure
+   * is reported for its task and does not roll back the tasks already completed
+   * @returns {Promise<object>} { results: [{ taskId, success, result, error }], succeeded, failed }
+   */
+  async completeTasks(taskIds, userId, userRole, data = {}, userGroups = []) {
+    const results = [];
+
+    for (const taskId of taskIds) {
+      try {
+        const result = await this.completeTask(taskId, userId, userRole, data, userGroups, { notify: false });
+        results.push({ taskId, success: true, result });
+      } catch (error) {
+        results.push({ taskId, success: false, error: error.message });
+      }
+    }
+
+    const action = data.approved === undefined ? 'completed' : (data.approved ? 'approved' : 'rejected');
+    return this.reportBatch(action, results);
+  }
+
+  /**
+   * Summarize a batch of task results and send one notification for it
+   */
+  reportBatch(action, results) {
+    const summary = {
+      results,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length
+    };
+
+    if (results.length > 0) {
+      try {
+        notificationService.notifyBulkTaskAction(action, summary);
+      } catch (err) {
+        console.warn('Failed to send bulk task notification:', err);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Record in the process audit log that a delegate acted on behalf of a member,
+   * e.g. "approved by X on behalf of Y"
+   */
+  recordDelegatedAction(task, userId, delegation, data) {
+    const processInstance = processState.getProcess(task.processId);
+    const stateMachine = processService.getProcessStateMachine(processInstance);
+    const verb = task.taskType === 'approval'
+      ? (data.approved ? 'approved' : 'rejected')
+      : 'completed';
+
+    stateMachine.addAuditEntry(processInstance, 'delegated_action', {
+      state: task.state,
+      taskId: task._id,
+      taskType: task.taskType,
+      actedBy: userId,
+      onBehalfOf: delegation.delegatorId,
+      delegationId: delegation._id,
+      summary: `${verb} by ${userId} on behalf of ${delegation.delegatorId}`
+    });
+
+    processState.updateProcess(processInstance._id, {
+      auditLog: processInstance.auditLog,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+  }
+
+  /**
+   * Handle a task created by a createTask action
+   * Completing it records the outcome without moving the process
+   */
+  async handleAdHocTask(task, processInstance, userId, data) {
+    const tasks = (processInstance.tasks || []).map(t => `${DOC_TYPES.TASK}:${t.id}` === task._id
+      ? {
+        ...t,
+        status: TASK_STATUS.COMPLETED,
+        completedBy: userId,
+        completedAt: new Date().toISOString()
+      }
+      : t
+    );
+
+    processState.updateProcess(processInstance._id, {
+      tasks,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+
+    return {
+      success: true,
+      message: 'Task completed successfully'
+    };
+  }
+
   /**
    * Handle approval task
    */
-  async handleApprovalTask(task, processInstance, userId, data) {
+  async handleApprovalTask(task, processInstance, userId, data, userRole = null, onBehalfOf = null) {
     const { approved, reason } = data;
 
     if (approved === undefined) {
       throw new Error('Approval task requires "approved" field');
     }
 
+    if (task.approval) {
+      return this.handlePolicyApproval(task, processInstance, userId, data, userRole, onBehalfOf);
+    }
+
     // Update process variables
     processService.updateProcessVariables(processInstance._id, {
-      [`${task.currentState}_approved`]: approved,
-      [`${task.currentState}_approvedBy`]: userId,
-      [`${task.currentState}_approvalReason`]: reason || '',
-      [`${task.currentState}_approvedAt`]: new Date().toISOString()
+      [`${task.state}_approved`]: approved,
+      [`${task.state}_approvedBy`]: userId,
+      ...(onBehalfOf && { [`${task.state}_approvedOnBehalfOf`]: onBehalfOf }),
+      [`${task.state}_approvalReason`]: reason || '',
+      [`${task.state}_approvedAt`]: new Date().toISOString()
     });
 
     // Determine next state based on approval
-    const stateMachine = processService.getStateMachine(processInstance.definitionId);
-    const availableTransitions = stateMachine.getAvailableTransitions(processInstance.currentState);
+    const availableTransitions = this.getEnabledTransitions(task, userRole);
 
     if (approved) {
       // Find approved transition (usually the first non-cancelled transition)
@@ -233,9 +957,12 @@ class TaskService {
           approvedTransition.targetState,
           {
             approvedBy: userId,
+            approvalLevel: userRole,
             approved: true,
-            reason: reason
-          }
+            reason: reason,
+            ...(onBehalfOf && { onBehalfOf })
+          },
+          task.branchId
         );
       }
     } else {
@@ -250,9 +977,12 @@ class TaskService {
           rejectedTransition.targetState,
           {
             rejectedBy: userId,
+            approvalLevel: userRole,
             approved: false,
-            reason: reason
-          }
+            reason: reason,
+            ...(onBehalfOf && { onBehalfOf })
+          },
+          task.branchId
         );
       }
     }
@@ -264,21 +994,118 @@ class TaskService {
     };
   }
 
+  /**
+   * Record one decision on a policy approval
+   * Decisions are kept in processInstance.approvals under the task ID; the process
+   * moves on (as an 'approval' trigger) once the policy approves or rejects
+   */
+  async handlePolicyApproval(task, processInstance, userId, data, userRole = null, onBehalfOf = null) {
+    const { approved, reason } = data;
+    const now = new Date().toISOString();
+    const stateMachine = processService.getProcessStateMachine(processInstance);
+
+    const record = processInstance.approvals?.[task._id] || {
+      state: task.state,
+      branchId: task.branchId,
+      policy: task.approval.type,
+      decisions: [],
+      status: APPROVAL_OUTCOMES.PENDING,
+      startedAt: now,
+      completedAt: null
+    };
+
+    const step = approvalPolicy.getCurrentStep(task.approval, record.decisions);
+    const decisions = [...record.decisions, {
+      userId,
+      ...(onBehalfOf && { onBehalfOf }),
+      level: userRole,
+      approved: !!approved,
+      comment: reason || '',
+      at: now,
+      ...(step && { step: step.index })
+    }];
+    const status = approvalPolicy.evaluate(task.approval, decisions);
+
+    stateMachine.addAuditEntry(processInstance, 'approval_decision', {
+      state: task.state,
+      taskId: task._id,
+      userId,
+      ...(onBehalfOf && { onBehalfOf }),
+      approved: !!approved,
+      outcome: status
+    });
+
+    processState.updateProcess(processInstance._id, {
+      approvals: {
+        ...(processInstance.approvals || {}),
+        [task._id]: {
+          ...record,
+          decisions,
+          status,
+          completedAt: status === APPROVAL_OUTCOMES.PENDING ? null : now
+        }
+      },
+      auditLog: processInstance.auditLog,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+
+    if (status === APPROVAL_OUTCOMES.PENDING) {
+      return {
+        success: true,
+        pending: true,
+        approved: !!approved,
+        message: `Decision recorded. ${approvalPolicy.describe(task.approval, decisions)}`
+      };
+    }
+
+    const isApproved = status === APPROVAL_OUTCOMES.APPROVED;
+
+    processService.updateProcessVariables(processInstance._id, {
+      [`${task.state}_approved`]: isApproved,
+      [`${task.state}_approvedBy`]: userId,
+      ...(onBehalfOf && { [`${task.state}_approvedOnBehalfOf`]: onBehalfOf }),
+      [`${task.state}_approvers`]: decisions.filter(d => d.approved).map(d => d.onBehalfOf || d.userId),
+      [`${task.state}_approvalReason`]: reason || '',
+      [`${task.state}_approvedAt`]: now
+    });
+
+    const targets = stateMachine.getApprovalTargets(task.state, { policy: task.approval });
+
+    await processService.transitionState(
+      processInstance._id,
+      isApproved ? targets.approve : targets.reject,
+      {
+        trigger: 'approval',
+        [isApproved ? 'approvedBy' : 'rejectedBy']: userId,
+        approvalLevel: userRole,
+        approved: isApproved,
+        reason,
+        ...(onBehalfOf && { onBehalfOf })
+      },
+      task.branchId
+    );
+
+    return {
+      success: true,
+      approved: isApproved,
+      message: isApproved ? 'Approved successfully' : 'Rejected'
+    };
+  }
+
   /**
    * Handle manual task
    */
-  async handleManualTask(task, processInstance, userId, data) {
+  async handleManualTask(task, processInstance, userId, data, userRole = null) {
     // Update process variables with task completion data
     processService.updateProcessVariables(processInstance._id, {
-      [`${task.currentState}_completed`]: true,
-      [`${task.currentState}_completedBy`]: userId,
-      [`${task.currentState}_completedAt`]: new Date().toISOString(),
+      [`${task.state}_completed`]: true,
+      [`${task.state}_completedBy`]: userId,
+      [`${task.state}_completedAt`]: new Date().toISOString(),
       ...data
     });
 
     // Transition to next state
-    const stateMachine = processService.getStateMachine(processInstance.definitionId);
-    const availableTransitions = stateMachine.getAvailableTransitions(processInstance.currentState);
+    const availableTransitions = this.getEnabledTransitions(task, userRole);
 
     if (availableTransitions.length > 0) {
       // Take first available transition
@@ -289,8 +1116,10 @@ class TaskService {
         nextTransition.targetState,
         {
           completedBy: userId,
+          approvalLevel: userRole,
           ...data
-        }
+        },
+        task.branchId
       );
     }
 
@@ -302,27 +1131,38 @@ class TaskService {
 
   /**
    * Handle form task
+   * The submitted data is validated like the form for the task's state: the
+   * definition variables of that step, the task's own metadata.validation
+   * fields and the definition's cross-field rules
    */
-  async handleFormTask(task, processInstance, userId, data) {
-    // Validate form data if validation rules exist
-    if (task.metadata && task.metadata.validation) {
-      const validationResult = this.validateFormData(data, task.metadata.validation);
+  async handleFormTask(task, processInstance, userId, data, userRole = null) {
+    const definition = processService.getProcessDefinition(processInstance);
+    const taskRules = task.metadata?.validation || {};
+    const schema = { ...(definition?.variables || {}), ...taskRules };
+    const fields = [...new Set([
+      ...variableValidator.getStepFields(definition?.variables || {}, task.state),
+      ...Object.keys(taskRules)
+    ])];
+
+    const validationResult = variableValidator.validate(schema, { ...processInstance.variables, ...data }, {
+      state: task.state,
+      fields,
+      rules: definition?.validation || []
+    });
 
-      if (!validationResult.valid) {
-        throw new Error(`Form validation failed: ${validationResult.errors.join(', ')}`);
-      }
+    if (!validationResult.valid) {
+      throw new Error(`Form validation failed: ${Object.values(validationResult.errors).join(', ')}`);
     }
 
     // Update process variables with form data
     processService.updateProcessVariables(processInstance._id, {
-      [`${task.currentState}_formData`]: data,
-      [`${task.currentState}_submittedBy`]: userId,
-      [`${task.currentState}_submittedAt`]: new Date().toISOString()
+      [`${task.state}_formData`]: data,
+      [`${task.state}_submittedBy`]: userId,
+      [`${task.state}_submittedAt`]: new Date().toISOString()
     });
 
     // Transition to next state
-    const stateMachine = processService.getStateMachine(processInstance.definitionId);
-    const availableTransitions = stateMachine.getAvailableTransitions(processInstance.currentState);
+    const availableTransitions = this.getEnabledTransitions(task, userRole);
 
     if (availableTransitions.length > 0) {
       await processService.transitionState(
@@ -330,8 +1170,10 @@ class TaskService {
         availableTransitions[0].targetState,
         {
           submittedBy: userId,
+          approvalLevel: userRole,
           formData: data
-        }
+        },
+        task.branchId
       );
     }
 
@@ -344,7 +1186,7 @@ class TaskService {
   /**
    * Handle review task
    */
-  async handleReviewTask(task, processInstance, userId, data) {
+  async handleReviewTask(task, processInstance, userId, data, userRole = null) {
     const { decision, comments } = data;
 
     if (!decision) {
@@ -353,15 +1195,14 @@ class TaskService {
 
     // Update process variables
     processService.updateProcessVariables(processInstance._id, {
-      [`${task.currentState}_decision`]: decision,
-      [`${task.currentState}_comments`]: comments || '',
-      [`${task.currentState}_reviewedBy`]: userId,
-      [`${task.currentState}_reviewedAt`]: new Date().toISOString()
+      [`${task.state}_decision`]: decision,
+      [`${task.state}_comments`]: comments || '',
+      [`${task.state}_reviewedBy`]: userId,
+      [`${task.state}_reviewedAt`]: new Date().toISOString()
     });
 
     // Determine next state based on decision
-    const stateMachine = processService.getStateMachine(processInstance.definitionId);
-    const availableTransitions = stateMachine.getAvailableTransitions(processInstance.currentState);
+    const availableTransitions = this.getEnabledTransitions(task, userRole);
 
     // Find matching transition based on decision
     const transition = availableTransitions.find(t =>
@@ -374,9 +1215,11 @@ class TaskService {
         transition.targetState,
         {
           reviewedBy: userId,
+          approvalLevel: userRole,
           decision: decision,
           comments: comments
-        }
+        },
+        task.branchId
       );
     }
 
@@ -390,12 +1233,12 @@ class TaskService {
   /**
    * Handle generic task
    */
-  async handleGenericTask(task, processInstance, userId, data) {
+  async handleGenericTask(task, processInstance, userId, data, userRole = null) {
     // Simply update variables and transition
     processService.updateProcessVariables(processInstance._id, {
-      [`${task.currentState}_data`]: data,
-      [`${task.currentState}_completedBy`]: userId,
-      [`${task.currentState}_completedAt`]: new Date().toISOString()
+      [`${task.state}_data`]: data,
+      [`${task.state}_completedBy`]: userId,
+      [`${task.state}_completedAt`]: new Date().toISOString()
     });
 
     return {
@@ -405,43 +1248,25 @@ class TaskService {
   }
 
   /**
-   * Validate form data
+   * Get the transitions out of a task's state that are enabled for the acting user
+   * Reads the process fresh so variables just written by the task are seen by guards
    */
-  validateFormData(data, validationRules) {
-    const errors = [];
-
-    for (const [field, rules] of Object.entries(validationRules)) {
-      const value = data[field];
+  getEnabledTransitions(task, userRole = null) {
+    const processInstance = processState.getProcess(task.processId);
+    const stateMachine = processService.getProcessStateMachine(processInstance);
 
-      if (rules.required && (value === undefined || value === null || value === '')) {
-        errors.push(`${field} is required`);
-        continue;
-      }
-
-      if (rules.type && value !== undefined) {
-        const actualType = Array.isArray(value) ? 'array' : typeof value;
-        if (actualType !== rules.type) {
-          errors.push(`${field} must be of type ${rules.type}`);
-        }
-      }
-
-      if (rules.min !== undefined && value < rules.min) {
-        errors.push(`${field} must be at least ${rules.min}`);
-      }
-
-      if (rules.max !== undefined && value > rules.max) {
-        errors.push(`${field} must be at most ${rules.max}`);
-      }
-
-      if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
-        errors.push(`${field} has invalid format`);
-      }
-    }
+    return stateMachine
+      .getAvailableTransitions(task.state, processInstance, { approvalLevel: userRole })
+      .filter(t => t.enabled);
+  }
 
-    return {
-      valid: errors.length === 0,
-      errors: errors
-    };
+  /**
+   * Validate form data against field rules in the variable schema format
+   * @returns {object} { valid, errors: [message] }
+   */
+  validateFormData(data, validationRules) {
+    const { valid, errors } = variableValidator.validate(validationRules, data);
+    return { valid, errors: Object.values(errors) };
   }
 
   /**
@@ -484,7 +1309,7 @@ class TaskService {
 
     tasks.forEach(task => {
       // Count by type
-      stats.byType[task.type] = (stats.byType[task.type] || 0) + 1;
+      stats.byType[task.taskType] = (stats.byType[task.taskType] || 0) + 1;
 
       // Count by process type
       stats.byProcess[task.processType] = (stats.byProcess[task.processType] || 0) + 1;
@@ -494,18 +1319,10 @@ class TaskService {
   }
 
   /**
-   * Get all tasks (across all processes)
+   * Get all pending tasks (across all processes)
    */
   getAllTasks() {
-    const allProcesses = processState.getActiveProcesses();
-    const allTasks = [];
-
-    for (const processInstance of allProcesses) {
-      const processTasks = this.getProcessTasks(processInstance._id);
-      allTasks.push(...processTasks);
-    }
-
-    return allTasks;
+    return Array.from(this.tasks.values()).filter(task => task.status === TASK_STATUS.PENDING);
   }
 }
 
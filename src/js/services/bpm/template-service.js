@@ -26,7 +26,7 @@ class TemplateService {
     }
 
     // Get process definition
-    const definition = processService.getDefinition(processInstance.definitionId);
+    const definition = processService.getProcessDefinition(processInstance);
     if (!definition) {
       throw new Error(`Process definition not found: ${processInstance.definitionId}`);
     }
@@ -1,18 +1,32 @@
 /**
  * Transition Engine
- * Handles automatic transitions based on timers, events, and conditions
+ * Handles automatic transitions based on timers, events, and conditions,
+ * and runs the escalations of SLA policies as they fall due
  */
 
 import { processState } from '../../state/process-state.js';
 import { processService } from './process-service.js';
+import { processPersistence } from './process-persistence.js';
 import { conditionEvaluator } from './condition-evaluator.js';
+import { actionRegistry } from './action-registry.js';
+import { slaPolicy } from './sla-policy.js';
+import { calendarService } from './calendar-service.js';
+import { taskService } from './task-service.js';
 import { eventBus } from '../../utils/events.js';
-import { EVENTS } from '../../config/constants.js';
+import { addBusinessHours } from '../../utils/date-utils.js';
+import { EVENTS, PROCESS_STATUS, PROCESS_SYNC_STATUS, TASK_STATUS } from '../../config/constants.js';
+
+// Longest delay setTimeout honours (about 24.8 days); longer ones fire at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
 
 class TransitionEngine {
   constructor() {
-    this.timers = new Map(); // processId -> timer info
-    this.eventListeners = new Map(); // processId -> event listeners
+    this.timers = new Map(); // token key -> timer info
+    this.eventListeners = new Map(); // token key -> event listeners
+    this.timerWrites = new Map(); // token key -> pending timer document write
+    this.orgId = null; // org whose database holds the timer documents
+    this.slaChecks = new Set(); // process IDs whose SLA escalations are running
+    this.initialized = false;
     this.checkInterval = null;
     this.checkIntervalMs = 60000; // Check every minute
   }
@@ -21,6 +35,8 @@ class TransitionEngine {
    * Initialize transition engine
    */
   initialize() {
+    this.initialized = true;
+
     // Start periodic check for auto-transitions
     this.startPeriodicCheck();
 
@@ -32,16 +48,23 @@ class TransitionEngine {
     console.log('Transition engine initialized');
   }
 
+  /**
+   * Key timers and listeners by process, and by branch while running in parallel
+   */
+  getTokenKey(processId, branchId = null) {
+    return branchId ? `${processId}#${branchId}` : processId;
+  }
+
   /**
    * Handle process state change
    */
   async onProcessStateChanged(data) {
-    const { processId, to } = data;
+    const { processId, to, branchId = null } = data;
 
     try {
-      // Cancel timers for old state
-      this.cancelTimers(processId);
-      this.removeEventListeners(processId);
+      // Cancel timers for old state (every branch when the whole process moved)
+      this.cancelTimers(processId, branchId);
+      this.removeEventListeners(processId, branchId);
 
       // Get process instance
       const processInstance = processState.getProcess(processId);
@@ -50,16 +73,21 @@ class TransitionEngine {
       }
 
       // Get state machine
-      const stateMachine = processService.getStateMachine(processInstance.definitionId);
+      const stateMachine = processService.getProcessStateMachine(processInstance);
       const stateConfig = stateMachine.getStateConfig(to);
 
+      // Branches waiting at a join have nothing to schedule
+      if (branchId && stateMachine.isJoinState(to)) {
+        return;
+      }
+
       // Check if state has auto-transition config
       if (!stateConfig.autoTransition) {
         return;
       }
 
       // Setup auto-transitions for new state
-      await this.setupAutoTransitions(processInstance, stateConfig.autoTransition);
+      await this.setupAutoTransitions(processInstance, stateConfig.autoTransition, branchId);
 
     } catch (error) {
       console.error('Error handling process state change:', error);
@@ -69,7 +97,7 @@ class TransitionEngine {
   /**
    * Setup auto-transitions for a process state
    */
-  async setupAutoTransitions(processInstance, autoTransitionConfig) {
+  async setupAutoTransitions(processInstance, autoTransitionConfig, branchId = null) {
     const { conditions } = autoTransitionConfig;
 
     if (!conditions || !Array.isArray(conditions)) {
@@ -79,19 +107,22 @@ class TransitionEngine {
     for (const condition of conditions) {
       switch (condition.type) {
         case 'timer':
-          this.setupTimerTransition(processInstance, condition);
+          this.setupTimerTransition(processInstance, condition, branchId);
           break;
 
         case 'immediate':
-          await this.executeImmediateTransition(processInstance, condition);
+          await this.executeImmediateTransition(processInstance, condition, branchId);
           break;
 
         case 'event':
-          this.setupEventTransition(processInstance, condition);
+          this.setupEventTransition(processInstance, condition, branchId);
           break;
 
         case 'condition':
-          // Condition-based transitions are checked periodically
+        case 'variable':
+        case 'time':
+        case 'expression':
+          // Condition-based transitions are checked by the StateMachine and periodically
           this.setupConditionTransition(processInstance, condition);
           break;
 
@@ -103,8 +134,9 @@ class TransitionEngine {
 
   /**
    * Setup timer-based transition
+   * fireAt overrides the fire time computed from state history (used when rehydrating)
    */
-  setupTimerTransition(processInstance, condition) {
+  setupTimerTransition(processInstance, condition, branchId = null, fireAt = null) {
     const { duration, toState, reason } = condition;
 
     if (!duration || !toState) {
@@ -112,37 +144,45 @@ class TransitionEngine {
       return;
     }
 
-    // Calculate when timer should fire
     const now = Date.now();
-    const stateEnteredAt = processInstance.stateHistory.length > 0
-      ? new Date(processInstance.stateHistory[processInstance.stateHistory.length - 1].timestamp).getTime()
-      : new Date(processInstance.createdAt).getTime();
-
-    const fireAt = stateEnteredAt + duration;
+    fireAt = fireAt || this.getTimerFireAt(processInstance, condition, branchId);
     const delay = fireAt - now;
 
     if (delay <= 0) {
       // Timer already expired, transition immediately
-      this.executeTimerTransition(processInstance._id, toState, reason);
+      this.executeTimerTransition(processInstance._id, toState, reason, branchId);
       return;
     }
 
-    // Setup timer
-    const timerId = setTimeout(() => {
-      this.executeTimerTransition(processInstance._id, toState, reason);
-    }, delay);
-
     // Store timer info
+    const key = this.getTokenKey(processInstance._id, branchId);
     const timerInfo = {
-      timerId,
+      timerId: null,
+      key,
       processId: processInstance._id,
+      branchId,
+      state: this.getTokenState(processInstance, branchId),
       toState,
       reason,
       fireAt,
       condition
     };
 
-    this.timers.set(processInstance._id, timerInfo);
+    // Setup timer, re-armed in steps while fireAt is further away than setTimeout allows
+    const arm = () => {
+      const remaining = fireAt - Date.now();
+
+      if (remaining > 0) {
+        timerInfo.timerId = setTimeout(arm, Math.min(remaining, MAX_TIMEOUT_MS));
+        return;
+      }
+
+      this.executeTimerTransition(processInstance._id, toState, reason, branchId);
+    };
+    arm();
+
+    this.timers.set(key, timerInfo);
+    this.persistTimer(timerInfo);
 
     console.log(
       `Timer set for process ${processInstance._id}: ` +
@@ -150,10 +190,34 @@ class TransitionEngine {
     );
   }
 
+  /**
+   * Calculate when a timer fires (from the last entry of this branch's history)
+   * With businessHours (true, a calendar name or an inline calendar) the
+   * duration counts working time only
+   */
+  getTimerFireAt(processInstance, condition, branchId = null) {
+    const history = (processInstance.stateHistory || []).filter(h =>
+      !branchId || h.branchId === branchId
+    );
+    const stateEnteredAt = history.length > 0
+      ? new Date(history[history.length - 1].timestamp).getTime()
+      : new Date(processInstance.createdAt).getTime();
+
+    if (condition.businessHours) {
+      const calendar = calendarService.resolve(condition.businessHours);
+      return addBusinessHours(stateEnteredAt, condition.duration / (60 * 60 * 1000), calendar).getTime();
+    }
+
+    return stateEnteredAt + condition.duration;
+  }
+
   /**
    * Execute timer-based transition
    */
-  async executeTimerTransition(processId, toState, reason) {
+  async executeTimerTransition(processId, toState, reason, branchId = null) {
+    const key = this.getTokenKey(processId, branchId);
+    const timer = this.timers.get(key);
+
     try {
       console.log(`Executing timer transition: ${processId} -> ${toState}`);
 
@@ -164,9 +228,15 @@ class TransitionEngine {
         return;
       }
 
-      // Verify process is still in expected state
-      const stateMachine = processService.getStateMachine(processInstance.definitionId);
-      const canTransition = stateMachine.canTransition(processInstance.currentState, toState);
+      // Verify process (or branch) is still in expected state
+      const stateMachine = processService.getProcessStateMachine(processInstance);
+      const fromState = this.getTokenState(processInstance, branchId);
+      if (!fromState) {
+        console.warn(`Branch ${branchId} of ${processId} is no longer active, skipping timer transition`);
+        return;
+      }
+
+      const canTransition = stateMachine.canTransition(fromState, toState);
 
       if (!canTransition.valid) {
         console.warn(
@@ -179,22 +249,140 @@ class TransitionEngine {
       await processService.transitionState(processId, toState, {
         trigger: 'timer',
         reason: reason || 'Auto-transition by timer'
-      });
+      }, branchId);
 
       console.log(`✓ Timer transition completed: ${processId} -> ${toState}`);
 
     } catch (error) {
       console.error('Error executing timer transition:', error);
     } finally {
-      // Clean up timer
-      this.timers.delete(processId);
+      // Clean up timer, unless the new state already scheduled its own under this key
+      if (this.timers.get(key) === timer) {
+        this.timers.delete(key);
+        this.unpersistTimer(key);
+      }
+    }
+  }
+
+  /**
+   * Restore timers for every active process after startup
+   * Persisted timers keep their original fire time; overdue timers fire in fire-time order
+   */
+  async rehydrateTimers(orgId) {
+    if (!this.initialized) {
+      return;
+    }
+
+    // Timers of a previously active org stay in its database
+    this.timers.forEach(timerInfo => clearTimeout(timerInfo.timerId));
+    this.timers.clear();
+    this.orgId = orgId;
+
+    const stored = new Map(
+      (await processPersistence.loadTimers(orgId)).map(doc => [doc.key, doc])
+    );
+    const overdue = [];
+
+    for (const processInstance of processState.getActiveProcesses()) {
+      const stateMachine = processService.getProcessStateMachine(processInstance);
+
+      for (const { branchId, state } of stateMachine.getActiveTokens(processInstance)) {
+        const conditions = stateMachine.getStateConfig(state).autoTransition?.conditions || [];
+        const condition = conditions.find(c => c.type === 'timer');
+
+        if (!condition || (branchId && stateMachine.isJoinState(state))) {
+          continue;
+        }
+
+        // A stored timer only counts if it was set for the state the token is in now
+        const key = this.getTokenKey(processInstance._id, branchId);
+        const doc = stored.get(key);
+        const fireAt = doc && doc.state === state && doc.toState === condition.toState
+          ? new Date(doc.fireAt).getTime()
+          : this.getTimerFireAt(processInstance, condition, branchId);
+
+        stored.delete(key);
+
+        if (fireAt <= Date.now()) {
+          overdue.push({ processId: processInstance._id, branchId, condition, fireAt });
+        } else {
+          this.setupTimerTransition(processInstance, condition, branchId, fireAt);
+        }
+      }
     }
+
+    // Whatever is left belongs to processes that moved on or ended
+    stored.forEach((doc, key) => this.unpersistTimer(key));
+
+    overdue.sort((a, b) => a.fireAt - b.fireAt);
+
+    console.log(
+      `Timers rehydrated for org ${orgId}: ${this.timers.size} scheduled, ${overdue.length} overdue`
+    );
+
+    for (const { processId, branchId, condition } of overdue) {
+      await this.executeTimerTransition(processId, condition.toState, condition.reason, branchId);
+    }
+
+    // Escalations that fell due while the app was closed
+    await this.checkSLAs();
+  }
+
+  /**
+   * Write a timer document (no-op until an org database is attached)
+   */
+  persistTimer(timerInfo) {
+    const { key, processId, branchId, state, toState, reason, fireAt } = timerInfo;
+
+    this.queueTimerWrite(key, orgId => processPersistence.saveTimer(orgId, {
+      key,
+      processId,
+      branchId,
+      state,
+      toState,
+      reason,
+      fireAt: new Date(fireAt).toISOString(),
+      createdAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Remove a timer document
+   */
+  unpersistTimer(key) {
+    this.queueTimerWrite(key, orgId => processPersistence.deleteTimer(orgId, key));
+  }
+
+  /**
+   * Run timer document writes for a key one after another, so a delete never
+   * overtakes the save it is meant to undo
+   */
+  queueTimerWrite(key, write) {
+    // Every write follows a change to the in-memory timers
+    eventBus.emit(EVENTS.PROCESS_TIMERS_CHANGED, { key });
+
+    const orgId = this.orgId;
+    if (!orgId) {
+      return;
+    }
+
+    const previous = this.timerWrites.get(key) || Promise.resolve();
+    const next = previous
+      .then(() => write(orgId))
+      .catch(error => console.error(`Error persisting timer ${key}:`, error))
+      .finally(() => {
+        if (this.timerWrites.get(key) === next) {
+          this.timerWrites.delete(key);
+        }
+      });
+
+    this.timerWrites.set(key, next);
   }
 
   /**
    * Execute immediate transition
    */
-  async executeImmediateTransition(processInstance, condition) {
+  async executeImmediateTransition(processInstance, condition, branchId = null) {
     const { toState } = condition;
 
     if (!toState) {
@@ -211,14 +399,19 @@ class TransitionEngine {
           return;
         }
 
-        const stateMachine = processService.getStateMachine(currentProcess.definitionId);
-        const canTransition = stateMachine.canTransition(currentProcess.currentState, toState);
+        const stateMachine = processService.getProcessStateMachine(currentProcess);
+        const fromState = this.getTokenState(currentProcess, branchId);
+        if (!fromState) {
+          return;
+        }
+
+        const canTransition = stateMachine.canTransition(fromState, toState);
 
         if (canTransition.valid) {
           await processService.transitionState(currentProcess._id, toState, {
             trigger: 'immediate',
             reason: 'Auto-transition (immediate)'
-          });
+          }, branchId);
         }
       }, 100); // Small delay to avoid recursion
     } catch (error) {
@@ -229,7 +422,7 @@ class TransitionEngine {
   /**
    * Setup event-based transition
    */
-  setupEventTransition(processInstance, condition) {
+  setupEventTransition(processInstance, condition, branchId = null) {
     const { event, toState, conditions: eventConditions } = condition;
 
     if (!event || !toState) {
@@ -264,7 +457,7 @@ class TransitionEngine {
           trigger: 'event',
           event: event,
           eventData: eventData
-        });
+        }, branchId);
 
       } catch (error) {
         console.error('Error executing event transition:', error);
@@ -275,11 +468,12 @@ class TransitionEngine {
     const unsubscribe = eventBus.on(event, listener);
 
     // Store listener info
-    if (!this.eventListeners.has(processInstance._id)) {
-      this.eventListeners.set(processInstance._id, []);
+    const key = this.getTokenKey(processInstance._id, branchId);
+    if (!this.eventListeners.has(key)) {
+      this.eventListeners.set(key, []);
     }
 
-    this.eventListeners.get(processInstance._id).push({
+    this.eventListeners.get(key).push({
       event,
       listener,
       unsubscribe
@@ -292,42 +486,68 @@ class TransitionEngine {
    * Setup condition-based transition
    */
   setupConditionTransition(processInstance, condition) {
-    const { toState, conditions: transitionConditions, checkInterval } = condition;
+    const validation = conditionEvaluator.validateCondition(condition);
 
-    if (!toState || !transitionConditions) {
-      console.warn('Condition transition requires toState and conditions');
+    if (!condition.toState || !validation.valid) {
+      console.warn('Condition transition requires toState and a valid condition', validation.error || '');
       return;
     }
 
-    // Conditions are checked during periodic check
-    // Just log for now
+    // Met conditions already fired inside the transition; the rest wait for the periodic check
     console.log(`Condition-based transition setup for process ${processInstance._id}`);
   }
 
   /**
-   * Cancel timers for a process
+   * Get the token keys of a map belonging to a process
+   * With a branchId only that branch; without, the process and all of its branches
    */
-  cancelTimers(processId) {
-    const timerInfo = this.timers.get(processId);
-    if (timerInfo) {
-      clearTimeout(timerInfo.timerId);
-      this.timers.delete(processId);
-      console.log(`Timer cancelled for process ${processId}`);
+  getProcessKeys(map, processId, branchId = null) {
+    if (branchId) {
+      const key = this.getTokenKey(processId, branchId);
+      return map.has(key) ? [key] : [];
     }
+
+    return Array.from(map.keys()).filter(key =>
+      key === processId || key.startsWith(`${processId}#`)
+    );
   }
 
   /**
-   * Remove event listeners for a process
+   * Get the state a process (or one of its branches) currently occupies
+   * Returns null if the branch is no longer active
    */
-  removeEventListeners(processId) {
-    const listeners = this.eventListeners.get(processId);
-    if (listeners) {
-      listeners.forEach(({ event, unsubscribe }) => {
+  getTokenState(processInstance, branchId = null) {
+    if (!branchId) {
+      return processInstance.currentState;
+    }
+
+    const branch = processInstance.parallel && processInstance.parallel.branches[branchId];
+    return branch && branch.status === 'active' ? branch.state : null;
+  }
+
+  /**
+   * Cancel timers for a process (or a single branch of it)
+   */
+  cancelTimers(processId, branchId = null) {
+    this.getProcessKeys(this.timers, processId, branchId).forEach(key => {
+      clearTimeout(this.timers.get(key).timerId);
+      this.timers.delete(key);
+      this.unpersistTimer(key);
+      console.log(`Timer cancelled for ${key}`);
+    });
+  }
+
+  /**
+   * Remove event listeners for a process (or a single branch of it)
+   */
+  removeEventListeners(processId, branchId = null) {
+    this.getProcessKeys(this.eventListeners, processId, branchId).forEach(key => {
+      this.eventListeners.get(key).forEach(({ event, unsubscribe }) => {
         unsubscribe();
-        console.log(`Event listener removed for process ${processId}: ${event}`);
+        console.log(`Event listener removed for ${key}: ${event}`);
       });
-      this.eventListeners.delete(processId);
-    }
+      this.eventListeners.delete(key);
+    });
   }
 
   /**
@@ -338,8 +558,9 @@ class TransitionEngine {
       return;
     }
 
-    this.checkInterval = setInterval(() => {
-      this.checkConditionTransitions();
+    this.checkInterval = setInterval(async () => {
+      await this.checkConditionTransitions();
+      await this.checkSLAs();
     }, this.checkIntervalMs);
 
     console.log(`Periodic condition check started (every ${this.checkIntervalMs}ms)`);
@@ -376,40 +597,200 @@ class TransitionEngine {
    */
   async checkProcessConditions(processInstance) {
     try {
-      // Get state machine and current state config
-      const stateMachine = processService.getStateMachine(processInstance.definitionId);
-      const stateConfig = stateMachine.getStateConfig(processInstance.currentState);
+      // Same evaluation path the StateMachine uses right after a transition
+      await processService.checkAutoTransitions(processInstance._id);
+    } catch (error) {
+      console.error('Error checking process conditions:', error);
+    }
+  }
 
-      if (!stateConfig.autoTransition) {
-        return;
+  /**
+   * Get the SLA records of a process, open and closed (see slaPolicy.buildRecord)
+   */
+  getSLARecords(processInstance, now = Date.now()) {
+    const stateMachine = processService.getProcessStateMachine(processInstance);
+    return slaPolicy.getRecords(processInstance, stateMachine, taskService.getTasksForProcess(processInstance._id), now);
+  }
+
+  /**
+   * Run the SLA escalations that are due across all active processes
+   */
+  async checkSLAs(now = Date.now()) {
+    try {
+      for (const processInstance of processState.getActiveProcesses()) {
+        await this.checkProcessSLAs(processInstance._id, now);
+      }
+    } catch (error) {
+      console.error('Error checking SLAs:', error);
+    }
+  }
+
+  /**
+   * Run the SLA escalations of a process that are due
+   * @returns {Array} Escalations run
+   */
+  async checkProcessSLAs(processId, now = Date.now()) {
+    if (this.slaChecks.has(processId)) {
+      return [];
+    }
+
+    this.slaChecks.add(processId);
+
+    try {
+      const processInstance = processState.getProcess(processId);
+      if (!processInstance || processInstance.status !== PROCESS_STATUS.ACTIVE) {
+        return [];
       }
 
-      // Find matching condition-based transition
-      const match = conditionEvaluator.findMatchingAutoTransition(
-        stateConfig.autoTransition,
-        processInstance
+      const stateMachine = processService.getProcessStateMachine(processInstance);
+      const due = slaPolicy.getDueEscalations(
+        processInstance,
+        stateMachine,
+        taskService.getTasksForProcess(processId),
+        now
       );
 
-      if (match) {
-        console.log(
-          `Condition met for process ${processInstance._id}: transitioning to ${match.toState}`
-        );
+      for (const item of due) {
+        await this.executeEscalation(processId, item);
+      }
 
-        await processService.transitionState(processInstance._id, match.toState, {
-          trigger: 'condition',
-          reason: 'Auto-transition by condition'
-        });
+      return due;
+    } catch (error) {
+      console.error(`Error checking SLAs of process ${processId}:`, error);
+      return [];
+    } finally {
+      this.slaChecks.delete(processId);
+    }
+  }
+
+  /**
+   * Run one escalation step
+   * The step is marked fired before it runs, so a failing step is not retried every check
+   */
+  async executeEscalation(processId, { record, escalation, step }) {
+    const processInstance = processState.getProcess(processId);
+    if (!processInstance || processInstance.status !== PROCESS_STATUS.ACTIVE) {
+      return;
+    }
+
+    const stateMachine = processService.getProcessStateMachine(processInstance);
+    const reason = `SLA ${step.target} ${step.on === 'warning' ? 'at risk' : 'breached'}`;
+
+    processInstance.slaEscalations = {
+      ...(processInstance.slaEscalations || {}),
+      [record.key]: {
+        ...(processInstance.slaEscalations?.[record.key] || {}),
+        [step.index]: new Date().toISOString()
+      }
+    };
+
+    stateMachine.addAuditEntry(processInstance, 'sla_escalated', {
+      key: record.key,
+      scope: record.scope,
+      state: record.state,
+      taskId: record.taskId,
+      on: step.on,
+      target: step.target,
+      type: escalation.type,
+      reason
+    });
+
+    let toState = null;
+
+    try {
+      switch (escalation.type) {
+        case 'reassign':
+          this.getEscalationTasks(processInstance, record).forEach(task => {
+            taskService.escalateTask(task._id, escalation.level || null, { by: 'system', reason });
+          });
+          break;
+
+        case 'transition': {
+          // A process already escalated by an earlier step stays where it is
+          const fromState = this.getTokenState(processInstance, record.branchId);
+          if (fromState === escalation.toState) {
+            break;
+          }
+          const canTransition = fromState && stateMachine.canTransition(fromState, escalation.toState);
+          if (!canTransition?.valid) {
+            throw new Error(`Cannot move from "${fromState}" to "${escalation.toState}"`);
+          }
+          toState = escalation.toState;
+          break;
+        }
+
+        default:
+          await actionRegistry.execute([slaPolicy.getAction(escalation)], processInstance, {
+            stateMachine,
+            state: record.state || processInstance.currentState,
+            hook: 'sla',
+            branchId: record.branchId,
+            context: { trigger: 'sla', sla: record }
+          });
       }
     } catch (error) {
-      console.error('Error checking process conditions:', error);
+      console.error(`SLA escalation of ${processId} failed:`, error);
+      stateMachine.addAuditEntry(processInstance, 'sla_escalation_failed', {
+        key: record.key,
+        type: escalation.type,
+        error: error.message
+      });
+    }
+
+    processState.updateProcess(processId, {
+      ...processInstance,
+      syncStatus: PROCESS_SYNC_STATUS.PENDING
+    });
+
+    eventBus.emit(EVENTS.PROCESS_SLA_ESCALATED, {
+      processId,
+      key: record.key,
+      on: step.on,
+      target: step.target,
+      type: escalation.type
+    });
+
+    if (toState) {
+      try {
+        await processService.transitionState(processId, toState, {
+          trigger: 'sla',
+          reason: escalation.reason || reason
+        }, record.branchId);
+      } catch (error) {
+        console.error(`SLA escalation transition of ${processId} failed:`, error);
+      }
     }
   }
 
   /**
-   * Get active timers
+   * Get the pending tasks an SLA record covers
+   */
+  getEscalationTasks(processInstance, record) {
+    return taskService.getTasksForProcess(processInstance._id).filter(task => {
+      if (task.status !== TASK_STATUS.PENDING || task.approval) {
+        return false;
+      }
+
+      switch (record.scope) {
+        case 'task':
+          return task._id === record.taskId;
+        case 'state':
+          return task.state === record.state && (task.branchId || null) === record.branchId;
+        default:
+          return true;
+      }
+    });
+  }
+
+  /**
+   * Get active timers, soonest first
    */
   getActiveTimers() {
-    return Array.from(this.timers.values());
+    const now = Date.now();
+
+    return Array.from(this.timers.values())
+      .map(timerInfo => ({ ...timerInfo, remainingMs: Math.max(0, timerInfo.fireAt - now) }))
+      .sort((a, b) => a.fireAt - b.fireAt);
   }
 
   /**
@@ -418,9 +799,10 @@ class TransitionEngine {
   getActiveEventListeners() {
     const result = [];
 
-    this.eventListeners.forEach((listeners, processId) => {
+    this.eventListeners.forEach((listeners, key) => {
+      const [processId, branchId = null] = key.split('#');
       listeners.forEach(({ event }) => {
-        result.push({ processId, event });
+        result.push({ processId, branchId, event });
       });
     });
 
@@ -429,6 +811,7 @@ class TransitionEngine {
 
   /**
    * Cleanup - cancel all timers and listeners
+   * Timer documents are kept so the timers come back on the next rehydrate
    */
   cleanup() {
     // Cancel all timers
@@ -0,0 +1,311 @@
+/**
+ * Variable Validator
+ * Validates process variables against the `variables` schema of a definition,
+ * the same way in generated forms, form tasks and variable updates:
+ *
+ *   variables: {
+ *     amount: { type: 'number', required: true, min: 1, max: 10000 },
+ *     code: { type: 'string', pattern: '^[A-Z]{3}$', maxLength: 3 },
+ *     rejectionReason: { type: 'string', requiredIn: ['rejected'] }
+ *   },
+ *   validation: [
+ *     { fields: ['endDate'], expression: 'date(endDate) >= date(startDate)', message: 'End date must be on or after the start date' }
+ *   ]
+ *
+ * `requiredIn` makes a field required only in the listed states (or form steps).
+ * `sensitive: true` has its values encrypted before they are stored (see
+ * encryption-service.js).
+ * Cross-field rules are expressions over the variables, checked once all their
+ * fields have values; a failed rule is reported on its first field.
+ */
+
+import { expressionEvaluator } from './expression-evaluator.js';
+import { computedVariables } from './computed-variables.js';
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'array', 'object'];
+
+/**
+ * Turn a variable name into a label, e.g. "startDate" -> "Start Date"
+ */
+function formatLabel(fieldName) {
+  return fieldName
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/[_-]/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * Check whether a value counts as not filled in
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Check for a plain object value
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse JSON text, null when it is not valid JSON
+ */
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a date-like value to a timestamp (ms), NaN when it is not a date
+ */
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') return Date.parse(value);
+  return NaN;
+}
+
+class VariableValidator {
+  /**
+   * Get the fields shown for a form step ('create' by default, 'all' for every field)
+   */
+  getStepFields(schema, step) {
+    return Object.keys(schema).filter(fieldName => {
+      const fieldStep = schema[fieldName].step || 'create';
+      return step === 'all' ||
+        fieldStep === step ||
+        fieldStep === 'all' ||
+        (Array.isArray(fieldStep) && fieldStep.includes(step));
+    });
+  }
+
+  /**
+   * Check whether a field must have a value in a state
+   */
+  isRequired(fieldSchema, state = null) {
+    return fieldSchema.required === true ||
+      (!!state && Array.isArray(fieldSchema.requiredIn) && fieldSchema.requiredIn.includes(state));
+  }
+
+  /**
+   * Validate one field
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateField(fieldName, fieldSchema, value, state = null) {
+    const label = fieldSchema.label || formatLabel(fieldName);
+
+    if (isEmpty(value)) {
+      return this.isRequired(fieldSchema, state) ? `${label} is required` : null;
+    }
+
+    switch (fieldSchema.type) {
+      case 'number':
+      case 'integer': {
+        const num = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value) : NaN);
+        if (isNaN(num)) {
+          return `${label} must be a number`;
+        }
+        if (fieldSchema.type === 'integer' && !Number.isInteger(num)) {
+          return `${label} must be a whole number`;
+        }
+        if (fieldSchema.min !== undefined && num < fieldSchema.min) {
+          return `${label} must be at least ${fieldSchema.min}`;
+        }
+        if (fieldSchema.max !== undefined && num > fieldSchema.max) {
+          return `${label} must be at most ${fieldSchema.max}`;
+        }
+        return null;
+      }
+
+      case 'date': {
+        const time = toTime(value);
+        if (isNaN(time)) {
+          return `${label} must be a valid date`;
+        }
+        if (fieldSchema.min !== undefined && time < toTime(fieldSchema.min)) {
+          return `${label} must be on or after ${fieldSchema.min}`;
+        }
+        if (fieldSchema.max !== undefined && time > toTime(fieldSchema.max)) {
+          return `${label} must be on or before ${fieldSchema.max}`;
+        }
+        return null;
+      }
+
+      case 'boolean':
+        return typeof value === 'boolean' || value === 'true' || value === 'false'
+          ? null
+          : `${label} must be yes or no`;
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          return `${label} must be a list`;
+        }
+        break;
+
+      case 'object':
+        // Forms without nested properties enter objects as JSON text
+        return isObject(value) || (typeof value === 'string' && isObject(parseJSON(value)))
+          ? null
+          : `${label} must be an object`;
+
+      default:
+        if (typeof value === 'object') {
+          return `${label} must be text`;
+        }
+        if (fieldSchema.pattern && !new RegExp(fieldSchema.pattern).test(String(value))) {
+          return `${label} format is invalid`;
+        }
+    }
+
+    // Strings and lists
+    const length = Array.isArray(value) ? value.length : String(value).length;
+    if (fieldSchema.minLength !== undefined && length < fieldSchema.minLength) {
+      return Array.isArray(value)
+        ? `${label} needs at least ${fieldSchema.minLength} items`
+        : `${label} must be at least ${fieldSchema.minLength} characters`;
+    }
+    if (fieldSchema.maxLength !== undefined && length > fieldSchema.maxLength) {
+      return Array.isArray(value)
+        ? `${label} allows at most ${fieldSchema.maxLength} items`
+        : `${label} must be at most ${fieldSchema.maxLength} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the cross-field rules whose fields all have values
+   * @returns {object} Errors by field
+   */
+  validateRules(rules, values, { state = null, fields = null } = {}) {
+    const errors = {};
+
+    (rules || []).forEach(rule => {
+      const ruleFields = rule.fields || [];
+
+      if (rule.states && !rule.states.includes(state)) return;
+      if (fields && !ruleFields.some(field => fields.includes(field))) return;
+
+      // Missing values are reported by the required check, not by the rule
+      if (ruleFields.some(field => isEmpty(values[field]))) return;
+
+      let passed;
+      try {
+        passed = !!expressionEvaluator.evaluate(rule.expression, { variables: values, currentState: state });
+      } catch (error) {
+        console.warn(`Validation rule "${rule.expression}" failed to evaluate:`, error);
+        passed = false;
+      }
+
+      const field = ruleFields[0] || '_form';
+      if (!passed && !errors[field]) {
+        errors[field] = rule.message || `${formatLabel(field)} is invalid`;
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate variable values against a schema and cross-field rules
+   * @param {object} schema - Variables schema
+   * @param {object} values - All values, including those not being checked
+   * @param {object} options - { state, step, fields, rules }: check the given fields,
+   *   or those of a form step, or all of them
+   * @returns {object} { valid, errors: { field: message } }
+   */
+  validate(schema, values = {}, { state = null, step = null, fields = null, rules = [] } = {}) {
+    const names = fields || (step ? this.getStepFields(schema, step) : Object.keys(schema));
+    const errors = {};
+
+    names.forEach(fieldName => {
+      if (!schema[fieldName]) return;
+
+      const error = this.validateField(fieldName, schema[fieldName], values[fieldName], state || step);
+      if (error) {
+        errors[fieldName] = error;
+      }
+    });
+
+    const ruleErrors = this.validateRules(rules, values, { state: state || step, fields: names });
+    Object.entries(ruleErrors).forEach(([field, message]) => {
+      if (!errors[field]) {
+        errors[field] = message;
+      }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * Validate variables of a process definition, throwing on the first failures
+   */
+  assertValid(definition, values, options = {}) {
+    const { valid, errors } = this.validate(definition?.variables || {}, values, {
+      rules: definition?.validation || [],
+      ...options
+    });
+
+    if (!valid) {
+      throw new Error(`Validation failed: ${Object.values(errors).join(', ')}`);
+    }
+  }
+
+  /**
+   * Check the variable schema, cross-field rules and computed variables of a definition
+   * @returns {object} { valid, error }
+   */
+  validateDefinition(definition) {
+    const variables = definition.variables || {};
+    const states = Object.keys(definition.states || {});
+
+    for (const [fieldName, fieldSchema] of Object.entries(variables)) {
+      if (fieldSchema.type && !FIELD_TYPES.includes(fieldSchema.type)) {
+        return { valid: false, error: `Variable "${fieldName}" has unknown type "${fieldSchema.type}"` };
+      }
+
+      const unknownState = (fieldSchema.requiredIn || []).find(state => !states.includes(state) && state !== 'create');
+      if (unknownState) {
+        return { valid: false, error: `Variable "${fieldName}" is required in unknown state "${unknownState}"` };
+      }
+
+      if (fieldSchema.sensitive !== undefined && typeof fieldSchema.sensitive !== 'boolean') {
+        return { valid: false, error: `Variable "${fieldName}" must be marked sensitive with true or false` };
+      }
+    }
+
+    if (definition.validation !== undefined && !Array.isArray(definition.validation)) {
+      return { valid: false, error: 'Definition validation must be a list of rules' };
+    }
+
+    for (const rule of definition.validation || []) {
+      if (!Array.isArray(rule.fields) || rule.fields.length === 0) {
+        return { valid: false, error: 'Validation rules need the fields they check' };
+      }
+
+      const unknownField = rule.fields.find(field => !variables[field]);
+      if (unknownField) {
+        return { valid: false, error: `Validation rule refers to unknown variable "${unknownField}"` };
+      }
+
+      const parsed = expressionEvaluator.validate(rule.expression);
+      if (!parsed.valid) {
+        return parsed;
+      }
+    }
+
+    return computedVariables.validateDefinition(definition);
+  }
+}
+
+// Create singleton instance
+export const variableValidator = new VariableValidator();
+
+export default variableValidator;
@@ -1,14 +1,38 @@
 /**
  * Database Manager
- * Manages multiple PouchDB instances for organizations
- * TODO: Implement in Phase 2 (Database Layer)
+ * Decides where each organization's documents live and manages their databases
+ *
+ * Devices keep one local PouchDB database per organization (v4l_org_<orgId>). On
+ * CouchDB, organizations get a dedicated database (bmpl_org_<orgId>) unless they
+ * opt in to sharing one of SHARDING.SHARD_COUNT shard databases (v4l_orgs_shard_001
+ * ...), picked by hashing the organization ID: documents carry their orgId and
+ * replication is filtered by it. CouchDB cannot restrict reads within a database,
+ * so members of every organization in a shard can read each other's documents
+ * directly; only organizations that accept this should share one. A shared
+ * organization that outgrows SHARDING.MAX_MEMBERS or MAX_DOCUMENTS is promoted to
+ * a dedicated database.
  */
 
+import { processPersistence } from './bpm/process-persistence.js';
+import { processSync } from './bpm/process-sync.js';
+import { commonPersistence } from './common-persistence.js';
+import { organizationPersistence } from './organization-persistence.js';
+import { syncConfigService } from './sync-config.js';
+import { memberService } from './member-service.js';
+import { orgState } from '../state/org-state.js';
+import { processState } from '../state/process-state.js';
+import { memberState } from '../state/member-state.js';
+import { eventBus } from '../utils/events.js';
+import { getShardNumber, formatShardNumber } from '../utils/helpers.js';
+import { COUCHDB_CONFIG, DB_NAMES, SHARDING, EVENTS, ROLES } from '../config/constants.js';
+
+// Placement of organizations with a database of their own
+const DEDICATED = { isSharded: false, shardNumber: null };
+
 class DatabaseManager {
   constructor() {
-    this.databases = new Map(); // orgId -> PouchDB instance
-    this.sharedDB = null;
-    this.syncHandlers = new Map();
+    this.placements = new Map(); // orgId -> { isSharded, shardNumber } given at sign-in
+    this.promoting = new Set(); // orgIds being moved to a dedicated database
   }
 
   /**
@@ -16,8 +40,7 @@ class DatabaseManager {
    * @returns {Promise<void>}
    */
   async initSharedDB() {
-    console.log('DatabaseManager: initSharedDB() - Not implemented yet (Phase 2)');
-    // TODO: Implement shared DB initialization
+    await commonPersistence.ensureInitialized();
   }
 
   /**
@@ -25,40 +48,313 @@ class DatabaseManager {
    * @param {string} orgId - Organization ID
    * @param {boolean} isSharded - Is sharded database
    * @param {number} shardNumber - Shard number
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Local PouchDB database
    */
   async initOrgDB(orgId, isSharded, shardNumber) {
-    console.log(`DatabaseManager: initOrgDB(${orgId}) - Not implemented yet (Phase 2)`);
-    // TODO: Implement org DB initialization
+    this.placements.set(orgId, isSharded ? { isSharded: true, shardNumber } : DEDICATED);
+    return processPersistence.initDatabase(orgId);
+  }
+
+  /**
+   * Placement for a new organization: a dedicated database, or one of the shard
+   * databases when it opts in to sharing
+   * @param {string} orgId - Organization ID
+   * @param {Object} options - { shared: place it in a shard }
+   * @returns {Object} { isSharded, shardNumber }
+   */
+  assignPlacement(orgId, { shared = false } = {}) {
+    return shared
+      ? { isSharded: true, shardNumber: getShardNumber(orgId, SHARDING.SHARD_COUNT) }
+      : DEDICATED;
+  }
+
+  /**
+   * Where an organization's documents live on CouchDB
+   * The organization record decides; placements given at sign-in cover organizations
+   * not loaded yet
+   * @param {string} orgId - Organization ID
+   * @returns {Object} { isSharded, shardNumber }
+   */
+  getPlacement(orgId) {
+    const org = orgState.getOrganization(orgId);
+    const placement = org && org.isSharded !== undefined ? org : this.placements.get(orgId);
+
+    if (!placement?.isSharded) {
+      return DEDICATED;
+    }
+
+    return {
+      isSharded: true,
+      shardNumber: placement.shardNumber || getShardNumber(orgId, SHARDING.SHARD_COUNT)
+    };
+  }
+
+  /**
+   * Name of the CouchDB database holding an organization's documents
+   * @param {string} orgId - Organization ID
+   * @returns {string} Shard or dedicated database name
+   */
+  getRemoteName(orgId) {
+    const { isSharded, shardNumber } = this.getPlacement(orgId);
+
+    return isSharded
+      ? `${DB_NAMES.SHARD_PREFIX}${formatShardNumber(shardNumber)}`
+      : `${COUCHDB_CONFIG.DB_PREFIX}${orgId}`;
   }
 
   /**
    * Switch active organization
+   * Replicates with its CouchDB database when connected, and promotes it when it
+   * outgrew its shard
    * @param {string} orgId - Organization ID
    * @returns {Promise<void>}
    */
   async switchOrganization(orgId) {
-    console.log(`DatabaseManager: switchOrganization(${orgId}) - Not implemented yet (Phase 2)`);
-    // TODO: Implement organization switching
+    if (!syncConfigService.isConnected) {
+      await processSync.switchOrganization(orgId, null, null);
+      return;
+    }
+
+    await syncConfigService.ensureDatabase(orgId);
+    const remoteUrl = syncConfigService.getRemoteDbUrl(orgId);
+    await processSync.switchOrganization(orgId, remoteUrl, syncConfigService.credentials);
+
+    console.log(`Sync switched to org ${orgId}: ${this.getRemoteName(orgId)}`);
+
+    try {
+      await this.checkPromotion(orgId);
+    } catch (error) {
+      console.error(`Failed to move org ${orgId} to a dedicated database:`, error);
+    }
+  }
+
+  /**
+   * Whether the current user may move an organization's database (org admins)
+   * @param {string} orgId - Organization ID
+   * @returns {boolean}
+   */
+  canPromote(orgId) {
+    return memberService.canManageMembers(memberState.getCurrentUserRole(orgId));
+  }
+
+  /**
+   * Promote a sharded organization that outgrew its shard
+   * Only checked for org admins, whose local database holds all of its documents
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<boolean>} Whether it was promoted
+   */
+  async checkPromotion(orgId) {
+    if (!this.getPlacement(orgId).isSharded || !this.canPromote(orgId)) {
+      return false;
+    }
+
+    const members = await memberService.getOrgMembers(orgId);
+    const info = await processPersistence.getDatabaseInfo(orgId);
+
+    if (members.length < SHARDING.MAX_MEMBERS && (info?.doc_count || 0) < SHARDING.MAX_DOCUMENTS) {
+      return false;
+    }
+
+    await this.promoteOrganization(orgId);
+    return true;
+  }
+
+  /**
+   * Move a sharded organization to a dedicated database (org admins only)
+   * The organization's documents are copied from the shard with their revision
+   * history, so devices carry on replicating with the new database where they left
+   * off. Other devices move over on their next sign-in or organization switch, and
+   * push what they wrote to the shard in the meantime. The copies left in the shard
+   * are for a server admin to purge.
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object>} { from, to, docsWritten }
+   */
+  async promoteOrganization(orgId) {
+    if (!this.getPlacement(orgId).isSharded) {
+      throw new Error(`Organization ${orgId} already has its own database`);
+    }
+
+    if (!this.canPromote(orgId)) {
+      throw new Error('Only organization admins can move the organization database');
+    }
+
+    if (this.promoting.has(orgId)) {
+      throw new Error(`Organization ${orgId} is already being moved`);
+    }
+
+    this.promoting.add(orgId);
+
+    try {
+      const from = this.getRemoteName(orgId);
+      const to = `${COUCHDB_CONFIG.DB_PREFIX}${orgId}`;
+
+      console.log(`Moving org ${orgId} from ${from} to ${to}...`);
+
+      // Dedicated database with the shard's access rules, open to the organization's members
+      await this.request(to, { method: 'PUT', accept: [412] });
+
+      const designDoc = await this.request(`${from}/_design/process_access`);
+      delete designDoc._rev;
+      await this.request(`${to}/_design/process_access`, { method: 'PUT', body: designDoc, accept: [409] });
+
+      await this.request(`${to}/_security`, {
+        method: 'PUT',
+        body: {
+          admins: { names: [], roles: ['_admin'] },
+          members: { names: [], roles: Object.values(ROLES).map(role => `${orgId}:role:${role}`) }
+        }
+      });
+
+      // Copy the organization's documents, deletions included
+      const replication = await this.request('_replicate', {
+        method: 'POST',
+        body: {
+          source: this.getReplicationEndpoint(from),
+          target: this.getReplicationEndpoint(to),
+          filter: 'process_access/by_org',
+          query_params: { orgId }
+        }
+      });
+      const docsWritten = replication?.history?.[0]?.docs_written || 0;
+
+      // Point the organization at its database
+      const updates = { ...DEDICATED, promotedAt: new Date().toISOString() };
+      try {
+        await organizationPersistence.updateOrganization(orgId, updates);
+      } catch (error) {
+        console.warn(`Organization record of ${orgId} not updated:`, error.message);
+      }
+      orgState.updateOrganization(orgId, updates);
+      this.placements.set(orgId, DEDICATED);
+
+      if (processSync.orgId === orgId) {
+        await this.switchOrganization(orgId);
+      }
+
+      console.log(`Org ${orgId} moved to ${to} (${docsWritten} documents)`);
+
+      eventBus.emit(EVENTS.ORG_DATABASE_PROMOTED, { orgId, from, to, docsWritten });
+
+      return { from, to, docsWritten };
+    } finally {
+      this.promoting.delete(orgId);
+    }
+  }
+
+  /**
+   * Database as the CouchDB replicator reaches it, with the sync credentials
+   */
+  getReplicationEndpoint(dbName) {
+    const { Authorization } = syncConfigService.getAuthHeaders();
+
+    return {
+      url: `${syncConfigService.directCouchDbUrl}/${dbName}`,
+      ...(Authorization && { headers: { Authorization } })
+    };
+  }
+
+  /**
+   * Call the CouchDB API with the sync credentials
+   * @param {string} path - Path on the server, e.g. "bmpl_org_x/_security"
+   * @param {Object} options - { method, body, accept: error statuses to treat as success }
+   * @returns {Promise<Object|null>} Response body
+   */
+  async request(path, { method = 'GET', body, accept = [] } = {}) {
+    const response = await fetch(`${syncConfigService.getCouchDbUrl()}/${path}`, {
+      method,
+      headers: syncConfigService.getAuthHeaders(),
+      ...(body && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok && !accept.includes(response.status)) {
+      throw new Error(data?.reason || `HTTP ${response.status}`);
+    }
+
+    return data;
   }
 
   /**
    * Destroy organization database
+   * Only the local database: the organization's CouchDB database stays
    * @param {string} orgId - Organization ID
    * @returns {Promise<void>}
    */
   async destroyOrgDB(orgId) {
-    console.log(`DatabaseManager: destroyOrgDB(${orgId}) - Not implemented yet (Phase 2)`);
-    // TODO: Implement org DB destruction
+    if (processSync.orgId === orgId) {
+      await processSync.stop();
+    }
+
+    await processPersistence.destroyDatabase(orgId);
+    this.placements.delete(orgId);
+  }
+
+  /**
+   * Find the processes of an organization that have not reached CouchDB: stored
+   * revisions past the push checkpoint and, for the organization being synced,
+   * changes still waiting to be written or that failed to save. Without a
+   * connection the local database is the only copy, so every process counts
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array<string>>} Process IDs
+   */
+  async getUnsyncedProcessIds(orgId) {
+    const unsynced = new Set();
+
+    if (processSync.orgId === orgId) {
+      await processSync.flushWrites();
+      processState.getProcessesNeedingSync().forEach(process => unsynced.add(process._id));
+    }
+
+    await processPersistence.initDatabase(orgId);
+    const { seqs } = await processPersistence.loadProcessesWithSeqs(orgId);
+
+    const remoteUrl = syncConfigService.isConnected ? syncConfigService.getRemoteDbUrl(orgId) : null;
+    const pushedSeq = remoteUrl ? await processPersistence.loadSyncCheckpoint(orgId, remoteUrl) : null;
+
+    Object.entries(seqs)
+      .filter(([, seq]) => pushedSeq === null || seq > pushedSeq)
+      .forEach(([processId]) => unsynced.add(processId));
+
+    return Array.from(unsynced);
   }
 
   /**
    * Destroy all databases
+   * Local databases of every known organization, e.g. on logout. Refuses, keeping
+   * every database, while processes have not reached CouchDB yet, unless forced
+   * @param {Object} options - { force: destroy unsynced changes too }
    * @returns {Promise<void>}
    */
-  async destroyAllDatabases() {
-    console.log('DatabaseManager: destroyAllDatabases() - Not implemented yet (Phase 2)');
-    // TODO: Implement destroy all databases
+  async destroyAllDatabases({ force = false } = {}) {
+    const orgIds = new Set([
+      ...processPersistence.databases.keys(),
+      ...this.placements.keys(),
+      ...orgState.getAllOrganizations().map(org => org.id).filter(Boolean)
+    ]);
+
+    if (!force) {
+      const unsynced = [];
+      for (const orgId of orgIds) {
+        const processIds = await this.getUnsyncedProcessIds(orgId);
+        if (processIds.length > 0) {
+          unsynced.push(`${orgId} (${processIds.length})`);
+        }
+      }
+
+      if (unsynced.length > 0) {
+        await processSync.stop();
+        throw new Error(`Local databases kept, processes not synced yet in: ${unsynced.join(', ')}`);
+      }
+    }
+
+    await processSync.stop();
+
+    for (const orgId of orgIds) {
+      await processPersistence.destroyDatabase(orgId);
+    }
+
+    this.placements.clear();
   }
 }
 
@@ -5,13 +5,31 @@
 
 import { memberState } from '../state/member-state.js';
 import { authState } from '../state/auth-state.js';
-import { ROLES, ROLE_HIERARCHY, APPROVAL_LEVELS, APPROVAL_HIERARCHY } from '../config/constants.js';
+import { processPersistence } from './bpm/process-persistence.js';
+import { eventBus } from '../utils/events.js';
+import { generateUUID } from '../utils/helpers.js';
+import {
+  ROLES,
+  ROLE_HIERARCHY,
+  APPROVAL_LEVELS,
+  APPROVAL_HIERARCHY,
+  DOC_TYPES,
+  EVENTS
+} from '../config/constants.js';
 
 class MemberService {
   constructor() {
     this.mockMembers = new Map(); // orgId -> members[]
+    this.delegations = new Map(); // orgId -> Map(delegationId -> delegation document)
     this.delay = 300; // Simulated network delay
     this.initializeMockData();
+
+    // Delegations granted or revoked on another device
+    eventBus.on(EVENTS.DELEGATIONS_CHANGED, ({ orgId, docs, source }) => {
+      if (source === 'sync') {
+        docs.forEach(doc => this.getOrgDelegations(orgId).set(doc._id, doc));
+      }
+    });
   }
 
   /**
@@ -294,6 +312,159 @@ class MemberService {
     return userLevel >= required;
   }
 
+  /**
+   * Get the delegation cache of an organization
+   */
+  getOrgDelegations(orgId) {
+    if (!this.delegations.has(orgId)) {
+      this.delegations.set(orgId, new Map());
+    }
+    return this.delegations.get(orgId);
+  }
+
+  /**
+   * Load the delegation documents of an organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array>} Delegations
+   */
+  async loadDelegations(orgId) {
+    const docs = await processPersistence.loadDelegations(orgId);
+    this.delegations.set(orgId, new Map(docs.map(doc => [doc._id, doc])));
+    return docs;
+  }
+
+  /**
+   * Delegate approval rights to another member for a date range
+   * Members delegate their own rights; admins may delegate on anyone's behalf.
+   * Delegations created by an approved process (e.g. a leave request) pass processId
+   * @param {string} orgId - Organization ID
+   * @param {Object} delegation - { delegatorId, delegateId, approvalLevel, startsAt, endsAt, categories, reason }
+   * @param {Object} options - { processId }
+   * @returns {Promise<Object>} Delegation document
+   */
+  async createDelegation(orgId, delegation, { processId = null } = {}) {
+    const { delegatorId, delegateId, startsAt, endsAt, categories = [], reason = '' } = delegation;
+    const currentUser = authState.getUser();
+
+    if (!processId && delegatorId !== currentUser?.id) {
+      const callerMembership = await this.getMemberByUserId(orgId, currentUser?.id);
+      if (!callerMembership || !this.canManageMembers(callerMembership.role)) {
+        throw new Error('Insufficient permissions to delegate on behalf of another member');
+      }
+    }
+
+    if (!delegateId || delegateId === delegatorId) {
+      throw new Error('Approval rights must be delegated to another member');
+    }
+
+    const delegator = await this.getMemberByUserId(orgId, delegatorId);
+    if (!delegator) {
+      throw new Error('Member not found');
+    }
+
+    // Rights can be delegated at or below the delegator's own level
+    const approvalLevel = delegation.approvalLevel || delegator.approvalLevel;
+    if (!APPROVAL_HIERARCHY[approvalLevel] ||
+        APPROVAL_HIERARCHY[approvalLevel] > APPROVAL_HIERARCHY[delegator.approvalLevel]) {
+      throw new Error(`Cannot delegate ${approvalLevel} approval rights`);
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw new Error('Delegation needs a valid date range');
+    }
+
+    const now = new Date().toISOString();
+    const doc = {
+      _id: `${DOC_TYPES.DELEGATION}:${generateUUID()}`,
+      type: DOC_TYPES.DELEGATION,
+      orgId,
+      delegatorId,
+      delegateId,
+      approvalLevel,
+      categories,
+      startsAt: start.toISOString(),
+      endsAt: end.toISOString(),
+      reason,
+      processId,
+      createdBy: currentUser?.id || null,
+      createdAt: now,
+      revokedAt: null,
+      revokedBy: null
+    };
+
+    const saved = await processPersistence.saveDelegation(orgId, doc);
+    this.getOrgDelegations(orgId).set(saved._id, saved);
+
+    eventBus.emit(EVENTS.DELEGATIONS_CHANGED, { orgId, docs: [saved], source: 'local' });
+
+    return saved;
+  }
+
+  /**
+   * Revoke a delegation before it ends
+   * @param {string} orgId - Organization ID
+   * @param {string} delegationId - Delegation document ID
+   * @param {Object} options - { processId } for revocations made by a process
+   * @returns {Promise<Object>} Revoked delegation
+   */
+  async revokeDelegation(orgId, delegationId, { processId = null } = {}) {
+    const delegation = this.getOrgDelegations(orgId).get(delegationId);
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
+
+    const currentUser = authState.getUser();
+    if (!processId && ![delegation.delegatorId, delegation.createdBy].includes(currentUser?.id)) {
+      const callerMembership = await this.getMemberByUserId(orgId, currentUser?.id);
+      if (!callerMembership || !this.canManageMembers(callerMembership.role)) {
+        throw new Error('Insufficient permissions to revoke this delegation');
+      }
+    }
+
+    const revoked = await processPersistence.saveDelegation(orgId, {
+      ...delegation,
+      revokedAt: new Date().toISOString(),
+      revokedBy: currentUser?.id || null
+    });
+    this.getOrgDelegations(orgId).set(revoked._id, revoked);
+
+    eventBus.emit(EVENTS.DELEGATIONS_CHANGED, { orgId, docs: [revoked], source: 'local' });
+
+    return revoked;
+  }
+
+  /**
+   * Get delegations granted by or to a member
+   * @param {string} orgId - Organization ID
+   * @param {Object} filter - { delegatorId, delegateId }
+   * @returns {Array} Delegations, newest first
+   */
+  getDelegations(orgId, { delegatorId = null, delegateId = null } = {}) {
+    return Array.from(this.getOrgDelegations(orgId).values())
+      .filter(d => (!delegatorId || d.delegatorId === delegatorId) && (!delegateId || d.delegateId === delegateId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get the delegations a member can act under right now
+   * @param {string} orgId - Organization ID
+   * @param {string} delegateId - Member acting for others
+   * @param {Object} options - { category } process category to cover (any when omitted), { at } point in time
+   * @returns {Array} Active delegations
+   */
+  getActiveDelegations(orgId, delegateId, { category, at = new Date() } = {}) {
+    const time = new Date(at).getTime();
+
+    return this.getDelegations(orgId, { delegateId }).filter(d =>
+      !d.revokedAt &&
+      new Date(d.startsAt).getTime() <= time &&
+      time < new Date(d.endsAt).getTime() &&
+      (category === undefined || d.categories.length === 0 || d.categories.includes(category))
+    );
+  }
+
   /**
    * Get available roles for assignment
    * @param {string} userRole - Current user's role
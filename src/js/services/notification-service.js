@@ -65,10 +65,10 @@ class NotificationService {
       title: 'New Task Assigned',
       message: `You have a new task in "${processName}": ${task.message || 'Action required'}`,
       processId: process._id,
-      taskId: task.id,
+      taskId: task._id,
       data: {
-        taskType: task.type,
-        stateName: task.currentState,
+        taskType: task.taskType,
+        stateName: task.state,
         role: task.role
       }
     });
@@ -86,12 +86,50 @@ class NotificationService {
     this.notify({
       type: NOTIFICATION_TYPES.TASK_COMPLETED,
       title: 'Task Completed',
-      message: `Task "${task.message || task.type}" in "${processName}" has been completed`,
+      message: `Task "${task.message || task.taskType}" in "${processName}" has been completed`,
       processId: process._id,
-      taskId: task.id,
+      taskId: task._id,
       data: {
         completedBy,
-        taskType: task.type
+        taskType: task.taskType
+      }
+    });
+  }
+
+  /**
+   * Notify once about an action taken on a batch of tasks
+   * @param {string} action - What was done to the tasks, e.g. 'approved'
+   * @param {Object} summary - { results, succeeded, failed }
+   */
+  notifyBulkTaskAction(action, { results, succeeded, failed }) {
+    this.notify({
+      type: NOTIFICATION_TYPES.BULK_TASK_ACTION,
+      title: failed > 0 ? 'Some Tasks Failed' : 'Tasks Updated',
+      message: `${succeeded} of ${results.length} tasks ${action}${failed > 0 ? `, ${failed} failed` : ''}`,
+      data: {
+        action,
+        succeeded: results.filter(r => r.success).map(r => r.taskId),
+        failed: results.filter(r => !r.success).map(r => ({ taskId: r.taskId, error: r.error }))
+      }
+    });
+  }
+
+  /**
+   * Notify the current user that a process comment mentions them
+   * @param {Object} comment - Comment document
+   * @param {Object} process - Process object
+   */
+  notifyMentioned(comment, process) {
+    const processName = process.definition?.name || 'Process';
+
+    this.notify({
+      type: NOTIFICATION_TYPES.MENTION,
+      title: 'You Were Mentioned',
+      message: `${comment.authorName} mentioned you on "${processName}": ${comment.text}`,
+      processId: process._id,
+      data: {
+        commentId: comment._id,
+        authorId: comment.authorId
       }
     });
   }
@@ -184,6 +222,34 @@ class NotificationService {
     });
   }
 
+  /**
+   * Notify about a message sent by a process action
+   * Only shown when the current user is the addressed user or holds the addressed role
+   * @param {Object} process - Process object
+   * @param {Object} options - { title, message, role, userId, state }
+   */
+  notifyProcessMessage(process, { title, message = '', role = null, userId = null, state = null }) {
+    const currentUser = authState.getUser();
+    if (!currentUser) return;
+
+    const addressed = (userId && userId === currentUser.id) ||
+      (role && hasApprovalPermission(this.getCurrentUserApprovalLevel(process.orgId), role));
+
+    if (!addressed) return;
+
+    this.notify({
+      type: NOTIFICATION_TYPES.PROCESS_MESSAGE,
+      title,
+      message,
+      processId: process._id,
+      data: {
+        state: state || process.currentState,
+        role,
+        userId
+      }
+    });
+  }
+
   /**
    * Notify when a member joins
    * @param {string} memberName - Member name
@@ -6,6 +6,7 @@
 import { DOC_TYPES, COUCHDB_CONFIG } from '../config/constants.js';
 import { getPouchDB } from './pouchdb-init.js';
 import { apiClient } from '../utils/api-client.js';
+import { dbManager } from './db-manager.js';
 
 // PouchDB reference (set after initialization)
 let PouchDB = null;
@@ -174,9 +175,10 @@ class OrganizationPersistence {
     await this.ensureInitialized();
 
     const fullName = `${orgData.shortName} ${orgData.legalType}`;
+    const orgId = `org:${orgData.shortName.toLowerCase().replace(/\s+/g, '-')}`;
 
     const org = {
-      _id: `org:${orgData.shortName.toLowerCase().replace(/\s+/g, '-')}`,
+      _id: orgId,
       type: DOC_TYPES.ORGANIZATION,
       shortName: orgData.shortName,
       legalType: orgData.legalType,
@@ -189,6 +191,8 @@ class OrganizationPersistence {
       primaryEmail: orgData.primaryEmail || null,
       phone: orgData.phone || null,
       createdBy: orgData.createdBy,
+      // Own CouchDB database, unless the organization opts in to a shared one
+      ...dbManager.assignPlacement(orgId, { shared: orgData.sharedDatabase === true }),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
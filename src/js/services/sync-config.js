@@ -3,8 +3,9 @@
  * Manages CouchDB connection configuration and database synchronization setup
  */
 
-import { COUCHDB_CONFIG, STORAGE_KEYS, EVENTS } from '../config/constants.js';
+import { COUCHDB_CONFIG, STORAGE_KEYS, EVENTS, DB_NAMES } from '../config/constants.js';
 import { eventBus } from '../utils/events.js';
+import { dbManager } from './db-manager.js';
 
 class SyncConfigService {
   constructor() {
@@ -157,10 +158,11 @@ class SyncConfigService {
 
   /**
    * Get remote database URL for an organization (for PouchDB sync)
-   * Uses direct URL since PouchDB needs the actual CouchDB address
+   * Uses direct URL since PouchDB needs the actual CouchDB address. Small
+   * organizations share a shard database (see dbManager)
    */
   getRemoteDbUrl(orgId) {
-    const dbName = `${COUCHDB_CONFIG.DB_PREFIX}${orgId}`;
+    const dbName = dbManager.getRemoteName(orgId);
     // For PouchDB replication, we need the direct URL (not proxied)
     // PouchDB will handle CORS or you need to configure CouchDB CORS
     return `${this.directCouchDbUrl}/${dbName}`;
@@ -170,7 +172,7 @@ class SyncConfigService {
    * Get API URL for database operations (uses proxy in dev)
    */
   getApiDbUrl(orgId) {
-    const dbName = `${COUCHDB_CONFIG.DB_PREFIX}${orgId}`;
+    const dbName = dbManager.getRemoteName(orgId);
     return `${this.couchDbUrl}/${dbName}`;
   }
 
@@ -192,7 +194,7 @@ class SyncConfigService {
   }
 
   /**
-   * Create remote database for organization
+   * Create remote database for organization (or its shard)
    */
   async createDatabase(orgId) {
     try {
@@ -260,8 +262,8 @@ class SyncConfigService {
 
       if (response.ok) {
         const dbs = await response.json();
-        // Filter to only show our org databases
-        return dbs.filter(db => db.startsWith(COUCHDB_CONFIG.DB_PREFIX));
+        // Filter to only show our org and shard databases
+        return dbs.filter(db => db.startsWith(COUCHDB_CONFIG.DB_PREFIX) || db.startsWith(DB_NAMES.SHARD_PREFIX));
       } else {
         throw new Error(`HTTP ${response.status}`);
       }
@@ -273,9 +275,14 @@ class SyncConfigService {
 
   /**
    * Delete database
+   * Refused for sharded organizations, whose database holds other organizations too
    */
   async deleteDatabase(orgId) {
     try {
+      if (dbManager.getPlacement(orgId).isSharded) {
+        throw new Error(`Organization ${orgId} shares ${dbManager.getRemoteName(orgId)} with other organizations`);
+      }
+
       const dbUrl = this.getApiDbUrl(orgId);
       const response = await fetch(dbUrl, {
         method: 'DELETE',
@@ -69,6 +69,30 @@ class ProcessState extends Store {
     return processes[processId];
   }
 
+  /**
+   * Replace a process instance with a stored revision, such as one synced from another device
+   * Unlike updateProcess, the revision is taken as it is, including its updatedAt
+   */
+  replaceProcess(processInstance) {
+    const processes = { ...this._state.processes };
+
+    if (!processes[processInstance._id]) {
+      throw new Error(`Process ${processInstance._id} not found`);
+    }
+
+    processes[processInstance._id] = processInstance;
+
+    this.setState({ processes });
+
+    this.emitEvent(EVENTS.PROCESS_UPDATED, {
+      processId: processInstance._id,
+      updates: processInstance,
+      timestamp: processInstance.updatedAt
+    });
+
+    return processInstance;
+  }
+
   /**
    * Remove a process instance
    */
@@ -155,11 +179,12 @@ class ProcessState extends Store {
   }
 
   /**
-   * Get processes that need sync
+   * Get processes whose latest changes have not reached the server yet
    */
   getProcessesNeedingSync() {
     return Object.values(this._state.processes).filter(
       process => process.syncStatus === PROCESS_SYNC_STATUS.PENDING ||
+                 process.syncStatus === PROCESS_SYNC_STATUS.SYNCING ||
                  process.syncStatus === PROCESS_SYNC_STATUS.ERROR
     );
   }
@@ -238,6 +263,29 @@ class ProcessState extends Store {
     return processes[processId];
   }
 
+  /**
+   * Record the revision a process was stored as, without marking it changed
+   */
+  setProcessRevision(processId, rev, syncStatus) {
+    const process = this._state.processes[processId];
+
+    if (!process) {
+      throw new Error(`Process ${processId} not found`);
+    }
+
+    const processes = { ...this._state.processes };
+    processes[processId] = {
+      ...process,
+      _rev: rev,
+      syncStatus,
+      lastSyncAt: syncStatus === PROCESS_SYNC_STATUS.SYNCED ? new Date().toISOString() : process.lastSyncAt
+    };
+
+    this.setState({ processes });
+
+    return processes[processId];
+  }
+
   /**
    * Clear all processes
    */
@@ -188,6 +188,217 @@ export function addMinutes(date, minutes) {
   return result;
 }
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest stretch of days searched for working time before giving up
+const MAX_CALENDAR_DAYS = 366 * 5;
+
+/**
+ * Default working week: Monday to Friday, 09:00 to 17:00 local time
+ */
+export const DEFAULT_BUSINESS_HOURS = { days: [1, 2, 3, 4, 5], start: 9, end: 17 };
+
+const zoneFormatters = new Map();
+
+/**
+ * Get the calendar date of an instant, in a time zone (local time without one)
+ */
+function getWallDate(time, timeZone) {
+  const date = new Date(time);
+
+  if (!timeZone) {
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  }
+
+  const parts = getZoneParts(date, timeZone);
+  return { year: parts.year, month: parts.month, day: parts.day };
+}
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ */
+function getZoneParts(date, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  return Object.fromEntries(
+    zoneFormatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+}
+
+/**
+ * Get the instant a number of hours after midnight of a calendar date
+ * Days past the end of a month roll over into the next
+ */
+function fromWallTime(year, month, day, hours, timeZone) {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, 0, 0, 0, hours * HOUR_MS).getTime();
+  }
+
+  // Read the zone's offset at the guess, then again at the result in case it crossed a DST change
+  const guess = Date.UTC(year, month - 1, day, 0, 0, 0, hours * HOUR_MS);
+  const offsetAt = (time) => {
+    const parts = getZoneParts(new Date(time), timeZone);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(time / 1000) * 1000;
+  };
+
+  const offset = offsetAt(guess);
+  const result = guess - offset;
+  const corrected = offsetAt(result);
+
+  return corrected === offset ? result : guess - corrected;
+}
+
+/**
+ * Fill in a working calendar
+ * @param {object} calendar - { days: weekdays (0 = Sunday), start, end: hours of day,
+ *   timezone: IANA name (local time if omitted), holidays: 'YYYY-MM-DD' dates or yearly 'MM-DD' dates }
+ */
+function normalizeCalendar(calendar = {}) {
+  const normalized = { ...DEFAULT_BUSINESS_HOURS, ...calendar };
+
+  if (!normalized.days.length || normalized.end <= normalized.start) {
+    throw new Error('Business hours need at least one working day and an end after the start');
+  }
+
+  normalized.holidays = new Set(calendar.holidays || []);
+  return normalized;
+}
+
+/**
+ * Check whether a calendar date is a working day
+ */
+function isWorkingDate({ year, month, day }, calendar) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  return calendar.days.includes(weekday) &&
+    !calendar.holidays.has(monthDay) &&
+    !calendar.holidays.has(`${year}-${monthDay}`);
+}
+
+/**
+ * Check whether a date falls on a working day of a calendar
+ * @param {Date} date - Date
+ * @param {object} calendar - Working calendar (see addBusinessHours)
+ * @returns {boolean} True if a working day
+ */
+export function isBusinessDay(date, calendar = DEFAULT_BUSINESS_HOURS) {
+  const normalized = normalizeCalendar(calendar);
+  return isWorkingDate(getWallDate(new Date(date).getTime(), normalized.timezone), normalized);
+}
+
+/**
+ * Add working hours to a date, skipping time outside the working week and holidays
+ * @param {Date} date - Starting date
+ * @param {number} hours - Number of working hours to add
+ * @param {object} calendar - { days: weekdays (0 = Sunday), start, end: hours of day,
+ *   timezone: IANA name (local time if omitted), holidays: 'YYYY-MM-DD' dates or yearly 'MM-DD' dates }
+ * @returns {Date} New date
+ */
+export function addBusinessHours(date, hours, calendar = DEFAULT_BUSINESS_HOURS) {
+  const normalized = normalizeCalendar(calendar);
+  const { start, end, timezone } = normalized;
+
+  let remaining = hours * HOUR_MS;
+  let cursor = new Date(date).getTime();
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const wall = getWallDate(cursor, timezone);
+
+    if (isWorkingDate(wall, normalized)) {
+      const windowStart = fromWallTime(wall.year, wall.month, wall.day, start, timezone);
+      const windowEnd = fromWallTime(wall.year, wall.month, wall.day, end, timezone);
+      const from = Math.max(cursor, windowStart);
+
+      if (from < windowEnd) {
+        if (remaining <= windowEnd - from) {
+          return new Date(from + remaining);
+        }
+        remaining -= windowEnd - from;
+      }
+    }
+
+    cursor = fromWallTime(wall.year, wall.month, wall.day + 1, 0, timezone);
+  }
+
+  throw new Error('Calendar has no working time left');
+}
+
+/**
+ * Get the working hours between two dates
+ * @param {Date} date1 - Start date
+ * @param {Date} date2 - End date
+ * @param {object} calendar - Working calendar (see addBusinessHours)
+ * @returns {number} Working hours (negative if date2 is before date1)
+ */
+export function businessHoursBetween(date1, date2, calendar = DEFAULT_BUSINESS_HOURS) {
+  const normalized = normalizeCalendar(calendar);
+  const { start, end, timezone } = normalized;
+  const t1 = new Date(date1).getTime();
+  const t2 = new Date(date2).getTime();
+  const [from, to] = t1 <= t2 ? [t1, t2] : [t2, t1];
+
+  let total = 0;
+  let cursor = from;
+
+  while (cursor < to) {
+    const wall = getWallDate(cursor, timezone);
+
+    if (isWorkingDate(wall, normalized)) {
+      const windowStart = Math.max(cursor, fromWallTime(wall.year, wall.month, wall.day, start, timezone));
+      const windowEnd = Math.min(to, fromWallTime(wall.year, wall.month, wall.day, end, timezone));
+      total += Math.max(0, windowEnd - windowStart);
+    }
+
+    cursor = fromWallTime(wall.year, wall.month, wall.day + 1, 0, timezone);
+  }
+
+  return (t1 <= t2 ? total : -total) / HOUR_MS;
+}
+
+/**
+ * Get the working days between two dates: those after the earlier date, up to and including the later one
+ * @param {Date} date1 - First date
+ * @param {Date} date2 - Second date
+ * @param {object} calendar - Working calendar (see addBusinessHours)
+ * @returns {number} Number of working days
+ */
+export function businessDaysBetween(date1, date2, calendar = DEFAULT_BUSINESS_HOURS) {
+  const normalized = normalizeCalendar(calendar);
+  const { timezone } = normalized;
+  const t1 = new Date(date1).getTime();
+  const t2 = new Date(date2).getTime();
+  const last = getWallDate(Math.max(t1, t2), timezone);
+  const lastKey = Date.UTC(last.year, last.month - 1, last.day);
+
+  let wall = getWallDate(Math.min(t1, t2), timezone);
+  let count = 0;
+
+  while (true) {
+    const next = new Date(Date.UTC(wall.year, wall.month - 1, wall.day + 1));
+    if (next.getTime() > lastKey) {
+      return count;
+    }
+
+    wall = { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+    if (isWorkingDate(wall, normalized)) {
+      count++;
+    }
+  }
+}
+
 /**
  * Get start of day
  * @param {Date} date - Date
@@ -435,6 +646,10 @@ export default {
   addDays,
   addHours,
   addMinutes,
+  isBusinessDay,
+  addBusinessHours,
+  businessHoursBetween,
+  businessDaysBetween,
   startOfDay,
   endOfDay,
   startOfWeek,
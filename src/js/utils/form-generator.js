@@ -8,9 +8,12 @@
  *   - ≤7 options: Radio buttons (single) or Checkboxes (multiple)
  *   - ≤50 options: Dropdown
  *   - >50 options: Autocomplete/searchable
+ * - Computed fields shown read-only, recalculated as the user types
  */
 
 import { userLookupService } from '../components/user-lookup-input.js';
+import { variableValidator } from '../services/bpm/variable-validator.js';
+import { computedVariables } from '../services/bpm/computed-variables.js';
 
 // Cache for FK options (loaded from services)
 const fkOptionsCache = new Map();
@@ -47,6 +50,8 @@ export function generateForm(variablesSchema, initialValues = {}) {
     form.appendChild(fieldGroup);
   });
 
+  bindComputedFields(form, variablesSchema, initialValues);
+
   return form;
 }
 
@@ -83,9 +88,49 @@ export function generateStepForm(variablesSchema, step = 'create', initialValues
     }
   });
 
+  bindComputedFields(form, variablesSchema, initialValues);
+
   return form;
 }
 
+/**
+ * Fill in the computed fields of a form and recalculate them as other fields change
+ * Values of fields not on the form (other steps) come from initialValues
+ * @param {HTMLElement} form - Generated form
+ * @param {object} variablesSchema - Process variables schema
+ * @param {object} initialValues - Initial field values
+ */
+function bindComputedFields(form, variablesSchema, initialValues) {
+  const inputs = Array.from(form.querySelectorAll('[data-computed]'));
+  if (inputs.length === 0) {
+    return;
+  }
+
+  const defaults = {};
+  Object.keys(variablesSchema).forEach(fieldName => {
+    if (variablesSchema[fieldName].default !== undefined) {
+      defaults[fieldName] = variablesSchema[fieldName].default;
+    }
+  });
+
+  const update = (values) => {
+    const computed = computedVariables.compute(variablesSchema, values);
+    inputs.forEach(input => {
+      const value = computed[input.getAttribute('name')];
+      input.value = value === null || value === undefined ? '' : value;
+    });
+  };
+
+  update({ ...defaults, ...initialValues });
+
+  const recompute = (event) => {
+    if (event.target?.hasAttribute?.('data-computed')) return;
+    update({ ...defaults, ...initialValues, ...getFormValues(form) });
+  };
+
+  ['input', 'change', 'ionInput', 'ionChange'].forEach(type => form.addEventListener(type, recompute));
+}
+
 /**
  * Set FK options for a field (for autocomplete/search)
  * @param {string} fieldName - Field name
@@ -121,7 +166,7 @@ function createFieldGroup(fieldName, fieldSchema, value) {
   label.className = CSS.FORM_LABEL;
   label.setAttribute('for', fieldName);
   label.textContent = formatLabel(fieldName);
-  if (fieldSchema.required) {
+  if (fieldSchema.required && !fieldSchema.computed) {
     const required = document.createElement('span');
     required.className = CSS.REQUIRED;
     required.textContent = ' *';
@@ -160,6 +205,10 @@ function createFieldGroup(fieldName, fieldSchema, value) {
 function createInput(fieldName, fieldSchema, value) {
   const type = fieldSchema.type;
 
+  if (fieldSchema.computed) {
+    return createComputedInput(fieldName, fieldSchema, value);
+  }
+
   // Check for special input types first
   if (fieldSchema.inputType === 'userLookup') {
     return createUserLookupInput(fieldName, fieldSchema, value);
@@ -851,6 +900,21 @@ function createNumberInput(fieldName, fieldSchema, value) {
   return input;
 }
 
+/**
+ * Create read-only input for a computed field
+ */
+function createComputedInput(fieldName, fieldSchema, value) {
+  const input = document.createElement('ion-input');
+  input.setAttribute('name', fieldName);
+  input.setAttribute('id', fieldName);
+  input.setAttribute('type', fieldSchema.type === 'number' || fieldSchema.type === 'integer' ? 'number' : 'text');
+  input.setAttribute('readonly', '');
+  input.setAttribute('data-computed', '');
+  if (value !== undefined && value !== null) input.value = value;
+
+  return input;
+}
+
 /**
  * Create boolean input (toggle/checkbox)
  */
@@ -1092,84 +1156,23 @@ export function getFormValues(form) {
 
 /**
  * Validate form
+ * Uses the same rules as form tasks and variable updates (see variable-validator.js)
  * @param {HTMLElement} form - Form element
  * @param {object} schema - Variable schema
  * @param {string} step - Optional step to validate only fields for that step
+ * @param {Array} rules - Cross-field rules of the definition (its `validation`)
  * @returns {object} Validation result { valid: boolean, errors: {} }
  */
-export function validateForm(form, schema, step = null) {
+export function validateForm(form, schema, step = null, rules = []) {
   const values = getFormValues(form);
-  const errors = {};
-  let valid = true;
 
   // Get step from form dataset if not provided
   const formStep = step || form.dataset?.step || null;
 
-  Object.keys(schema).forEach(fieldName => {
-    const fieldSchema = schema[fieldName];
-    const value = values[fieldName];
-
-    // If step filtering is active, only validate fields for that step
-    if (formStep && formStep !== 'all') {
-      const fieldStep = fieldSchema.step || 'create';
-      const isFieldForStep = (
-        fieldStep === formStep ||
-        fieldStep === 'all' ||
-        (Array.isArray(fieldStep) && fieldStep.includes(formStep))
-      );
-      if (!isFieldForStep) {
-        return; // Skip validation for fields not in current step
-      }
-    }
-
-    // Required validation
-    if (fieldSchema.required && (value === undefined || value === null || value === '')) {
-      errors[fieldName] = `${formatLabel(fieldName)} is required`;
-      valid = false;
-    }
-
-    // Type validation
-    if (value !== undefined && value !== null && value !== '') {
-      switch (fieldSchema.type) {
-        case 'number':
-          if (isNaN(value)) {
-            errors[fieldName] = `${formatLabel(fieldName)} must be a number`;
-            valid = false;
-          } else {
-            const num = parseFloat(value);
-            if (fieldSchema.min !== undefined && num < fieldSchema.min) {
-              errors[fieldName] = `${formatLabel(fieldName)} must be at least ${fieldSchema.min}`;
-              valid = false;
-            }
-            if (fieldSchema.max !== undefined && num > fieldSchema.max) {
-              errors[fieldName] = `${formatLabel(fieldName)} must be at most ${fieldSchema.max}`;
-              valid = false;
-            }
-          }
-          break;
-
-        case 'string':
-          if (fieldSchema.pattern) {
-            const regex = new RegExp(fieldSchema.pattern);
-            if (!regex.test(value)) {
-              errors[fieldName] = `${formatLabel(fieldName)} format is invalid`;
-              valid = false;
-            }
-          }
-          if (fieldSchema.minLength && value.length < fieldSchema.minLength) {
-            errors[fieldName] = `${formatLabel(fieldName)} must be at least ${fieldSchema.minLength} characters`;
-            valid = false;
-          }
-          if (fieldSchema.maxLength && value.length > fieldSchema.maxLength) {
-            errors[fieldName] = `${formatLabel(fieldName)} must be at most ${fieldSchema.maxLength} characters`;
-            valid = false;
-          }
-          break;
-      }
-    }
+  return variableValidator.validate(schema, values, {
+    step: formStep && formStep !== 'all' ? formStep : null,
+    rules
   });
-
-  return { valid, errors };
 }
 
 /**
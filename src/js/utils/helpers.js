@@ -286,3 +286,23 @@ export function getShardNumber(orgId, totalShards = 40) {
 export function formatShardNumber(shardNumber) {
   return String(shardNumber).padStart(3, '0');
 }
+
+/**
+ * Compare two dotted version strings (e.g. "1.2.0" vs "1.10.0")
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}